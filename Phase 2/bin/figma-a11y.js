@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// ============================================================
+// bin/figma-a11y.js
+// Command-line entry point. See src/cli/cli.js.
+//   FIGMA_TOKEN=... node bin/figma-a11y.js audit --file <key>
+//   node bin/figma-a11y.js audit --input file.json --json
+// ============================================================
+
+import { runCli } from "../src/cli/cli.js";
+
+process.exitCode = await runCli(process.argv.slice(2));
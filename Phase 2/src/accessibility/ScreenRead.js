@@ -4,7 +4,21 @@
 // descriptions for screen reader output.
 // ============================================================
 
+import { orderChildren } from "./spatialOrder.js";
+
 export class ScreenReaderService {
+  /**
+   * @param {object} [options]
+   * @param {"visual"|"layer"} [options.order] - Read siblings by layout
+   *   position (see SpatialOrder.js), or in raw Figma layer order
+   */
+  constructor({ order = "visual" } = {}) {
+    if (!["visual", "layer"].includes(order)) {
+      throw new TypeError(`order must be "visual" or "layer", not "${order}".`);
+    }
+    this._order = order;
+  }
+
   /**
    * Generates a flat, ordered list of readable descriptions
    * by doing a depth-first traversal of the semantic tree.
@@ -12,6 +26,16 @@ export class ScreenReaderService {
    * @returns {string[]}
    */
   generateReadingOrder(roots) {
+    return this.generateReadingEntries(roots).map(e => e.text);
+  }
+
+  /**
+   * The reading order with the component each line came from, e.g.
+   * for diffing two versions of a design.
+   * @param {UIComponent[]} roots
+   * @returns {Array<{ id: string, text: string }>}
+   */
+  generateReadingEntries(roots) {
     if (!Array.isArray(roots)) {
       throw new TypeError("generateReadingOrder expects an array of UIComponents.");
     }
@@ -23,13 +47,17 @@ export class ScreenReaderService {
   }
 
   _traverse(component, output) {
+    // A hidden layer (visible: false) is not rendered, so nothing in it is read
+    if (component.getVisual().visible === false) return;
     try {
-      output.push(component.describe());
-      for (const child of component.getChildren()) {
+      // Generic groups are silent; only their contents are read
+      if (!component.isTransparent()) output.push({ id: component.getId(), text: component.describe() });
+      const children = this._order === "visual" ? orderChildren(component) : component.getChildren();
+      for (const child of children) {
         this._traverse(child, output);
       }
     } catch (e) {
-      output.push(`[Screen reader error for component: ${e.message}]`);
+      output.push({ id: component.getId(), text: `[Screen reader error for component: ${e.message}]` });
     }
   }
 }
@@ -1,77 +1,200 @@
 // ============================================================
 // src/accessibility/AuditService.js
 // Runs rule-based accessibility checks against the semantic tree.
-// New rules can be added to RULES without modifying audit logic
-// (Open/Closed Principle — matches README scalability goal).
+// Rules live in a RuleRegistry, so new rules and rule packs can be
+// registered without modifying audit logic (Open/Closed Principle —
+// matches README scalability goal).
 // ============================================================
 
-// Each rule is a plain object: { id, description, check(component) → string|null }
-// check() returns an issue string if the rule fails, null if it passes.
-const RULES = [
-  {
-    id:          "LABEL_EMPTY",
-    description: "All components must have a non-empty accessible label.",
-    check(c) {
-      return (!c.getLabel() || c.getLabel().trim() === "")
-        ? `Component [${c.getId()}] has an empty label.`
-        : null;
-    }
-  },
-  {
-    id:          "ROLE_PRESENT",
-    description: "All components must declare an ARIA role.",
-    check(c) {
-      return (!c.getRole() || c.getRole().trim() === "")
-        ? `Component [${c.getId()}] "${c.getLabel()}" is missing an ARIA role.`
-        : null;
-    }
-  },
-  {
-    id:          "FOCUSABLE_BUTTON",
-    description: "All button components must be focusable.",
-    check(c) {
-      return (c.getRole() === "button" && !c.getState("focusable"))
-        ? `Button "${c.getLabel()}" [${c.getId()}] is not marked as focusable.`
-        : null;
+import { RuleRegistry, SEVERITY_ORDER } from "./ruleRegistry.js";
+
+export { RuleRegistry, SEVERITY_ORDER };
+
+/** "Page > Header > Submit" — labels from the root down to `c`. */
+function nodePath(c) {
+  const labels = [];
+  for (let n = c; n; n = n.getParent()) labels.unshift(n.getLabel());
+  return labels.join(" > ");
+}
+
+function toFinding(rule, component, message) {
+  return {
+    ruleId:   rule.id,
+    nodeId:   component.getId(),
+    nodePath: nodePath(component),
+    severity: rule.severity,
+    wcag:     [...rule.wcag],
+    message,
+    fix:      rule.fix,
+  };
+}
+
+const PAGE_TYPES   = new Set(["DOCUMENT", "CANVAS"]);
+const SCREEN_TYPES = new Set(["FRAME", "COMPONENT", "SECTION"]);
+
+/**
+ * The frames a user would see as separate screens: top-level frames
+ * (or generic groups) found directly in the roots or inside page
+ * (CANVAS) roots. Loose components such as a lone button are not screens.
+ */
+export function screensOf(roots) {
+  const screens = [];
+  for (const root of roots) {
+    if (PAGE_TYPES.has(root.getNodeType())) {
+      screens.push(...screensOf(root.getChildren()));
+    } else if (SCREEN_TYPES.has(root.getNodeType()) || root.isTransparent()) {
+      screens.push(root);
     }
-  },
-];
+  }
+  return screens;
+}
+
+/** Compares "2.5.8" and "2.4.11" numerically, part by part. */
+function compareCriteria(a = "", b = "") {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+/**
+ * Formats a finding as the legacy one-line string, e.g.
+ * `[FOCUSABLE_BUTTON] Button "X" [id] is not marked as focusable.`
+ */
+export function formatFinding(finding) {
+  return `[${finding.ruleId}] ${finding.message}`;
+}
+
+/**
+ * Returns findings sorted by severity, then WCAG criterion, then rule id.
+ * @param {Finding[]} findings
+ * @returns {Finding[]}
+ */
+export function sortFindings(findings) {
+  return [...findings].sort((a, b) =>
+    (SEVERITY_ORDER[a.severity] ?? 9) - (SEVERITY_ORDER[b.severity] ?? 9)
+    || compareCriteria(a.wcag[0], b.wcag[0])
+    || a.ruleId.localeCompare(b.ruleId));
+}
+
+/**
+ * @typedef {object} Finding
+ * @property {string}   ruleId
+ * @property {string}   nodeId
+ * @property {string}   nodePath - Labels from the root, e.g. "Page > Nav > Home"
+ * @property {"error"|"warning"|"info"} severity
+ * @property {string[]} wcag     - Success criteria, e.g. ["1.4.3"]
+ * @property {string}   message
+ * @property {string}   fix      - Suggested remediation
+ */
 
 export class AuditService {
+  /**
+   * @param {object} [options]
+   * @param {RuleRegistry} [options.registry] - Defaults to one holding the core rules
+   * @param {object} [options.config]         - JSON rule config, see RuleRegistry.configure()
+   */
+  constructor({ registry = new RuleRegistry(), config = null } = {}) {
+    this._registry = registry;
+    if (config) this._registry.configure(config);
+  }
+
+  getRegistry() { return this._registry; }
+
   /**
    * Runs all accessibility rules against every component in the tree.
+   * `passed` and `failed` are string views derived from the structured
+   * `passes` and `findings`.
    * @param {UIComponent[]} roots
-   * @returns {{ passed: string[], failed: string[] }}
+   * @param {object} [options]
+   * @param {FlowGraph|null} [options.flow] - Prototype interactions, from
+   *   SemanticTree.getFlowGraph(); the interaction rules need it
+   * @returns {{ findings: Finding[], passes: object[], passed: string[], failed: string[] }}
    */
-  runAudit(roots) {
+  runAudit(roots, { flow = null } = {}) {
     if (!Array.isArray(roots)) {
       throw new TypeError("runAudit expects an array of UIComponents.");
     }
-    const passed = [];
-    const failed = [];
+    const findings = [];
+    const passes   = [];
+    const active   = this._registry.getActiveRules();
+    const context  = {
+      roots,
+      screens:     screensOf(roots),
+      flow,
+      rules:       active.filter(r => r.scope !== "document"),
+      interactive: new Map(),
+    };
 
     for (const root of roots) {
-      this._auditComponent(root, passed, failed);
+      this._auditComponent(root, findings, passes, context);
+    }
+    for (const rule of active.filter(r => r.scope === "document")) {
+      this._auditDocument(rule, findings, passes, context);
     }
 
-    return { passed, failed };
+    return {
+      findings,
+      passes,
+      passed: passes.map(p => `[${p.ruleId}] "${p.label}" passed.`),
+      failed: findings.map(formatFinding),
+    };
   }
 
-  _auditComponent(component, passed, failed) {
-    try {
-      for (const rule of RULES) {
-        const issue = rule.check(component);
+  _auditComponent(component, findings, passes, context) {
+    // Generic groups have no semantics to check; audit their contents
+    const rules = component.isTransparent() ? [] : context.rules;
+    for (const rule of rules) {
+      // A rule that throws fails on its own; the other rules and the
+      // children are still checked.
+      try {
+        const issue = rule.check(component, context, rule.options);
         if (issue) {
-          failed.push(`[${rule.id}] ${issue}`);
+          findings.push(toFinding(rule, component, issue));
         } else {
-          passed.push(`[${rule.id}] "${component.getLabel()}" passed.`);
+          passes.push({ ruleId: rule.id, nodeId: component.getId(), label: component.getLabel() });
         }
+      } catch (e) {
+        findings.push({
+          ruleId:   "AUDIT_ERROR",
+          nodeId:   component.getId(),
+          nodePath: nodePath(component),
+          severity: "error",
+          wcag:     [],
+          message:  `Unexpected error in rule ${rule.id}: ${e.message}`,
+          fix:      "Check the node data for this component.",
+        });
       }
-      for (const child of component.getChildren()) {
-        this._auditComponent(child, passed, failed);
+    }
+    for (const child of component.getChildren()) {
+      this._auditComponent(child, findings, passes, context);
+    }
+  }
+
+  /**
+   * Runs a document-scoped rule once over the whole tree. Its check()
+   * returns an array of { component, message } issues.
+   */
+  _auditDocument(rule, findings, passes, context) {
+    try {
+      const issues = rule.check(context, rule.options) ?? [];
+      for (const { component, message } of issues) {
+        findings.push(toFinding(rule, component, message));
       }
+      if (issues.length === 0) passes.push({ ruleId: rule.id, nodeId: "document", label: "Document" });
     } catch (e) {
-      failed.push(`[AUDIT_ERROR] Unexpected error auditing component: ${e.message}`);
+      findings.push({
+        ruleId:   "AUDIT_ERROR",
+        nodeId:   "document",
+        nodePath: "",
+        severity: "error",
+        wcag:     [],
+        message:  `Unexpected error in rule ${rule.id}: ${e.message}`,
+        fix:      "Check the rule implementation.",
+      });
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,261 @@
+// ============================================================
+// src/accessibility/Baseline.js
+// Tracks findings across Figma file versions. A snapshot records a
+// run's findings by fingerprint (rule id + node id, both stable across
+// versions); comparing a new report against it sorts findings into
+// new, fixed and unchanged. Accepted issues can be suppressed, with a
+// reason and an expiry date, so legacy files can adopt the audit and
+// only gate on regressions.
+// ============================================================
+
+export const SNAPSHOT_SCHEMA = 1;
+
+/** "TARGET_SIZE:12:34" — identifies a finding across runs and versions. */
+export function fingerprint(finding) {
+  return `${finding.ruleId}:${finding.nodeId}`;
+}
+
+/**
+ * The parts of a report a later run is compared against.
+ * @param {object} report - From buildReport()
+ * @param {object} [options]
+ * @param {string} [options.createdAt] - ISO timestamp; defaults to now
+ * @returns {object} Snapshot
+ */
+export function createSnapshot(report, { createdAt = new Date().toISOString() } = {}) {
+  return {
+    schema:    SNAPSHOT_SCHEMA,
+    fileKey:   report.file.key ?? null,
+    fileName:  report.file.name ?? null,
+    version:   report.file.version ?? null,
+    scope:     report.scope?.nodeId ?? null,
+    createdAt,
+    findings:  report.findings.map(f => ({
+      fingerprint: fingerprint(f),
+      ruleId:      f.ruleId,
+      nodeId:      f.nodeId,
+      nodePath:    f.nodePath,
+      severity:    f.severity,
+      message:     f.message,
+    })),
+  };
+}
+
+/**
+ * Checks that `value` is a snapshot this version can read.
+ * @throws {TypeError}
+ */
+export function assertSnapshot(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.findings)) {
+    throw new TypeError("Baseline is not an audit snapshot (no findings list).");
+  }
+  if (value.schema !== SNAPSHOT_SCHEMA) {
+    throw new TypeError(`Baseline snapshot schema ${value.schema} is not supported; expected ${SNAPSHOT_SCHEMA}.`);
+  }
+  return value;
+}
+
+/**
+ * Validates a suppression list: an array, or { suppressions: [...] },
+ * of { ruleId, nodeId?, reason, expires }. Without nodeId the rule is
+ * suppressed everywhere. `expires` is a date ("2026-12-31"); from then
+ * on the suppression no longer applies.
+ * @param {Array|object} value
+ * @returns {Array<{ ruleId: string, nodeId: string|null, reason: string, expires: string }>}
+ * @throws {TypeError}
+ */
+export function parseSuppressions(value) {
+  const list = Array.isArray(value) ? value : value?.suppressions;
+  if (!Array.isArray(list)) {
+    throw new TypeError("Suppressions must be an array, or an object with a suppressions array.");
+  }
+  return list.map((entry, i) => {
+    const where = `Suppression ${i + 1}`;
+    if (typeof entry?.ruleId !== "string" || entry.ruleId === "") {
+      throw new TypeError(`${where} needs a ruleId.`);
+    }
+    if (typeof entry.reason !== "string" || entry.reason.trim() === "") {
+      throw new TypeError(`${where} (${entry.ruleId}) needs a reason.`);
+    }
+    if (typeof entry.expires !== "string" || Number.isNaN(Date.parse(entry.expires))) {
+      throw new TypeError(`${where} (${entry.ruleId}) needs an expires date, e.g. "2026-12-31".`);
+    }
+    return { ruleId: entry.ruleId, nodeId: entry.nodeId ?? null, reason: entry.reason, expires: entry.expires };
+  });
+}
+
+/** "node 12:34", or "the whole file" for an unscoped audit. */
+const scopeName = (nodeId) => (nodeId ? `node ${nodeId}` : "the whole file");
+
+const matches = (s, finding) => s.ruleId === finding.ruleId && (s.nodeId === null || s.nodeId === finding.nodeId);
+
+/**
+ * Classifies the report's findings against a baseline snapshot.
+ * Fingerprints are counted, so two findings with the same rule and
+ * node against one in the baseline are one unchanged and one new.
+ * Suppressed findings are taken out of new and unchanged. The baseline
+ * must cover the same scope as the report: findings outside a node
+ * audit would otherwise all look fixed, or all new.
+ * @param {object} report - From buildReport()
+ * @param {object|null} baseline - From createSnapshot(); null makes every finding new
+ * @param {object} [options]
+ * @param {Array} [options.suppressions] - From parseSuppressions()
+ * @param {Date}  [options.now]
+ * @returns {{ new: object[], fixed: object[], unchanged: object[],
+ *             suppressed: Array<{ finding: object, suppression: object, inBaseline: boolean }>,
+ *             expired: object[] }} `fixed` holds baseline entries;
+ *   `expired` the suppressions past their date
+ * @throws {RangeError} When the baseline and report scopes differ
+ */
+export function compareToBaseline(report, baseline, { suppressions = [], now = new Date() } = {}) {
+  const scope = report.scope?.nodeId ?? null;
+  if (baseline && (baseline.scope ?? null) !== scope) {
+    throw new RangeError(`Baseline covers ${scopeName(baseline.scope)}, but the report covers ${scopeName(scope)}.`);
+  }
+  const active  = suppressions.filter(s => Date.parse(s.expires) > now.getTime());
+  const expired = suppressions.filter(s => !active.includes(s));
+
+  const remaining = new Map();   // fingerprint → baseline entries not yet matched
+  for (const entry of baseline?.findings ?? []) {
+    if (!remaining.has(entry.fingerprint)) remaining.set(entry.fingerprint, []);
+    remaining.get(entry.fingerprint).push(entry);
+  }
+
+  const result = { new: [], fixed: [], unchanged: [], suppressed: [], expired };
+  for (const finding of report.findings) {
+    const previous    = remaining.get(fingerprint(finding));
+    const seen        = Boolean(previous?.shift());
+    const suppression = active.find(s => matches(s, finding));
+    if (suppression) {
+      result.suppressed.push({ finding, suppression, inBaseline: seen });
+    } else {
+      (seen ? result.unchanged : result.new).push(finding);
+    }
+  }
+  if (baseline) {
+    for (const entries of remaining.values()) result.fixed.push(...entries);
+  }
+  return result;
+}
+
+/**
+ * The report with the comparison applied: each finding gets
+ * `baselineState` ("new" or "unchanged", when there is a baseline) and
+ * `suppressed` ({ reason, expires }, when suppressed), and the report
+ * gets a `comparison` summary with the fixed findings.
+ * @param {object} report - From buildReport()
+ * @param {object|null} baseline
+ * @param {object} [options] - As for compareToBaseline()
+ * @returns {object} A new report
+ */
+export function applyBaseline(report, baseline, options = {}) {
+  const result     = compareToBaseline(report, baseline, options);
+  const suppressed = new Map(result.suppressed.map(s => [s.finding, s.suppression]));
+  const inBaseline = new Set([
+    ...result.unchanged,
+    ...result.suppressed.filter(s => s.inBaseline).map(s => s.finding),
+  ]);
+
+  const findings = report.findings.map(f => {
+    const suppression = suppressed.get(f);
+    return {
+      ...f,
+      ...(baseline && { baselineState: inBaseline.has(f) ? "unchanged" : "new" }),
+      ...(suppression && { suppressed: { reason: suppression.reason, expires: suppression.expires } }),
+    };
+  });
+
+  return {
+    ...report,
+    findings,
+    comparison: {
+      baseline: baseline && {
+        fileKey: baseline.fileKey, version: baseline.version, createdAt: baseline.createdAt,
+      },
+      counts: {
+        new:        result.new.length,
+        fixed:      result.fixed.length,
+        unchanged:  result.unchanged.length,
+        suppressed: result.suppressed.length,
+      },
+      fixed:   result.fixed,
+      expired: result.expired,
+    },
+  };
+}
+
+// Whole-file audits keep the keys they had before scopes were stored.
+const scopedKey   = (fileKey, scope) => (scope ? `${fileKey}#${scope}` : fileKey);
+const snapshotKey = (fileKey, scope, version) => `baseline:${scopedKey(fileKey, scope)}@${version ?? "unversioned"}`;
+const indexKey    = (fileKey, scope) => `baseline:${scopedKey(fileKey, scope)}`;
+
+/**
+ * Snapshots by file key, scope and version, over any async get/set
+ * store such as the popup's chrome.storage or a FileCache. An audit of
+ * one node and an audit of the whole file are kept apart. Only the most
+ * recent `limit` versions of each are kept.
+ */
+export class BaselineStore {
+  /**
+   * @param {{ get(key: string): Promise<any>, set(key: string, value: any): Promise<void> }} store
+   * @param {object} [options]
+   * @param {number} [options.limit] - Versions kept per file
+   */
+  constructor(store, { limit = 10 } = {}) {
+    if (typeof store?.get !== "function" || typeof store?.set !== "function") {
+      throw new TypeError("BaselineStore requires a store with get() and set().");
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new RangeError(`limit must be a positive integer, not ${limit}.`);
+    }
+    this._store = store;
+    this._limit = limit;
+  }
+
+  /** Saves `snapshot` under its file key, scope and version, replacing any earlier one for that version. */
+  async save(snapshot) {
+    assertSnapshot(snapshot);
+    if (!snapshot.fileKey) throw new TypeError("Only snapshots with a file key can be stored.");
+    const { fileKey, scope = null } = snapshot;
+    const version  = snapshot.version ?? "unversioned";
+    const versions = ((await this._store.get(indexKey(fileKey, scope))) ?? [])
+      .filter(v => v.version !== version);
+    versions.push({ version, createdAt: snapshot.createdAt });
+
+    await this._store.set(snapshotKey(fileKey, scope, version), snapshot);
+    for (const old of versions.splice(0, Math.max(0, versions.length - this._limit))) {
+      await this._store.set(snapshotKey(fileKey, scope, old.version), null);
+    }
+    await this._store.set(indexKey(fileKey, scope), versions);
+  }
+
+  /**
+   * @param {string} fileKey
+   * @param {string|null} version
+   * @param {object} [options]
+   * @param {string|null} [options.scope] - Node id of a node audit; null for the whole file
+   * @returns {Promise<object|null>} The snapshot saved for that version
+   */
+  async get(fileKey, version, { scope = null } = {}) {
+    return (await this._store.get(snapshotKey(fileKey, scope, version))) ?? null;
+  }
+
+  /**
+   * The most recently saved snapshot of another version of the file,
+   * with the same scope, i.e. what the current version should be
+   * compared against.
+   * @param {string} fileKey
+   * @param {string|null} currentVersion
+   * @param {object} [options]
+   * @param {string|null} [options.scope] - As for get()
+   * @returns {Promise<object|null>}
+   */
+  async previous(fileKey, currentVersion, { scope = null } = {}) {
+    const versions = (await this._store.get(indexKey(fileKey, scope))) ?? [];
+    const earlier  = versions.filter(v => v.version !== (currentVersion ?? "unversioned"));
+    if (earlier.length === 0) return null;
+    const snapshot = await this.get(fileKey, earlier[earlier.length - 1].version, { scope });
+    // Node audits saved before keys included the scope share the file's key.
+    return (snapshot?.scope ?? null) === scope ? snapshot : null;
+  }
+}
@@ -0,0 +1,183 @@
+// ============================================================
+// src/accessibility/ColorContrast.js
+// Colour maths for the contrast rule: composites Figma fills into
+// an effective foreground and background, then scores them with the
+// WCAG 2.x contrast ratio and the APCA lightness contrast (Lc).
+// ============================================================
+
+// WCAG 2.x SC 1.4.3 (AA) and SC 1.4.6 (AAA) minimum ratios.
+export const CONTRAST_THRESHOLDS = {
+  AA:  { normal: 4.5, large: 3 },
+  AAA: { normal: 7,   large: 4.5 },
+};
+
+// "Large text" is 18pt (24px), or 14pt (18.66px) when bold.
+const LARGE_TEXT_SIZE      = 24;
+const LARGE_BOLD_TEXT_SIZE = 18.66;
+
+// Figma's canvas behind a frame with no fills.
+const CANVAS_WHITE = { r: 1, g: 1, b: 1 };
+
+// ---- Compositing ----
+
+/**
+ * Reduces a Figma paint to a single RGBA colour, or null when it
+ * cannot be reduced (image and video fills). Gradients are averaged.
+ */
+function paintColor(paint) {
+  if (!paint || paint.visible === false) return null;
+  const paintOpacity = paint.opacity ?? 1;
+  if (paint.type === "SOLID" && paint.color) {
+    const { r, g, b, a = 1 } = paint.color;
+    return { r, g, b, a: a * paintOpacity };
+  }
+  if (paint.type?.startsWith("GRADIENT") && paint.gradientStops?.length) {
+    const stops = paint.gradientStops;
+    const avg = (k) => stops.reduce((sum, s) => sum + (s.color?.[k] ?? 0), 0) / stops.length;
+    return { r: avg("r"), g: avg("g"), b: avg("b"), a: avg("a") * paintOpacity };
+  }
+  return null;
+}
+
+/** Alpha-composites an RGBA colour over an opaque backdrop. */
+function blend(top, backdrop) {
+  return {
+    r: top.r * top.a + backdrop.r * (1 - top.a),
+    g: top.g * top.a + backdrop.g * (1 - top.a),
+    b: top.b * top.a + backdrop.b * (1 - top.a),
+  };
+}
+
+/**
+ * Composites a layer's fills (bottom first, as Figma lists them) over
+ * a backdrop. Returns null if a visible fill cannot be resolved.
+ */
+export function compositeFills(fills, backdrop) {
+  let color = backdrop;
+  for (const paint of fills ?? []) {
+    if (paint?.visible === false) continue;
+    const c = paintColor(paint);
+    if (!c) return null;
+    color = blend(c, color);
+  }
+  return color;
+}
+
+/**
+ * Composites a layer over a backdrop. Opacity applies to the layer as
+ * a whole, once its fills are composited, as Figma draws it.
+ */
+export function compositeLayer(fills, backdrop, opacity = 1) {
+  const color = compositeFills(fills, backdrop);
+  if (!color || opacity >= 1) return color;
+  return blend({ ...color, a: opacity }, backdrop);
+}
+
+function isOpaque(fills, layerOpacity = 1) {
+  return layerOpacity >= 1 && (fills ?? []).some(p => paintColor(p)?.a >= 1);
+}
+
+/** The component and its ancestors as layers, bottom first. */
+function componentLayers(component) {
+  const layers = [];
+  for (let c = component; c; c = c.getParent()) {
+    const { fills, opacity } = c.getVisual();
+    layers.unshift({ fills, opacity });
+  }
+  return layers;
+}
+
+/**
+ * Works out the colour behind a component's text: the Figma layers
+ * recorded behind it when the tree was built (text.backdrop), or else
+ * the component and its ancestors. Composites from the topmost opaque
+ * layer up. Returns null if an image fill shows through.
+ */
+export function effectiveBackground(component) {
+  const { text } = component.getVisual();
+  const layers = text?.backdrop ?? componentLayers(component);
+  const start  = layers.findLastIndex(l => isOpaque(l.fills, l.opacity));
+  let color = CANVAS_WHITE;
+  for (const layer of layers.slice(Math.max(start, 0))) {
+    color = compositeLayer(layer.fills, color, layer.opacity);
+    if (!color) return null;
+  }
+  return color;
+}
+
+// ---- Scoring ----
+
+function linearize(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/** WCAG 2.x relative luminance of an sRGB colour with 0–1 channels. */
+export function relativeLuminance({ r, g, b }) {
+  return 0.2126 * linearize(r) + 0.7152 * linearize(g) + 0.0722 * linearize(b);
+}
+
+/** WCAG 2.x contrast ratio, from 1 to 21. */
+export function contrastRatio(fg, bg) {
+  const l1 = relativeLuminance(fg);
+  const l2 = relativeLuminance(bg);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * APCA-W3 (0.0.98G) lightness contrast. Positive Lc is dark text on a
+ * light background, negative is light text on dark.
+ */
+export function apcaContrast(fg, bg) {
+  const y = ({ r, g, b }) => {
+    const lum = 0.2126729 * Math.pow(r, 2.4) + 0.7151522 * Math.pow(g, 2.4) + 0.0721750 * Math.pow(b, 2.4);
+    return lum < 0.022 ? lum + Math.pow(0.022 - lum, 1.414) : lum;
+  };
+  const yTxt = y(fg);
+  const yBg  = y(bg);
+  if (Math.abs(yBg - yTxt) < 0.0005) return 0;
+
+  let sapc;
+  if (yBg > yTxt) {
+    sapc = (Math.pow(yBg, 0.56) - Math.pow(yTxt, 0.57)) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  sapc = (Math.pow(yBg, 0.65) - Math.pow(yTxt, 0.62)) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+export function isLargeText(fontSize, fontWeight = 400) {
+  if (!fontSize) return false;
+  return fontSize >= LARGE_TEXT_SIZE || (fontSize >= LARGE_BOLD_TEXT_SIZE && fontWeight >= 700);
+}
+
+/**
+ * Evaluates the contrast of a component's label text against its
+ * effective background. Returns null when the component has no text
+ * or the colours cannot be resolved (e.g. text over an image).
+ * @param {UIComponent} component
+ * @returns {{ ratio: number, apca: number, largeText: boolean,
+ *             passesAA: boolean, passesAAA: boolean,
+ *             foreground: object, background: object }|null}
+ */
+export function evaluateContrast(component) {
+  const text = component.getVisual().text;
+  if (!text || !(text.fills ?? []).some(p => p?.visible !== false)) return null;
+
+  const background = effectiveBackground(component);
+  if (!background) return null;
+  const foreground = compositeLayer(text.fills, background, text.opacity ?? 1);
+  if (!foreground) return null;
+
+  const largeText = isLargeText(text.fontSize, text.fontWeight);
+  const size      = largeText ? "large" : "normal";
+  const ratio     = contrastRatio(foreground, background);
+  return {
+    ratio,
+    apca:      apcaContrast(foreground, background),
+    largeText,
+    passesAA:  ratio >= CONTRAST_THRESHOLDS.AA[size],
+    passesAAA: ratio >= CONTRAST_THRESHOLDS.AAA[size],
+    foreground,
+    background,
+  };
+}
@@ -0,0 +1,38 @@
+// ============================================================
+// src/accessibility/Geometry.js
+// Rectangle helpers for layout-aware rules. Bounds are Figma
+// absoluteBoundingBox objects: { x, y, width, height }.
+// ============================================================
+
+export function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width
+      && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+export function contains(outer, inner) {
+  return inner.x >= outer.x && inner.y >= outer.y
+      && inner.x + inner.width  <= outer.x + outer.width
+      && inner.y + inner.height <= outer.y + outer.height;
+}
+
+/** True if `ancestor` is `component` or one of its ancestors. */
+export function isAncestor(ancestor, component) {
+  for (let c = component; c; c = c.getParent()) {
+    if (c === ancestor) return true;
+  }
+  return false;
+}
+
+/** Yields `component` and every descendant, depth-first. */
+export function* walk(component) {
+  yield component;
+  for (const child of component.getChildren()) yield* walk(child);
+}
+
+/** True if the component or any ancestor is hidden (visible: false). */
+export function isHidden(component) {
+  for (let c = component; c; c = c.getParent()) {
+    if (c.getVisual().visible === false) return true;
+  }
+  return false;
+}
@@ -2,14 +2,56 @@
 // ============================================================
 // src/accessibility/KeyboardNavigator.js
 // Builds a flat, ordered list of focusable elements and their
-// keyboard navigation hints from the semantic tree.
+// keyboard navigation hints from the semantic tree, and checks that
+// prototype interactions (see PrototypeFlow.js) work by keyboard.
 // ============================================================
 
+import { orderChildren } from "./spatialOrder.js";
+import { walk } from "./geometry.js";
+
+// Hovering things that only change the trigger's own look (CHANGE_TO a
+// hover variant) hides nothing, so only these actions count as content.
+const CONTENT_ACTIONS = new Set(["navigate", "overlay", "swap", "scroll"]);
+
+const isFocusable = (c) => Boolean(c?.getState("focusable"));
+
+/** "Card" [1:2], or the trigger layer's name when it has no component. */
+function describeTrigger(edge) {
+  const c = edge.owner;
+  const layer = c && c.getId() !== edge.triggerId ? ` (layer "${edge.triggerName}")` : "";
+  return c ? `"${c.getLabel()}" [${c.getId()}]${layer}` : `Layer "${edge.triggerName}" [${edge.triggerId}]`;
+}
+
+const describeTarget = (edge) => (edge.destination
+  ? `"${edge.destination.getLabel()}"`
+  : `[${edge.destinationId ?? "previous screen"}]`);
+
+/** True if `component` is `ancestor` or inside it. */
+function isWithin(component, ancestor) {
+  for (let c = component; c; c = c.getParent()) if (c === ancestor) return true;
+  return false;
+}
+
+/** True if a keyboard user can fire this edge: a key press, or a click on something focusable. */
+const isKeyboardOperable = (edge) => edge.trigger === "key" || (edge.trigger === "click" && isFocusable(edge.owner));
+
 export class KeyboardNavigator {
+  /**
+   * @param {object} [options]
+   * @param {"visual"|"layer"} [options.order] - Tab through siblings by
+   *   layout position (see SpatialOrder.js), or in raw Figma layer order
+   */
+  constructor({ order = "visual" } = {}) {
+    if (!["visual", "layer"].includes(order)) {
+      throw new TypeError(`order must be "visual" or "layer", not "${order}".`);
+    }
+    this._order = order;
+  }
+
   /**
    * Returns tab-order navigation hints for all focusable components.
    * @param {UIComponent[]} roots
-   * @returns {Array<{label: string, hint: string}>}
+   * @returns {Array<{id: string, label: string, hint: string}>}
    */
   buildTabOrder(roots) {
     if (!Array.isArray(roots)) {
@@ -22,20 +64,92 @@ export class KeyboardNavigator {
     return order;
   }
 
+  /**
+   * Checks the prototype's interactions for keyboard access:
+   *   "trigger" — clickable triggers must be focusable;
+   *   "overlay" — overlays must be dialogs that take focus and can be closed by keyboard;
+   *   "hover"   — content shown on hover must also be reachable by keyboard.
+   * @param {FlowGraph} flow - From SemanticTree.getFlowGraph()
+   * @returns {Array<{ check: "trigger"|"overlay"|"hover", component: UIComponent, message: string }>}
+   */
+  checkInteractions(flow) {
+    if (typeof flow?.getEdges !== "function") {
+      throw new TypeError("checkInteractions expects a FlowGraph.");
+    }
+    const edges  = flow.getEdges();
+    const issues = [];
+
+    const reported = new Set();
+    for (const edge of edges) {
+      if (edge.trigger !== "click" || !edge.owner || isFocusable(edge.owner) || reported.has(edge.owner)) continue;
+      reported.add(edge.owner);
+      const what = edge.action === "overlay"
+        ? `opens ${describeTarget(edge)} on click, but cannot be focused, so keyboard users cannot open it and focus has nowhere to return when it closes.`
+        : `is clickable (${edge.action} to ${describeTarget(edge)}) but cannot be reached with the keyboard.`;
+      issues.push({ check: "trigger", component: edge.owner, message: `${describeTrigger(edge)} ${what}` });
+    }
+
+    for (const overlay of flow.overlays()) {
+      const problems = this._overlayProblems(overlay, edges);
+      if (problems.length > 0) {
+        issues.push({
+          check:     "overlay",
+          component: overlay,
+          message:   `Overlay "${overlay.getLabel()}" [${overlay.getId()}] does not behave like a modal dialog: ${problems.join("; ")}.`,
+        });
+      }
+    }
+
+    for (const edge of edges) {
+      if (edge.trigger !== "hover" || !CONTENT_ACTIONS.has(edge.action) || !edge.owner) continue;
+      const reachable = edges.some(e => isKeyboardOperable(e) && e.destinationId === edge.destinationId);
+      if (!reachable) {
+        issues.push({
+          check:     "hover",
+          component: edge.owner,
+          message:   `Hovering ${describeTrigger(edge)} shows ${describeTarget(edge)}, which no keyboard action reaches.`,
+        });
+      }
+    }
+    return issues;
+  }
+
+  _overlayProblems(overlay, edges) {
+    const problems = [];
+    if (overlay.getRole() !== "dialog") {
+      problems.push(`it is a ${overlay.getRole() ?? "generic"} element, not a dialog`);
+    } else if (!overlay.getState("modal")) {
+      problems.push("it is not marked modal");
+    }
+    if (![...walk(overlay)].some(isFocusable)) {
+      problems.push("nothing in it can take focus");
+    }
+    const closable = edges.some(e => (e.action === "close" || e.action === "back")
+      && isWithin(e.owner, overlay) && isKeyboardOperable(e));
+    if (!closable) {
+      problems.push("no focusable control or key press closes it");
+    }
+    return problems;
+  }
+
   _collect(component, order) {
+    // Hidden layers and everything inside them are out of the tab order.
+    if (component.getVisual().visible === false) return;
     try {
       const focusable = component.getState("focusable");
       if (focusable) {
         order.push({
+          id:    component.getId(),
           label: component.getLabel(),
           hint:  component.navigate(),
         });
       }
-      for (const child of component.getChildren()) {
+      const children = this._order === "visual" ? orderChildren(component) : component.getChildren();
+      for (const child of children) {
         this._collect(child, order);
       }
     } catch (e) {
-      order.push({ label: "unknown", hint: `[Navigation error: ${e.message}]` });
+      order.push({ id: component.getId(), label: "unknown", hint: `[Navigation error: ${e.message}]` });
     }
   }
 }
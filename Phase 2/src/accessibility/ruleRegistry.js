@@ -0,0 +1,171 @@
+// ============================================================
+// src/accessibility/RuleRegistry.js
+// Holds the audit rules and their per-project settings: which rules
+// are enabled, their severity and their options. Settings can be
+// applied one by one or from a JSON config object, so the popup
+// (chrome.storage) and headless runners share the same format:
+//
+//   {
+//     "rules": {
+//       "TARGET_OVERLAP":    "off",
+//       "FOCUSABLE_CLIPPED": "warning",
+//       "TARGET_SIZE":       { "severity": "error", "options": { "minSize": 44 } },
+//       "COLOR_CONTRAST":    { "options": { "level": "AAA" } }
+//     }
+//   }
+// ============================================================
+
+import { CORE_RULES } from "./rules.js";
+
+export const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+function assertSeverity(severity) {
+  if (!(severity in SEVERITY_ORDER)) {
+    throw new TypeError(`Unknown severity "${severity}". Use error, warning or info.`);
+  }
+}
+
+export class RuleRegistry {
+  /**
+   * @param {object[]} [rules] - Rules to register up front; the core pack by default
+   */
+  constructor(rules = CORE_RULES) {
+    this._rules    = new Map();   // id → rule definition
+    this._settings = new Map();   // id → { enabled, severity, options }
+    for (const rule of rules) this.register(rule);
+  }
+
+  /**
+   * Adds a rule. Rules are plain objects, see rules.js.
+   * @param {object} rule
+   */
+  register(rule) {
+    if (!rule || typeof rule.id !== "string" || rule.id.trim() === "") {
+      throw new TypeError("Rule requires a non-empty string id.");
+    }
+    if (typeof rule.check !== "function") {
+      throw new TypeError(`Rule "${rule.id}" requires a check() function.`);
+    }
+    if (this._rules.has(rule.id)) {
+      throw new Error(`Rule "${rule.id}" is already registered.`);
+    }
+    const severity = rule.severity ?? "error";
+    assertSeverity(severity);
+    if (rule.scope !== undefined && rule.scope !== "component" && rule.scope !== "document") {
+      throw new TypeError(`Rule "${rule.id}" has unknown scope "${rule.scope}".`);
+    }
+
+    this._rules.set(rule.id, {
+      description: "",
+      wcag:        [],
+      fix:         "",
+      defaults:    {},
+      scope:       "component",
+      ...rule,
+      severity,
+    });
+    this._settings.set(rule.id, { enabled: rule.enabled !== false, severity, options: {} });
+    return this;
+  }
+
+  /**
+   * Adds every rule in a pack: { id, rules: [...] }.
+   * @param {{ id: string, rules: object[] }} pack
+   */
+  registerPack(pack) {
+    if (!pack || !Array.isArray(pack.rules)) {
+      throw new TypeError("Rule pack requires a rules array.");
+    }
+    for (const rule of pack.rules) this.register(rule);
+    return this;
+  }
+
+  has(id) { return this._rules.has(id); }
+
+  enable(id)  { this._setting(id).enabled = true;  return this; }
+  disable(id) { this._setting(id).enabled = false; return this; }
+  isEnabled(id) { return this._setting(id).enabled; }
+
+  setSeverity(id, severity) {
+    assertSeverity(severity);
+    this._setting(id).severity = severity;
+    return this;
+  }
+
+  /** Merges options over the rule's defaults for later audits. */
+  setOptions(id, options) {
+    if (!options || typeof options !== "object") {
+      throw new TypeError(`Options for rule "${id}" must be an object.`);
+    }
+    const setting = this._setting(id);
+    setting.options = { ...setting.options, ...options };
+    return this;
+  }
+
+  getOptions(id) {
+    return { ...this._rules.get(id)?.defaults, ...this._setting(id).options };
+  }
+
+  /**
+   * Applies a JSON config (see the header comment). Each rule entry is
+   * "off" / false, "on" / true, a severity, or { enabled, severity, options }.
+   * @param {object} config
+   */
+  configure(config) {
+    if (!config || typeof config !== "object") {
+      throw new TypeError("Audit config must be an object.");
+    }
+    const entries = config.rules ?? {};
+    if (typeof entries !== "object" || Array.isArray(entries)) {
+      throw new TypeError("Audit config \"rules\" must be an object keyed by rule id.");
+    }
+    for (const [id, value] of Object.entries(entries)) {
+      if (!this.has(id)) throw new Error(`Audit config names unknown rule "${id}".`);
+
+      if (value === "off" || value === false)      this.disable(id);
+      else if (value === "on" || value === true)   this.enable(id);
+      else if (typeof value === "string")          this.enable(id).setSeverity(id, value);
+      else if (value && typeof value === "object") {
+        if (value.enabled === true)       this.enable(id);
+        if (value.enabled === false)      this.disable(id);
+        if (value.severity !== undefined) this.setSeverity(id, value.severity);
+        if (value.options !== undefined)  this.setOptions(id, value.options);
+      } else {
+        throw new TypeError(`Invalid setting for rule "${id}".`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Enabled rules with their effective severity and options applied.
+   * @returns {object[]}
+   */
+  getActiveRules() {
+    const active = [];
+    for (const [id, rule] of this._rules) {
+      const setting = this._settings.get(id);
+      if (!setting.enabled) continue;
+      active.push({ ...rule, severity: setting.severity, options: this.getOptions(id) });
+    }
+    return active;
+  }
+
+  /** Metadata for every registered rule, for settings UIs and docs. */
+  list() {
+    return [...this._rules.values()].map(({ id, description, wcag }) => ({
+      id,
+      description,
+      wcag:     [...wcag],
+      enabled:  this._settings.get(id).enabled,
+      severity: this._settings.get(id).severity,
+      options:  this.getOptions(id),
+    }));
+  }
+
+  _setting(id) {
+    const setting = this._settings.get(id);
+    if (!setting) throw new Error(`Unknown rule "${id}".`);
+    return setting;
+  }
+}
@@ -0,0 +1,426 @@
+// ============================================================
+// src/accessibility/rules.js
+// The core rule pack registered by default in every RuleRegistry:
+// component-level checks, then document-level structure checks.
+// ============================================================
+
+import { evaluateContrast, CONTRAST_THRESHOLDS } from "./colorContrast.js";
+import { intersects, contains, isAncestor, isHidden, walk } from "./geometry.js";
+import { visualOrder, isAutoLayout, orderDisagreement, walkInReadingOrder } from "./spatialOrder.js";
+import { KeyboardNavigator } from "./keyboardNav.js";
+
+// WCAG 2.2 SC 2.5.8 (AA) and SC 2.5.5 (AAA) minimum target sizes, in px.
+const TARGET_SIZE_AA  = 24;
+const TARGET_SIZE_AAA = 44;
+
+const describeBounds = (b) => `${Math.round(b.width)}×${Math.round(b.height)}px`;
+
+// Input types that need an autocomplete purpose (WCAG 1.3.5).
+const AUTOCOMPLETE_TYPES = ["email", "password"];
+
+const isInput = (c) => c.getRole() === "textbox";
+
+/** Components of `screen` (depth-first, reading order) with the given role. */
+const byRole = (screen, role) => [...walkInReadingOrder(screen)].filter(c => c.getRole() === role);
+
+const listLabels = (components, max = 5) => components.slice(0, max).map(c => `"${c.getLabel()}"`).join(", ")
+  + (components.length > max ? ", ..." : "");
+
+/** Components whose label repeats one already seen in `components`. */
+function duplicateLabels(components) {
+  const seen = new Set();
+  return components.filter(c => {
+    const key = c.getLabel().trim().toLowerCase();
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+}
+
+/** Focusable components sharing the root of `c`, cached per audit run. */
+function interactiveSiblings(c, context) {
+  let root = c;
+  while (root.getParent()) root = root.getParent();
+  if (!context.interactive.has(root)) {
+    context.interactive.set(root, [...walk(root)].filter(x => x.getState("focusable") && x.getBounds()));
+  }
+  return context.interactive.get(root);
+}
+
+/**
+ * Prototype interaction issues of one kind ("trigger", "overlay" or
+ * "hover"), computed once per audit run. None without a flow graph.
+ */
+function interactionIssues(context, check) {
+  if (!context.flow) return [];
+  context.interactionIssues ??= new KeyboardNavigator().checkInteractions(context.flow);
+  return context.interactionIssues
+    .filter(issue => issue.check === check)
+    .map(({ component, message }) => ({ component, message }));
+}
+
+// Each rule is a plain object:
+//   { id, description, severity, wcag, fix, defaults?, scope?, check(...) }
+// Component rules (the default scope) run check(component, context, options)
+// on every component and return an issue message, or null if it passes.
+// Document rules (scope: "document") run check(context, options) once and
+// return an array of { component, message } issues.
+// severity is "error", "warning" or "info"; wcag lists the success
+// criteria the rule maps to; fix is the suggested remediation.
+// options are the rule's `defaults` merged with any configured overrides.
+// context holds the audited roots, the prototype flow graph (if any) and
+// per-run caches for rules that need to look beyond a single component.
+export const CORE_RULES = [
+  {
+    id:          "LABEL_EMPTY",
+    description: "All components must have a non-empty accessible label.",
+    severity:    "error",
+    wcag:        ["4.1.2"],
+    fix:         "Name the layer after its purpose, or set an a11y label annotation.",
+    check(c) {
+      return (!c.getLabel() || c.getLabel().trim() === "")
+        ? `Component [${c.getId()}] has an empty label.`
+        : null;
+    }
+  },
+  {
+    id:          "ROLE_PRESENT",
+    description: "All components must declare an ARIA role.",
+    severity:    "error",
+    wcag:        ["4.1.2"],
+    fix:         "Use a recognised component or set an a11y role annotation.",
+    check(c) {
+      return (!c.getRole() || c.getRole().trim() === "")
+        ? `Component [${c.getId()}] "${c.getLabel()}" is missing an ARIA role.`
+        : null;
+    }
+  },
+  {
+    id:          "FOCUSABLE_BUTTON",
+    description: "All button components must be focusable.",
+    severity:    "error",
+    wcag:        ["2.1.1"],
+    fix:         "Make the button reachable with Tab (a native <button> or tabindex=\"0\").",
+    check(c) {
+      return (c.getRole() === "button" && !c.getState("focusable"))
+        ? `Button "${c.getLabel()}" [${c.getId()}] is not marked as focusable.`
+        : null;
+    }
+  },
+  {
+    id:          "COLOR_CONTRAST",
+    description: "Text must meet the WCAG 2.x contrast ratio against its background (AA by default).",
+    severity:    "error",
+    wcag:        ["1.4.3", "1.4.6"],
+    fix:         "Darken the text or lighten the background (or vice versa) until the ratio meets the threshold.",
+    defaults:    { level: "AA" },
+    check(c, context, { level }) {
+      const result = evaluateContrast(c);
+      if (!result) return null;
+      if (level === "AAA" ? result.passesAAA : result.passesAA) return null;
+      const size   = result.largeText ? "large" : "normal";
+      return `Text in "${c.getLabel()}" [${c.getId()}] has contrast ${result.ratio.toFixed(2)}:1 `
+        + `(AA needs ${CONTRAST_THRESHOLDS.AA[size]}:1, AAA ${CONTRAST_THRESHOLDS.AAA[size]}:1 for ${size} text; `
+        + `APCA Lc ${result.apca.toFixed(1)}).`;
+    }
+  },
+  {
+    id:          "TARGET_SIZE",
+    description: "Interactive targets must be at least 24×24px (WCAG 2.2 SC 2.5.8).",
+    severity:    "warning",
+    wcag:        ["2.5.8", "2.5.5"],
+    fix:         "Enlarge the hit area to at least 24×24px, or 44×44px for AAA.",
+    defaults:    { minSize: TARGET_SIZE_AA },
+    check(c, context, { minSize }) {
+      const b = c.getBounds();
+      if (!c.getState("focusable") || !b) return null;
+      return (b.width < minSize || b.height < minSize)
+        ? `Target "${c.getLabel()}" [${c.getId()}] is ${describeBounds(b)}, under ${minSize}×${minSize} `
+          + `(AA needs ${TARGET_SIZE_AA}×${TARGET_SIZE_AA}, AAA ${TARGET_SIZE_AAA}×${TARGET_SIZE_AAA}).`
+        : null;
+    }
+  },
+  {
+    id:          "TARGET_OVERLAP",
+    description: "Interactive elements must not overlap each other.",
+    severity:    "warning",
+    wcag:        ["2.5.8"],
+    fix:         "Move the targets apart so their hit areas do not overlap.",
+    check(c, context) {
+      const b = c.getBounds();
+      if (!c.getState("focusable") || !b) return null;
+      // Each pair is reported once, from whichever comes first in the layers.
+      const all    = interactiveSiblings(c, context);
+      const others = all.slice(all.indexOf(c) + 1).filter(o =>
+        !isAncestor(o, c) && !isAncestor(c, o) && intersects(b, o.getBounds()));
+      return others.length > 0
+        ? `"${c.getLabel()}" [${c.getId()}] overlaps `
+          + others.map(o => `"${o.getLabel()}" [${o.getId()}]`).join(", ") + "."
+        : null;
+    }
+  },
+  {
+    id:          "FOCUSABLE_CLIPPED",
+    description: "Focusable elements must lie inside the frames that contain them.",
+    severity:    "error",
+    wcag:        ["2.4.11"],
+    fix:         "Move the element inside its frame, or let the frame scroll so focus can reveal it.",
+    check(c) {
+      const b = c.getBounds();
+      if (!c.getState("focusable") || !b) return null;
+      for (let a = c.getParent(); a; a = a.getParent()) {
+        const ab = a.getBounds();
+        if (!ab || contains(ab, b)) continue;
+        // Clipping only decides whether the overflow is cut off or still drawn.
+        let how = "lies outside";
+        if (intersects(ab, b)) how = a.getVisual().clipsContent ? "is clipped by" : "lies partly outside";
+        return `"${c.getLabel()}" [${c.getId()}] ${how} frame "${a.getLabel()}" [${a.getId()}].`;
+      }
+      return null;
+    }
+  },
+  {
+    id:          "HIDDEN_FOCUSABLE",
+    description: "Hidden layers that are focusable when shown must leave the tab order while hidden.",
+    severity:    "warning",
+    wcag:        ["2.4.3", "4.1.2"],
+    fix:         "Hide the layer in code with display: none, the hidden attribute or inert, not opacity or "
+      + "off-screen positioning, so its controls leave the tab order while it is hidden.",
+    check(c) {
+      // The tab order leaves hidden layers out; this is a handoff check for when they are shown.
+      return (c.getState("focusable") && isHidden(c))
+        ? `"${c.getLabel()}" [${c.getId()}] is hidden (visible: false) but focusable when shown.`
+        : null;
+    }
+  },
+
+  // ---- Form rules ----
+  {
+    id:          "INPUT_LABEL_MISSING",
+    description: "Inputs must have a visible text label; the layer name does not count.",
+    severity:    "error",
+    wcag:        ["1.3.1", "3.3.2"],
+    fix:         "Add a text label directly above or to the left of the field.",
+    check(c) {
+      return (isInput(c) && !c.getState("labelText") && !c.getState("placeholder"))
+        ? `Input "${c.getLabel()}" [${c.getId()}] has no visible label text nearby.`
+        : null;
+    }
+  },
+  {
+    id:          "INPUT_PLACEHOLDER_ONLY",
+    description: "Placeholder text must not be the only label of an input.",
+    severity:    "error",
+    wcag:        ["1.3.1", "3.3.2"],
+    fix:         "Keep a persistent visible label; placeholder text disappears while typing.",
+    check(c) {
+      const placeholder = c.getState("placeholder");
+      return (isInput(c) && !c.getState("labelText") && placeholder)
+        ? `Input "${c.getLabel()}" [${c.getId()}] is labelled only by its placeholder "${placeholder}".`
+        : null;
+    }
+  },
+  {
+    id:          "INPUT_REQUIRED_INDICATOR",
+    description: "Required inputs must show a visual required indicator.",
+    severity:    "warning",
+    wcag:        ["3.3.2"],
+    fix:         "Add an asterisk or \"(required)\" to the label, and explain the asterisk on the form.",
+    check(c) {
+      if (!isInput(c) || !c.getState("required")) return null;
+      const text = c.getState("labelText") ?? "";
+      return (/\*|required/i.test(text))
+        ? null
+        : `Required input "${c.getLabel()}" [${c.getId()}] has no visible required indicator.`;
+    }
+  },
+  {
+    id:          "INPUT_AUTOCOMPLETE",
+    description: "Inputs collecting user data must declare an autocomplete purpose (WCAG 1.3.5).",
+    severity:    "warning",
+    wcag:        ["1.3.5"],
+    fix:         "Annotate the field with an autocomplete token, e.g. \"email\" or \"current-password\".",
+    defaults:    { types: AUTOCOMPLETE_TYPES },
+    check(c, context, { types }) {
+      return (isInput(c) && types.includes(c.getInputType()) && !c.getState("autocomplete"))
+        ? `${c.getInputType()} input "${c.getLabel()}" [${c.getId()}] has no autocomplete purpose.`
+        : null;
+    }
+  },
+  {
+    id:          "INPUT_ERROR_MESSAGE",
+    description: "Inputs shown in an error state must have a visible error message.",
+    severity:    "error",
+    wcag:        ["3.3.1"],
+    fix:         "Place a text error message directly below the field that says what went wrong.",
+    check(c) {
+      return (isInput(c) && c.getState("invalid") && !c.getState("errorMessage"))
+        ? `Input "${c.getLabel()}" [${c.getId()}] is in an error state with no error message.`
+        : null;
+    }
+  },
+
+  // ---- Document-level rules ----
+  {
+    id:          "LANDMARK_MAIN_MISSING",
+    scope:       "document",
+    description: "Every screen must have a main landmark.",
+    severity:    "error",
+    wcag:        ["1.3.1", "2.4.1"],
+    fix:         "Wrap the primary content in a frame annotated as main (or named \"Main\").",
+    check({ screens }) {
+      return screens
+        .filter(screen => byRole(screen, "main").length === 0)
+        .map(screen => ({
+          component: screen,
+          message:   `Screen "${screen.getLabel()}" [${screen.getId()}] has no main landmark.`,
+        }));
+    }
+  },
+  {
+    id:          "LANDMARK_DUPLICATE",
+    scope:       "document",
+    description: "Repeated main or banner landmarks must have distinct labels.",
+    severity:    "warning",
+    wcag:        ["1.3.1", "2.4.1"],
+    fix:         "Keep one main and one banner per screen, or give each a distinct label.",
+    check({ screens }) {
+      const issues = [];
+      for (const screen of screens) {
+        for (const role of ["main", "banner"]) {
+          for (const dup of duplicateLabels(byRole(screen, role))) {
+            issues.push({
+              component: dup,
+              message:   `Screen "${screen.getLabel()}" has more than one ${role} landmark labelled "${dup.getLabel()}" [${dup.getId()}].`,
+            });
+          }
+        }
+      }
+      return issues;
+    }
+  },
+  {
+    id:          "HEADING_SKIPPED_LEVEL",
+    scope:       "document",
+    description: "Heading levels must not skip (e.g. h1 followed by h3).",
+    severity:    "warning",
+    wcag:        ["1.3.1"],
+    fix:         "Use the next heading level down, or restyle the heading instead of changing its level.",
+    check({ screens }) {
+      const issues = [];
+      for (const screen of screens) {
+        let previous = null;
+        for (const heading of byRole(screen, "heading")) {
+          const level = heading.getState("level");
+          if (previous !== null && level > previous + 1) {
+            issues.push({
+              component: heading,
+              message:   `Heading "${heading.getLabel()}" [${heading.getId()}] jumps from h${previous} to h${level}.`,
+            });
+          }
+          previous = level;
+        }
+      }
+      return issues;
+    }
+  },
+  {
+    id:          "HEADING_H1_MISSING",
+    scope:       "document",
+    description: "Every screen must have a level 1 heading.",
+    severity:    "warning",
+    wcag:        ["1.3.1", "2.4.6"],
+    fix:         "Mark the screen title as a level 1 heading.",
+    check({ screens }) {
+      return screens
+        .filter(screen => !byRole(screen, "heading").some(h => h.getState("level") === 1))
+        .map(screen => ({
+          component: screen,
+          message:   `Screen "${screen.getLabel()}" [${screen.getId()}] has no h1.`,
+        }));
+    }
+  },
+  {
+    id:          "NAV_LABEL_DUPLICATE",
+    scope:       "document",
+    description: "Multiple navigation regions on a screen must have distinct labels.",
+    severity:    "warning",
+    wcag:        ["1.3.1", "2.4.1"],
+    fix:         "Label each navigation by purpose, e.g. \"Primary\" and \"Footer\".",
+    check({ screens }) {
+      const issues = [];
+      for (const screen of screens) {
+        for (const dup of duplicateLabels(byRole(screen, "navigation"))) {
+          issues.push({
+            component: dup,
+            message:   `Navigation "${dup.getLabel()}" [${dup.getId()}] shares its label with another navigation on "${screen.getLabel()}".`,
+          });
+        }
+      }
+      return issues;
+    }
+  },
+  {
+    id:          "READING_ORDER_MISMATCH",
+    scope:       "document",
+    description: "Layer order must roughly match the visual order, or be fixed by auto-layout or a focus-order annotation.",
+    severity:    "warning",
+    wcag:        ["1.3.2", "2.4.3"],
+    fix:         "Reorder the layers to match the layout, use auto-layout, or annotate a focusOrder.",
+    // Share of sibling pairs allowed to be out of order before flagging.
+    defaults:    { maxDisagreement: 0.25 },
+    check({ roots }, { maxDisagreement }) {
+      const issues = [];
+      for (const root of roots) {
+        for (const container of walk(root)) {
+          if (isAutoLayout(container)) continue;
+          // Annotated siblings have an explicit order; judge the rest.
+          const layer  = container.getChildren().filter(c => c.getFocusOrder() === null);
+          const visual = visualOrder(layer);
+          const score  = orderDisagreement(layer, visual);
+          if (score > maxDisagreement) {
+            issues.push({
+              component: container,
+              message:   `Layers in "${container.getLabel()}" [${container.getId()}] are ordered ${listLabels(layer)} `
+                + `but laid out as ${listLabels(visual)} (${Math.round(score * 100)}% of pairs out of order).`,
+            });
+          }
+        }
+      }
+      return issues;
+    }
+  },
+  {
+    id:          "PROTOTYPE_TRIGGER_FOCUSABLE",
+    scope:       "document",
+    description: "Anything the prototype makes clickable must be reachable with the keyboard.",
+    severity:    "error",
+    wcag:        ["2.1.1"],
+    fix:         "Make the trigger a button or link, or move the interaction onto one.",
+    check(context) {
+      return interactionIssues(context, "trigger");
+    }
+  },
+  {
+    id:          "OVERLAY_NOT_MODAL_DIALOG",
+    scope:       "document",
+    description: "Prototype overlays must behave like modal dialogs: focus moves in and a keyboard action closes them.",
+    severity:    "error",
+    wcag:        ["2.1.2", "2.4.3", "4.1.2"],
+    fix:         "Mark the overlay as a dialog, give it a focusable close button (Close overlay action), and include focusable content.",
+    check(context) {
+      return interactionIssues(context, "overlay");
+    }
+  },
+  {
+    id:          "HOVER_ONLY_CONTENT",
+    scope:       "document",
+    description: "Content revealed on hover must also be reachable by keyboard.",
+    severity:    "error",
+    wcag:        ["2.1.1", "1.4.13"],
+    fix:         "Add a click or key interaction on a focusable element that shows the same content.",
+    check(context) {
+      return interactionIssues(context, "hover");
+    }
+  },
+];
@@ -0,0 +1,176 @@
+// ============================================================
+// src/accessibility/ScreenReaderGrammars.js
+// Announcement phrasing for the VirtualScreenReader. Each grammar
+// approximates how one screen reader words the same information, so
+// designers can hear the differences. Add a grammar by adding an
+// entry to GRAMMARS (Open/Closed), or pass a custom object built by
+// spreading one of these and overriding what differs.
+// ============================================================
+
+// Region roles announced when the cursor enters or leaves them.
+export const REGION_ROLES = new Set([
+  "banner", "main", "contentinfo", "complementary", "form", "search", "navigation",
+  "list", "table", "dialog", "radiogroup", "tablist",
+]);
+
+export const LANDMARK_ROLES = new Set([
+  "banner", "main", "contentinfo", "complementary", "form", "search", "navigation",
+]);
+
+/**
+ * The facts every grammar words differently, read from a component.
+ * @param {UIComponent} c
+ * @returns {{ role: string, name: string, level: number|null,
+ *             states: string[], value: string|null }}
+ */
+export function speechFacts(c) {
+  const state  = (key) => c.getState(key);
+  const states = [];
+  switch (c.getRole()) {
+    case "checkbox":
+    case "radio":    states.push(state("checked") ? "checked" : "not checked"); break;
+    case "switch":   states.push(state("checked") ? "on" : "off"); break;
+    case "tab":      if (state("selected")) states.push("selected"); break;
+    case "combobox": states.push(state("expanded") ? "expanded" : "collapsed"); break;
+    case "dialog":   if (state("modal")) states.push("modal"); break;
+  }
+  if (state("required"))  states.push("required");
+  if (state("invalid"))   states.push("invalid");
+  if (state("disabled"))  states.push("disabled");
+
+  let value = null;
+  if (c.getRole() === "slider")   value = String(state("valuenow"));
+  if (c.getRole() === "combobox") value = state("value") ?? null;
+
+  const name = c.getRole() === "img" && state("alt") ? state("alt") : c.getLabel();
+  return { role: c.getRole(), name, level: state("level") ?? null, states, value };
+}
+
+const join = (parts, sep) => parts.filter(p => p !== null && p !== undefined && p !== "").join(sep);
+
+// Each grammar is a plain object:
+//   roleNames      — spoken name per ARIA role (missing roles are silent)
+//   stateNames     — spoken name per state from speechFacts()
+//   element(facts) — one element, e.g. "Sign up, button"
+//   enter(facts, count) / leave(facts) — region boundaries
+//   position(role, index, total) — "item 2 of 5" inside lists and groups
+//   edge(direction)  — nothing further in that direction
+//   notFound(kind, direction) — a jump found nothing
+//   separator — joins the parts of one announcement
+export const GRAMMARS = {
+  nvda: {
+    name: "NVDA",
+    roleNames: {
+      button: "button", link: "link", textbox: "edit", checkbox: "check box", radio: "radio button",
+      switch: "toggle button", combobox: "combo box", slider: "slider", tab: "tab",
+      tabpanel: "property page", img: "graphic", heading: "heading", dialog: "dialog", alert: "alert",
+      list: "list", table: "table", radiogroup: "grouping", tablist: "tab control",
+      banner: "banner landmark", main: "main landmark", contentinfo: "content info landmark",
+      complementary: "complementary landmark", form: "form landmark", search: "search landmark",
+      navigation: "navigation landmark",
+    },
+    stateNames: { disabled: "unavailable", invalid: "invalid entry", on: "pressed", off: "not pressed" },
+    separator: "  ",
+    element(f) {
+      const role = f.role === "heading" ? `heading  level ${f.level}` : this.roleNames[f.role];
+      return join([f.name, role, ...f.states.map(s => this.stateNames[s] ?? s), f.value], "  ");
+    },
+    enter(f, count) {
+      if (f.role === "list") return `list  with ${count} items`;
+      return join([f.name, this.roleNames[f.role]], "  ");
+    },
+    leave(f) {
+      return LANDMARK_ROLES.has(f.role) ? null : `out of ${this.roleNames[f.role]}`;
+    },
+    position(role, index, total) {
+      return `${index} of ${total}`;
+    },
+    edge(direction) { return direction === "next" ? "Bottom" : "Top"; },
+    notFound(kind, direction) { return `no ${direction} ${kind}`; },
+  },
+
+  jaws: {
+    name: "JAWS",
+    roleNames: {
+      button: "button", link: "link", textbox: "edit", checkbox: "check box", radio: "radio button",
+      switch: "toggle button", combobox: "combo box", slider: "slider", tab: "tab",
+      tabpanel: "tab panel", img: "graphic", heading: "heading", dialog: "dialog", alert: "alert",
+      list: "list", table: "table", radiogroup: "group", tablist: "tab list",
+      banner: "banner region", main: "main region", contentinfo: "content information region",
+      complementary: "complementary region", form: "form region", search: "search region",
+      navigation: "navigation region",
+    },
+    stateNames: { disabled: "unavailable", on: "pressed", off: "not pressed" },
+    separator: ", ",
+    element(f) {
+      const role = f.role === "heading" ? `heading level ${f.level}` : this.roleNames[f.role];
+      return join([join([f.name, role], " "), ...f.states.map(s => this.stateNames[s] ?? s), f.value], ", ");
+    },
+    enter(f, count) {
+      if (f.role === "list") return `list of ${count} items`;
+      return join([f.name, this.roleNames[f.role]], " ");
+    },
+    leave(f) {
+      return `${this.roleNames[f.role]} end`;
+    },
+    position(role, index, total) {
+      return `${index} of ${total}`;
+    },
+    edge(direction) { return direction === "next" ? "Bottom of page" : "Top of page"; },
+    notFound(kind, direction) { return `No ${direction === "next" ? "more" : "previous"} ${kind}s`; },
+  },
+
+  voiceover: {
+    name: "VoiceOver",
+    roleNames: {
+      button: "button", link: "link", textbox: "edit text", checkbox: "checkbox", radio: "radio button",
+      switch: "switch", combobox: "pop-up button", slider: "slider", tab: "tab",
+      tabpanel: "tab panel", img: "image", heading: "heading", dialog: "web dialog", alert: "alert",
+      list: "list", table: "table", radiogroup: "radio group", tablist: "tab group",
+      banner: "banner landmark", main: "main landmark", contentinfo: "content information landmark",
+      complementary: "complementary landmark", form: "form landmark", search: "search landmark",
+      navigation: "navigation landmark",
+    },
+    stateNames: { "not checked": "unchecked", disabled: "dimmed", invalid: "invalid data" },
+    separator: ", ",
+    element(f) {
+      // VoiceOver reads the heading level before the text.
+      if (f.role === "heading") return join([`heading level ${f.level}`, f.name], ", ");
+      return join([f.value, f.name, ...f.states.map(s => this.stateNames[s] ?? s), this.roleNames[f.role]], ", ");
+    },
+    enter(f, count) {
+      if (f.role === "list") return `list ${count} items`;
+      return join([f.name, this.roleNames[f.role]], ", ");
+    },
+    leave(f) {
+      return `end of ${this.roleNames[f.role]}`;
+    },
+    position(role, index, total) {
+      return `${index} of ${total}`;
+    },
+    edge() { return ""; },
+    notFound(kind) { return `no ${kind} found`; },
+  },
+};
+
+const GRAMMAR_FUNCTIONS = ["element", "enter", "leave", "position", "edge", "notFound"];
+
+/**
+ * Looks up a grammar by key, or checks a custom grammar object.
+ * @param {string|object} grammar
+ * @returns {object}
+ */
+export function resolveGrammar(grammar) {
+  if (typeof grammar === "string") {
+    const found = GRAMMARS[grammar.toLowerCase()];
+    if (!found) {
+      throw new TypeError(`Unknown screen reader grammar "${grammar}". Use one of: ${Object.keys(GRAMMARS).join(", ")}.`);
+    }
+    return found;
+  }
+  const missing = GRAMMAR_FUNCTIONS.filter(fn => typeof grammar?.[fn] !== "function");
+  if (missing.length > 0) {
+    throw new TypeError(`Screen reader grammar is missing: ${missing.join(", ")}.`);
+  }
+  return grammar;
+}
@@ -0,0 +1,107 @@
+// ============================================================
+// src/accessibility/SpatialOrder.js
+// Works out the order a sighted user reads siblings in, which is
+// what screen readers and the tab key should follow. Figma's child
+// arrays are z-order (bottom layer first), not visual order.
+//
+// For each set of siblings:
+//   1. Siblings with a focus-order annotation come first, by number.
+//   2. Auto-layout frames keep child order: it is the flow order.
+//   3. Everything else is cut into rows (top to bottom), then each
+//      row into columns (left to right), recursively (XY-cut).
+// ============================================================
+
+// Gaps or overlaps smaller than this (px) are treated as touching.
+const CUT_TOLERANCE = 1;
+
+const start = (b, axis) => (axis === "y" ? b.y : b.x);
+const end   = (b, axis) => (axis === "y" ? b.y + b.height : b.x + b.width);
+
+/**
+ * Splits items into bands along one axis wherever there is a gap no
+ * item crosses. Returns the bands in order.
+ */
+function cut(items, axis) {
+  const sorted = [...items].sort((a, b) => start(a.bounds, axis) - start(b.bounds, axis));
+  const bands  = [];
+  let bandEnd  = -Infinity;
+  for (const item of sorted) {
+    if (bands.length === 0 || start(item.bounds, axis) >= bandEnd - CUT_TOLERANCE) {
+      bands.push([item]);
+      bandEnd = end(item.bounds, axis);
+    } else {
+      bands[bands.length - 1].push(item);
+      bandEnd = Math.max(bandEnd, end(item.bounds, axis));
+    }
+  }
+  return bands;
+}
+
+/** Recursive XY-cut: rows first, then columns within a row. */
+function xyCut(items) {
+  if (items.length <= 1) return items;
+  for (const axis of ["y", "x"]) {
+    const bands = cut(items, axis);
+    if (bands.length > 1) return bands.flatMap(xyCut);
+  }
+  // Overlapping items that cannot be cut: top-left first.
+  return [...items].sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+}
+
+/**
+ * Sorts components by position. Components without bounds cannot be
+ * placed, so if any is missing the layer order is kept.
+ * @param {UIComponent[]} components
+ * @returns {UIComponent[]}
+ */
+export function visualOrder(components) {
+  const items = components.map(component => ({ component, bounds: component.getBounds() }));
+  if (items.some(item => !item.bounds)) return [...components];
+  return xyCut(items).map(item => item.component);
+}
+
+/** True if the component lays out its children with auto-layout. */
+export function isAutoLayout(component) {
+  const mode = component.getLayoutMode();
+  return Boolean(mode) && mode !== "NONE";
+}
+
+/**
+ * Children of `component` in reading order.
+ * @param {UIComponent} component
+ * @returns {UIComponent[]}
+ */
+export function orderChildren(component) {
+  const children  = component.getChildren();
+  const annotated = children
+    .filter(c => c.getFocusOrder() !== null)
+    .sort((a, b) => a.getFocusOrder() - b.getFocusOrder());
+  const rest      = children.filter(c => c.getFocusOrder() === null);
+  return [...annotated, ...(isAutoLayout(component) ? rest : visualOrder(rest))];
+}
+
+/** Yields `component` and every descendant, in reading order. */
+export function* walkInReadingOrder(component) {
+  yield component;
+  for (const child of orderChildren(component)) yield* walkInReadingOrder(child);
+}
+
+/**
+ * How far apart two orderings of the same items are: the share of
+ * pairs whose relative order differs (normalised Kendall tau
+ * distance). 0 is identical, 1 is fully reversed.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {number}
+ */
+export function orderDisagreement(a, b) {
+  if (a.length < 2) return 0;
+  const rank = new Map(b.map((item, i) => [item, i]));
+  let discordant = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = i + 1; j < a.length; j++) {
+      if (rank.get(a[i]) > rank.get(a[j])) discordant++;
+    }
+  }
+  return discordant / (a.length * (a.length - 1) / 2);
+}
@@ -0,0 +1,186 @@
+// ============================================================
+// src/accessibility/VirtualScreenReader.js
+// A stateful, steppable screen reader over the semantic tree. It
+// keeps a virtual cursor over a browse buffer, moves element by
+// element or jumps by heading, landmark, form control or link, and
+// announces region boundaries and list positions in the phrasing of
+// a chosen grammar (see ScreenReaderGrammars.js).
+// ============================================================
+
+import { orderChildren } from "./spatialOrder.js";
+import {
+  resolveGrammar, speechFacts, REGION_ROLES, LANDMARK_ROLES,
+} from "./screenReaderGrammars.js";
+
+const FORM_CONTROL_ROLES = new Set(["textbox", "checkbox", "radio", "switch", "combobox", "slider", "button"]);
+
+// Containers whose children are announced as "2 of 5".
+const POSITION_ROLES = new Set(["list", "table", "radiogroup", "tablist"]);
+
+// Jump targets, like a screen reader's rotor or quick-nav keys.
+// Each test receives a buffer entry: { component, regions, landmarkStart }.
+export const JUMP_KINDS = {
+  heading:     { name: "heading",    test: (e) => e.component.getRole() === "heading" },
+  landmark:    { name: "landmark",   test: (e) => e.landmarkStart || LANDMARK_ROLES.has(e.component.getRole()) },
+  formControl: { name: "form field", test: (e) => FORM_CONTROL_ROLES.has(e.component.getRole()) },
+  link:        { name: "link",       test: (e) => e.component.getRole() === "link" },
+};
+
+/** Decorative images and generic groups are never spoken. */
+function isSilent(component) {
+  return component.isTransparent()
+    || (component.getRole() === "img" && typeof component.isDecorative === "function" && component.isDecorative());
+}
+
+/** Children of `component` in reading order, looking through silent wrappers. */
+function spokenChildren(component) {
+  return orderChildren(component).flatMap(c => (isSilent(c) ? spokenChildren(c) : [c]));
+}
+
+export class VirtualScreenReader {
+  /**
+   * @param {UIComponent[]} roots
+   * @param {object} [options]
+   * @param {string|object} [options.grammar] - "nvda", "jaws", "voiceover" or a custom grammar
+   */
+  constructor(roots, { grammar = "nvda" } = {}) {
+    if (!Array.isArray(roots)) {
+      throw new TypeError("VirtualScreenReader expects an array of UIComponents.");
+    }
+    this._grammar = resolveGrammar(grammar);
+    this._buffer  = [];
+    this._cursor  = -1;
+    for (const root of roots) this._build(root, []);
+    this._markLandmarkStarts();
+  }
+
+  // ---- Buffer ----
+
+  /**
+   * Flattens the tree into stops. Regions with content are not stops
+   * themselves; they are announced on the way in and out.
+   */
+  _build(component, regions) {
+    if (component.getVisual().visible === false) return;   // Hidden subtree: not in the buffer
+    if (isSilent(component)) {
+      for (const child of orderChildren(component)) this._build(child, regions);
+      return;
+    }
+    const children = orderChildren(component);
+    if (REGION_ROLES.has(component.getRole()) && children.length > 0) {
+      for (const child of children) this._build(child, [...regions, component]);
+      return;
+    }
+    this._buffer.push({ component, regions, landmarkStart: false });
+    for (const child of children) this._build(child, regions);
+  }
+
+  _markLandmarkStarts() {
+    let previous = [];
+    for (const entry of this._buffer) {
+      entry.landmarkStart = entry.regions.some(r => LANDMARK_ROLES.has(r.getRole()) && !previous.includes(r));
+      previous = entry.regions;
+    }
+  }
+
+  // ---- Navigation ----
+
+  /** Number of stops in the browse buffer. */
+  get length() { return this._buffer.length; }
+
+  /** The component under the cursor, or null before the first move. */
+  current() {
+    return this._buffer[this._cursor]?.component ?? null;
+  }
+
+  /** { index, total } with a 1-based index, or index 0 before the first move. */
+  getPosition() {
+    return { index: this._cursor + 1, total: this._buffer.length };
+  }
+
+  /**
+   * Moves to the next stop, or the next one of a kind.
+   * @param {keyof JUMP_KINDS|null} [kind]
+   * @returns {string} Announcement
+   */
+  next(kind = null) {
+    return this._move(1, kind);
+  }
+
+  /**
+   * Moves to the previous stop, or the previous one of a kind.
+   * @param {keyof JUMP_KINDS|null} [kind]
+   * @returns {string} Announcement
+   */
+  previous(kind = null) {
+    return this._move(-1, kind);
+  }
+
+  /** Moves to the first stop. */
+  first() {
+    if (this._buffer.length === 0) return this._grammar.edge("previous");
+    return this._goTo(0);
+  }
+
+  /** Re-reads the current stop without region announcements. */
+  repeat() {
+    const entry = this._buffer[this._cursor];
+    return entry ? this._describe(entry) : this._grammar.edge("previous");
+  }
+
+  /** Back to before the first stop. */
+  reset() {
+    this._cursor = -1;
+  }
+
+  _move(step, kind) {
+    const direction = step > 0 ? "next" : "previous";
+    const jump = kind === null ? null : JUMP_KINDS[kind];
+    if (kind !== null && !jump) {
+      throw new TypeError(`Unknown jump kind "${kind}". Use one of: ${Object.keys(JUMP_KINDS).join(", ")}.`);
+    }
+    // previous() before any move starts from the end, like Shift+H at the top of a page.
+    const start = this._cursor === -1 && step < 0 ? this._buffer.length : this._cursor;
+    for (let i = start + step; i >= 0 && i < this._buffer.length; i += step) {
+      if (!jump || jump.test(this._buffer[i])) return this._goTo(i);
+    }
+    return jump ? this._grammar.notFound(jump.name, direction) : this._grammar.edge(direction);
+  }
+
+  _goTo(index) {
+    const from = this._buffer[this._cursor] ?? { regions: [] };
+    const to   = this._buffer[index];
+    this._cursor = index;
+
+    const g      = this._grammar;
+    const left   = from.regions.filter(r => !to.regions.includes(r)).reverse();
+    const joined = to.regions.filter(r => !from.regions.includes(r));
+    const parts  = [
+      ...left.map(r => g.leave(speechFacts(r))),
+      ...joined.map(r => g.enter(speechFacts(r), spokenChildren(r).length)),
+      this._describe(to),
+    ];
+    return parts.filter(Boolean).join(g.separator ?? ", ");
+  }
+
+  /** The element itself, plus its position if it starts an item of a list or group. */
+  _describe(entry) {
+    const g     = this._grammar;
+    const parts = [g.element(speechFacts(entry.component))];
+    const group = [...entry.regions].reverse().find(r => POSITION_ROLES.has(r.getRole()));
+    if (group) {
+      const items = spokenChildren(group);
+      const item  = items.find(i => this._firstStopIn(i) === entry);
+      if (item) parts.push(g.position(group.getRole(), items.indexOf(item) + 1, items.length));
+    }
+    return parts.filter(Boolean).join(g.separator ?? ", ");
+  }
+
+  /** First buffer entry that is `component` or lies inside it. */
+  _firstStopIn(component) {
+    return this._buffer.find(e => {
+      for (let c = e.component; c; c = c.getParent()) if (c === component) return true;
+      return false;
+    }) ?? null;
+  }
+}
@@ -0,0 +1,245 @@
+// ============================================================
+// src/api/figmaAuth.js
+// Token providers for FigmaClient, and the host-agnostic half of
+// Figma's OAuth2 flow (authorize URL, PKCE, code exchange, refresh).
+// The browser half, which opens the consent window, lives in
+// src/extension/auth.js.
+// ============================================================
+
+export const FIGMA_AUTHORIZE_URL = "https://www.figma.com/oauth";
+export const FIGMA_TOKEN_URL     = "https://api.figma.com/v1/oauth/token";
+export const FIGMA_REFRESH_URL   = "https://api.figma.com/v1/oauth/refresh";
+
+// Read-only access is all an audit needs.
+export const DEFAULT_OAUTH_SCOPE = "file_content:read";
+
+// Refresh this long before the access token actually expires.
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// ---- Token providers ----
+//
+// A token provider is { getCredentials(), refresh?() }, both async and
+// both resolving to { type: "pat"|"oauth", token }. FigmaClient calls
+// getCredentials() before each request and refresh() once after a 403.
+
+/** A fixed Personal Access Token. It cannot be refreshed. */
+export class PatTokenProvider {
+  /**
+   * @param {string} token - Figma Personal Access Token
+   */
+  constructor(token) {
+    if (!token) throw new TypeError("PatTokenProvider requires a Personal Access Token.");
+    this._token = token;
+  }
+
+  async getCredentials() {
+    return { type: "pat", token: this._token };
+  }
+}
+
+/**
+ * OAuth2 access token that refreshes itself shortly before expiry and
+ * on demand after a 403. Tokens are read from and written back to
+ * `store`, so a refreshed token survives the session.
+ */
+export class OAuthTokenProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.clientId
+   * @param {string} [options.clientSecret] - Omit when the app uses PKCE only
+   * @param {{ load(): Promise<object|null>, save(tokens: object): Promise<void> }} options.store
+   *   Persists { accessToken, refreshToken, expiresAt }
+   * @param {Function} [options.fetch] - fetch implementation, for tests
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({ clientId, clientSecret = null, store, fetch: fetchFn = (...args) => globalThis.fetch(...args),
+                now = () => Date.now() } = {}) {
+    if (!clientId) throw new TypeError("OAuthTokenProvider requires a client id.");
+    if (!store) throw new TypeError("OAuthTokenProvider requires a token store.");
+    this._clientId     = clientId;
+    this._clientSecret = clientSecret;
+    this._store        = store;
+    this._fetch        = fetchFn;
+    this._now          = now;
+    this._refreshing   = null;
+  }
+
+  async getCredentials() {
+    const tokens = await this._store.load();
+    if (!tokens?.accessToken) throw new Error("Not signed in to Figma.");
+    if (tokens.expiresAt && tokens.expiresAt - EXPIRY_MARGIN_MS <= this._now() && tokens.refreshToken) {
+      return this.refresh();
+    }
+    return { type: "oauth", token: tokens.accessToken };
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token. Concurrent
+   * callers share one request.
+   */
+  async refresh() {
+    this._refreshing ??= this._doRefresh().finally(() => { this._refreshing = null; });
+    return this._refreshing;
+  }
+
+  async _doRefresh() {
+    const tokens = await this._store.load();
+    if (!tokens?.refreshToken) throw new Error("Figma session expired. Sign in again.");
+
+    const body = await postForm(this._fetch, FIGMA_REFRESH_URL, {
+      client_id:     this._clientId,
+      client_secret: this._clientSecret,
+      refresh_token: tokens.refreshToken,
+    }, "refresh the Figma session");
+
+    const refreshed = {
+      ...tokens,
+      accessToken:  body.access_token,
+      // Figma keeps the refresh token unless it sends a new one.
+      refreshToken: body.refresh_token ?? tokens.refreshToken,
+      expiresAt:    expiresAt(body.expires_in, this._now()),
+    };
+    await this._store.save(refreshed);
+    return { type: "oauth", token: refreshed.accessToken };
+  }
+}
+
+/**
+ * Wraps a string token, or passes a provider through unchanged.
+ * @param {string|object} tokenOrProvider
+ */
+export function toTokenProvider(tokenOrProvider) {
+  if (typeof tokenOrProvider?.getCredentials === "function") return tokenOrProvider;
+  return new PatTokenProvider(tokenOrProvider);
+}
+
+/** Request headers for a set of credentials. */
+export function authHeaders({ type, token }) {
+  return type === "oauth" ? { Authorization: `Bearer ${token}` } : { "X-Figma-Token": token };
+}
+
+// ---- OAuth2 authorization code flow ----
+
+function base64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/** Random URL-safe string, used for the state and PKCE verifier. */
+export function randomToken(byteLength = 32) {
+  return base64Url(globalThis.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * PKCE verifier and its S256 challenge.
+ * @returns {Promise<{ verifier: string, challenge: string }>}
+ */
+export async function createPkcePair() {
+  const verifier = randomToken(32);
+  const digest   = await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64Url(new Uint8Array(digest)) };
+}
+
+/**
+ * URL of Figma's consent page.
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.redirectUri
+ * @param {string} params.state
+ * @param {string} [params.codeChallenge] - From createPkcePair()
+ * @param {string} [params.scope]
+ * @returns {string}
+ */
+export function buildAuthorizeUrl({ clientId, redirectUri, state, codeChallenge, scope = DEFAULT_OAUTH_SCOPE }) {
+  if (!clientId || !redirectUri || !state) {
+    throw new TypeError("buildAuthorizeUrl requires clientId, redirectUri and state.");
+  }
+  const query = new URLSearchParams({
+    client_id:     clientId,
+    redirect_uri:  redirectUri,
+    scope,
+    state,
+    response_type: "code",
+  });
+  if (codeChallenge) {
+    query.set("code_challenge", codeChallenge);
+    query.set("code_challenge_method", "S256");
+  }
+  return `${FIGMA_AUTHORIZE_URL}?${query}`;
+}
+
+/**
+ * Reads the authorization code from the redirect URL, checking the
+ * state to reject forged redirects.
+ * @param {string} redirectUrl
+ * @param {string} expectedState
+ * @returns {string} Authorization code
+ */
+export function readAuthorizationCode(redirectUrl, expectedState) {
+  const params = new URL(redirectUrl).searchParams;
+  if (params.get("error")) throw new Error(`Figma sign-in failed: ${params.get("error")}.`);
+  if (params.get("state") !== expectedState) throw new Error("Figma sign-in failed: state mismatch.");
+  const code = params.get("code");
+  if (!code) throw new Error("Figma sign-in failed: no authorization code returned.");
+  return code;
+}
+
+/**
+ * Exchanges an authorization code for tokens.
+ * @returns {Promise<{ accessToken: string, refreshToken: string|null, expiresAt: number|null }>}
+ */
+export async function exchangeAuthorizationCode({
+  clientId, clientSecret = null, redirectUri, code, codeVerifier = null,
+  fetch: fetchFn = (...args) => globalThis.fetch(...args), now = Date.now(),
+}) {
+  const body = await postForm(fetchFn, FIGMA_TOKEN_URL, {
+    client_id:     clientId,
+    client_secret: clientSecret,
+    redirect_uri:  redirectUri,
+    code,
+    code_verifier: codeVerifier,
+    grant_type:    "authorization_code",
+  }, "complete Figma sign-in");
+
+  return {
+    accessToken:  body.access_token,
+    refreshToken: body.refresh_token ?? null,
+    expiresAt:    expiresAt(body.expires_in, now),
+  };
+}
+
+function expiresAt(expiresIn, now) {
+  return Number.isFinite(Number(expiresIn)) ? now + Number(expiresIn) * 1000 : null;
+}
+
+/** POSTs form fields (skipping null ones) and returns the JSON body. */
+async function postForm(fetchFn, url, fields, action) {
+  const form = new URLSearchParams();
+  for (const [key, value] of Object.entries(fields)) {
+    if (value != null) form.set(key, value);
+  }
+
+  let response;
+  try {
+    response = await fetchFn(url, {
+      method:  "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body:    form.toString(),
+    });
+  } catch (networkErr) {
+    throw new Error(`Network error while trying to ${action}: ${networkErr.message}`);
+  }
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (e) {
+    // Reported below
+  }
+  if (!response.ok || !body?.access_token) {
+    const reason = body?.message ?? body?.error ?? `${response.status} ${response.statusText ?? ""}`.trim();
+    throw new Error(`Could not ${action}: ${reason}.`);
+  }
+  return body;
+}
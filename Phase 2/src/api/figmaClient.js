@@ -5,35 +5,311 @@
 // before the parser (SemanticTree) gives them meaning.
 // ============================================================
 
+import { toTokenProvider, authHeaders } from "./figmaAuth.js";
+
 const FIGMA_BASE_URL = "https://api.figma.com/v1";
 
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES    = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS     = 60000;
+
+// Rate limiting and transient server errors are worth retrying.
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+// Figma file keys are URL-safe alphanumerics.
+const FILE_KEY_PATTERN = /^[A-Za-z0-9]+$/;
+// Path segments that precede the file key in a Figma URL.
+const FILE_PATH_KINDS  = ["file", "design", "proto", "board"];
+
+// Asks for every plugin's sharedPluginData, which is where role and
+// label annotations (e.g. from our Figma plugin) live. Figma leaves it
+// out of responses otherwise.
+const PLUGIN_DATA_QUERY = "plugin_data=shared";
+
+/**
+ * Turns a raw Figma response into the nodes and file data the
+ * pipeline consumes. Accepts both shapes Figma returns, so exported
+ * JSON can be audited offline:
+ *   - GET /files/:key        → { document, components, styles, ... }
+ *   - GET /files/:key/nodes  → { nodes: { "<id>": { document, components, ... } } }
+ * For a /nodes response, each requested node becomes a top-level
+ * node and the per-node component and style maps are merged.
+ * @param {object} data - Parsed JSON from either endpoint
+ * @returns {{ fileData: object, nodes: Array }}
+ */
+export function normalizeFigmaResponse(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new TypeError("Figma data must be a JSON object.");
+  }
+
+  if (data.document && typeof data.document === "object") {
+    return { fileData: data, nodes: data.document.children ?? [] };
+  }
+
+  if (data.nodes && typeof data.nodes === "object") {
+    // Ids that do not exist in the file come back as null.
+    const entries = Object.values(data.nodes).filter(entry => entry?.document);
+    const merge = (key) => Object.assign({}, ...entries.map(entry => entry[key] ?? {}));
+    const { nodes: _, ...meta } = data;
+    return {
+      fileData: {
+        ...meta,
+        components:    merge("components"),
+        componentSets: merge("componentSets"),
+        styles:        merge("styles"),
+      },
+      nodes: entries.map(entry => entry.document),
+    };
+  }
+
+  throw new TypeError(
+    'Not a Figma file or /nodes response: expected a "document" or "nodes" object.');
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP
+ * date, into milliseconds. Returns null when absent or unreadable.
+ * @param {string|null} value
+ * @param {number} [now] - Current time in ms, for tests
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || String(value).trim() === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Depth-first search for a raw node by id, e.g. to scope a saved
+ * file to one page or frame.
+ * @param {Array} nodes - Top-level nodes
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function findNodeById(nodes, id) {
+  for (const node of nodes ?? []) {
+    if (node?.id === id) return node;
+    const found = findNodeById(node?.children, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Reads the file key and node id out of a Figma URL, e.g.
+ *   https://www.figma.com/design/aBcDeF/Checkout?node-id=12-34
+ * A bare file key is passed through with no node id. Branch URLs
+ * resolve to the branch's own key. URLs write node ids as "12-34";
+ * the API expects "12:34".
+ * @param {string} input - Figma URL or file key
+ * @returns {{ fileKey: string, nodeId: string|null }}
+ */
+export function parseFigmaUrl(input) {
+  const text = String(input ?? "").trim();
+  if (!text) throw new TypeError("Expected a Figma file key or URL.");
+
+  if (!/^https?:\/\//i.test(text) && !/figma\.com\//i.test(text)) {
+    if (!FILE_KEY_PATTERN.test(text)) throw new TypeError(`"${text}" is not a Figma file key or URL.`);
+    return { fileKey: text, nodeId: null };
+  }
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (e) {
+    throw new TypeError(`"${text}" is not a valid URL.`);
+  }
+  if (!/(^|\.)figma\.com$/i.test(url.hostname)) {
+    throw new TypeError(`"${url.hostname}" is not a Figma URL.`);
+  }
+
+  // /file/:key, /design/:key, /proto/:key or /board/:key, optionally /branch/:branchKey
+  const parts = url.pathname.split("/").filter(Boolean);
+  const kind  = parts.findIndex(p => FILE_PATH_KINDS.includes(p));
+  if (kind === -1 || !parts[kind + 1]) {
+    throw new TypeError(`Could not find a file key in "${text}".`);
+  }
+  const fileKey = parts[kind + 2] === "branch" && parts[kind + 3] ? parts[kind + 3] : parts[kind + 1];
+
+  const rawNode = url.searchParams.get("node-id");
+  return { fileKey, nodeId: rawNode ? normalizeNodeId(rawNode) : null };
+}
+
+/** "12-34" (URL form) → "12:34" (API form). Ids already using ":" are unchanged. */
+export function normalizeNodeId(id) {
+  const text = String(id ?? "").trim();
+  if (!text) throw new TypeError("Node id must be a non-empty string.");
+  return text.includes(":") ? text : text.replace(/-/g, ":");
+}
+
 export class FigmaClient {
   /**
-   * @param {string} token - Figma Personal Access Token
+   * @param {string|object} token - Figma Personal Access Token, or a token
+   *   provider (see figmaAuth.js) so expired tokens can be refreshed
+   * @param {object} [options]
+   * @param {Function} [options.fetch]       - fetch implementation, for tests
+   * @param {string}   [options.baseUrl]     - API root, e.g. a local mock server in tests
+   * @param {number}   [options.timeoutMs]   - Per-request timeout; 0 disables it
+   * @param {number}   [options.retries]     - Retries after 429, 5xx, network errors and timeouts
+   * @param {number}   [options.backoffMs]   - First retry delay; doubles on each retry
+   * @param {number}   [options.maxBackoffMs] - Upper bound for any single delay, including Retry-After
+   * @param {{ get(key: string): Promise<any>, set(key: string, value: any): Promise<void> }} [options.cache]
+   *   Response cache. Entries are stored per file key and request and
+   *   tagged with the file version; see StorageCache and FileCache.
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Delay function, for tests
    */
-  constructor(token) {
+  constructor(token, {
+    fetch:        fetchFn      = (...args) => globalThis.fetch(...args),
+    baseUrl                    = FIGMA_BASE_URL,
+    timeoutMs                  = DEFAULT_TIMEOUT_MS,
+    retries                    = DEFAULT_RETRIES,
+    backoffMs                  = DEFAULT_BACKOFF_MS,
+    maxBackoffMs               = MAX_BACKOFF_MS,
+    cache                      = null,
+    sleep                      = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  } = {}) {
     if (!token) throw new TypeError("FigmaClient requires a Personal Access Token.");
-    this._token = token;
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new RangeError(`retries must be a non-negative integer, not ${retries}.`);
+    }
+    this._auth         = toTokenProvider(token);
+    this._fetch        = fetchFn;
+    this._baseUrl      = baseUrl.replace(/\/+$/, "");
+    this._timeoutMs    = timeoutMs;
+    this._retries      = retries;
+    this._backoffMs    = backoffMs;
+    this._maxBackoffMs = maxBackoffMs;
+    this._cache        = cache;
+    this._sleep        = sleep;
   }
 
   /**
-   * Fetches the full file node tree from Figma.
+   * Fetches the full file node tree from Figma. With a cache, a cheap
+   * version check runs first and the download is skipped when the
+   * file has not changed since it was cached.
    * @param {string} fileKey
    * @returns {Promise<object>} Raw Figma file JSON
    */
   async fetchFile(fileKey) {
     if (!fileKey) throw new TypeError("fetchFile requires a file key.");
+    return this._cached(fileKey, `file?${PLUGIN_DATA_QUERY}`,
+      () => this._get(`/files/${encodeURIComponent(fileKey)}?${PLUGIN_DATA_QUERY}`, fileKey));
+  }
+
+  /**
+   * Fetches only the given nodes (pages, frames or layers) and their
+   * subtrees, via GET /files/:key/nodes. Much cheaper than fetchFile()
+   * on large files. Cached like fetchFile().
+   * @param {string} fileKey
+   * @param {string|string[]} ids - Node ids, in "12:34" or URL "12-34" form
+   * @param {object} [options]
+   * @param {number} [options.depth] - How many levels below each node to return
+   * @returns {Promise<object>} Raw /nodes response JSON
+   */
+  async fetchNodes(fileKey, ids, { depth } = {}) {
+    if (!fileKey) throw new TypeError("fetchNodes requires a file key.");
+    const nodeIds = (Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(normalizeNodeId);
+    if (nodeIds.length === 0) throw new TypeError("fetchNodes requires at least one node id.");
+    if (depth !== undefined && !(Number.isInteger(depth) && depth > 0)) {
+      throw new RangeError(`depth must be a positive integer, not ${depth}.`);
+    }
+
+    const query = new URLSearchParams({ ids: nodeIds.join(",") });
+    if (depth !== undefined) query.set("depth", String(depth));
+    query.set("plugin_data", "shared");
+    const data = await this._cached(fileKey, `nodes?${query}`,
+      () => this._get(`/files/${encodeURIComponent(fileKey)}/nodes?${query}`, fileKey));
+
+    // Unknown ids come back as null rather than as a 404.
+    const missing = nodeIds.filter(id => !data?.nodes?.[id]);
+    if (missing.length > 0) {
+      throw new Error(`Figma API: Node(s) not found in file "${fileKey}": ${missing.join(", ")}.`);
+    }
+    return data;
+  }
+
+  /**
+   * Cheap version check: fetches the file with depth=1 (pages only)
+   * and returns its version metadata.
+   * @param {string} fileKey
+   * @returns {Promise<{ name: string, version: string, lastModified: string }>}
+   */
+  async fetchVersion(fileKey) {
+    if (!fileKey) throw new TypeError("fetchVersion requires a file key.");
+    const { name, version, lastModified } =
+      await this._get(`/files/${encodeURIComponent(fileKey)}?depth=1`, fileKey);
+    return { name, version, lastModified };
+  }
+
+  /**
+   * Extracts the top-level nodes from a Figma file or /nodes response.
+   * @param {object} fileData - Raw response from fetchFile() or fetchNodes()
+   * @returns {Array} Array of top-level Figma nodes
+   */
+  extractNodes(fileData) {
+    try {
+      return normalizeFigmaResponse(fileData).nodes;
+    } catch (e) {
+      throw new Error(`Malformed Figma file data: could not extract nodes. ${e.message}`);
+    }
+  }
+
+  /**
+   * Serves a request from the cache when the stored entry was saved
+   * at the file's current version; otherwise downloads and stores it.
+   * Each file key and request has one entry, so a new version
+   * replaces the old one.
+   */
+  async _cached(fileKey, request, download) {
+    if (!this._cache) return download();
+
+    const { version, lastModified } = await this.fetchVersion(fileKey);
+    const tag      = version ?? lastModified ?? null;
+    const cacheKey = `figma:${fileKey}:${request}`;
+
+    if (tag) {
+      const entry = await this._readCache(cacheKey);
+      if (entry?.version === tag) return entry.data;
+    }
 
-    const url = `${FIGMA_BASE_URL}/files/${fileKey}`;
-    let response;
+    const data = await download();
+    if (tag) await this._writeCache(cacheKey, { version: tag, savedAt: new Date().toISOString(), data });
+    return data;
+  }
 
+  // A broken cache degrades to a normal download.
+  async _readCache(key) {
     try {
-      response = await fetch(url, {
-        headers: { "X-Figma-Token": this._token }
-      });
-    } catch (networkErr) {
-      // Network-level failure (offline, DNS, CORS)
-      throw new Error(`Network error reaching Figma API: ${networkErr.message}`);
+      return await this._cache.get(key);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  async _writeCache(key, entry) {
+    try {
+      await this._cache.set(key, entry);
+    } catch (e) {
+      // Quota exceeded or read-only disk: the audit still has its data.
+    }
+  }
+
+  async _get(path, fileKey) {
+    const url = `${this._baseUrl}${path}`;
+    let { response, body } = await this._send(url, await this._auth.getCredentials());
+
+    // An expired OAuth token gets one refresh and one more try.
+    if (response.status === 403 && typeof this._auth.refresh === "function") {
+      let credentials;
+      try {
+        credentials = await this._auth.refresh();
+      } catch (refreshErr) {
+        throw new Error(`Figma API: Access token expired and could not be refreshed. ${refreshErr.message}`);
+      }
+      ({ response, body } = await this._send(url, credentials));
     }
 
     if (response.status === 403) {
@@ -42,29 +318,82 @@ export class FigmaClient {
     if (response.status === 404) {
       throw new Error(`Figma API: File not found. Check the file key: "${fileKey}".`);
     }
+    if (response.status === 429) {
+      throw new Error("Figma API: Rate limit exceeded. Wait a minute and try again.");
+    }
     if (!response.ok) {
       throw new Error(`Figma API error: ${response.status} ${response.statusText}`);
     }
 
-    try {
-      return await response.json();
-    } catch (parseErr) {
-      throw new Error(`Failed to parse Figma API response: ${parseErr.message}`);
+    if (body.error) {
+      throw new Error(`Failed to parse Figma API response: ${body.error.message}`);
     }
+    return body.data;
   }
 
   /**
-   * Extracts the top-level children from a Figma file response.
-   * @param {object} fileData - Raw response from fetchFile()
-   * @returns {Array} Array of top-level Figma nodes
+   * Sends a GET with a timeout, retrying 429, 5xx, network failures
+   * and timeouts with exponential backoff. A Retry-After header sets
+   * the delay instead; if it asks for longer than maxBackoffMs, the
+   * last response is returned rather than waiting.
+   * @returns {Promise<{ response: Response, body: object|null }>} See _fetchWithTimeout()
    */
-  extractNodes(fileData) {
-    try {
-      return fileData?.document?.children ?? [];
-    } catch (e) {
-      throw new Error("Malformed Figma file data: could not extract nodes.");
+  async _send(url, credentials) {
+    for (let attempt = 0; ; attempt++) {
+      let result;
+      try {
+        result = await this._fetchWithTimeout(url, authHeaders(credentials));
+      } catch (err) {
+        if (attempt >= this._retries) throw err;
+        await this._sleep(this._backoff(attempt));
+        continue;
+      }
+
+      const { response } = result;
+      if (!RETRYABLE_STATUS.has(response.status) || attempt >= this._retries) return result;
+
+      const retryAfter = parseRetryAfter(response.headers?.get?.("retry-after"));
+      if (retryAfter !== null && retryAfter > this._maxBackoffMs) return result;
+      await this._sleep(retryAfter ?? this._backoff(attempt));
     }
   }
-}
 
+  _backoff(attempt) {
+    return Math.min(this._backoffMs * 2 ** attempt, this._maxBackoffMs);
+  }
 
+  /**
+   * Fetches `url` and, if it succeeded, reads the JSON body while the
+   * timer still runs, so a body that stalls after the headers times out
+   * too. body is { data } or, for a body that is not JSON, { error };
+   * null for error statuses.
+   */
+  async _fetchWithTimeout(url, headers) {
+    const controller = new AbortController();
+    const timer = this._timeoutMs > 0 ? setTimeout(() => controller.abort(), this._timeoutMs) : null;
+    try {
+      const response = await this._fetch(url, {
+        headers,
+        signal:  controller.signal,
+      });
+      let body = null;
+      if (response.ok) {
+        try {
+          body = { data: await response.json() };
+        } catch (parseErr) {
+          if (controller.signal.aborted) throw parseErr;
+          body = { error: parseErr };
+        }
+      }
+      return { response, body };
+    } catch (networkErr) {
+      if (controller.signal.aborted) {
+        throw new Error(`Figma API request timed out after ${this._timeoutMs} ms.`);
+      }
+      // Network-level failure (offline, DNS, CORS)
+      throw new Error(`Network error reaching Figma API: ${networkErr.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
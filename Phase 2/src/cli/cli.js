@@ -0,0 +1,350 @@
+// ============================================================
+// src/cli/cli.js
+// Headless command-line runner: fetches a Figma file (or reads a
+// saved file or /nodes JSON), runs the same pipeline as the popup and
+// prints a text, JSON, SARIF, JUnit, CSV or HTML report. Exits non-zero when findings reach
+// the --fail-on severity, so it can gate CI.
+// ============================================================
+
+import { readFile, writeFile } from "node:fs/promises";
+
+import {
+  FigmaClient, normalizeFigmaResponse, parseFigmaUrl, normalizeNodeId, findNodeById,
+} from "../api/figmaClient.js";
+import { runAuditPipeline } from "../pipeline/auditPipeline.js";
+import { FileCache, defaultCacheDir } from "./fileCache.js";
+import { screensOf, SEVERITY_ORDER } from "../accessibility/auditService.js";
+import { buildReport, formatReport, REPORT_FORMATS } from "../export/reportFormats.js";
+import {
+  applyBaseline, assertSnapshot, createSnapshot, parseSuppressions,
+} from "../accessibility/baseline.js";
+import { HtmlExporter, formatNotes } from "../export/htmlExporter.js";
+import { JsxGenerator } from "../export/jsxGenerator.js";
+
+export const TOKEN_ENV_VAR = "FIGMA_TOKEN";
+
+export const EXIT_OK       = 0;
+export const EXIT_FINDINGS = 1;
+export const EXIT_ERROR    = 2;
+
+export const USAGE = `Usage: figma-a11y audit (--file <key|url> | --input <file.json>) [options]
+
+Options:
+  --file <key|url>    Figma file key or URL to fetch (token read from $${TOKEN_ENV_VAR}).
+                      A URL with ?node-id= audits only that page or frame
+  --input <path>      Saved Figma file or /nodes JSON to audit offline
+  --node <id>         Audit only this page, frame or layer, e.g. 12:34 or 12-34
+  --depth <n>         With --node and --file, how many levels below the node to fetch
+  --timeout <seconds> Per-request timeout when fetching (default: 30)
+  --cache-dir <path>  Where fetched files are cached (default: ~/.cache/figma-a11y)
+  --no-cache          Always download, without the version check
+  --config <path>     JSON rule config (see README "Configuring Rules")
+  --format <name>     Report format: text (default), json, sarif, junit, csv or html
+  --json              Same as --format json
+  --html <path>       Also write an HTML/ARIA skeleton of the design, and
+                      handoff notes next to it (<name>.notes.md)
+  --jsx <path>        Also write a React component per screen (or for --node)
+  --design-system <path>  JSON mapping of roles to your components, e.g.
+                      { "button": { "component": "Button", "from": "@acme/ui" } }
+  --fail-on <level>   error | warning | info | none (default: error)
+  --save-baseline <path>  Write this run's findings as a baseline snapshot
+  --baseline <path>   Compare with a saved snapshot: findings are new, fixed or unchanged
+  --fail-on-new       With --baseline, fail only on new findings
+  --suppressions <path>  JSON list of accepted findings, each with a reason and expiry
+  -h, --help          Show this help
+`;
+
+/**
+ * Parses argv (without the node and script entries).
+ * @param {string[]} argv
+ * @returns {object} Parsed options
+ */
+export function parseArgs(argv) {
+  const opts = {
+    command: null, file: null, input: null, node: null, depth: null,
+    timeout: null, cacheDir: null, cache: true,
+    config: null, json: false, format: null, html: null, jsx: null, designSystem: null, failOn: "error",
+    baseline: null, saveBaseline: null, failOnNew: false, suppressions: null, help: false,
+  };
+  const takeValue = (i, flag) => {
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith("--")) throw new Error(`${flag} requires a value.`);
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--file":      opts.file     = takeValue(i, arg); i++; break;
+      case "--input":     opts.input    = takeValue(i, arg); i++; break;
+      case "--node":      opts.node     = takeValue(i, arg); i++; break;
+      case "--depth":     opts.depth    = takeValue(i, arg); i++; break;
+      case "--timeout":   opts.timeout  = takeValue(i, arg); i++; break;
+      case "--cache-dir": opts.cacheDir = takeValue(i, arg); i++; break;
+      case "--no-cache":  opts.cache    = false; break;
+      case "--config":    opts.config   = takeValue(i, arg); i++; break;
+      case "--fail-on":   opts.failOn   = takeValue(i, arg); i++; break;
+      case "--json":      opts.json     = true; break;
+      case "--format":    opts.format   = takeValue(i, arg); i++; break;
+      case "--html":      opts.html     = takeValue(i, arg); i++; break;
+      case "--jsx":       opts.jsx      = takeValue(i, arg); i++; break;
+      case "--design-system": opts.designSystem = takeValue(i, arg); i++; break;
+      case "--baseline":      opts.baseline     = takeValue(i, arg); i++; break;
+      case "--save-baseline": opts.saveBaseline = takeValue(i, arg); i++; break;
+      case "--fail-on-new":   opts.failOnNew    = true; break;
+      case "--suppressions":  opts.suppressions = takeValue(i, arg); i++; break;
+      case "-h":
+      case "--help":      opts.help     = true; break;
+      default:
+        if (arg.startsWith("-") || opts.command) throw new Error(`Unknown argument: ${arg}`);
+        opts.command = arg;
+    }
+  }
+
+  if (opts.help) return opts;
+  if (opts.command !== "audit") throw new Error(`Unknown command: ${opts.command ?? "(none)"}`);
+  if (!opts.file === !opts.input) throw new Error("Pass exactly one of --file or --input.");
+  if (opts.file) {
+    const { fileKey, nodeId } = parseFigmaUrl(opts.file);
+    opts.file = fileKey;
+    opts.node = opts.node ?? nodeId;
+  }
+  if (opts.node) opts.node = normalizeNodeId(opts.node);
+  if (opts.depth !== null) {
+    if (!opts.file || !opts.node) throw new Error("--depth needs --file with a node (--node or a URL node-id).");
+    const depth = Number(opts.depth);
+    if (!Number.isInteger(depth) || depth < 1) throw new Error(`--depth must be a positive integer, not "${opts.depth}".`);
+    opts.depth = depth;
+  }
+  if (opts.json) {
+    if (opts.format && opts.format !== "json") throw new Error(`--json conflicts with --format ${opts.format}.`);
+    opts.format = "json";
+  }
+  opts.format = opts.format ?? "text";
+  if (opts.format !== "text" && !(opts.format in REPORT_FORMATS)) {
+    throw new Error(`--format must be text, ${Object.keys(REPORT_FORMATS).join(", ")}, not "${opts.format}".`);
+  }
+  if (opts.designSystem && !opts.jsx) throw new Error("--design-system needs --jsx.");
+  if (opts.failOnNew && !opts.baseline) throw new Error("--fail-on-new needs --baseline.");
+  if (opts.timeout !== null) {
+    const seconds = Number(opts.timeout);
+    if (!(seconds > 0)) throw new Error(`--timeout must be a positive number of seconds, not "${opts.timeout}".`);
+    opts.timeout = seconds;
+  }
+  if (opts.failOn !== "none" && !(opts.failOn in SEVERITY_ORDER)) {
+    throw new Error(`--fail-on must be error, warning, info or none, not "${opts.failOn}".`);
+  }
+  return opts;
+}
+
+/** True if any finding is at or above the threshold severity. */
+export function reachesThreshold(findings, failOn) {
+  if (failOn === "none") return false;
+  return findings.some(f => (SEVERITY_ORDER[f.severity] ?? 0) <= SEVERITY_ORDER[failOn]);
+}
+
+/** Human-readable report. */
+export function formatText(report) {
+  const lines = [];
+  const list  = (title, items) => {
+    lines.push(`${title}`);
+    if (items.length === 0) lines.push("  None.");
+    items.forEach((item, i) => lines.push(`  ${i + 1}. ${item}`));
+    lines.push("");
+  };
+
+  lines.push(`Figma accessibility audit — ${report.file.name ?? report.file.key ?? "file"}`);
+  if (report.scope) lines.push(`Scope: ${report.scope.type ?? "Node"} "${report.scope.name}" [${report.scope.nodeId}]`);
+  lines.push(`Components: ${report.components}`, "");
+  list("Screen reader output:", report.readingOrder);
+  list("Keyboard tab order:", report.tabOrder.map(t => t.hint));
+
+  lines.push(`Findings (${report.findings.length}):`);
+  if (report.findings.length === 0) lines.push("  None.");
+  for (const f of report.findings) {
+    const sc  = f.wcag.length ? ` [${f.wcag.join(", ")}]` : "";
+    const tag = f.suppressed ? `  (suppressed until ${f.suppressed.expires}: ${f.suppressed.reason})`
+      : f.baselineState === "new" ? "  (new)" : "";
+    lines.push(`  ${f.severity.toUpperCase().padEnd(7)} ${f.ruleId}${sc}  ${f.nodePath}${tag}`);
+    lines.push(`          ${f.message}`);
+    lines.push(`          Fix: ${f.fix}`);
+  }
+  lines.push("");
+
+  if (report.parseErrors.length > 0) {
+    list("Parse errors:", report.parseErrors.map(e => `[${e.nodeId}] ${e.message}`));
+  }
+
+  if (report.comparison) {
+    const { baseline, counts } = report.comparison;
+    if (baseline) {
+      lines.push(`Compared with baseline: version ${baseline.version ?? "unknown"}, saved ${baseline.createdAt}`);
+      lines.push(`  ${counts.new} new, ${counts.fixed} fixed, ${counts.unchanged} unchanged, `
+        + `${counts.suppressed} suppressed`, "");
+      list("Fixed since the baseline:", report.comparison.fixed.map(f => `${f.ruleId}  ${f.nodePath}`));
+    }
+    if (report.comparison.expired.length > 0) {
+      list("Expired suppressions (no longer applied):",
+        report.comparison.expired.map(s => `${s.ruleId}${s.nodeId ? ` [${s.nodeId}]` : ""} expired ${s.expires}: ${s.reason}`));
+    }
+  }
+
+  const c = report.summary.bySeverity;
+  lines.push(`Summary: ${c.error} error(s), ${c.warning} warning(s), ${c.info} info | `
+    + `${report.summary.passed} checks passed`);
+  return lines.join("\n") + "\n";
+}
+
+/** "out/login.html" → "out/login.notes.md" */
+export function notesPathFor(htmlPath) {
+  return `${htmlPath.replace(/\.html?$/i, "")}.notes.md`;
+}
+
+async function readJson(path, readFileFn, what) {
+  let text;
+  try {
+    text = await readFileFn(path, "utf8");
+  } catch (e) {
+    throw new Error(`Cannot read ${what} "${path}": ${e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${what} "${path}" is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Runs the CLI. All I/O goes through `io` so it can be tested.
+ * @param {string[]} argv
+ * @param {object} [io]
+ * @param {object} [io.env]      - Environment variables
+ * @param {{ write(s: string): void }} [io.stdout]
+ * @param {{ write(s: string): void }} [io.stderr]
+ * @param {Function} [io.readFile] - fs/promises readFile
+ * @param {Function} [io.writeFile] - fs/promises writeFile
+ * @param {(token: string, options: object) => FigmaClient} [io.createClient]
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, io = {}) {
+  const {
+    env          = process.env,
+    stdout       = process.stdout,
+    stderr       = process.stderr,
+    readFile: rf = readFile,
+    writeFile: wf = writeFile,
+    createClient = (token, options) => new FigmaClient(token, options),
+  } = io;
+
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    stderr.write(`figma-a11y: ${e.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+  if (opts.help) {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  try {
+    const config = opts.config ? await readJson(opts.config, rf, "Config file") : null;
+
+    let raw;
+    if (opts.input) {
+      raw = await readJson(opts.input, rf, "Input file");
+    } else {
+      const token = env[TOKEN_ENV_VAR];
+      if (!token) throw new Error(`Set ${TOKEN_ENV_VAR} to a Figma Personal Access Token.`);
+      const client = createClient(token, {
+        cache: opts.cache ? new FileCache(opts.cacheDir ?? defaultCacheDir(env)) : null,
+        ...(opts.timeout !== null && { timeoutMs: opts.timeout * 1000 }),
+      });
+      raw = opts.node
+        ? await client.fetchNodes(opts.file, [opts.node], { depth: opts.depth ?? undefined })
+        : await client.fetchFile(opts.file);
+    }
+    const { fileData, nodes: allNodes } = normalizeFigmaResponse(raw);
+
+    // Scope the audit, and so the report, to the requested subtree.
+    let nodes = allNodes;
+    let scope = null;
+    if (opts.node) {
+      const target = findNodeById(allNodes, opts.node);
+      if (!target) throw new Error(`Node "${opts.node}" was not found in the input.`);
+      nodes = [target];
+      scope = { nodeId: target.id, name: target.name ?? null, type: target.type ?? null };
+    }
+
+    const audit = runAuditPipeline(nodes, fileData, { config });
+    const { tree, roots } = audit;
+
+    if (opts.html) {
+      const title = scope?.name ?? fileData?.name ?? opts.file ?? "Figma export";
+      const { html, notes } = new HtmlExporter({ title }).export(tree);
+      const notesPath = notesPathFor(opts.html);
+      try {
+        await wf(opts.html, html, "utf8");
+        await wf(notesPath, formatNotes(notes, { title }), "utf8");
+      } catch (e) {
+        throw new Error(`Cannot write HTML export: ${e.message}`);
+      }
+      stderr.write(`Wrote ${opts.html} and ${notesPath} (${notes.length} note(s)).\n`);
+    }
+
+    if (opts.jsx) {
+      const mapping = opts.designSystem ? await readJson(opts.designSystem, rf, "Design system mapping") : {};
+      const frames  = scope ? roots : screensOf(roots);
+      const source  = new JsxGenerator({ mapping }).generateModule(frames.length > 0 ? frames : roots);
+      try {
+        await wf(opts.jsx, source, "utf8");
+      } catch (e) {
+        throw new Error(`Cannot write JSX export: ${e.message}`);
+      }
+      stderr.write(`Wrote ${opts.jsx}.\n`);
+    }
+
+    let report = buildReport(audit, {
+      file: { ...fileData, key: opts.file },
+      scope,
+    });
+
+    if (opts.baseline || opts.suppressions) {
+      const baseline = opts.baseline ? assertSnapshot(await readJson(opts.baseline, rf, "Baseline")) : null;
+      if (baseline?.fileKey && report.file.key && baseline.fileKey !== report.file.key) {
+        throw new Error(`Baseline "${opts.baseline}" is for file ${baseline.fileKey}, not ${report.file.key}.`);
+      }
+      if (baseline && (baseline.scope ?? null) !== (scope?.nodeId ?? null)) {
+        const covers = (nodeId) => (nodeId ? `node ${nodeId}` : "the whole file");
+        throw new Error(`Baseline "${opts.baseline}" covers ${covers(baseline.scope)}, not ${covers(scope?.nodeId)}; `
+          + "audit with the same --node as the baseline.");
+      }
+      const suppressions = opts.suppressions
+        ? parseSuppressions(await readJson(opts.suppressions, rf, "Suppressions file"))
+        : [];
+      report = applyBaseline(report, baseline, { suppressions });
+    }
+
+    if (opts.saveBaseline) {
+      try {
+        await wf(opts.saveBaseline, JSON.stringify(createSnapshot(report), null, 2) + "\n", "utf8");
+      } catch (e) {
+        throw new Error(`Cannot write baseline: ${e.message}`);
+      }
+      stderr.write(`Wrote baseline ${opts.saveBaseline} (${report.findings.length} finding(s)).\n`);
+    }
+
+    stdout.write(opts.format === "text"
+      ? formatText(report)
+      : formatReport(report, opts.format, { failOn: opts.failOn, newOnly: opts.failOnNew }));
+
+    // Accepted (suppressed) findings never fail the run; with
+    // --fail-on-new, neither do those already in the baseline.
+    const gating = report.findings.filter(f => !f.suppressed && (!opts.failOnNew || f.baselineState === "new"));
+    return reachesThreshold(gating, opts.failOn) ? EXIT_FINDINGS : EXIT_OK;
+  } catch (e) {
+    stderr.write(`figma-a11y: ${e.message}\n`);
+    return EXIT_ERROR;
+  }
+}
@@ -0,0 +1,55 @@
+// ============================================================
+// src/cli/fileCache.js
+// On-disk response cache for FigmaClient under Node. One JSON file
+// per cache key, named by a hash of the key. Same get/set contract
+// as the extension's chrome.storage cache.
+// ============================================================
+
+import { mkdir, readFile, writeFile, rename } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { homedir }    from "node:os";
+import { join }       from "node:path";
+
+/**
+ * $XDG_CACHE_HOME/figma-a11y, or ~/.cache/figma-a11y.
+ * @param {object} [env]
+ */
+export function defaultCacheDir(env = process.env) {
+  return join(env.XDG_CACHE_HOME || join(homedir(), ".cache"), "figma-a11y");
+}
+
+export class FileCache {
+  /**
+   * @param {string} dir - Created on first write
+   */
+  constructor(dir) {
+    if (!dir) throw new TypeError("FileCache requires a directory.");
+    this._dir = dir;
+  }
+
+  _pathFor(key) {
+    return join(this._dir, `${createHash("sha256").update(key).digest("hex").slice(0, 32)}.json`);
+  }
+
+  /** @returns {Promise<any>} Stored value, or undefined */
+  async get(key) {
+    let text;
+    try {
+      text = await readFile(this._pathFor(key), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return undefined;
+      throw e;
+    }
+    const entry = JSON.parse(text);
+    return entry.key === key ? entry.value : undefined;
+  }
+
+  async set(key, value) {
+    await mkdir(this._dir, { recursive: true });
+    const path = this._pathFor(key);
+    // Write then rename, so a crash never leaves a half-written entry.
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ key, value }));
+    await rename(tmp, path);
+  }
+}
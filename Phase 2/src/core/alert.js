@@ -0,0 +1,23 @@
+
+// ============================================================
+// src/core/Alert.js
+// Concrete component — maps to toasts, banners and error messages.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Alert extends UIComponent {
+  constructor(id, label) {
+    super(id, label, "alert");
+    this._state.live   = "assertive";
+    this._state.atomic = true;
+  }
+
+  describe() {
+    return `Alert: "${this._label}".`;
+  }
+
+  navigate() {
+    return `Alerts are not focusable. "${this._label}" is announced as soon as it appears.`;
+  }
+}
@@ -0,0 +1,28 @@
+
+// ============================================================
+// src/core/Checkbox.js
+// Concrete component — maps to Figma checkbox controls.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Checkbox extends UIComponent {
+  constructor(id, label, checked = false) {
+    super(id, label, "checkbox");
+    this._state.focusable = true;
+    this._state.disabled  = false;
+    this._state.checked   = Boolean(checked);
+  }
+
+  setChecked(val) { this._state.checked = Boolean(val); }
+
+  describe() {
+    const checked = this._state.checked ? "checked" : "not checked";
+    const dis     = this._state.disabled ? ", disabled" : "";
+    return `Checkbox: "${this._label}", ${checked}${dis}. Press Space to toggle.`;
+  }
+
+  navigate() {
+    return `Tab to focus "${this._label}" checkbox. Space to toggle.`;
+  }
+}
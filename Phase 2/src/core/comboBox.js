@@ -0,0 +1,37 @@
+
+// ============================================================
+// src/core/ComboBox.js
+// Concrete component — maps to Figma dropdowns and selects.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class ComboBox extends UIComponent {
+  /**
+   * @param {string} id
+   * @param {string} label
+   * @param {string|null} value - Currently shown option, if any
+   */
+  constructor(id, label, value = null) {
+    super(id, label, "combobox");
+    this._state.focusable = true;
+    this._state.expanded  = false;
+    this._state.required  = false;
+    this._state.value     = value;
+  }
+
+  setExpanded(val) { this._state.expanded = Boolean(val); }
+  setRequired(val) { this._state.required = Boolean(val); }
+  setValue(val)    { this._state.value = val; }
+
+  describe() {
+    const exp = this._state.expanded ? "expanded" : "collapsed";
+    const val = this._state.value ? `, "${this._state.value}" selected` : "";
+    const req = this._state.required ? ", required" : "";
+    return `Combo box: "${this._label}", ${exp}${val}${req}. Press Alt+Down Arrow to open.`;
+  }
+
+  navigate() {
+    return `Tab to focus "${this._label}" combo box. Alt+Down Arrow to open, arrow keys to choose.`;
+  }
+}
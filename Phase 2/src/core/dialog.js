@@ -0,0 +1,25 @@
+
+// ============================================================
+// src/core/Dialog.js
+// Concrete component — maps to Figma modals and overlays.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Dialog extends UIComponent {
+  constructor(id, label, modal = true) {
+    super(id, label, "dialog");
+    this._state.modal = Boolean(modal);
+  }
+
+  setModal(val) { this._state.modal = Boolean(val); }
+
+  describe() {
+    const modal = this._state.modal ? ", modal" : "";
+    return `Dialog: "${this._label}"${modal}.`;
+  }
+
+  navigate() {
+    return `Focus moves into "${this._label}" dialog when it opens. Escape to close.`;
+  }
+}
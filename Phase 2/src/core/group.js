@@ -0,0 +1,25 @@
+
+// ============================================================
+// src/core/Group.js
+// Non-semantic wrapper for Figma frames and groups that have no
+// role of their own (like a <div> with role "generic"). Keeps the
+// subtree intact so nested components are still reached.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Group extends UIComponent {
+  constructor(id, label) {
+    super(id, label || "Group", "generic");
+  }
+
+  isTransparent() { return true; }
+
+  describe() {
+    return "";
+  }
+
+  navigate() {
+    return "";
+  }
+}
@@ -0,0 +1,37 @@
+
+// ============================================================
+// src/core/Heading.js
+// Concrete component — maps to Figma text nodes used as headings.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Heading extends UIComponent {
+  /**
+   * @param {string} id
+   * @param {string} label
+   * @param {number} level - 1 to 6, as in h1–h6
+   */
+  constructor(id, label, level = 2) {
+    super(id, label, "heading");
+    this.setLevel(level);
+  }
+
+  getLevel() { return this._state.level; }
+
+  setLevel(level) {
+    const n = Number(level);
+    if (!Number.isInteger(n) || n < 1 || n > 6) {
+      throw new RangeError("Heading level must be an integer from 1 to 6.");
+    }
+    this._state.level = n;
+  }
+
+  describe() {
+    return `Heading level ${this._state.level}: "${this._label}".`;
+  }
+
+  navigate() {
+    return `Headings are not focusable. Press H in browse mode to reach "${this._label}".`;
+  }
+}
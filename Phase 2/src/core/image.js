@@ -0,0 +1,35 @@
+
+// ============================================================
+// src/core/Image.js
+// Concrete component — maps to Figma image fills and vectors.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Image extends UIComponent {
+  /**
+   * @param {string} id
+   * @param {string} label
+   * @param {string|null} alt - Alt text; "" marks the image decorative,
+   *                            null means none was provided
+   */
+  constructor(id, label, alt = null) {
+    super(id, label, "img");
+    this._state.alt = alt;
+  }
+
+  getAlt()    { return this._state.alt; }
+  setAlt(alt) { this._state.alt = alt; }
+
+  isDecorative() { return this._state.alt === ""; }
+
+  describe() {
+    if (this.isDecorative())      return `Decorative image "${this._label}", ignored by screen readers.`;
+    if (this._state.alt === null) return `Image: "${this._label}" (no alt text).`;
+    return `Image: "${this._state.alt}".`;
+  }
+
+  navigate() {
+    return `Images are not focusable. "${this._label}" is read in browse mode.`;
+  }
+}
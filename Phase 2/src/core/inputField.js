@@ -15,12 +15,22 @@ export class InputField extends UIComponent {
   constructor(id, label, inputType = "text") {
     super(id, label, "textbox");
     this._inputType       = inputType;
-    this._state.focusable = true;
-    this._state.required  = false;
+    this._state.focusable    = true;
+    this._state.required     = false;
+    this._state.invalid      = false;
+    this._state.labelText    = null;   // Visible label text found near the field
+    this._state.placeholder  = null;
+    this._state.autocomplete = null;   // HTML autocomplete token, e.g. "email"
+    this._state.errorMessage = null;   // Visible error text tied to the field
   }
 
   getInputType()          { return this._inputType; }
   setRequired(val)        { this._state.required = Boolean(val); }
+  setInvalid(val)         { this._state.invalid = Boolean(val); }
+  setVisibleLabel(text)   { this._state.labelText = text || null; }
+  setPlaceholder(text)    { this._state.placeholder = text || null; }
+  setAutocomplete(token)  { this._state.autocomplete = token || null; }
+  setErrorMessage(text)   { this._state.errorMessage = text || null; }
 
   describe() {
     const req = this._state.required ? ", required" : "";
@@ -30,4 +40,8 @@ export class InputField extends UIComponent {
   navigate() {
     return `Tab to focus "${this._label}" input. Type to enter value.`;
   }
+
+  toAuditObject() {
+    return { ...super.toAuditObject(), inputType: this._inputType };
+  }
 }
\ No newline at end of file
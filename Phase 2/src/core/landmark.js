@@ -0,0 +1,65 @@
+
+// ============================================================
+// src/core/Landmark.js
+// Concrete components — the page-level landmark regions
+// (banner, main, contentinfo, complementary, form, search).
+// NavigationRegion stays in its own module for compatibility.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+// Spoken names for each landmark role.
+const LANDMARK_NAMES = {
+  banner:        "Banner",
+  main:          "Main",
+  contentinfo:   "Content info",
+  complementary: "Complementary",
+  form:          "Form",
+  search:        "Search",
+};
+
+export class LandmarkRegion extends UIComponent {
+  /**
+   * @param {string} id
+   * @param {string} label
+   * @param {string} role - One of the keys of LANDMARK_NAMES
+   */
+  constructor(id, label, role) {
+    if (!(role in LANDMARK_NAMES)) {
+      throw new TypeError(`Unknown landmark role: "${role}".`);
+    }
+    super(id, label, role);
+  }
+
+  describe() {
+    return `${LANDMARK_NAMES[this._role]} landmark: "${this._label}".`;
+  }
+
+  navigate() {
+    return `Press D in browse mode to jump to "${this._label}" ${LANDMARK_NAMES[this._role].toLowerCase()} landmark.`;
+  }
+}
+
+export class Banner extends LandmarkRegion {
+  constructor(id, label) { super(id, label, "banner"); }
+}
+
+export class Main extends LandmarkRegion {
+  constructor(id, label) { super(id, label, "main"); }
+}
+
+export class ContentInfo extends LandmarkRegion {
+  constructor(id, label) { super(id, label, "contentinfo"); }
+}
+
+export class Complementary extends LandmarkRegion {
+  constructor(id, label) { super(id, label, "complementary"); }
+}
+
+export class FormRegion extends LandmarkRegion {
+  constructor(id, label) { super(id, label, "form"); }
+}
+
+export class SearchRegion extends LandmarkRegion {
+  constructor(id, label) { super(id, label, "search"); }
+}
@@ -0,0 +1,36 @@
+
+// ============================================================
+// src/core/Link.js
+// Concrete component — maps to Figma nodes that navigate elsewhere.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Link extends UIComponent {
+  /**
+   * @param {string} id
+   * @param {string} label
+   * @param {string|null} href - Destination, if the design specifies one
+   */
+  constructor(id, label, href = null) {
+    super(id, label, "link");
+    this._href            = href;
+    this._state.focusable = true;
+    this._state.visited   = false;
+  }
+
+  getHref() { return this._href; }
+
+  describe() {
+    const vis = this._state.visited ? ", visited" : "";
+    return `Link: "${this._label}"${vis}. Press Enter to follow.`;
+  }
+
+  navigate() {
+    return `Tab to focus "${this._label}" link. Enter to follow.`;
+  }
+
+  toAuditObject() {
+    return { ...super.toAuditObject(), href: this._href };
+  }
+}
@@ -0,0 +1,23 @@
+
+// ============================================================
+// src/core/List.js
+// Concrete component — maps to Figma stacks of repeated items.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class List extends UIComponent {
+  constructor(id, label, ordered = false) {
+    super(id, label, "list");
+    this._state.ordered = Boolean(ordered);
+  }
+
+  describe() {
+    const count = this._children.filter(c => c.getRole() === "listitem").length;
+    return `List: "${this._label}" with ${count} item${count !== 1 ? "s" : ""}.`;
+  }
+
+  navigate() {
+    return `Lists are not focusable. Press L in browse mode to reach "${this._label}".`;
+  }
+}
@@ -0,0 +1,21 @@
+
+// ============================================================
+// src/core/ListItem.js
+// Concrete component — a single entry inside a List.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class ListItem extends UIComponent {
+  constructor(id, label) {
+    super(id, label, "listitem");
+  }
+
+  describe() {
+    return `List item: "${this._label}".`;
+  }
+
+  navigate() {
+    return `Press I in browse mode to move to "${this._label}" item.`;
+  }
+}
@@ -0,0 +1,27 @@
+
+// ============================================================
+// src/core/Radio.js
+// Concrete component — a single option inside a RadioGroup.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Radio extends UIComponent {
+  constructor(id, label, checked = false) {
+    super(id, label, "radio");
+    // Its own tab stop until SemanticTree picks one per RadioGroup.
+    this._state.focusable = true;
+    this._state.checked   = Boolean(checked);
+  }
+
+  setChecked(val) { this._state.checked = Boolean(val); }
+
+  describe() {
+    const checked = this._state.checked ? "selected" : "not selected";
+    return `Radio button: "${this._label}", ${checked}.`;
+  }
+
+  navigate() {
+    return `Arrow keys move to "${this._label}" within its group and select it.`;
+  }
+}
@@ -0,0 +1,32 @@
+
+// ============================================================
+// src/core/RadioGroup.js
+// Concrete component — a set of mutually exclusive Radio options.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class RadioGroup extends UIComponent {
+  constructor(id, label) {
+    super(id, label, "radiogroup");
+    this._state.required = false;
+  }
+
+  setRequired(val) { this._state.required = Boolean(val); }
+
+  /** Label of the checked option, or null. */
+  getSelected() {
+    const radio = this._children.find(c => c.getState("checked"));
+    return radio ? radio.getLabel() : null;
+  }
+
+  describe() {
+    const count = this._children.length;
+    const req   = this._state.required ? ", required" : "";
+    return `Radio group: "${this._label}" with ${count} option${count !== 1 ? "s" : ""}${req}.`;
+  }
+
+  navigate() {
+    return `Tab into "${this._label}" radio group. Use arrow keys to choose an option.`;
+  }
+}
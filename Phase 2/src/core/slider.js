@@ -0,0 +1,36 @@
+
+// ============================================================
+// src/core/Slider.js
+// Concrete component — maps to Figma range sliders.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Slider extends UIComponent {
+  constructor(id, label, { valuenow = 0, valuemin = 0, valuemax = 100 } = {}) {
+    super(id, label, "slider");
+    if (valuemin > valuemax) {
+      throw new RangeError("Slider valuemin cannot be greater than valuemax.");
+    }
+    this._state.focusable = true;
+    this._state.valuemin  = valuemin;
+    this._state.valuemax  = valuemax;
+    this.setValue(valuenow);
+  }
+
+  setValue(val) {
+    const n = Number(val);
+    if (Number.isNaN(n)) throw new TypeError("Slider value must be a number.");
+    // Clamp like a real range input would
+    this._state.valuenow = Math.min(this._state.valuemax, Math.max(this._state.valuemin, n));
+  }
+
+  describe() {
+    const { valuenow, valuemin, valuemax } = this._state;
+    return `Slider: "${this._label}", ${valuenow} (${valuemin} to ${valuemax}). Use arrow keys to adjust.`;
+  }
+
+  navigate() {
+    return `Tab to focus "${this._label}" slider. Arrow keys to adjust, Home and End for min and max.`;
+  }
+}
@@ -0,0 +1,25 @@
+// ============================================================
+// src/core/StaticText.js
+// Concrete component — maps to Figma text layers that are plain
+// content (body copy, captions). Read in browse mode, never focused.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class StaticText extends UIComponent {
+  /**
+   * @param {string} id
+   * @param {string} text - The characters of the text layer
+   */
+  constructor(id, text) {
+    super(id, text, "paragraph");
+  }
+
+  describe() {
+    return `Text: "${this._label}".`;
+  }
+
+  navigate() {
+    return `Text is not focusable. Read "${this._label}" with the arrow keys in browse mode.`;
+  }
+}
@@ -0,0 +1,28 @@
+
+// ============================================================
+// src/core/Switch.js
+// Concrete component — maps to Figma on/off toggles.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Switch extends UIComponent {
+  constructor(id, label, checked = false) {
+    super(id, label, "switch");
+    this._state.focusable = true;
+    this._state.disabled  = false;
+    this._state.checked   = Boolean(checked);
+  }
+
+  setChecked(val) { this._state.checked = Boolean(val); }
+
+  describe() {
+    const on  = this._state.checked ? "on" : "off";
+    const dis = this._state.disabled ? ", disabled" : "";
+    return `Switch: "${this._label}", ${on}${dis}. Press Space to toggle.`;
+  }
+
+  navigate() {
+    return `Tab to focus "${this._label}" switch. Space to toggle.`;
+  }
+}
@@ -0,0 +1,27 @@
+
+// ============================================================
+// src/core/Tab.js
+// Concrete component — a single tab inside a TabList.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Tab extends UIComponent {
+  constructor(id, label, selected = false) {
+    super(id, label, "tab");
+    // Its own tab stop until SemanticTree picks one per TabList.
+    this._state.focusable = true;
+    this._state.selected  = Boolean(selected);
+  }
+
+  setSelected(val) { this._state.selected = Boolean(val); }
+
+  describe() {
+    const sel = this._state.selected ? "selected" : "not selected";
+    return `Tab: "${this._label}", ${sel}.`;
+  }
+
+  navigate() {
+    return `Arrow keys move to "${this._label}" tab. Enter or Space to show its panel.`;
+  }
+}
@@ -0,0 +1,23 @@
+
+// ============================================================
+// src/core/TabList.js
+// Concrete component — the row of Tab controls in a tab set.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class TabList extends UIComponent {
+  constructor(id, label) {
+    super(id, label, "tablist");
+    this._state.orientation = "horizontal";
+  }
+
+  describe() {
+    const count = this._children.filter(c => c.getRole() === "tab").length;
+    return `Tab list: "${this._label}" with ${count} tab${count !== 1 ? "s" : ""}.`;
+  }
+
+  navigate() {
+    return `Tab into "${this._label}" tabs. Use Left and Right Arrow keys to switch tabs.`;
+  }
+}
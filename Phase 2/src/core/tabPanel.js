@@ -0,0 +1,21 @@
+
+// ============================================================
+// src/core/TabPanel.js
+// Concrete component — content shown for the selected Tab.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class TabPanel extends UIComponent {
+  constructor(id, label) {
+    super(id, label, "tabpanel");
+  }
+
+  describe() {
+    return `Tab panel: "${this._label}".`;
+  }
+
+  navigate() {
+    return `Tab from the selected tab moves into "${this._label}" panel.`;
+  }
+}
@@ -0,0 +1,26 @@
+
+// ============================================================
+// src/core/Table.js
+// Concrete component — maps to Figma data tables and grids.
+// ============================================================
+
+import { UIComponent } from "./uiComponent.js";
+
+export class Table extends UIComponent {
+  constructor(id, label, { rowcount = null, colcount = null } = {}) {
+    super(id, label, "table");
+    this._state.rowcount = rowcount;
+    this._state.colcount = colcount;
+  }
+
+  describe() {
+    // Without explicit counts, each child layer is taken to be a row.
+    const rows = this._state.rowcount ?? this._children.length;
+    const cols = this._state.colcount ? `, ${this._state.colcount} columns` : "";
+    return `Table: "${this._label}" with ${rows} row${rows !== 1 ? "s" : ""}${cols}.`;
+  }
+
+  navigate() {
+    return `Press T in browse mode to reach "${this._label}" table. Ctrl+Alt+Arrow keys move between cells.`;
+  }
+}
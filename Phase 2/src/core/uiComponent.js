@@ -20,6 +20,13 @@ export class UIComponent {
     this._role     = role;
     this._children = [];
     this._state    = {};         // focusable, disabled, expanded, etc.
+    this._classification = null; // { key, confidence, reason } from NodeClassifier
+    this._parent   = null;
+    this._visual   = { fills: [], opacity: 1, text: null, visible: true, clipsContent: false };
+    this._bounds   = null;       // { x, y, width, height } from absoluteBoundingBox
+    this._nodeType = null;       // Figma node type the component came from (FRAME, TEXT, ...)
+    this._layoutMode = null;     // Auto-layout direction (HORIZONTAL, VERTICAL) or null
+    this._focusOrder = null;     // Explicit position among its siblings, from an annotation
   }
 
   // ---- Getters / Setters (Encapsulation) ----
@@ -36,15 +43,69 @@ export class UIComponent {
   setState(key, val) { this._state[key] = val; }
   getState(key)      { return this._state[key]; }
 
+  setClassification(c) { this._classification = c ? { ...c } : null; }
+  getClassification()  { return this._classification ? { ...this._classification } : null; }
+
+  /**
+   * Visual properties copied from the Figma node, used by design rules.
+   * @param {object} visual
+   * @param {Array}  [visual.fills]   - Figma paints, bottom layer first
+   * @param {number} [visual.opacity] - Layer opacity, 0–1
+   * @param {object|null} [visual.text] - Label text: { fills, opacity, fontSize, fontWeight,
+   *   backdrop? } where backdrop lists the Figma layers behind it, bottom first
+   * @param {boolean} [visual.visible]      - false for layers hidden in Figma
+   * @param {boolean} [visual.clipsContent] - true for frames that clip their children
+   */
+  setVisual({ fills = [], opacity = 1, text = null, visible = true, clipsContent = false } = {}) {
+    this._visual = { fills: [...fills], opacity, text: text ? { ...text } : null, visible, clipsContent };
+  }
+  getVisual() { return { ...this._visual }; }
+
+  setBounds(bounds) {
+    this._bounds = bounds ? { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height } : null;
+  }
+  getBounds() { return this._bounds ? { ...this._bounds } : null; }
+
+  getParent() { return this._parent; }
+
+  /** Makes this a root again, e.g. once hoisted out of a collapsed group. */
+  detach() { this._parent = null; }
+
+  setNodeType(type) { this._nodeType = type ?? null; }
+  getNodeType()     { return this._nodeType; }
+
+  setLayoutMode(mode) { this._layoutMode = mode ?? null; }
+  getLayoutMode()     { return this._layoutMode; }
+
+  /**
+   * Explicit reading and focus position among siblings; lower comes
+   * first. null leaves the order to the layout.
+   * @param {number|null} order
+   */
+  setFocusOrder(order) {
+    if (order !== null && order !== undefined && !Number.isFinite(order)) {
+      throw new TypeError(`Focus order must be a number, not ${order}.`);
+    }
+    this._focusOrder = order ?? null;
+  }
+  getFocusOrder() { return this._focusOrder; }
+
   addChild(component) {
     if (!(component instanceof UIComponent)) {
       throw new TypeError("Child must be a UIComponent instance.");
     }
+    component._parent = this;
     this._children.push(component);
   }
 
   getChildren() { return [...this._children]; }
 
+  /**
+   * True for non-semantic wrappers (Group) that screen readers and
+   * audits should look through rather than announce.
+   */
+  isTransparent() { return false; }
+
   // ---- Abstract methods (Polymorphism contract) ----
 
   /**
@@ -72,6 +133,9 @@ export class UIComponent {
       label:    this._label,
       role:     this._role,
       state:    { ...this._state },
+      classification: this.getClassification(),
+      visual:   this.getVisual(),
+      bounds:   this.getBounds(),
       children: this._children.map(c => c.toAuditObject()),
     };
   }
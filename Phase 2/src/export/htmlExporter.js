@@ -0,0 +1,111 @@
+// ============================================================
+// src/export/HtmlExporter.js
+// Turns the semantic tree into a semantic HTML skeleton for handoff:
+// native elements where HTML has one, ARIA roles where it does not,
+// with labels, aria-* states, landmarks, and DOM order following the
+// reading and tab order. Anything that cannot be mapped faithfully is
+// written to a sidecar notes list instead of being guessed.
+// ============================================================
+
+import { el, elementId, auditView, renderNode } from "./roleElements.js";
+
+const escapeText = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttr = (s) => escapeText(s).replace(/"/g, "&quot;");
+
+// Elements written as <tag> with no closing tag.
+const VOID_TAGS = new Set(["input", "img", "meta"]);
+
+/** HTML id for a component: "12:34" → "figma-12-34". */
+export function htmlId(component, suffix = "") {
+  return elementId(component.getId(), suffix);
+}
+
+export class HtmlExporter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.title] - Document <title>
+   * @param {string} [options.lang]  - Document language
+   */
+  constructor({ title = "Figma export", lang = "en" } = {}) {
+    this._title = title;
+    this._lang  = lang;
+  }
+
+  /**
+   * @param {SemanticTree|UIComponent[]} source - A built SemanticTree, or its roots
+   * @returns {{ html: string, notes: Array<{ nodeId: string, label: string, message: string }> }}
+   */
+  export(source) {
+    const roots = Array.isArray(source) ? source : source?.getRoots?.();
+    if (!Array.isArray(roots)) {
+      throw new TypeError("HtmlExporter.export expects a SemanticTree or an array of UIComponents.");
+    }
+    const notes = [];
+    for (const e of Array.isArray(source) ? [] : source.getErrors?.() ?? []) {
+      notes.push({ nodeId: e.nodeId, label: "", message: `Not exported: ${e.message}` });
+    }
+    const body = roots.flatMap(root => this._render(root, notes));
+
+    const html = el("html", { lang: this._lang }, [
+      el("head", {}, [el("meta", { charset: "utf-8" }), el("title", {}, this._title)]),
+      el("body", {}, body),
+    ]);
+    return { html: `<!DOCTYPE html>\n${serialize(html, 0)}\n`, notes };
+  }
+
+  _render(component, notes) {
+    return renderNode(auditView(component), {
+      note: (node, message) => notes.push({ nodeId: node.id, label: node.label, message }),
+      // Tag the outermost element(s) with the Figma node, and keep hidden layers hidden.
+      finish(node, elements) {
+        const hidden = node.visual.visible === false;
+        for (const element of elements) {
+          if (element.tag === "label") continue;
+          element.attrs = { ...element.attrs, "data-figma-id": node.id, hidden };
+          break;
+        }
+        return elements;
+      },
+    });
+  }
+}
+
+function serializeAttrs(attrs) {
+  return Object.entries(attrs)
+    .filter(([, v]) => v !== null && v !== undefined && v !== false)
+    .map(([k, v]) => (v === true ? ` ${k}` : ` ${k}="${escapeAttr(v)}"`))
+    .join("");
+}
+
+function serialize(node, depth) {
+  const pad = "  ".repeat(depth);
+  if (typeof node === "string") return `${pad}${escapeText(node)}`;
+  const open = `<${node.tag}${serializeAttrs(node.attrs)}>`;
+  if (VOID_TAGS.has(node.tag)) return `${pad}${open}`;
+  if (node.content.every(c => typeof c === "string")) {
+    return `${pad}${open}${escapeText(node.content.join(" "))}</${node.tag}>`;
+  }
+  const inner = node.content.map(c => serialize(c, depth + 1)).join("\n");
+  return `${pad}${open}\n${inner}\n${pad}</${node.tag}>`;
+}
+
+/**
+ * The sidecar notes file, as Markdown.
+ * @param {Array<{ nodeId: string, label: string, message: string }>} notes
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @returns {string}
+ */
+export function formatNotes(notes, { title = "Figma export" } = {}) {
+  const lines = [`# Handoff notes: ${title}`, ""];
+  if (notes.length === 0) {
+    lines.push("Everything in the design was mapped to HTML.");
+  } else {
+    lines.push("These parts of the design could not be mapped to HTML exactly. Check them by hand.", "");
+    for (const n of notes) {
+      const who = n.label ? `"${n.label}" [${n.nodeId}]` : `[${n.nodeId}]`;
+      lines.push(`- ${who}: ${n.message}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
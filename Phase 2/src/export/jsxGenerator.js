@@ -0,0 +1,197 @@
+// ============================================================
+// src/export/JsxGenerator.js
+// Generates a React component scaffold for a frame, carrying over
+// roles, labels and states so nobody re-types them from the design.
+// Works from UIComponent.toAuditObject() snapshots in reading order.
+// Roles map to the elements in RoleElements, shared with HtmlExporter;
+// a design-system mapping swaps in your own components. Output depends only on the tree and
+// the mapping, so it can be snapshot-tested.
+// ============================================================
+
+import { el, auditView, renderNode } from "./roleElements.js";
+
+// HTML attributes React spells differently. Form state becomes an
+// uncontrolled default, so the scaffold stays editable.
+const JSX_NAMES = {
+  for:          "htmlFor",
+  tabindex:     "tabIndex",
+  autocomplete: "autoComplete",
+  checked:      "defaultChecked",
+  value:        "defaultValue",
+};
+
+/** React props for HTML attributes: renamed, numeric tabIndex, boolean aria states. */
+function jsxProps(attrs) {
+  return Object.fromEntries(Object.entries(attrs).map(([key, value]) => {
+    if (key === "tabindex" && value !== null && value !== undefined) value = Number(value);
+    if (key.startsWith("aria-") && (value === "true" || value === "false")) value = value === "true";
+    return [JSX_NAMES[key] ?? key, value];
+  }));
+}
+
+/**
+ * `element` with React props throughout. Design-system components
+ * (capitalised tags) already carry the props they were given.
+ */
+function toJsx(element) {
+  if (typeof element === "string") return element;
+  const content = element.content.map(toJsx);
+  if (/^[A-Z]/.test(element.tag)) return { ...element, content };
+  const attrs = jsxProps(element.attrs);
+  // React selects an <option> through the <select>'s defaultValue.
+  if (element.tag === "select") {
+    const chosen = element.content.find(o => o.attrs?.selected);
+    if (chosen) attrs.defaultValue = chosen.content.join("");
+  }
+  if (element.tag === "option") delete attrs.selected;
+  return { ...element, attrs, content };
+}
+
+// Roles whose label is their visible content, so a mapped design-system
+// component receives it as children rather than a `label` prop.
+const CONTENT_LABEL_ROLES = new Set(["button", "link", "heading", "paragraph", "alert", "listitem", "tab", "switch"]);
+
+/** "Sign in — mobile" → "SignInMobile" */
+export function componentName(label) {
+  const words = String(label ?? "").split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name  = words.map(w => w[0].toUpperCase() + w.slice(1)).join("");
+  if (!name) return "Screen";
+  return /^[0-9]/.test(name) ? `Screen${name}` : name;
+}
+
+export class JsxGenerator {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.mapping] - Design-system components by role:
+   *   { button: { component: "Button", from: "@acme/ui", props?(node, props) } }.
+   *   `props` receives the audit object and the accessibility props the
+   *   native element would get, and returns the props to pass instead.
+   * @param {string} [options.indent] - Indentation unit
+   */
+  constructor({ mapping = {}, indent = "  " } = {}) {
+    for (const [role, entry] of Object.entries(mapping)) {
+      if (typeof entry?.component !== "string" || !/^[A-Z][A-Za-z0-9_.]*$/.test(entry.component)) {
+        throw new TypeError(`Mapping for "${role}" needs a capitalised component name.`);
+      }
+      if (entry.props !== undefined && typeof entry.props !== "function") {
+        throw new TypeError(`Mapping for "${role}": props must be a function.`);
+      }
+    }
+    this._mapping = mapping;
+    this._indent  = indent;
+  }
+
+  /**
+   * Generates a module exporting one React component for `frame`.
+   * @param {UIComponent} frame
+   * @param {object} [options]
+   * @param {string} [options.name] - Component name; defaults to the frame label in PascalCase
+   * @returns {string} JSX source
+   */
+  generate(frame, { name = null } = {}) {
+    return this.generateModule([frame], { names: [name] });
+  }
+
+  /**
+   * Generates one module exporting a component per frame, sharing one
+   * set of imports. Repeated names get a number: Card, Card2.
+   * @param {UIComponent[]} frames
+   * @param {object} [options]
+   * @param {Array<string|null>} [options.names] - Names by position; null uses the frame label
+   * @returns {string} JSX source
+   */
+  generateModule(frames, { names = [] } = {}) {
+    if (!Array.isArray(frames) || frames.some(f => typeof f?.toAuditObject !== "function")) {
+      throw new TypeError("JsxGenerator expects UIComponent frames.");
+    }
+    const imports = new Map();   // module → Set of component names
+    const used    = new Map();   // name → times used
+    const bodies  = frames.map((frame, index) => {
+      const base  = names[index] ?? componentName(frame.getLabel());
+      const count = (used.get(base) ?? 0) + 1;
+      used.set(base, count);
+      return this._component(frame, count === 1 ? base : `${base}${count}`, imports);
+    });
+
+    const lines = [];
+    for (const from of [...imports.keys()].sort()) {
+      lines.push(`import { ${[...imports.get(from)].sort().join(", ")} } from "${from}";`);
+    }
+    if (lines.length > 0) lines.push("");
+    lines.push(bodies.join("\n\n"));
+    return lines.join("\n") + "\n";
+  }
+
+  _component(frame, name, imports) {
+    const elements = this._render(auditView(frame), imports).map(toJsx);
+    const root     = elements.length === 1 ? elements[0] : el("", {}, elements);
+    const i        = this._indent;
+    return [
+      `export function ${name}() {`,
+      `${i}return (`,
+      this._serialize(root, 2),
+      `${i});`,
+      "}",
+    ].join("\n");
+  }
+
+  _render(node, imports) {
+    return renderNode(node, { finish: (n, elements, context) => this._mapped(n, elements, context, imports) });
+  }
+
+  /**
+   * Swaps a node's rendering for its design-system component, if the
+   * mapping has one, keeping the accessibility props the native element
+   * would have had.
+   */
+  _mapped(node, elements, context, imports) {
+    const entry = this._mapping[node.role];
+    if (!entry) return elements;
+
+    const native   = elements.find(e => e.tag !== "label") ?? elements[0];
+    const hasLabel = elements.some(e => e.tag === "label");
+    // Ids of the dropped helper elements (e.g. error text) point nowhere now.
+    const dropped  = new Set(elements.filter(e => e !== native).map(e => e.attrs.id).filter(Boolean));
+    const base     = Object.fromEntries(Object.entries({ ...(hasLabel && { label: node.label }), ...jsxProps(native.attrs) })
+      .filter(([, v]) => !dropped.has(v)));
+    const props    = entry.props ? entry.props(node, base) : base;
+    const children = node.children.length > 0
+      ? context.children()
+      : (CONTENT_LABEL_ROLES.has(node.role) ? [node.label] : []);
+
+    const from = entry.from ?? "";
+    if (!imports.has(from)) imports.set(from, new Set());
+    imports.get(from).add(entry.component.split(".")[0]);
+    return [el(entry.component, props, children)];
+  }
+
+  _serialize(node, depth) {
+    const pad = this._indent.repeat(depth);
+    if (typeof node === "string") return `${pad}${jsxText(node)}`;
+    const props = Object.entries(node.attrs)
+      .filter(([k, v]) => v !== null && v !== undefined && (v !== false || k.startsWith("aria-")))
+      .map(([k, v]) => ` ${k}${jsxValue(k, v)}`)
+      .join("");
+    if (node.content.length === 0) return `${pad}<${node.tag}${props} />`;
+    if (node.content.length === 1 && typeof node.content[0] === "string") {
+      return `${pad}<${node.tag}${props}>${jsxText(node.content[0])}</${node.tag}>`;
+    }
+    const inner = node.content.map(c => this._serialize(c, depth + 1)).join("\n");
+    return `${pad}<${node.tag}${props}>\n${inner}\n${pad}</${node.tag}>`;
+  }
+}
+
+/**
+ * ="value", ={expr}, or nothing for `true` (a bare boolean prop).
+ * aria-* states are always written out, as "false" means something.
+ */
+function jsxValue(key, v) {
+  if (v === true && !key.startsWith("aria-")) return "";
+  if (typeof v === "string" && !/["\\\n{}]/.test(v)) return `="${v}"`;
+  return `={${JSON.stringify(v)}}`;
+}
+
+/** JSX text, wrapped in a string expression when it holds JSX syntax or entities. */
+function jsxText(s) {
+  return /[{}<>&]|^\s|\s$/.test(s) ? `{${JSON.stringify(s)}}` : s;
+}
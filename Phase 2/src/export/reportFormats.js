@@ -0,0 +1,371 @@
+// ============================================================
+// src/export/ReportFormats.js
+// Builds the audit report (findings, reading order, tab order and a
+// summary) and writes it out for other tools: SARIF 2.1.0 for code
+// scanning dashboards, JUnit XML so CI shows each rule as a test case,
+// CSV for spreadsheets, and a standalone, printable HTML page.
+// The popup and the CLI share these, so a downloaded file matches the
+// one CI produced.
+// ============================================================
+
+import { sortFindings, screensOf, SEVERITY_ORDER } from "../accessibility/auditService.js";
+import { walk } from "../accessibility/geometry.js";
+import { fingerprint } from "../accessibility/baseline.js";
+
+export const TOOL_NAME = "figma-a11y";
+
+function countBySeverity(findings) {
+  const counts = Object.fromEntries(Object.keys(SEVERITY_ORDER).map(s => [s, 0]));
+  for (const f of findings) counts[f.severity] = (counts[f.severity] ?? 0) + 1;
+  return counts;
+}
+
+/**
+ * Builds the report every format is written from. Findings are sorted
+ * and tagged with the id of the screen (top-level frame) they are in,
+ * or null for document-level findings and layers outside any frame.
+ * @param {object} audit - runAuditPipeline() output: roots, readingOrder,
+ *   tabOrder, auditResult, parseErrors and rules
+ * @param {object} [source]
+ * @param {object} [source.file]  - { key, name, version, lastModified }
+ * @param {object|null} [source.scope] - { nodeId, name, type } when one node was audited
+ * @returns {object} Report
+ */
+export function buildReport({ roots, readingOrder, tabOrder, auditResult, parseErrors, rules = [] },
+  { file = {}, scope = null } = {}) {
+  const screens  = screensOf(roots);
+  const screenOf = new Map();
+  for (const screen of screens) {
+    for (const c of walk(screen)) screenOf.set(c.getId(), screen.getId());
+  }
+  const findings = sortFindings(auditResult.findings)
+    .map(f => ({ ...f, screen: screenOf.get(f.nodeId) ?? null }));
+
+  return {
+    file: {
+      key:          file.key ?? null,
+      name:         file.name ?? null,
+      version:      file.version ?? null,
+      lastModified: file.lastModified ?? null,
+    },
+    scope,
+    components: roots.length,
+    screens:    screens.map(s => ({ nodeId: s.getId(), name: s.getLabel() })),
+    rules:      rules.map(({ id, description, severity, wcag, fix }) => ({ id, description, severity, wcag, fix })),
+    readingOrder,
+    tabOrder,
+    findings,
+    parseErrors,
+    summary: { passed: auditResult.passes.length, bySeverity: countBySeverity(findings) },
+  };
+}
+
+/** True if `severity` is at or above the `failOn` threshold ("none" never is). */
+const atOrAbove = (severity, failOn) =>
+  failOn !== "none" && (SEVERITY_ORDER[severity] ?? 0) <= (SEVERITY_ORDER[failOn] ?? 0);
+
+/** Figma link to a node, when the report knows the file key. */
+export function figmaNodeUrl(fileKey, nodeId) {
+  return `https://www.figma.com/design/${encodeURIComponent(fileKey)}?node-id=${encodeURIComponent(nodeId.replace(/:/g, "-"))}`;
+}
+
+const reportTitle = (report) => report.scope?.name ?? report.file.name ?? report.file.key ?? "Figma file";
+
+// ---- SARIF 2.1.0 ----
+
+const SARIF_LEVELS = { error: "error", warning: "warning", info: "note" };
+
+/**
+ * SARIF 2.1.0 log with one run. Each rule is a reportingDescriptor, each
+ * finding a result located by its layer path (and Figma link when the
+ * file key is known), fingerprinted by rule and node so dashboards can
+ * track it across runs. After applyBaseline(), results carry their
+ * baselineState and suppressions, and fixed findings are listed as
+ * "absent".
+ * @param {object} report - From buildReport()
+ * @returns {string}
+ */
+export function formatSarif(report) {
+  const fixed   = report.comparison?.fixed ?? [];
+  const ruleIds = [...new Set([...report.rules, ...report.findings, ...fixed].map(r => r.id ?? r.ruleId))];
+  const byId    = new Map(report.rules.map(r => [r.id, r]));
+  const rules   = ruleIds.map(id => {
+    const rule = byId.get(id);
+    const wcag = rule?.wcag ?? report.findings.find(f => f.ruleId === id)?.wcag ?? [];
+    return {
+      id,
+      shortDescription:     { text: rule?.description || id },
+      help:                 { text: rule?.fix || "See the finding message." },
+      defaultConfiguration: { level: SARIF_LEVELS[rule?.severity] ?? "error" },
+      properties:           { tags: ["accessibility", ...wcag.map(sc => `WCAG ${sc}`)] },
+    };
+  });
+
+  const result = (f, text) => {
+    const location = {
+      logicalLocations: [{ name: f.nodeId, fullyQualifiedName: f.nodePath || f.nodeId, kind: "element" }],
+    };
+    if (report.file.key && f.nodeId !== "document") {
+      location.physicalLocation = { artifactLocation: { uri: figmaNodeUrl(report.file.key, f.nodeId) } };
+    }
+    return {
+      ruleId:              f.ruleId,
+      ruleIndex:           ruleIds.indexOf(f.ruleId),
+      level:               SARIF_LEVELS[f.severity] ?? "error",
+      message:             { text },
+      locations:           [location],
+      partialFingerprints: { "figmaNode/v1": fingerprint(f) },
+      ...(f.baselineState && { baselineState: f.baselineState }),
+      ...(f.suppressed && {
+        suppressions: [{ kind: "external", status: "accepted", justification: f.suppressed.reason }],
+      }),
+    };
+  };
+  const results = [
+    ...report.findings.map(f => result(f, `${f.message} Fix: ${f.fix}`)),
+    ...fixed.map(f => ({ ...result(f, `Fixed since the baseline: ${f.message}`), baselineState: "absent" })),
+  ];
+
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, rules } },
+      automationDetails: { id: `${TOOL_NAME}/${report.file.key ?? reportTitle(report)}` },
+      results,
+      properties: { file: report.file, scope: report.scope },
+    }],
+  };
+  return JSON.stringify(log, null, 2) + "\n";
+}
+
+// ---- JUnit XML ----
+
+/** XML text or attribute value; control characters XML 1.0 cannot hold are dropped. */
+const escapeXml = (s) => String(s)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * JUnit XML with one test case per rule. A rule fails when it has
+ * findings at or above `failOn`; findings below it, suppressed ones,
+ * and with `newOnly` those already in the baseline, are listed in the
+ * case's system-out, so CI results agree with the CLI exit code.
+ * @param {object} report - From buildReport(), optionally through applyBaseline()
+ * @param {object} [options]
+ * @param {"error"|"warning"|"info"|"none"} [options.failOn]
+ * @param {boolean} [options.newOnly] - Fail only on findings new since the baseline
+ * @returns {string}
+ */
+export function formatJUnit(report, { failOn = "error", newOnly = false } = {}) {
+  const ruleIds = [...new Set([...report.rules.map(r => r.id), ...report.findings.map(f => f.ruleId)])].sort();
+  const suite   = escapeXml(reportTitle(report));
+  const line    = (f) => `${f.severity.toUpperCase()} ${f.nodePath || f.nodeId}: ${f.message} Fix: ${f.fix}`;
+
+  let failures = 0;
+  const cases = ruleIds.map(id => {
+    const found   = report.findings.filter(f => f.ruleId === id);
+    const failing = found.filter(f => !f.suppressed && (!newOnly || f.baselineState === "new")
+      && atOrAbove(f.severity, failOn));
+    const other   = found.filter(f => !failing.includes(f));
+    const parts   = [`    <testcase classname="${escapeXml(TOOL_NAME)}.${suite}" name="${escapeXml(id)}">`];
+    if (failing.length > 0) {
+      failures++;
+      parts.push(`      <failure message="${escapeXml(`${failing.length} finding(s)`)}" type="${escapeXml(failing[0].severity)}">`
+        + `${escapeXml(failing.map(line).join("\n"))}</failure>`);
+    }
+    if (other.length > 0) {
+      parts.push(`      <system-out>${escapeXml(other.map(line).join("\n"))}</system-out>`);
+    }
+    if (parts.length === 1) return `${parts[0].slice(0, -1)} />`;
+    parts.push("    </testcase>");
+    return parts.join("\n");
+  });
+
+  const counts = `tests="${ruleIds.length}" failures="${failures}" errors="0"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(TOOL_NAME)}" ${counts}>`,
+    `  <testsuite name="${suite}" ${counts}>`,
+    ...cases,
+    // Layers the tree could not parse are not rules, so they are logged, not counted.
+    ...(report.parseErrors.length > 0
+      ? [`    <system-err>${escapeXml(report.parseErrors.map(e => `[${e.nodeId}] ${e.message}`).join("\n"))}</system-err>`]
+      : []),
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+// ---- CSV ----
+
+const CSV_COLUMNS = ["severity", "ruleId", "wcag", "screen", "nodeId", "nodePath", "message", "fix"];
+
+/**
+ * RFC 4180 field. Layer names are user text, so values a spreadsheet
+ * would run as a formula (=, +, -, @) are prefixed with an apostrophe.
+ */
+function csvField(value) {
+  let s = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV with one row per finding, in report order.
+ * @param {object} report - From buildReport()
+ * @returns {string}
+ */
+export function formatCsv(report) {
+  const screenNames = new Map(report.screens.map(s => [s.nodeId, s.name]));
+  const rows = report.findings.map(f => [
+    f.severity, f.ruleId, f.wcag.join(" "), screenNames.get(f.screen) ?? "",
+    f.nodeId, f.nodePath, f.message, f.fix,
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// ---- Standalone HTML ----
+
+const escapeHtml = (s) => String(s ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const REPORT_CSS = `
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; line-height: 1.4; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #ccc; }
+    .meta { color: #555; margin-top: 0; }
+    .summary { display: flex; gap: 1rem; padding: 0; list-style: none; }
+    .summary li { border: 1px solid #ccc; border-radius: 4px; padding: 0.5rem 1rem; }
+    .summary strong { display: block; font-size: 1.4rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #ccc; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+    .error { color: #c0392b; }
+    .warning { color: #9a6300; }
+    .info { color: #555; }
+    @media print {
+      body { margin: 0; }
+      section { break-inside: avoid-page; }
+      tr { break-inside: avoid; }
+    }`;
+
+function findingsTable(findings) {
+  if (findings.length === 0) return "<p>No findings.</p>";
+  const rows = findings.map(f => `      <tr>
+        <td class="${escapeHtml(f.severity)}">${escapeHtml(f.severity)}</td>
+        <td>${escapeHtml(f.ruleId)}</td>
+        <td>${escapeHtml(f.wcag.join(", "))}</td>
+        <td>${escapeHtml(f.nodePath)} <small>[${escapeHtml(f.nodeId)}]</small></td>
+        <td>${escapeHtml(f.message)}<br><em>Fix:</em> ${escapeHtml(f.fix)}</td>
+      </tr>`);
+  return `<table>
+      <thead><tr><th scope="col">Severity</th><th scope="col">Rule</th><th scope="col">WCAG</th>`
+    + `<th scope="col">Layer</th><th scope="col">Issue</th></tr></thead>
+      <tbody>
+${rows.join("\n")}
+      </tbody>
+    </table>`;
+}
+
+const orderedList = (items) => (items.length === 0
+  ? "<p>None.</p>"
+  : `<ol>\n${items.map(i => `      <li>${escapeHtml(i)}</li>`).join("\n")}\n    </ol>`);
+
+/**
+ * A self-contained HTML page (inline styles, no scripts) that prints
+ * well: summary, findings per screen, then reading and tab order.
+ * @param {object} report - From buildReport()
+ * @returns {string}
+ */
+export function formatHtmlReport(report) {
+  const title  = `Accessibility audit: ${reportTitle(report)}`;
+  const counts = report.summary.bySeverity;
+  const meta   = [
+    report.file.version && `Version ${report.file.version}`,
+    report.file.lastModified && `last modified ${report.file.lastModified}`,
+    report.scope && `scope: ${report.scope.type ?? "node"} "${report.scope.name}" [${report.scope.nodeId}]`,
+  ].filter(Boolean).join(", ");
+
+  const sections = report.screens.map(s => ({
+    heading:  `Screen: ${s.name}`,
+    findings: report.findings.filter(f => f.screen === s.nodeId),
+  }));
+  const loose = report.findings.filter(f => f.screen === null);
+  if (loose.length > 0 || sections.length === 0) {
+    sections.push({ heading: sections.length ? "Outside any screen" : "Findings", findings: loose });
+  }
+
+  const summary = [
+    ["error", "Errors"], ["warning", "Warnings"], ["info", "Info"],
+  ].map(([s, name]) => `      <li class="${s}"><strong>${counts[s] ?? 0}</strong>${name}</li>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_CSS}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    ${meta ? `<p class="meta">${escapeHtml(meta)}</p>` : ""}
+  </header>
+  <main>
+  <section aria-labelledby="summary">
+    <h2 id="summary">Summary</h2>
+    <ul class="summary">
+${summary.join("\n")}
+      <li><strong>${report.summary.passed}</strong>Checks passed</li>
+    </ul>
+    <p>${report.components} component(s) audited across ${report.screens.length} screen(s).</p>
+  </section>
+${sections.map((s, i) => `  <section aria-labelledby="screen-${i}">
+    <h2 id="screen-${i}">${escapeHtml(s.heading)}</h2>
+    ${findingsTable(s.findings)}
+  </section>`).join("\n")}
+  <section aria-labelledby="reading-order">
+    <h2 id="reading-order">Screen reader output</h2>
+    ${orderedList(report.readingOrder)}
+  </section>
+  <section aria-labelledby="tab-order">
+    <h2 id="tab-order">Keyboard tab order</h2>
+    ${orderedList(report.tabOrder.map(t => t.hint))}
+  </section>
+${report.parseErrors.length > 0 ? `  <section aria-labelledby="parse-errors">
+    <h2 id="parse-errors">Parse errors</h2>
+    ${orderedList(report.parseErrors.map(e => `[${e.nodeId}] ${e.message}`))}
+  </section>
+` : ""}  </main>
+</body>
+</html>
+`;
+}
+
+// Output formats by name, with what a download needs. Add a format by
+// adding an entry (Open/Closed). format(report, { failOn, newOnly }) → string.
+export const REPORT_FORMATS = {
+  json:  { extension: "json",  mimeType: "application/json",       format: (r) => JSON.stringify(r, null, 2) + "\n" },
+  sarif: { extension: "sarif", mimeType: "application/sarif+json", format: formatSarif },
+  junit: { extension: "xml",   mimeType: "application/xml",        format: formatJUnit },
+  csv:   { extension: "csv",   mimeType: "text/csv",               format: formatCsv },
+  html:  { extension: "html",  mimeType: "text/html",              format: formatHtmlReport },
+};
+
+/**
+ * Writes `report` in the named format.
+ * @param {object} report - From buildReport()
+ * @param {string} name   - A key of REPORT_FORMATS
+ * @param {object} [options] - Passed to the formatter, e.g. { failOn }
+ * @returns {string}
+ */
+export function formatReport(report, name, options = {}) {
+  const entry = REPORT_FORMATS[name];
+  if (!entry) {
+    throw new RangeError(`Unknown report format "${name}". Use ${Object.keys(REPORT_FORMATS).join(", ")}.`);
+  }
+  return entry.format(report, options);
+}
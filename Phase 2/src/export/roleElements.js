@@ -0,0 +1,164 @@
+// ============================================================
+// src/export/RoleElements.js
+// The role → element mapping shared by HtmlExporter and JsxGenerator:
+// native elements where HTML has one, ARIA roles where it does not,
+// with labels and aria-* states. Renderers read audit objects
+// (UIComponent.toAuditObject(), children in reading order) and return
+// elements with HTML attribute names; each exporter writes them out
+// in its own syntax.
+// ============================================================
+
+import { orderChildren } from "../accessibility/spatialOrder.js";
+
+/** An element: tag, attributes (null/false values are dropped), and content. */
+export const el = (tag, attrs = {}, content = []) => ({ tag, attrs, content: [].concat(content) });
+
+/** Element id for a Figma node id: "12:34" → "figma-12-34". */
+export const elementId = (nodeId, suffix = "") => `figma-${nodeId.replace(/[^A-Za-z0-9_-]/g, "-")}${suffix}`;
+
+const idOf = (n, suffix = "") => elementId(n.id, suffix);
+
+/**
+ * Audit object for `component`, with its children in reading order, so
+ * the DOM order (and so the natural tab order) follows the design.
+ * @param {UIComponent} component
+ */
+export function auditView(component) {
+  return { ...component.toAuditObject(), children: orderChildren(component).map(auditView) };
+}
+
+/** <label for> plus the control, as siblings. */
+const labelled = (n, control) => [el("label", { for: idOf(n) }, n.label), control];
+
+// Maps ARIA roles to elements. Each renderer receives the audit object
+// and a context { children(wrap?, inner?), closest(role), note(message) }
+// and returns elements; the first element that is not a <label> is the
+// component itself. Add a role by adding an entry (Open/Closed);
+// unmapped roles fall back to a <div> with the role and a note.
+export const ELEMENTS = {
+  generic:  (n, x) => [el("div", {}, x.children())],
+  button:   (n, x) => [el("button", { type: "button", disabled: n.state.disabled }, [n.label, ...x.children()])],
+  link(n, x) {
+    if (!n.href) x.note("No link destination in the design; href is a placeholder.");
+    return [el("a", { href: n.href ?? "#" }, [n.label, ...x.children()])];
+  },
+  heading:   (n, x) => [el(`h${n.state.level ?? 2}`, {}, [n.label, ...x.children()])],
+  paragraph: (n) => [el("p", {}, n.label)],
+  textbox(n, x) {
+    const visible = n.state.labelText;
+    const error   = n.state.errorMessage;
+    const input   = el("input", {
+      id:                 idOf(n),
+      type:               n.inputType ?? "text",
+      "aria-label":       visible ? null : n.label,
+      placeholder:        n.state.placeholder,
+      autocomplete:       n.state.autocomplete,
+      required:           n.state.required,
+      "aria-invalid":     n.state.invalid ? "true" : null,
+      "aria-describedby": error ? idOf(n, "-error") : null,
+    });
+    if (!visible) x.note("No visible label in the design; the field is named with aria-label.");
+    return [
+      ...(visible ? [el("label", { for: idOf(n) }, visible)] : []),
+      input,
+      ...(error ? [el("p", { id: idOf(n, "-error") }, error)] : []),
+    ];
+  },
+  img(n, x) {
+    const alt = n.state.alt;
+    if (alt === null || alt === undefined) x.note("No alt text in the design; add it, or alt=\"\" if decorative.");
+    return [el("img", { src: "", alt: alt ?? null })];
+  },
+  checkbox: (n) => labelled(n, el("input", {
+    type: "checkbox", id: idOf(n), checked: n.state.checked, disabled: n.state.disabled,
+  })).reverse(),
+  radio(n, x) {
+    // A radio outside any radiogroup is a group of its own.
+    const group = x.closest("radiogroup") ?? n;
+    return labelled(n, el("input", {
+      type: "radio", id: idOf(n), name: idOf(group), checked: n.state.checked,
+    })).reverse();
+  },
+  radiogroup: (n, x) => [el("fieldset", {}, [el("legend", {}, n.label), ...x.children()])],
+  switch:   (n) => [el("button", {
+    type: "button", role: "switch", "aria-checked": String(Boolean(n.state.checked)), disabled: n.state.disabled,
+  }, n.label)],
+  combobox(n, x) {
+    x.note("Options are not in the design; fill in the <option> list.");
+    const value = n.state.value;
+    return labelled(n, el("select", { id: idOf(n), required: n.state.required },
+      value ? [el("option", { selected: true }, value)] : []));
+  },
+  slider:   (n) => labelled(n, el("input", {
+    type:  "range",
+    id:    idOf(n),
+    min:   n.state.valuemin,
+    max:   n.state.valuemax,
+    value: n.state.valuenow,
+  })),
+  tablist(n, x) {
+    x.note("Link each tab to its panel with aria-controls and aria-labelledby, and add arrow-key handling.");
+    return [el("div", { role: "tablist", "aria-label": n.label }, x.children())];
+  },
+  tab:      (n) => [el("button", {
+    type:            "button",
+    role:            "tab",
+    id:              idOf(n),
+    "aria-selected": String(Boolean(n.state.selected)),
+    tabindex:        n.state.focusable ? null : "-1",
+  }, n.label)],
+  tabpanel: (n, x) => [el("div", { role: "tabpanel", "aria-label": n.label, tabindex: "0" }, x.children())],
+  dialog:   (n, x) => [el("div", {
+    role: "dialog", "aria-modal": n.state.modal ? "true" : null, "aria-label": n.label,
+  }, x.children())],
+  alert:    (n, x) => [el("div", { role: "alert" }, [n.label, ...x.children()])],
+  list:     (n, x) => [el(n.state.ordered ? "ol" : "ul", {}, x.children(c => (c.role === "listitem" ? null : "li")))],
+  listitem: (n, x) => [el("li", {}, n.children.length ? x.children() : n.label)],
+  table(n, x) {
+    x.note("Rows and cells are not in the semantic tree; each child layer was exported as a row.");
+    return [el("table", {}, [el("caption", {}, n.label), el("tbody", {}, x.children(() => "tr", "td"))])];
+  },
+  banner:        (n, x) => [el("header", {}, x.children())],
+  main:          (n, x) => [el("main", {}, x.children())],
+  contentinfo:   (n, x) => [el("footer", {}, x.children())],
+  complementary: (n, x) => [el("aside", { "aria-label": n.label }, x.children())],
+  form:          (n, x) => [el("form", { "aria-label": n.label }, x.children())],
+  search:        (n, x) => [el("form", { role: "search", "aria-label": n.label }, x.children())],
+  navigation:    (n, x) => [el("nav", { "aria-label": n.label }, x.children())],
+};
+
+/**
+ * Renders an audit object and its subtree with ELEMENTS.
+ * @param {object} node - From auditView()
+ * @param {object} [hooks]
+ * @param {Function} [hooks.note]   - (node, message) for what could not be mapped exactly
+ * @param {Function} [hooks.finish] - (node, elements, context) → elements; lets an
+ *   exporter tag or replace each node's rendering
+ * @returns {Array} Elements and text
+ */
+export function renderNode(node, hooks = {}, ancestors = []) {
+  const context = {
+    /** Nearest ancestor with `role`, or null. */
+    closest: (role) => ancestors.findLast(a => a.role === role) ?? null,
+    note:    (message) => hooks.note?.(node, message),
+    /**
+     * Rendered children. `wrap(child)` may name a tag to wrap each
+     * child in (e.g. "li"), and `inner` a second one inside it.
+     */
+    children: (wrap = () => null, inner = null) => node.children.flatMap(child => {
+      const rendered = renderNode(child, hooks, [...ancestors, node]);
+      const tag      = wrap(child);
+      if (!tag) return rendered;
+      return [el(tag, {}, inner ? [el(inner, {}, rendered)] : rendered)];
+    }),
+  };
+
+  let elements;
+  if (ELEMENTS[node.role]) {
+    elements = ELEMENTS[node.role](node, context);
+  } else {
+    context.note(`No HTML mapping for role "${node.role}"; exported as a <div> with that role.`);
+    elements = [el("div", { role: node.role, "aria-label": node.label }, context.children())];
+  }
+  return hooks.finish ? hooks.finish(node, elements, context) : elements;
+}
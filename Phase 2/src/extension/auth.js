@@ -0,0 +1,108 @@
+// ============================================================
+// src/extension/auth.js
+// Figma credentials for the popup: a remembered Personal Access
+// Token, or OAuth2 sign-in through chrome.identity.launchWebAuthFlow.
+// Credentials live in chrome.storage.local, which only the
+// extension's own pages can read.
+// ============================================================
+
+import {
+  PatTokenProvider, OAuthTokenProvider, buildAuthorizeUrl, createPkcePair,
+  exchangeAuthorizationCode, readAuthorizationCode, randomToken,
+} from "../api/figmaAuth.js";
+import { storageGet, storageSet, storageRemove, hasExtensionStorage, STORAGE_KEYS } from "./storage.js";
+
+// OAuth app registered at figma.com/developers. Its callback URL must
+// be this extension's chrome.identity.getRedirectURL(). Leave clientId
+// empty to offer PAT sign-in only. clientSecret can stay null when the
+// app is set up for PKCE.
+export const FIGMA_OAUTH_APP = {
+  clientId:     "",
+  clientSecret: null,
+};
+
+export function isOAuthConfigured(app = FIGMA_OAUTH_APP) {
+  return Boolean(app.clientId) && Boolean(globalThis.chrome?.identity?.launchWebAuthFlow);
+}
+
+// Reads and writes the OAuth tokens inside the stored credentials.
+const oauthStore = {
+  async load() {
+    const creds = await storageGet(STORAGE_KEYS.credentials);
+    return creds?.type === "oauth" ? creds : null;
+  },
+  async save(tokens) {
+    await storageSet(STORAGE_KEYS.credentials, { ...tokens, type: "oauth" });
+  },
+};
+
+/**
+ * Token provider for the saved credentials, or null if there are none.
+ * @param {object} [app] - OAuth app settings
+ */
+export async function loadTokenProvider(app = FIGMA_OAUTH_APP) {
+  if (!hasExtensionStorage) return null;
+  const creds = await storageGet(STORAGE_KEYS.credentials);
+  if (creds?.type === "pat" && creds.token) return new PatTokenProvider(creds.token);
+  if (creds?.type === "oauth" && creds.accessToken) {
+    return new OAuthTokenProvider({ clientId: app.clientId, clientSecret: app.clientSecret, store: oauthStore });
+  }
+  return null;
+}
+
+/**
+ * Remembers a Personal Access Token between sessions.
+ * @returns {Promise<boolean>} False outside the extension, where nothing is saved
+ */
+export async function rememberPat(token) {
+  if (!token) throw new TypeError("rememberPat requires a token.");
+  if (!hasExtensionStorage) return false;
+  await storageSet(STORAGE_KEYS.credentials, { type: "pat", token });
+  return true;
+}
+
+/** Deletes any saved PAT or OAuth tokens. */
+export async function forgetCredentials() {
+  await storageRemove(STORAGE_KEYS.credentials);
+}
+
+/**
+ * Runs the OAuth2 authorization code flow (with PKCE) in a Chrome
+ * sign-in window, then saves the tokens.
+ * @param {object} [options]
+ * @param {object} [options.app]      - OAuth app settings
+ * @param {object} [options.identity] - chrome.identity, for tests
+ * @param {Function} [options.fetch]  - fetch implementation, for tests
+ * @returns {Promise<OAuthTokenProvider>}
+ */
+export async function signInWithFigma({
+  app = FIGMA_OAUTH_APP, identity = globalThis.chrome?.identity, fetch: fetchFn,
+} = {}) {
+  if (!app.clientId) throw new Error("Figma OAuth is not configured for this build.");
+  if (!identity?.launchWebAuthFlow) throw new Error("Figma sign-in is only available inside the extension.");
+
+  const redirectUri = identity.getRedirectURL();
+  const state       = randomToken();
+  const pkce        = await createPkcePair();
+
+  const redirectUrl = await identity.launchWebAuthFlow({
+    url:         buildAuthorizeUrl({ clientId: app.clientId, redirectUri, state, codeChallenge: pkce.challenge }),
+    interactive: true,
+  });
+  if (!redirectUrl) throw new Error("Figma sign-in was cancelled.");
+
+  const code   = readAuthorizationCode(redirectUrl, state);
+  const tokens = await exchangeAuthorizationCode({
+    clientId:     app.clientId,
+    clientSecret: app.clientSecret,
+    redirectUri,
+    code,
+    codeVerifier: pkce.verifier,
+    ...(fetchFn && { fetch: fetchFn }),
+  });
+  await oauthStore.save(tokens);
+
+  return new OAuthTokenProvider({
+    clientId: app.clientId, clientSecret: app.clientSecret, store: oauthStore, ...(fetchFn && { fetch: fetchFn }),
+  });
+}
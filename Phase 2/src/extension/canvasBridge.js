@@ -0,0 +1,122 @@
+// ============================================================
+// src/extension/canvasBridge.js
+// Popup side of in-canvas highlighting: finds the figma.com tab for
+// the audited file, injects the content script on first use (the
+// activeTab permission allows this once the popup has been opened on
+// that tab) and sends it canvasProtocol messages.
+// ============================================================
+
+import { createMessage, figmaFileKeyOf } from "./canvasProtocol.js";
+import { ScreenReaderService } from "../accessibility/ScreenRead.js";
+import { KeyboardNavigator } from "../accessibility/keyboardNav.js";
+import { walk } from "../accessibility/geometry.js";
+
+export const CONTENT_SCRIPT = "src/extension/contentScript.js";
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CanvasBridge {
+  /**
+   * @param {object} chromeApis
+   * @param {object} chromeApis.tabs      - chrome.tabs: query(), sendMessage()
+   * @param {object} chromeApis.scripting - chrome.scripting: executeScript()
+   * @param {object} [options]
+   * @param {number} [options.attempts]   - Pings after injecting, while the overlay module loads
+   * @param {(ms: number) => Promise} [options.delay]
+   */
+  constructor({ tabs, scripting } = {}, { attempts = 10, delay = wait } = {}) {
+    if (typeof tabs?.query !== "function" || typeof tabs?.sendMessage !== "function") {
+      throw new TypeError("CanvasBridge requires chrome.tabs with query() and sendMessage().");
+    }
+    if (typeof scripting?.executeScript !== "function") {
+      throw new TypeError("CanvasBridge requires chrome.scripting with executeScript().");
+    }
+    this._tabs      = tabs;
+    this._scripting = scripting;
+    this._attempts  = attempts;
+    this._delay     = delay;
+  }
+
+  /**
+   * Navigates the open file to `nodeId` and outlines it.
+   * @param {string|null} fileKey - File the node belongs to; null accepts any open file
+   * @param {string} nodeId
+   * @param {object} [details]
+   * @param {string} [details.label]   - Shown in the banner
+   * @param {string} [details.message] - e.g. the finding's message
+   * @param {object} [details.bounds]  - absoluteBoundingBox of the node
+   */
+  showNode(fileKey, nodeId, { label = null, message = null, bounds = null } = {}) {
+    return this._send(fileKey, createMessage("showNode", { nodeId, label, message, bounds }));
+  }
+
+  /**
+   * Navigates to the frame and numbers its tab and reading order.
+   * @param {string|null} fileKey
+   * @param {object} payload - From buildOrderPayload()
+   */
+  showOrder(fileKey, payload) {
+    return this._send(fileKey, createMessage("showOrder", payload));
+  }
+
+  /** Removes the overlay. */
+  clear(fileKey) {
+    return this._send(fileKey, createMessage("clear"));
+  }
+
+  /** The active tab, if it shows `fileKey` on figma.com. */
+  async _fileTab(fileKey) {
+    const [tab] = await this._tabs.query({ active: true, currentWindow: true });
+    const openKey = figmaFileKeyOf(tab?.url);
+    if (!openKey) {
+      throw new Error("Open the Figma file in this tab to highlight it on the canvas.");
+    }
+    if (fileKey && openKey !== fileKey) {
+      throw new Error(`This tab shows a different Figma file (${openKey}); open ${fileKey} to highlight it.`);
+    }
+    return tab;
+  }
+
+  async _ping(tabId) {
+    try {
+      return (await this._tabs.sendMessage(tabId, createMessage("ping")))?.ok === true;
+    } catch {
+      return false;   // No content script in the tab yet
+    }
+  }
+
+  /** Injects the content script unless it already answers. */
+  async _connect(tabId) {
+    if (await this._ping(tabId)) return;
+    await this._scripting.executeScript({ target: { tabId }, files: [CONTENT_SCRIPT] });
+    for (let i = 0; i < this._attempts; i++) {
+      if (await this._ping(tabId)) return;
+      await this._delay(100);
+    }
+    throw new Error("The Figma tab did not respond; reload it and try again.");
+  }
+
+  async _send(fileKey, message) {
+    const tab = await this._fileTab(fileKey);
+    await this._connect(tab.id);
+    const response = await this._tabs.sendMessage(tab.id, message);
+    if (!response?.ok) throw new Error(response?.error ?? "The Figma tab did not respond.");
+    return response.result;
+  }
+}
+
+/**
+ * The showOrder payload for one screen: its bounds, and the tab and
+ * reading order with each item's bounds, numbered from 1 as listed.
+ * @param {UIComponent} screen - A top-level frame, e.g. from screensOf()
+ * @returns {{ frame: { id, label, bounds }, tabOrder: object[], readingOrder: object[] }}
+ */
+export function buildOrderPayload(screen) {
+  const bounds = new Map([...walk(screen)].map(c => [c.getId(), c.getBounds()]));
+  const item   = (id, label) => ({ id, label, bounds: bounds.get(id) ?? null });
+  return {
+    frame:        item(screen.getId(), screen.getLabel()),
+    tabOrder:     new KeyboardNavigator().buildTabOrder([screen]).map(t => item(t.id, t.label)),
+    readingOrder: new ScreenReaderService().generateReadingEntries([screen]).map(e => item(e.id, e.text)),
+  };
+}
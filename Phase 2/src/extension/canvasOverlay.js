@@ -0,0 +1,237 @@
+// ============================================================
+// src/extension/canvasOverlay.js
+// Content side of in-canvas highlighting, loaded into figma.com by
+// contentScript.js. Figma draws its canvas itself and does not expose
+// the viewport transform, so the overlay navigates to a node (via the
+// node-id URL parameter, which zooms the canvas to fit it) and then
+// places its markers by fitting the node's bounds into the canvas the
+// same way. The markers sit on a layer that ignores the pointer, and
+// are removed as soon as the user scrolls or clicks the canvas.
+// ============================================================
+
+import { listen, withNodeId } from "./canvasProtocol.js";
+
+const OVERLAY_ID = "figma-a11y-overlay";
+
+// Marker colour and tooltip name for each order.
+export const MARKER_STYLES = {
+  tab:     { color: "#1a73e8", label: "Tab order" },
+  reading: { color: "#8e24aa", label: "Reading order" },
+};
+
+/**
+ * Scale and offset that fit `bounds` (canvas coordinates) centred into
+ * `viewport` (page pixels) with `padding` on each side, approximating
+ * Figma's zoom-to-fit.
+ * @param {{ x, y, width, height }} bounds
+ * @param {{ x, y, width, height }} viewport
+ * @param {number} [padding]
+ * @returns {{ scale: number, x: number, y: number }} Page point = (p - bounds) * scale + { x, y }
+ */
+export function fitTransform(bounds, viewport, padding = 48) {
+  const room  = { width: Math.max(1, viewport.width - 2 * padding), height: Math.max(1, viewport.height - 2 * padding) };
+  const scale = Math.min(room.width / Math.max(1, bounds.width), room.height / Math.max(1, bounds.height));
+  return {
+    scale,
+    x: viewport.x + (viewport.width - bounds.width * scale) / 2,
+    y: viewport.y + (viewport.height - bounds.height * scale) / 2,
+  };
+}
+
+/**
+ * Page rectangle of `bounds` on a canvas fitted to `origin`.
+ * @param {{ x, y, width, height }} bounds
+ * @param {{ x, y }} origin - The bounds passed to fitTransform()
+ * @param {{ scale, x, y }} transform
+ */
+export function toPage(bounds, origin, { scale, x, y }) {
+  return {
+    x:      x + (bounds.x - origin.x) * scale,
+    y:      y + (bounds.y - origin.y) * scale,
+    width:  bounds.width * scale,
+    height: bounds.height * scale,
+  };
+}
+
+/**
+ * Numbered markers for a showOrder payload: tab stops at the top-left
+ * corner of each item, reading-order steps at the top-right, so both
+ * can be read on the same component. Items without bounds are skipped
+ * but keep their number.
+ * @param {object} payload - From buildOrderPayload()
+ * @param {{ x, y, width, height }} viewport
+ * @returns {Array<{ kind: "tab"|"reading", number: number, id: string, label: string, x: number, y: number, rect: object }>}
+ */
+export function placeMarkers(payload, viewport) {
+  const origin    = payload.frame.bounds;
+  const transform = fitTransform(origin, viewport);
+  const markers   = [];
+  for (const [kind, items] of [["tab", payload.tabOrder], ["reading", payload.readingOrder]]) {
+    items.forEach((item, i) => {
+      if (!item.bounds) return;
+      const rect = toPage(item.bounds, origin, transform);
+      markers.push({
+        kind, number: i + 1, id: item.id, label: item.label, rect,
+        x: kind === "tab" ? rect.x : rect.x + rect.width,
+        y: rect.y,
+      });
+    });
+  }
+  return markers;
+}
+
+// ---- DOM ----
+
+const SVG = "http://www.w3.org/2000/svg";
+
+function svgElement(doc, name, attributes) {
+  const el = doc.createElementNS(SVG, name);
+  for (const [key, value] of Object.entries(attributes)) el.setAttribute(key, String(value));
+  return el;
+}
+
+/** Page rectangle of Figma's canvas: the largest <canvas>, or the window. */
+function canvasRect(win) {
+  const canvases = [...win.document.querySelectorAll("canvas")].map(c => c.getBoundingClientRect());
+  const largest  = canvases.sort((a, b) => b.width * b.height - a.width * a.height)[0];
+  return largest && largest.width > 0
+    ? { x: largest.x, y: largest.y, width: largest.width, height: largest.height }
+    : { x: 0, y: 0, width: win.innerWidth, height: win.innerHeight };
+}
+
+export class CanvasOverlay {
+  /**
+   * @param {Window} win
+   * @param {object} [options]
+   * @param {number} [options.settle] - ms to wait for Figma to zoom after navigating
+   */
+  constructor(win, { settle = 600 } = {}) {
+    this._win    = win;
+    this._settle = settle;
+    this._layer  = null;
+    this._onUserMove = () => this.clear();
+  }
+
+  /**
+   * Points the file at `nodeId`; Figma follows history changes without
+   * reloading. Figma only zooms when the node-id changes, so when the
+   * URL already has it (the user may have scrolled away since) it is
+   * cleared first, without adding history entries.
+   */
+  async navigate(nodeId) {
+    const url = withNodeId(this._win.location.href, nodeId);
+    if (url === this._win.location.href) {
+      this._go(withNodeId(url, null), "replaceState");
+      this._go(url, "replaceState");
+    } else {
+      this._go(url, "pushState");
+    }
+    await new Promise(resolve => this._win.setTimeout(resolve, this._settle));
+  }
+
+  /** Changes the URL with history[method] and tells the page, as the back button would. */
+  _go(url, method) {
+    this._win.history[method](this._win.history.state, "", url);
+    this._win.dispatchEvent(new this._win.PopStateEvent("popstate", { state: this._win.history.state }));
+  }
+
+  async showNode({ nodeId, label = null, message = null, bounds = null }) {
+    await this.navigate(nodeId);
+    const layer = this._open();
+    if (bounds) {
+      const viewport = canvasRect(this._win);
+      const rect     = toPage(bounds, bounds, fitTransform(bounds, viewport));
+      layer.svg.appendChild(svgElement(this._win.document, "rect", {
+        x: rect.x - 4, y: rect.y - 4, width: rect.width + 8, height: rect.height + 8,
+        fill: "none", stroke: "#c0392b", "stroke-width": 3, rx: 4,
+      }));
+    }
+    this._banner(layer, [label, message].filter(Boolean).join(" — ") || nodeId);
+    return { nodeId };
+  }
+
+  async showOrder(payload) {
+    await this.navigate(payload.frame.id);
+    const layer   = this._open();
+    const doc     = this._win.document;
+    const markers = placeMarkers(payload, canvasRect(this._win));
+
+    // The reading order as a path through its markers, under the badges.
+    const reading = markers.filter(m => m.kind === "reading");
+    if (reading.length > 1) {
+      layer.svg.appendChild(svgElement(doc, "polyline", {
+        points: reading.map(m => `${m.x},${m.y}`).join(" "),
+        fill: "none", stroke: MARKER_STYLES.reading.color, "stroke-width": 1.5, "stroke-dasharray": "4 3", opacity: 0.7,
+      }));
+    }
+    for (const m of markers) {
+      const g = svgElement(doc, "g", {});
+      const title = svgElement(doc, "title", {});
+      title.textContent = `${MARKER_STYLES[m.kind].label} ${m.number}: ${m.label}`;
+      g.appendChild(title);
+      g.appendChild(svgElement(doc, m.kind === "tab" ? "circle" : "rect", m.kind === "tab"
+        ? { cx: m.x, cy: m.y, r: 10, fill: MARKER_STYLES.tab.color }
+        : { x: m.x - 10, y: m.y - 10, width: 20, height: 20, rx: 3, fill: MARKER_STYLES.reading.color }));
+      const text = svgElement(doc, "text", {
+        x: m.x, y: m.y + 4, "text-anchor": "middle", fill: "#fff", "font-size": 11, "font-family": "sans-serif",
+      });
+      text.textContent = String(m.number);
+      g.appendChild(text);
+      layer.svg.appendChild(g);
+    }
+    this._banner(layer, `${payload.frame.label}: ● tab order (${payload.tabOrder.length}), `
+      + `■ reading order (${payload.readingOrder.length})`);
+    return { markers: markers.length };
+  }
+
+  clear() {
+    this._layer?.root.remove();
+    this._layer = null;
+    this._win.removeEventListener("wheel", this._onUserMove, true);
+    this._win.removeEventListener("pointerdown", this._onUserMove, true);
+  }
+
+  /** A fresh, empty overlay layer over the whole page. */
+  _open() {
+    this.clear();
+    const doc  = this._win.document;
+    const root = doc.createElement("div");
+    root.id = OVERLAY_ID;
+    root.style.cssText = "position:fixed;inset:0;z-index:2147483647;pointer-events:none;";
+    const svg = svgElement(doc, "svg", { width: "100%", height: "100%" });
+    svg.style.cssText = "position:absolute;inset:0;";
+    root.appendChild(svg);
+    doc.body.appendChild(root);
+
+    // Figma's zoom and scroll would leave the markers behind.
+    this._win.addEventListener("wheel", this._onUserMove, true);
+    this._win.addEventListener("pointerdown", this._onUserMove, true);
+    this._layer = { root, svg };
+    return this._layer;
+  }
+
+  _banner(layer, text) {
+    const banner = this._win.document.createElement("div");
+    banner.setAttribute("role", "status");
+    banner.textContent = text;
+    banner.style.cssText = "position:absolute;left:50%;bottom:24px;transform:translateX(-50%);max-width:60%;"
+      + "padding:8px 12px;border-radius:6px;background:#222;color:#fff;font:13px sans-serif;";
+    layer.root.appendChild(banner);
+  }
+}
+
+/**
+ * Answers canvasProtocol messages in this tab.
+ * @param {object} runtime - chrome.runtime
+ * @param {Window} win
+ * @returns {() => void} Removes the listener
+ */
+export function install(runtime, win) {
+  const overlay = new CanvasOverlay(win);
+  return listen(runtime, {
+    ping:      () => ({ url: win.location.href }),
+    showNode:  (payload) => overlay.showNode(payload),
+    showOrder: (payload) => overlay.showOrder(payload),
+    clear:     () => overlay.clear(),
+  });
+}
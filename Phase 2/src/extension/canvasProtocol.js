@@ -0,0 +1,100 @@
+// ============================================================
+// src/extension/canvasProtocol.js
+// Messages between the popup and the content script on figma.com.
+// Every message is { source, type, payload }; the content script
+// answers { ok: true, result } or { ok: false, error }. Both sides take
+// chrome.runtime / chrome.tabs as parameters, so tests can stub them.
+// ============================================================
+
+export const MESSAGE_SOURCE = "figma-a11y";
+
+// Message types → payload validators. Add a message by adding an
+// entry (Open/Closed); the content script registers a handler per type.
+export const MESSAGE_TYPES = {
+  ping:      () => null,
+  showNode:  (p) => (typeof p?.nodeId === "string" && p.nodeId !== "" ? null : "needs a nodeId"),
+  showOrder: (p) => (typeof p?.frame?.id === "string" && Array.isArray(p.tabOrder) && Array.isArray(p.readingOrder)
+    ? null
+    : "needs a frame, tabOrder and readingOrder"),
+  clear:     () => null,
+};
+
+/**
+ * @param {string} type - A key of MESSAGE_TYPES
+ * @param {object} [payload]
+ * @returns {{ source: string, type: string, payload: object }}
+ * @throws {TypeError} For unknown types and invalid payloads
+ */
+export function createMessage(type, payload = {}) {
+  const validate = MESSAGE_TYPES[type];
+  if (!validate) throw new TypeError(`Unknown message type "${type}".`);
+  const problem = validate(payload);
+  if (problem) throw new TypeError(`"${type}" message ${problem}.`);
+  return { source: MESSAGE_SOURCE, type, payload };
+}
+
+/** True for messages this protocol sent; anything else on the channel is ignored. */
+export function isProtocolMessage(message) {
+  return message?.source === MESSAGE_SOURCE && typeof message.type === "string";
+}
+
+/**
+ * chrome.runtime.onMessage listener that dispatches protocol messages
+ * to `handlers` by type. Handlers may be async; their result (or error
+ * message) is sent back to the popup.
+ * @param {Object<string, (payload: object) => any>} handlers
+ * @returns {(message: object, sender: object, sendResponse: Function) => boolean}
+ */
+export function createMessageHandler(handlers) {
+  return (message, sender, sendResponse) => {
+    if (!isProtocolMessage(message)) return false;
+    Promise.resolve()
+      .then(() => {
+        createMessage(message.type, message.payload);   // validates
+        const handler = handlers[message.type];
+        if (!handler) throw new Error(`No handler for "${message.type}".`);
+        return handler(message.payload);
+      })
+      .then(
+        (result) => sendResponse({ ok: true, result: result ?? null }),
+        (error)  => sendResponse({ ok: false, error: error.message }),
+      );
+    return true;   // The response is sent asynchronously
+  };
+}
+
+/**
+ * Registers `handlers` on a chrome.runtime-like object.
+ * @param {{ onMessage: { addListener: Function, removeListener: Function } }} runtime
+ * @param {object} handlers - See createMessageHandler()
+ * @returns {() => void} Removes the listener
+ */
+export function listen(runtime, handlers) {
+  const listener = createMessageHandler(handlers);
+  runtime.onMessage.addListener(listener);
+  return () => runtime.onMessage.removeListener(listener);
+}
+
+const FIGMA_FILE_URL = /^https:\/\/www\.figma\.com\/(?:file|design|proto|board)\/([A-Za-z0-9]+)/;
+
+/**
+ * File key of a figma.com file URL, or null for other pages.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function figmaFileKeyOf(url) {
+  return FIGMA_FILE_URL.exec(url ?? "")?.[1] ?? null;
+}
+
+/**
+ * `url` pointing at `nodeId`, as "Copy link to selection" would write it.
+ * @param {string} url
+ * @param {string|null} nodeId - e.g. "12:34"; null removes the node-id
+ * @returns {string}
+ */
+export function withNodeId(url, nodeId) {
+  const next = new URL(url);
+  if (nodeId === null) next.searchParams.delete("node-id");
+  else next.searchParams.set("node-id", nodeId.replace(/:/g, "-"));
+  return next.toString();
+}
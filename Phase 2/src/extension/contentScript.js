@@ -0,0 +1,15 @@
+// ============================================================
+// src/extension/contentScript.js
+// Injected into the figma.com tab by CanvasBridge. Content scripts
+// cannot be ES modules, so this only loads canvasOverlay.js (listed in
+// web_accessible_resources) and lets it answer the popup. Injecting
+// twice is harmless.
+// ============================================================
+
+(() => {
+  if (window.__figmaA11yCanvas) return;
+  window.__figmaA11yCanvas = true;
+  import(chrome.runtime.getURL("src/extension/canvasOverlay.js"))
+    .then(({ install }) => install(chrome.runtime, window))
+    .catch(err => console.error("[Figma Accessibility Auditor]", err));
+})();
@@ -1,21 +1,59 @@
 // ============================================================
 // src/extension/popup.js
-// Entry point: orchestrates Figma API fetch → SemanticTree
-// build → Accessibility services → UI render.
+// Entry point: orchestrates Figma API fetch (or an exported JSON
+// file) → SemanticTree build → Accessibility services → UI render.
 // ============================================================
 
-import { FigmaClient }         from "../api/figmaClient.js";
-import { SemanticTree }        from "../semantic/SemanticTree.js";
-import { ScreenReaderService } from "../accessibility/ScreenReaderService.js";
-import { KeyboardNavigator }   from "../accessibility/KeyboardNavigator.js";
-import { AuditService }        from "../accessibility/AuditService.js";
+import { FigmaClient, normalizeFigmaResponse, parseFigmaUrl } from "../api/figmaClient.js";
+import { runAuditPipeline } from "../pipeline/auditPipeline.js";
+import {
+  RuleRegistry, sortFindings, screensOf, SEVERITY_ORDER,
+} from "../accessibility/auditService.js";
+import { walk } from "../accessibility/geometry.js";
+import { VirtualScreenReader } from "../accessibility/virtualScreenReader.js";
+import { buildReport, formatReport, REPORT_FORMATS } from "../export/reportFormats.js";
+import { BaselineStore, applyBaseline, createSnapshot } from "../accessibility/baseline.js";
+import { treeSnapshot, diffTrees, describeTreeDiff } from "../semantic/treeDiff.js";
+import { PatTokenProvider } from "../api/figmaAuth.js";
+import { SpeechPlayer, WebSpeechSpeaker, hasSpeechSynthesis } from "./speech.js";
+import { CanvasBridge, buildOrderPayload } from "./canvasBridge.js";
+import { storageGet, storageSet, responseCache, STORAGE_KEYS } from "./storage.js";
+import {
+  loadTokenProvider, rememberPat, forgetCredentials, signInWithFigma, isOAuthConfigured,
+} from "./auth.js";
 
 // ---- DOM references ----
 const auditBtn   = document.getElementById("auditBtn");
 const tokenInput = document.getElementById("tokenInput");
+const rememberEl = document.getElementById("rememberToken");
+const oauthBtn   = document.getElementById("oauthBtn");
+const forgetBtn  = document.getElementById("forgetBtn");
 const fileInput  = document.getElementById("fileKeyInput");
+const jsonInput  = document.getElementById("jsonFileInput");
 const statusEl   = document.getElementById("status");
 const resultsEl  = document.getElementById("results");
+const configEl   = document.getElementById("configInput");
+const saveCfgBtn = document.getElementById("saveConfigBtn");
+const srPanel    = document.getElementById("srPanel");
+const srSession  = document.getElementById("srSession");
+const srSpeech   = document.getElementById("srSpeech");
+const grammarEl  = document.getElementById("grammarSelect");
+const speechEl   = document.getElementById("speechControls");
+const playBtn    = document.getElementById("speechPlayBtn");
+const stopBtn    = document.getElementById("speechStopBtn");
+const prevBtn    = document.getElementById("speechPrevBtn");
+const nextBtn    = document.getElementById("speechNextBtn");
+const rateEl     = document.getElementById("speechRate");
+const rateOutEl  = document.getElementById("speechRateValue");
+const voiceEl    = document.getElementById("speechVoice");
+const downloadEl = document.getElementById("downloads");
+const canvasEl   = document.getElementById("canvasControls");
+const screenEl   = document.getElementById("canvasScreen");
+const orderBtn   = document.getElementById("canvasOrderBtn");
+const clearBtn   = document.getElementById("canvasClearBtn");
+
+// Text colour for each finding severity.
+const SEVERITY_COLORS = { error: "#c0392b", warning: "#b9770e", info: "#555" };
 
 // ---- Helpers ----
 
@@ -23,11 +61,31 @@ function setStatus(msg) {
   statusEl.textContent = msg;
 }
 
-function renderResults(screenReaderLines, tabOrder, auditResult, errors) {
+// Flattens the tree into "why was this classified so" lines.
+function describeClassifications(components, lines = []) {
+  for (const c of components) {
+    const info = c.getClassification();
+    if (info) {
+      const pct = Math.round(info.confidence * 100);
+      lines.push(`[${c.getId()}] "${c.getLabel()}" → ${c.getRole()} (${pct}%): ${info.reason}`);
+    }
+    describeClassifications(c.getChildren(), lines);
+  }
+  return lines;
+}
+
+// "[1.4.3] COLOR_CONTRAST — Page > Submit: message Fix: ..."
+function formatFindingLine(f) {
+  const sc = f.wcag.length ? `[${f.wcag.join(", ")}] ` : "";
+  return `${sc}${f.ruleId} — ${f.nodePath}: ${f.message} Fix: ${f.fix}`;
+}
+
+function renderResults(screenReaderLines, tabOrder, auditResult, errors, classifications, changes = null) {
   resultsEl.hidden = false;
   resultsEl.innerHTML = "";
 
-  const section = (title, lines, isError = false) => {
+  // With onSelect, each line is a button that calls onSelect(index).
+  const section = (title, lines, color = null, onSelect = null) => {
     const h = document.createElement("strong");
     h.textContent = title;
     resultsEl.appendChild(h);
@@ -36,85 +94,439 @@ function renderResults(screenReaderLines, tabOrder, auditResult, errors) {
       const p = document.createElement("p");
       p.textContent = "None.";
       resultsEl.appendChild(p);
-      return;
+      return [];
     }
 
     const ul = document.createElement("ul");
-    for (const line of lines) {
+    lines.forEach((line, i) => {
       const li = document.createElement("li");
-      li.textContent = line;
-      if (isError) li.style.color = "#c0392b";
+      if (onSelect) {
+        const button = document.createElement("button");
+        button.type        = "button";
+        button.className   = "finding";
+        button.textContent = line;
+        button.addEventListener("click", () => onSelect(i));
+        li.appendChild(button);
+      } else {
+        li.textContent = line;
+      }
+      if (color) li.style.color = color;
       ul.appendChild(li);
-    }
+    });
     resultsEl.appendChild(ul);
+    return [...ul.children];
   };
 
-  section("Screen Reader Output:", screenReaderLines);
+  if (changes) section(`Changes Since Version ${changes.version}:`, changes.lines);
+  readingOrderItems = section("Screen Reader Output:", screenReaderLines);
   section("Keyboard Tab Order:", tabOrder.map((t, i) => `${i + 1}. ${t.hint}`));
   section("Audit — Passed:", auditResult.passed);
-  section("Audit — Failed:", auditResult.failed, true);
-  section("Parse Errors:", errors.map(e => `[${e.nodeId}] ${e.message}`), true);
+
+  // Findings grouped by severity, sorted by WCAG criterion within each group
+  const sorted = sortFindings(auditResult.findings);
+  for (const severity of Object.keys(SEVERITY_ORDER)) {
+    const group = sorted.filter(f => f.severity === severity);
+    if (group.length === 0) continue;
+    const title = `Audit — ${severity[0].toUpperCase()}${severity.slice(1)}s (${group.length}):`;
+    const select = canvas ? (i) => showFindingOnCanvas(group[i]) : null;
+    section(title, group.map(formatFindingLine), SEVERITY_COLORS[severity], select);
+  }
+
+  section("Classification:", classifications);
+  section("Parse Errors:", errors.map(e => `[${e.nodeId}] ${e.message}`), SEVERITY_COLORS.error);
+}
+
+// ---- Rule settings ----
+
+async function loadConfig() {
+  return (await storageGet(STORAGE_KEYS.auditConfig)) ?? null;
+}
+
+saveCfgBtn.addEventListener("click", async () => {
+  const text = configEl.value.trim();
+  try {
+    const config = text ? JSON.parse(text) : { rules: {} };
+    new RuleRegistry().configure(config);   // Validate before saving
+    await storageSet(STORAGE_KEYS.auditConfig, config);
+    setStatus("Rule settings saved.");
+  } catch (err) {
+    setStatus(`Invalid rule settings: ${err.message}`);
+  }
+});
+
+loadConfig()
+  .then(config => { configEl.value = config ? JSON.stringify(config, null, 2) : ""; })
+  .catch(err => console.error("[Figma Accessibility Auditor]", err));
+
+// ---- Credentials ----
+
+const TOKEN_PLACEHOLDER = tokenInput.placeholder;
+
+async function showCredentialState() {
+  const saved = await loadTokenProvider();
+  tokenInput.placeholder = saved ? "Using saved credentials" : TOKEN_PLACEHOLDER;
+  forgetBtn.hidden = !saved;
+}
+
+/** A typed token wins over saved credentials. */
+async function resolveTokenProvider() {
+  const token = tokenInput.value.trim();
+  return token ? new PatTokenProvider(token) : loadTokenProvider();
+}
+
+/**
+ * Saves a typed token when "Remember" is ticked. Called only after a
+ * request with it succeeded, so a mistyped token is never stored.
+ * @param {string} token - As typed when the audit started; may be empty
+ */
+async function rememberWorkingToken(token) {
+  if (token && rememberEl.checked && await rememberPat(token)) await showCredentialState();
+}
+
+oauthBtn.hidden = !isOAuthConfigured();
+
+oauthBtn.addEventListener("click", async () => {
+  oauthBtn.disabled = true;
+  setStatus("Waiting for Figma sign-in...");
+  try {
+    await signInWithFigma();
+    await showCredentialState();
+    setStatus("Signed in with Figma.");
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+  } finally {
+    oauthBtn.disabled = false;
+  }
+});
+
+forgetBtn.addEventListener("click", async () => {
+  try {
+    await forgetCredentials();
+    tokenInput.value = "";
+    await showCredentialState();
+    setStatus("Saved credentials removed.");
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+    console.error("[Figma Accessibility Auditor]", err);
+  }
+});
+
+showCredentialState()
+  .catch(err => console.error("[Figma Accessibility Auditor]", err));
+
+// ---- Virtual screen reader ----
+
+// Quick-nav keys, as in NVDA and JAWS browse mode. Shift goes back.
+const SCREEN_READER_KEYS = {
+  ArrowDown: (sr) => sr.next(),
+  ArrowUp:   (sr) => sr.previous(),
+  h:         (sr) => sr.next("heading"),
+  H:         (sr) => sr.previous("heading"),
+  d:         (sr) => sr.next("landmark"),
+  D:         (sr) => sr.previous("landmark"),
+  f:         (sr) => sr.next("formControl"),
+  F:         (sr) => sr.previous("formControl"),
+  k:         (sr) => sr.next("link"),
+  K:         (sr) => sr.previous("link"),
+  Home:      (sr) => sr.first(),
+  Enter:     (sr) => sr.repeat(),
+};
+
+let screenReaderRoots = [];
+let screenReader      = null;
+
+function startScreenReader(roots) {
+  screenReaderRoots = roots;
+  screenReader      = new VirtualScreenReader(roots, { grammar: grammarEl.value });
+  srSpeech.textContent = `${screenReader.length} items. Focus here and press ↓ to start reading.`;
+  srPanel.hidden = false;
+}
+
+srSession.addEventListener("keydown", (event) => {
+  const action = SCREEN_READER_KEYS[event.key];
+  if (!screenReader || !action || event.ctrlKey || event.metaKey || event.altKey) return;
+  event.preventDefault();
+  // VoiceOver says nothing at the edges; still show that nothing moved.
+  srSpeech.textContent = action(screenReader) || "(no further items)";
+});
+
+// Switching phrasing keeps the reader at the start; re-read with ↓.
+grammarEl.addEventListener("change", () => {
+  if (screenReaderRoots.length > 0) startScreenReader(screenReaderRoots);
+});
+
+// ---- Listen: speech playback of the screen reader output ----
+
+// <li> elements of the "Screen Reader Output" section, highlighted as they are spoken.
+let readingOrderItems = [];
+
+const speaker = hasSpeechSynthesis() ? new WebSpeechSpeaker() : null;
+const player  = speaker && new SpeechPlayer(speaker, {
+  onChange: showPlayback,
+  onError:  (err) => setStatus(`Error: ${err.message}`),
+});
+
+function showPlayback(p) {
+  playBtn.textContent = p.state === "playing" ? "Pause" : "Play";
+  readingOrderItems.forEach((li, i) => {
+    const speaking = p.state !== "stopped" && i === p.index;
+    li.classList.toggle("speaking", speaking);
+    if (speaking) li.scrollIntoView({ block: "nearest" });
+  });
+}
+
+function listVoices() {
+  const current = voiceEl.value;
+  voiceEl.length = 1;   // Keep "Browser default"
+  for (const voice of speaker.getVoices()) {
+    voiceEl.add(new Option(`${voice.name} (${voice.lang})`, voice.name, false, voice.name === current));
+  }
+}
+
+function loadSpeech(lines) {
+  if (!player) return;
+  player.load(lines);
+  speechEl.hidden = lines.length === 0;
+}
+
+if (player) {
+  playBtn.addEventListener("click", () => (player.state === "playing" ? player.pause() : player.play()));
+  stopBtn.addEventListener("click", () => player.stop());
+  prevBtn.addEventListener("click", () => player.skip(-1));
+  nextBtn.addEventListener("click", () => player.skip(1));
+  rateEl.addEventListener("input", () => {
+    player.setRate(rateEl.value);
+    rateOutEl.textContent = `${rateEl.value}×`;
+  });
+  voiceEl.addEventListener("change", () => player.setVoice(voiceEl.value));
+  listVoices();
+  speaker.onVoicesChanged(listVoices);
+}
+
+// ---- Download report ----
+
+// Report from the last audit, written out when a download button is pressed.
+let lastReport = null;
+
+function downloadReport(format) {
+  const { extension, mimeType } = REPORT_FORMATS[format];
+  const blob = new Blob([formatReport(lastReport, format)], { type: mimeType });
+  const name = (lastReport.file.name ?? "figma").replace(/[^\w.-]+/g, "-");
+  const link = document.createElement("a");
+  link.href     = URL.createObjectURL(blob);
+  link.download = `${name}-a11y.${extension}`;
+  link.click();
+  // Revoke after the click has been handled, or the download can be cut off.
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+downloadEl.addEventListener("click", (event) => {
+  const format = event.target.closest("button[data-format]")?.dataset.format;
+  if (format && lastReport) downloadReport(format);
+});
+
+// ---- Canvas: highlight findings in the open Figma tab ----
+
+// Only inside the extension; a popup opened from Live Server has no tabs to talk to.
+const canvas = globalThis.chrome?.tabs && globalThis.chrome?.scripting
+  ? new CanvasBridge(globalThis.chrome)
+  : null;
+
+// The last audit's file key (null for an exported JSON file), screens and layer bounds.
+let canvasFileKey = null;
+let canvasScreens = [];
+let canvasBounds  = new Map();
+
+function showCanvasControls(fileKey, roots) {
+  if (!canvas) return;
+  canvasFileKey = fileKey;
+  canvasScreens = screensOf(roots);
+  canvasBounds  = new Map(roots.flatMap(r => [...walk(r)]).map(c => [c.getId(), c.getBounds()]));
+  screenEl.length = 0;
+  for (const screen of canvasScreens) screenEl.add(new Option(screen.getLabel(), screen.getId()));
+  // One screen needs no choice.
+  for (const el of [screenEl, screenEl.labels[0]]) el.hidden = canvasScreens.length < 2;
+  orderBtn.disabled = canvasScreens.length === 0;
+  canvasEl.hidden = false;
+}
+
+async function onCanvas(action) {
+  try {
+    await action();
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+  }
+}
+
+function showFindingOnCanvas(finding) {
+  return onCanvas(() => canvas.showNode(canvasFileKey, finding.nodeId, {
+    label:   finding.nodePath,
+    message: finding.message,
+    bounds:  canvasBounds.get(finding.nodeId) ?? null,
+  }));
+}
+
+if (canvas) {
+  orderBtn.addEventListener("click", () => {
+    const screen = canvasScreens.find(s => s.getId() === screenEl.value) ?? canvasScreens[0];
+    return onCanvas(() => canvas.showOrder(canvasFileKey, buildOrderPayload(screen)));
+  });
+  clearBtn.addEventListener("click", () => onCanvas(() => canvas.clear(canvasFileKey)));
+}
+
+// ---- Baseline: progress since the previous version of the file ----
+
+const baselines = new BaselineStore({ get: storageGet, set: storageSet });
+
+/**
+ * Compares lastReport and the semantic tree with the last audited
+ * version of the file at the same scope (the whole file, or the same
+ * node), then saves both as the baseline for the next.
+ * @param {string} fileKey
+ * @param {SemanticTree} tree
+ * @returns {Promise<{ status: string, changes: { version: string, lines: string[] }|null }>}
+ *   Empty status and null changes for a first audit
+ */
+async function compareWithPreviousVersion(fileKey, tree) {
+  const scope    = lastReport.scope?.nodeId ?? null;
+  const previous = await baselines.previous(fileKey, lastReport.file.version, { scope });
+  if (previous) lastReport = applyBaseline(lastReport, previous);
+  await baselines.save({ ...createSnapshot(lastReport), tree: treeSnapshot(tree) });
+  if (!previous) return { status: "", changes: null };
+
+  const { counts } = lastReport.comparison;
+  // Baselines saved before tree snapshots were added have nothing to diff
+  // against. A tree from another scope would show everything outside the
+  // audited node as added or removed.
+  const comparable = previous.tree && (previous.scope ?? null) === scope;
+  return {
+    status:  `\nSince version ${previous.version}: ${counts.new} new, ${counts.fixed} fixed.`,
+    changes: comparable ? { version: previous.version, lines: describeTreeDiff(diffTrees(previous.tree, tree)) } : null,
+  };
 }
 
 // ---- Main handler ----
 
+/**
+ * Steps 2–4: build the semantic tree, run the services, render.
+ * @param {string|null} [fileKey] - Figma file key, so reports can link to each layer
+ * @param {object|null} [scope]  - { nodeId, name, type } when one node was audited
+ */
+async function auditNodes(nodes, fileData, fileKey = null, scope = null) {
+  setStatus(`Retrieved ${nodes.length} top-level node(s). Building semantic tree...`);
+
+  const audit = runAuditPipeline(nodes, fileData, { config: await loadConfig(), onProgress: setStatus });
+  const { roots, readingOrder, tabOrder, auditResult, parseErrors } = audit;
+  lastReport = buildReport(audit, { file: { ...fileData, key: fileKey }, scope });
+
+  const { status, changes } = fileKey
+    ? await compareWithPreviousVersion(fileKey, audit.tree)
+    : { status: "", changes: null };
+  setStatus(`Done. ${roots.length} components | `
+    + `${auditResult.passed.length} checks passed | `
+    + `${auditResult.findings.length} issues found.${status}`);
+
+  renderResults(readingOrder, tabOrder, auditResult, parseErrors, describeClassifications(roots), changes);
+  downloadEl.hidden = false;
+  showCanvasControls(fileKey, roots);
+  loadSpeech(readingOrder);
+  startScreenReader(roots);
+}
+
 auditBtn.addEventListener("click", async () => {
-  const token   = tokenInput.value.trim();
   const fileKey = fileInput.value.trim();
+  const token   = tokenInput.value.trim();
+  let auth;
+  try {
+    auth = await resolveTokenProvider();
+  } catch (err) {
+    setStatus(`Error: ${err.message}`);
+    console.error("[Figma Accessibility Auditor]", err);
+    return;
+  }
 
   // Input validation
-  if (!token) {
-    setStatus("Please enter your Figma Personal Access Token.");
+  if (!auth) {
+    setStatus("Please enter your Figma Personal Access Token, or sign in with Figma.");
     tokenInput.focus();
     return;
   }
   if (!fileKey) {
-    setStatus("Please enter a Figma File Key.");
+    setStatus("Please enter a Figma File Key or URL.");
+    fileInput.focus();
+    return;
+  }
+
+  // A URL copied with "Copy link to selection" carries a node-id;
+  // audit just that page or frame.
+  let target;
+  try {
+    target = parseFigmaUrl(fileKey);
+  } catch (err) {
+    setStatus(err.message);
     fileInput.focus();
     return;
   }
 
   auditBtn.disabled = true;
   setStatus("Connecting to Figma API...");
-  resultsEl.hidden = true;
+  resultsEl.hidden  = true;
+  srPanel.hidden    = true;
+  speechEl.hidden   = true;
+  downloadEl.hidden = true;
+  canvasEl.hidden   = true;
+  player?.stop();
 
   try {
     // Step 1: Fetch from Figma
-    const client   = new FigmaClient(token);
-    const fileData = await client.fetchFile(fileKey);
-    const nodes    = client.extractNodes(fileData);
-
-    setStatus(`Retrieved ${nodes.length} top-level node(s). Building semantic tree...`);
-
-    // Step 2: Build semantic tree
-    const tree = new SemanticTree();
-    tree.build(nodes);
-    const roots = tree.getRoots();
-
-    setStatus(`Semantic tree built: ${roots.length} component(s). Running accessibility services...`);
-
-    // Step 3: Run accessibility services
-    const srService  = new ScreenReaderService();
-    const kbNav      = new KeyboardNavigator();
-    const auditor    = new AuditService();
-
-    const readingOrder = srService.generateReadingOrder(roots);
-    const tabOrder     = kbNav.buildTabOrder(roots);
-    const auditResult  = auditor.runAudit(roots);
+    const client   = new FigmaClient(auth, { cache: responseCache });
+    const fileData = target.nodeId
+      ? await client.fetchNodes(target.fileKey, [target.nodeId])
+      : await client.fetchFile(target.fileKey);
+    await rememberWorkingToken(token);
+    const nodes = client.extractNodes(fileData);
+    const node  = target.nodeId && nodes.find(n => n.id === target.nodeId);
+    const scope = target.nodeId
+      ? { nodeId: target.nodeId, name: node?.name ?? null, type: node?.type ?? null }
+      : null;
+    await auditNodes(nodes, fileData, target.fileKey, scope);
+  } catch (err) {
+    // All thrown errors surface here with user-friendly messages
+    setStatus(`Error: ${err.message}`);
+    console.error("[Figma Accessibility Auditor]", err);
+  } finally {
+    auditBtn.disabled = false;
+  }
+});
 
-    const summary = `Done. ${roots.length} components | `
-      + `${auditResult.passed.length} checks passed | `
-      + `${auditResult.failed.length} issues found.`;
-    setStatus(summary);
+// Offline audit of a saved file or /nodes response; no token needed.
+jsonInput.addEventListener("change", async () => {
+  const file = jsonInput.files?.[0];
+  if (!file) return;
 
-    // Step 4: Render to UI
-    renderResults(readingOrder, tabOrder, auditResult, tree.getErrors());
+  auditBtn.disabled = true;
+  setStatus(`Reading ${file.name}...`);
+  resultsEl.hidden  = true;
+  srPanel.hidden    = true;
+  speechEl.hidden   = true;
+  downloadEl.hidden = true;
+  canvasEl.hidden   = true;
+  player?.stop();
 
+  try {
+    let raw;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (parseErr) {
+      throw new Error(`"${file.name}" is not valid JSON: ${parseErr.message}`);
+    }
+    const { fileData, nodes } = normalizeFigmaResponse(raw);
+    await auditNodes(nodes, fileData);
   } catch (err) {
-    // All thrown errors surface here with user-friendly messages
     setStatus(`Error: ${err.message}`);
     console.error("[Figma Accessibility Auditor]", err);
   } finally {
     auditBtn.disabled = false;
+    jsonInput.value = "";   // Allow re-selecting the same file
   }
-});
\ No newline at end of file
+});
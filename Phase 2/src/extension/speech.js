@@ -0,0 +1,193 @@
+// ============================================================
+// src/extension/speech.js
+// Plays the screen reader output aloud in the popup. SpeechPlayer
+// walks a list of announcements; the speaking itself goes through a
+// speaker, so the Web Speech API can be swapped for a stub in tests.
+// ============================================================
+
+// A speaker is:
+//   speak(text, { rate, voice }) → Promise, resolves "ended" when the
+//                                  text has been spoken, "cancelled" if
+//                                  cancel() stopped it
+//   pause(), resume(), cancel()
+//   getVoices() → [{ name, lang, default }]
+
+export const MIN_RATE = 0.5;
+export const MAX_RATE = 2;
+
+/** True if this browser can speak. */
+export function hasSpeechSynthesis() {
+  return Boolean(globalThis.speechSynthesis && globalThis.SpeechSynthesisUtterance);
+}
+
+/** Speaker backed by window.speechSynthesis. */
+export class WebSpeechSpeaker {
+  /**
+   * @param {SpeechSynthesis} [synth]
+   * @param {typeof SpeechSynthesisUtterance} [Utterance]
+   */
+  constructor(synth = globalThis.speechSynthesis, Utterance = globalThis.SpeechSynthesisUtterance) {
+    if (!synth || !Utterance) throw new Error("Speech synthesis is not available in this browser.");
+    this._synth     = synth;
+    this._Utterance = Utterance;
+  }
+
+  speak(text, { rate = 1, voice = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const utterance = new this._Utterance(text);
+      utterance.rate  = rate;
+      utterance.voice = this._synth.getVoices().find(v => v.name === voice) ?? null;
+      utterance.onend   = () => resolve("ended");
+      utterance.onerror = (event) => {
+        // Chrome reports cancel() as an "interrupted" or "canceled" error.
+        if (event.error === "interrupted" || event.error === "canceled") resolve("cancelled");
+        else reject(new Error(`Speech failed: ${event.error}.`));
+      };
+      this._synth.speak(utterance);
+    });
+  }
+
+  pause()  { this._synth.pause(); }
+  resume() { this._synth.resume(); }
+  cancel() { this._synth.cancel(); }
+
+  getVoices() {
+    return this._synth.getVoices().map(v => ({ name: v.name, lang: v.lang, default: v.default }));
+  }
+
+  /** Chrome loads voices asynchronously; calls `callback` when they change. */
+  onVoicesChanged(callback) {
+    this._synth.addEventListener?.("voiceschanged", callback);
+  }
+}
+
+/**
+ * Speaks a list of announcements one after another, with pause,
+ * skip, rate and voice controls. `onChange` is called whenever the
+ * current item or state changes, so the UI can highlight it.
+ */
+export class SpeechPlayer {
+  /**
+   * @param {object} speaker - See the speaker interface above
+   * @param {object} [options]
+   * @param {(player: SpeechPlayer) => void} [options.onChange]
+   * @param {(err: Error) => void} [options.onError]
+   */
+  constructor(speaker, { onChange = () => {}, onError = () => {} } = {}) {
+    if (typeof speaker?.speak !== "function") {
+      throw new TypeError("SpeechPlayer requires a speaker with a speak() method.");
+    }
+    this._speaker  = speaker;
+    this._onChange = onChange;
+    this._onError  = onError;
+    this._items    = [];
+    this._index    = 0;
+    this._state    = "stopped";   // "stopped" | "playing" | "paused"
+    this._rate     = 1;
+    this._voice    = null;
+    this._run      = 0;           // Bumped to abandon an in-flight loop
+  }
+
+  /** Replaces the announcements and stops playback. */
+  load(items) {
+    if (!Array.isArray(items)) throw new TypeError("SpeechPlayer.load expects an array of strings.");
+    this.stop();
+    this._items = items.map(String);
+    this._notify();
+  }
+
+  get state() { return this._state; }
+
+  /** Index of the item being (or about to be) spoken. */
+  get index() { return this._index; }
+
+  get length() { return this._items.length; }
+
+  /** Starts from the current item, or resumes after pause(). */
+  play() {
+    if (this._state === "playing" || this._items.length === 0) return;
+    if (this._state === "paused") {
+      this._speaker.resume();
+      this._state = "playing";
+      this._notify();
+      return;
+    }
+    this._start();
+  }
+
+  pause() {
+    if (this._state !== "playing") return;
+    this._speaker.pause();
+    this._state = "paused";
+    this._notify();
+  }
+
+  /** Stops and rewinds to the first item. */
+  stop() {
+    this._run++;
+    if (this._state !== "stopped") this._speaker.cancel();
+    this._state = "stopped";
+    this._index = 0;
+    this._notify();
+  }
+
+  /**
+   * Moves by `step` items (negative goes back). While playing, speech
+   * restarts at the new item; otherwise only the position moves.
+   */
+  skip(step = 1) {
+    if (this._items.length === 0) return;
+    this._index = Math.min(Math.max(this._index + step, 0), this._items.length - 1);
+    if (this._state === "stopped") {
+      this._notify();
+      return;
+    }
+    // A paused synthesizer would stay paused for the new item.
+    if (this._state === "paused") this._speaker.resume();
+    this._speaker.cancel();
+    this._start();
+  }
+
+  getRate() { return this._rate; }
+
+  /** Takes effect from the next item. */
+  setRate(rate) {
+    const n = Number(rate);
+    if (!Number.isFinite(n) || n < MIN_RATE || n > MAX_RATE) {
+      throw new RangeError(`Speech rate must be between ${MIN_RATE} and ${MAX_RATE}.`);
+    }
+    this._rate = n;
+  }
+
+  getVoice() { return this._voice; }
+
+  /** Voice name from the speaker's getVoices(), or null for the default. Takes effect from the next item. */
+  setVoice(name) {
+    this._voice = name || null;
+  }
+
+  async _start() {
+    const run = ++this._run;
+    this._state = "playing";
+    try {
+      while (this._index < this._items.length) {
+        this._notify();
+        const result = await this._speaker.speak(this._items[this._index], { rate: this._rate, voice: this._voice });
+        if (run !== this._run) return;   // Skipped or stopped meanwhile
+        if (result === "cancelled") break;
+        this._index++;
+      }
+    } catch (err) {
+      if (run !== this._run) return;
+      this._onError(err);
+    }
+    this._run++;
+    this._state = "stopped";
+    this._index = 0;
+    this._notify();
+  }
+
+  _notify() {
+    this._onChange(this);
+  }
+}
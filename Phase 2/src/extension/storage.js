@@ -0,0 +1,44 @@
+// ============================================================
+// src/extension/storage.js
+// Small async key/value wrapper over chrome.storage.local. Falls
+// back to window.localStorage when the popup is opened outside the
+// extension (e.g. via Live Server).
+// ============================================================
+
+const chromeStorage = globalThis.chrome?.storage?.local ?? null;
+
+export const STORAGE_KEYS = {
+  auditConfig: "auditConfig",
+  credentials: "credentials",
+};
+
+// Only chrome.storage is private to the extension; secrets must not
+// be written to a page's localStorage.
+export const hasExtensionStorage = chromeStorage !== null;
+
+/**
+ * @param {string} key
+ * @returns {Promise<any>} Stored value, or undefined
+ */
+export async function storageGet(key) {
+  if (chromeStorage) {
+    const result = await chromeStorage.get(key);
+    return result[key];
+  }
+  const raw = globalThis.localStorage?.getItem(key);
+  return raw == null ? undefined : JSON.parse(raw);
+}
+
+export async function storageSet(key, value) {
+  if (chromeStorage) return chromeStorage.set({ [key]: value });
+  globalThis.localStorage?.setItem(key, JSON.stringify(value));
+}
+
+export async function storageRemove(key) {
+  if (chromeStorage) return chromeStorage.remove(key);
+  globalThis.localStorage?.removeItem(key);
+}
+
+// FigmaClient response cache. FigmaClient tags each entry with the
+// file version, so a changed file is downloaded again.
+export const responseCache = { get: storageGet, set: storageSet };
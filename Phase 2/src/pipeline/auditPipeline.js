@@ -0,0 +1,41 @@
+// ============================================================
+// src/pipeline/auditPipeline.js
+// Host-agnostic wiring shared by the popup, the CLI and the Figma plugin:
+// Figma nodes → SemanticTree → ScreenReaderService,
+// KeyboardNavigator and AuditService.
+// ============================================================
+
+import { SemanticTree }        from "../semantic/semanticTree.js";
+import { ScreenReaderService } from "../accessibility/ScreenRead.js";
+import { KeyboardNavigator }   from "../accessibility/keyboardNav.js";
+import { AuditService }        from "../accessibility/auditService.js";
+
+/**
+ * Runs the full audit over already-fetched Figma nodes.
+ * @param {Array}  nodes    - Top-level Figma nodes, e.g. from FigmaClient.extractNodes()
+ * @param {object} [fileData] - Raw file response, for component and style lookups
+ * @param {object} [options]
+ * @param {object|null} [options.config] - JSON rule config for AuditService
+ * @param {(msg: string) => void} [options.onProgress] - Called between steps
+ * @returns {{ tree: SemanticTree, roots: UIComponent[], readingOrder: string[],
+ *             tabOrder: object[], auditResult: object, parseErrors: object[],
+ *             rules: object[] }} `rules` are the rules that ran, with their configured severity
+ */
+export function runAuditPipeline(nodes, fileData = {}, { config = null, onProgress = () => {} } = {}) {
+  const tree = new SemanticTree();
+  tree.build(nodes, fileData);
+  const roots = tree.getRoots();
+
+  onProgress(`Semantic tree built: ${roots.length} component(s). Running accessibility services...`);
+
+  const readingOrder = new ScreenReaderService().generateReadingOrder(roots);
+  const tabOrder     = new KeyboardNavigator().buildTabOrder(roots);
+  const auditService = new AuditService({ config });
+  const auditResult  = auditService.runAudit(roots, { flow: tree.getFlowGraph() });
+
+  return {
+    tree, roots, readingOrder, tabOrder, auditResult,
+    parseErrors: tree.getErrors(),
+    rules:       auditService.getRegistry().getActiveRules(),
+  };
+}
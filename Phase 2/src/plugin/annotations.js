@@ -0,0 +1,47 @@
+// ============================================================
+// src/plugin/annotations.js
+// Role and label overrides, stored on the node with
+// setSharedPluginData() under the a11y namespace. Shared plugin data
+// travels with the file, so the REST-based auditor (extension, CLI)
+// reads the same overrides the plugin wrote.
+// ============================================================
+
+import { A11Y_PLUGIN_NAMESPACE, A11Y_ROLE_KEY, A11Y_LABEL_KEY } from "../semantic/nodeClassifier.js";
+import { SUPPORTED_ROLES } from "../semantic/semanticTree.js";
+
+/**
+ * The overrides set on a node; null where none is set.
+ * @param {BaseNode} node - A Plugin API node
+ * @returns {{ role: string|null, label: string|null }}
+ */
+export function readOverrides(node) {
+  const read = (key) => node.getSharedPluginData(A11Y_PLUGIN_NAMESPACE, key).trim() || null;
+  return { role: read(A11Y_ROLE_KEY), label: read(A11Y_LABEL_KEY) };
+}
+
+/**
+ * Sets or clears the overrides given; keys left out are unchanged.
+ * An empty string or null clears the override (Figma deletes a key
+ * set to "").
+ * @param {BaseNode} node
+ * @param {{ role?: string|null, label?: string|null }} overrides
+ * @returns {{ role: string|null, label: string|null }} The overrides now set
+ * @throws {RangeError} For roles SemanticTree cannot build
+ * @throws {TypeError} For non-string values
+ */
+export function writeOverrides(node, overrides) {
+  const updates = [];
+  for (const [field, key] of [["role", A11Y_ROLE_KEY], ["label", A11Y_LABEL_KEY]]) {
+    if (!(field in overrides)) continue;
+    const value = overrides[field] ?? "";
+    if (typeof value !== "string") throw new TypeError(`The ${field} override must be a string.`);
+    const trimmed = field === "role" ? value.trim().toLowerCase() : value.trim();
+    if (field === "role" && trimmed && !SUPPORTED_ROLES.includes(trimmed)) {
+      throw new RangeError(`Unknown role "${value}". Expected one of: ${SUPPORTED_ROLES.join(", ")}.`);
+    }
+    updates.push([key, trimmed]);
+  }
+  // Validate everything before writing anything.
+  for (const [key, value] of updates) node.setSharedPluginData(A11Y_PLUGIN_NAMESPACE, key, value);
+  return readOverrides(node);
+}
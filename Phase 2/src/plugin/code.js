@@ -0,0 +1,92 @@
+// ============================================================
+// src/plugin/code.js
+// Figma plugin entry point: runs in the editor's sandbox, audits the
+// current selection (or page) with the same pipeline as the extension
+// and CLI, and writes role/label overrides back to the file. Talks to
+// the UI iframe (plugin/ui.html) by postMessage. Figma loads a single
+// script, so this is bundled to plugin/code.js (see README).
+// ============================================================
+
+import { adaptNodes } from "./nodeAdapter.js";
+import { readOverrides, writeOverrides } from "./annotations.js";
+import { runAuditPipeline } from "../pipeline/auditPipeline.js";
+import { buildReport } from "../export/reportFormats.js";
+import { SUPPORTED_ROLES } from "../semantic/semanticTree.js";
+
+figma.showUI(__html__, { width: 360, height: 600, themeColors: true });
+
+/** Posts the selection, and its overrides when one layer is selected. */
+function sendSelection() {
+  const selection = figma.currentPage.selection;
+  const node      = selection.length === 1 ? selection[0] : null;
+  figma.ui.postMessage({
+    type:  "selection",
+    count: selection.length,
+    node:  node && { id: node.id, name: node.name, type: node.type, overrides: readOverrides(node) },
+    roles: SUPPORTED_ROLES,
+  });
+}
+
+/** Audits the selection, or the whole page when nothing is selected. */
+async function audit() {
+  const selection = figma.currentPage.selection;
+  const targets   = selection.length > 0 ? [...selection] : [...figma.currentPage.children];
+  const { nodes, fileData } = await adaptNodes(targets, { getStyleById: (id) => figma.getStyleByIdAsync(id) });
+
+  const result = runAuditPipeline(nodes, fileData);
+  const only   = selection.length === 1 ? selection[0] : null;
+  const report = buildReport(result, {
+    file:  { key: figma.fileKey ?? null, name: figma.root.name },
+    scope: only && { nodeId: only.id, name: only.name, type: only.type },
+  });
+  figma.ui.postMessage({
+    type:   "report",
+    target: selection.length > 0 ? `${selection.length} selected layer(s)` : `page "${figma.currentPage.name}"`,
+    report,
+  });
+}
+
+/** A layer by id, switching to its page if needed. */
+async function findLayer(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node || node.type === "DOCUMENT" || node.type === "PAGE") {
+    throw new Error(`Layer ${nodeId} no longer exists.`);
+  }
+  let page = node.parent;
+  while (page && page.type !== "PAGE") page = page.parent;
+  if (page && page !== figma.currentPage) await figma.setCurrentPageAsync(page);
+  return node;
+}
+
+// Messages from the UI. Add a message by adding an entry (Open/Closed).
+const UI_MESSAGES = {
+  audit: () => audit(),
+
+  select: async ({ nodeId }) => {
+    const node = await findLayer(nodeId);
+    figma.currentPage.selection = [node];
+    figma.viewport.scrollAndZoomIntoView([node]);
+  },
+
+  setOverrides: async ({ nodeId, role, label }) => {
+    const node = await findLayer(nodeId);
+    writeOverrides(node, { role, label });
+    figma.notify(`Saved accessibility overrides for "${node.name}".`);
+    sendSelection();
+    await audit();
+  },
+};
+
+figma.ui.onmessage = async (message) => {
+  const handler = UI_MESSAGES[message?.type];
+  if (!handler) return;
+  try {
+    await handler(message);
+  } catch (err) {
+    figma.ui.postMessage({ type: "error", message: err.message });
+  }
+};
+
+figma.on("selectionchange", sendSelection);
+figma.on("currentpagechange", sendSelection);
+sendSelection();
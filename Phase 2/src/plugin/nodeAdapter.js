@@ -0,0 +1,118 @@
+// ============================================================
+// src/plugin/nodeAdapter.js
+// Turns live Plugin API nodes (figma.currentPage, the selection) into
+// the REST API's JSON shape, so SemanticTree.build() and everything
+// after it run unchanged inside the editor. The nodes are the only
+// thing read; lookups that need the `figma` global are passed in, so
+// this module has no host of its own.
+// ============================================================
+
+import { A11Y_PLUGIN_NAMESPACE } from "../semantic/nodeClassifier.js";
+
+// figma.mixed is a symbol: the property differs across the node's
+// text ranges or children.
+const isMixed = (value) => typeof value === "symbol";
+
+/** Plain JSON copy, for Plugin API objects that are frozen or carry getters. */
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/** A text property, or its value at the first character when it varies. */
+function textProperty(node, value, rangeGetter) {
+  if (!isMixed(value)) return value;
+  return node.characters.length > 0 ? node[rangeGetter](0, 1) : null;
+}
+
+// Plugin API { type: "URL", value } / { type: "NODE", value } → REST style.hyperlink.
+function hyperlinkOf(node) {
+  const link = textProperty(node, node.hyperlink, "getRangeHyperlink");
+  if (!link || isMixed(link)) return null;
+  return link.type === "URL" ? { type: "URL", url: link.value } : { type: "NODE", nodeID: link.value };
+}
+
+/** The a11y annotations as REST returns them: { a11y: { key: value } }. */
+function sharedPluginDataOf(node) {
+  const keys = node.getSharedPluginDataKeys?.(A11Y_PLUGIN_NAMESPACE) ?? [];
+  if (keys.length === 0) return undefined;
+  const values = {};
+  for (const key of keys) values[key] = node.getSharedPluginData(A11Y_PLUGIN_NAMESPACE, key);
+  return { [A11Y_PLUGIN_NAMESPACE]: values };
+}
+
+class NodeAdapter {
+  constructor({ getStyleById }) {
+    this._getStyleById = getStyleById;
+    this.fileData = { components: {}, componentSets: {}, styles: {} };
+  }
+
+  async adapt(node) {
+    const raw = {
+      id:                  node.id,
+      name:                node.name,
+      type:                node.type,
+      visible:             node.visible !== false,
+      opacity:             node.opacity ?? 1,
+      absoluteBoundingBox: copy(node.absoluteBoundingBox ?? undefined),
+      fills:               isMixed(node.fills) ? [] : copy(node.fills),
+      strokes:             isMixed(node.strokes) ? [] : copy(node.strokes),
+      clipsContent:        node.clipsContent,
+      layoutMode:          node.layoutMode && node.layoutMode !== "NONE" ? node.layoutMode : undefined,
+      reactions:           copy(node.reactions),
+      sharedPluginData:    sharedPluginDataOf(node),
+    };
+    if (node.type === "TEXT") await this._text(node, raw);
+    if (node.type === "INSTANCE") await this._instance(node, raw);
+    if ("children" in node) {
+      raw.children = [];
+      for (const child of node.children) raw.children.push(await this.adapt(child));
+    }
+    return raw;
+  }
+
+  async _text(node, raw) {
+    raw.characters = node.characters;
+    raw.style = {
+      fontSize:   textProperty(node, node.fontSize, "getRangeFontSize"),
+      fontWeight: textProperty(node, node.fontWeight, "getRangeFontWeight"),
+      hyperlink:  hyperlinkOf(node) ?? undefined,
+    };
+    const styleId = textProperty(node, node.textStyleId, "getRangeTextStyleId");
+    if (!styleId) return;
+    raw.styles = { text: styleId };
+    if (!(styleId in this.fileData.styles)) {
+      const style = await this._getStyleById(styleId);
+      this.fileData.styles[styleId] = style ? { name: style.name, styleType: style.type } : null;
+    }
+  }
+
+  async _instance(node, raw) {
+    raw.componentProperties = Object.fromEntries(Object.entries(node.componentProperties ?? {})
+      .map(([name, prop]) => [name, { type: prop.type, value: prop.value }]));
+    const main = await node.getMainComponentAsync();
+    if (!main) return;   // Main component deleted or in an unavailable library
+    raw.componentId = main.id;
+    if (main.id in this.fileData.components) return;
+    const set = main.parent?.type === "COMPONENT_SET" ? main.parent : null;
+    this.fileData.components[main.id] = {
+      key: main.key, name: main.name, description: main.description ?? "", componentSetId: set?.id,
+    };
+    if (set) this.fileData.componentSets[set.id] = { key: set.key, name: set.name, description: set.description ?? "" };
+  }
+}
+
+/**
+ * Adapts Plugin API nodes for runAuditPipeline().
+ * @param {SceneNode[]} nodes - e.g. figma.currentPage.selection
+ * @param {object} [lookups]
+ * @param {(id: string) => Promise<BaseStyle|null>} [lookups.getStyleById] - figma.getStyleByIdAsync
+ * @returns {Promise<{ nodes: object[], fileData: { components, componentSets, styles } }>}
+ *   As normalizeFigmaResponse() returns for a REST response
+ */
+export async function adaptNodes(nodes, { getStyleById = async () => null } = {}) {
+  if (!Array.isArray(nodes)) {
+    throw new TypeError("adaptNodes expects an array of Plugin API nodes.");
+  }
+  const adapter = new NodeAdapter({ getStyleById });
+  const adapted = [];
+  for (const node of nodes) adapted.push(await adapter.adapt(node));
+  return { nodes: adapted, fileData: adapter.fileData };
+}
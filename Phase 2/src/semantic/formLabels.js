@@ -0,0 +1,117 @@
+// ============================================================
+// src/semantic/FormLabels.js
+// Infers how a Figma input is labelled from the TEXT nodes around
+// it: a visible label above or to the left, placeholder text inside
+// the field, and an error message just below it. Layer names are
+// never treated as labels ("Input 3" is not a label).
+// ============================================================
+
+// Maximum gaps, in px, between a field and the text that labels it.
+const LABEL_GAP_ABOVE = 32;
+const LABEL_GAP_LEFT  = 24;
+const ERROR_GAP_BELOW = 32;
+
+const textOf = (node) => (node.characters ?? "").trim();
+
+function* textDescendants(node) {
+  for (const child of node.children ?? []) {
+    if (!child || child.visible === false) continue;
+    if (child.type === "TEXT" && textOf(child)) yield child;
+    yield* textDescendants(child);
+  }
+}
+
+/**
+ * Collects every visible TEXT node with its bounds, for label lookup.
+ * @param {Array} nodes - Raw Figma nodes
+ * @returns {Array<{ id: string, text: string, bounds: object, node: object }>}
+ */
+export function collectTextNodes(nodes, out = []) {
+  for (const node of nodes ?? []) {
+    if (!node || node.visible === false) continue;
+    if (node.type === "TEXT" && textOf(node) && node.absoluteBoundingBox) {
+      out.push({ id: node.id, text: textOf(node), bounds: node.absoluteBoundingBox, node });
+    }
+    collectTextNodes(node.children, out);
+  }
+  return out;
+}
+
+/** Text value of a TEXT component property such as "Label#4:2". */
+function textProperty(node, names) {
+  for (const [rawName, prop] of Object.entries(node.componentProperties ?? {})) {
+    const name = rawName.split("#")[0].trim().toLowerCase();
+    if (prop?.type === "TEXT" && names.includes(name) && String(prop.value ?? "").trim()) {
+      return String(prop.value).trim();
+    }
+  }
+  return null;
+}
+
+const overlapsX = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width;
+const overlapsY = (a, b) => a.y < b.y + b.height && b.y < a.y + a.height;
+
+/** Closest outside text matching `gapOf`, which returns a gap or null. */
+function nearest(texts, gapOf) {
+  let best = null;
+  for (const t of texts) {
+    const gap = gapOf(t.bounds);
+    if (gap !== null && (!best || gap < best.gap)) best = { ...t, gap };
+  }
+  return best;
+}
+
+/**
+ * Works out the visible label, placeholder and error message of an
+ * input node.
+ * @param {object} node    - Raw Figma input node
+ * @param {Array}  texts   - From collectTextNodes() over the whole document
+ * @param {boolean} invalid - Whether the field is in an error state
+ * @returns {{ label: string|null, placeholder: string|null, errorMessage: string|null,
+ *             textIds: string[] }} textIds are the TEXT nodes outside the
+ *   field that the label and error message came from
+ */
+export function inferInputLabelling(node, texts, invalid = false) {
+  const own = [...textDescendants(node)]
+    .sort((a, b) => (a.absoluteBoundingBox?.y ?? 0) - (b.absoluteBoundingBox?.y ?? 0));
+  const ownIds = new Set(own.map(t => t.id));
+
+  let label        = textProperty(node, ["label"]);
+  let placeholder  = textProperty(node, ["placeholder"]);
+  let errorMessage = invalid ? textProperty(node, ["error", "error message", "helper text"]) : null;
+
+  // Inside a composite field: label on top, then the value or placeholder,
+  // then helper or error text.
+  const remaining = own.map(textOf).filter(t => t !== label && t !== placeholder && t !== errorMessage);
+  if (!label && remaining.length >= 2) label = remaining.shift();
+  if (!placeholder && remaining.length >= 1) placeholder = remaining.shift();
+  if (invalid && !errorMessage && remaining.length >= 1) errorMessage = remaining.pop();
+
+  const b = node.absoluteBoundingBox;
+  const textIds = [];
+  const outside = b ? texts.filter(t => !ownIds.has(t.id)) : [];
+
+  if (!label && b) {
+    const above = nearest(outside, t => {
+      const gap = b.y - (t.y + t.height);
+      return gap >= 0 && gap <= LABEL_GAP_ABOVE && overlapsX(t, b) ? gap : null;
+    });
+    const left = nearest(outside, t => {
+      const gap = b.x - (t.x + t.width);
+      return gap >= 0 && gap <= LABEL_GAP_LEFT && overlapsY(t, b) ? gap : null;
+    });
+    label = (above ?? left)?.text ?? null;
+    if (above ?? left) textIds.push((above ?? left).id);
+  }
+
+  if (invalid && !errorMessage && b) {
+    const below = nearest(outside, t => {
+      const gap = t.y - (b.y + b.height);
+      return gap >= 0 && gap <= ERROR_GAP_BELOW && overlapsX(t, b) ? gap : null;
+    });
+    errorMessage = below?.text ?? null;
+    if (below) textIds.push(below.id);
+  }
+
+  return { label, placeholder, errorMessage, textIds };
+}
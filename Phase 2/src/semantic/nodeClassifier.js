@@ -0,0 +1,347 @@
+// ============================================================
+// src/semantic/NodeClassifier.js
+// Decides which semantic role a raw Figma node plays before the
+// SemanticTree turns it into a component. Each signal below looks
+// at a different part of the node (annotations, main component,
+// component properties, type, name, auto-layout) and proposes a
+// key with a confidence score and a human-readable reason.
+// ============================================================
+
+// Namespace and keys used for explicit role and label annotations
+// stored with setSharedPluginData() — by designers, or by our own
+// Figma plugin (src/plugin/). The REST API only returns them when asked
+// with plugin_data=shared, which FigmaClient does on every request.
+export const A11Y_PLUGIN_NAMESPACE = "a11y";
+export const A11Y_ROLE_KEY         = "role";
+export const A11Y_LABEL_KEY        = "label";
+
+// Below this score a node is treated as unrecognised.
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Words that identify a role when they appear as whole tokens in a
+// layer, component or property name. Matching is token based, so
+// "Navbar Buttons" is a nav container, not a button. Words common in
+// other names are anchored: "^" must start the name and "$" end it, so
+// "Header" is a banner but "Card Header" is not, and "Country Select"
+// is a combobox but "Select all" is not. Keys must match the
+// SemanticTree COMPONENT_MAP keys.
+const ROLE_VOCABULARY = {
+  button:        ["button", "btn", "cta"],
+  input:         ["input", "textfield", "textbox", "text field", "text input", "text box",
+                  "textarea", "text area", "search field", "search input", "search box", "form field"],
+  navigation:    ["nav", "navbar", "navigation", "menubar", "menu bar", "nav bar"],
+  link:          ["link", "hyperlink", "anchor"],
+  heading:       ["heading", "headline", "^title$", "h1", "h2", "h3", "h4", "h5", "h6"],
+  image:         ["image", "img", "photo", "picture", "illustration", "avatar", "logo"],
+  checkbox:      ["checkbox", "check box"],
+  radio:         ["radio", "radio button"],
+  radiogroup:    ["radiogroup", "radio group", "radios"],
+  switch:        ["switch", "toggle"],
+  combobox:      ["combobox", "combo box", "dropdown", "drop down", "select$", "picker$"],
+  slider:        ["slider"],
+  tablist:       ["tabs", "tablist", "tab list", "tabbar", "tab bar"],
+  tab:           ["tab"],
+  tabpanel:      ["tabpanel", "tab panel"],
+  dialog:        ["dialog", "modal", "popup", "drawer", "bottom sheet"],
+  alert:         ["alert", "toast", "snackbar", "error message"],
+  list:          ["list"],
+  listitem:      ["listitem", "list item"],
+  table:         ["table", "data table", "datagrid", "data grid"],
+  banner:        ["^header$", "page header", "site header", "banner", "masthead", "app bar", "top bar"],
+  main:          ["^main$", "main content"],
+  contentinfo:   ["footer", "contentinfo"],
+  complementary: ["sidebar", "side bar", "aside", "complementary"],
+  form:          ["form"],
+  search:        ["search", "search bar"],
+};
+
+// Component property names that only make sense on a given role.
+const PROPERTY_HINTS = {
+  input:    ["placeholder", "value", "helper text", "input type"],
+  button:   ["icon left", "icon right", "button label"],
+  checkbox: ["indeterminate"],
+  slider:   ["min value", "max value"],
+};
+
+// Text at or above these sizes reads as a heading (WCAG "large text").
+const HEADING_FONT_SIZE      = 24;
+const HEADING_BOLD_FONT_SIZE = 18.66;
+
+const CONTAINER_TYPES = new Set(["FRAME", "INSTANCE", "COMPONENT", "COMPONENT_SET", "GROUP", "SECTION"]);
+
+// ---- Helpers ----
+
+/**
+ * Splits a Figma name into lowercase word tokens.
+ * "PrimaryButton/Large" → ["primary", "button", "large"]
+ */
+export function tokenize(name = "") {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Returns the role whose vocabulary matches the given name, or null.
+ * Multi-word entries must appear as consecutive tokens, and anchored
+ * entries at the start ("^") or end ("$") of the name. When several
+ * match, the one ending last wins, since names usually end in their
+ * head noun ("Search Input" is an input, "Tab Panel" a tab panel).
+ */
+export function matchVocabulary(name, only = null) {
+  const tokens = tokenize(name);
+  let best = null;
+  for (const [key, words] of Object.entries(ROLE_VOCABULARY)) {
+    if (only && !only.includes(key)) continue;
+    for (const word of words) {
+      const atStart = word.startsWith("^");
+      const atEnd   = word.endsWith("$");
+      const phrase  = word.replace(/^\^|\$$/g, "").split(" ");
+      for (let i = 0; i + phrase.length <= tokens.length; i++) {
+        const end = i + phrase.length;
+        if ((atStart && i > 0) || (atEnd && end < tokens.length)) continue;
+        if (!phrase.every((w, j) => tokens[i + j] === w)) continue;
+        if (!best || end > best.end || (end === best.end && phrase.length > best.length)) {
+          best = { key, end, length: phrase.length };
+        }
+      }
+    }
+  }
+  return best ? best.key : null;
+}
+
+/**
+ * Reads an explicit role annotation from sharedPluginData, if present.
+ */
+export function readAnnotation(node, key = A11Y_ROLE_KEY) {
+  const value = node?.sharedPluginData?.[A11Y_PLUGIN_NAMESPACE]?.[key];
+  return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+}
+
+/**
+ * TEXT nodes can only be headings, links or static text. The result
+ * is final, so a text layer named "Button label" never becomes a button.
+ */
+function classifyText(node, context) {
+  const styleName = context.styles?.[node.styles?.text]?.name;
+  if (node.style?.hyperlink) {
+    return { key: "link", confidence: 0.85, final: true, reason: "TEXT node carries a hyperlink." };
+  }
+  if (styleName && matchVocabulary(styleName, ["heading"])) {
+    return { key: "heading", confidence: 0.85, final: true, reason: `Uses text style "${styleName}".` };
+  }
+  if (matchVocabulary(node.name, ["heading"])) {
+    return { key: "heading", confidence: 0.75, final: true, reason: `Text layer name "${node.name}" marks a heading.` };
+  }
+  const size   = node.style?.fontSize ?? 0;
+  const weight = node.style?.fontWeight ?? 400;
+  if (size >= HEADING_FONT_SIZE || (size >= HEADING_BOLD_FONT_SIZE && weight >= 700)) {
+    return { key: "heading", confidence: 0.6, final: true, reason: `Large text (${size}px, weight ${weight}).` };
+  }
+  return {
+    key:        "text",
+    confidence: 0.95,
+    final:      true,
+    reason:     "TEXT nodes are static content, not interactive components.",
+  };
+}
+
+// ---- Signals ----
+
+// Each signal is a plain object: { id, classify(node, context) → candidate|null }
+// A candidate is { key, confidence, reason }. A candidate flagged `final`
+// stops the pipeline (annotations, and TEXT nodes which are never buttons).
+const SIGNALS = [
+  {
+    id: "ANNOTATION",
+    classify(node) {
+      const role = readAnnotation(node);
+      if (!role) return null;
+      return {
+        key:        role.toLowerCase(),
+        confidence: 1,
+        final:      true,
+        reason:     `Annotated with role "${role}" in sharedPluginData (${A11Y_PLUGIN_NAMESPACE}.${A11Y_ROLE_KEY}).`,
+      };
+    }
+  },
+  {
+    id: "NODE_TYPE",
+    classify(node, context) {
+      if (node.type === "TEXT") return classifyText(node, context);
+      if ((node.fills ?? []).some(f => f?.type === "IMAGE" && f.visible !== false)) {
+        return {
+          key:        "image",
+          confidence: 0.8,
+          reason:     `${node.type ?? "Node"} has an image fill.`,
+        };
+      }
+      return null;
+    }
+  },
+  {
+    id: "MAIN_COMPONENT",
+    classify(node, context) {
+      if (node.type !== "INSTANCE" || !node.componentId) return null;
+      const main = context.components?.[node.componentId];
+      if (!main) return null;
+      const set  = main.componentSetId ? context.componentSets?.[main.componentSetId] : null;
+      for (const name of [set?.name, main.name]) {
+        const key = name ? matchVocabulary(name) : null;
+        if (key) {
+          return {
+            key,
+            confidence: 0.9,
+            reason:     `Instance of main component "${name}".`,
+          };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: "COMPONENT_PROPERTIES",
+    classify(node) {
+      const props = node.componentProperties;
+      if (!props || typeof props !== "object") return null;
+      // Every property is a candidate; the strongest wins, whatever the property order.
+      let best = null;
+      const consider = (candidate) => {
+        if (!best || candidate.confidence > best.confidence) best = candidate;
+      };
+      for (const [rawName, prop] of Object.entries(props)) {
+        // Property names carry a "#id" suffix, e.g. "Placeholder#12:0"
+        const name = rawName.split("#")[0].trim().toLowerCase();
+        if (prop?.type === "VARIANT") {
+          const key = matchVocabulary(String(prop.value ?? ""));
+          if (key) {
+            consider({
+              key,
+              confidence: 0.8,
+              reason:     `Variant property ${rawName.split("#")[0]}="${prop.value}".`,
+            });
+          }
+        }
+        for (const [key, hints] of Object.entries(PROPERTY_HINTS)) {
+          if (hints.includes(name)) {
+            consider({
+              key,
+              confidence: 0.75,
+              reason:     `Has component property "${rawName.split("#")[0]}".`,
+            });
+          }
+        }
+      }
+      return best;
+    }
+  },
+  {
+    id: "NAME",
+    classify(node) {
+      const key = matchVocabulary(node.name);
+      if (!key) return null;
+      // Layer names are free text, so trust them less than structure.
+      return {
+        key,
+        confidence: 0.7,
+        reason:     `Layer name "${node.name}" contains "${key}".`,
+      };
+    }
+  },
+  {
+    id: "AUTO_LAYOUT",
+    classify(node, context) {
+      if (!CONTAINER_TYPES.has(node.type) || !node.layoutMode || node.layoutMode === "NONE") {
+        return null;
+      }
+      const children = Array.isArray(node.children) ? node.children : [];
+
+      // A padded auto-layout frame wrapping one short text is shaped like a button.
+      const texts = children.filter(c => c?.type === "TEXT");
+      const hasPadding = ["paddingLeft", "paddingRight", "paddingTop", "paddingBottom"]
+        .some(p => (node[p] ?? 0) > 0);
+      const hasSurface = (node.fills ?? []).some(f => f?.visible !== false)
+        || (node.strokes ?? []).length > 0;
+      if (children.length <= 2 && texts.length === 1 && hasPadding && hasSurface) {
+        return {
+          key:        "button",
+          confidence: 0.55,
+          reason:     "Padded auto-layout frame with a fill and a single text label.",
+        };
+      }
+
+      // A row or column of two or more buttons is shaped like navigation.
+      const buttons = children.filter(c => context.classifyShallow(c).key === "button");
+      if (buttons.length >= 2 && buttons.length === children.length) {
+        return {
+          key:        "navigation",
+          confidence: 0.55,
+          reason:     `${node.layoutMode.toLowerCase()} auto-layout of ${buttons.length} buttons.`,
+        };
+      }
+      return null;
+    }
+  },
+];
+
+export class NodeClassifier {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.components]    - `components` map from the Figma file response
+   * @param {object} [options.componentSets] - `componentSets` map from the Figma file response
+   * @param {object} [options.styles]        - `styles` map from the Figma file response
+   * @param {number} [options.minConfidence] - Scores below this are treated as unrecognised
+   */
+  constructor({ components = {}, componentSets = {}, styles = {}, minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    this._context = {
+      components,
+      componentSets,
+      styles,
+      classifyShallow: (node) => this._run(node, SIGNALS.filter(s => s.id !== "AUTO_LAYOUT")),
+    };
+    this._minConfidence = minConfidence;
+  }
+
+  /**
+   * Classifies a raw Figma node.
+   * @param {object} node
+   * @returns {{ key: string|null, confidence: number, reason: string }}
+   */
+  classify(node) {
+    if (!node || typeof node !== "object") {
+      throw new TypeError("NodeClassifier.classify() expects a node object.");
+    }
+    const result = this._run(node, SIGNALS);
+    if (result.key && result.confidence < this._minConfidence) {
+      return {
+        key:        null,
+        confidence: result.confidence,
+        reason:     `Best guess "${result.key}" is below the confidence threshold: ${result.reason}`,
+      };
+    }
+    return result;
+  }
+
+  _run(node, signals) {
+    let best = null;
+    for (const signal of signals) {
+      let candidate;
+      try {
+        candidate = signal.classify(node, this._context);
+      } catch (e) {
+        continue;   // A broken signal must not block the others
+      }
+      if (!candidate) continue;
+      const { final, ...result } = candidate;
+      if (final) return result;
+      if (!best || result.confidence > best.confidence) best = result;
+    }
+    return best ?? {
+      key:        null,
+      confidence: 0,
+      reason:     "No type, component, annotation or name signal matched.",
+    };
+  }
+}
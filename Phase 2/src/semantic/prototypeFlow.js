@@ -0,0 +1,164 @@
+// ============================================================
+// src/semantic/PrototypeFlow.js
+// Reads a file's prototype wiring (what happens when a layer is
+// clicked, hovered or a key is pressed) into a flow graph between
+// semantic components, so keyboard access to each interaction can be
+// checked. Handles the REST API's `reactions` (with `action` or
+// `actions`), the Plugin API's `interactions`, and the legacy
+// `transitionNodeID` click-to-navigate link.
+// ============================================================
+
+// Figma trigger types → how the user sets them off. Add new trigger
+// types here without changing the graph (Open/Closed).
+export const TRIGGER_KINDS = {
+  ON_CLICK:        "click",
+  ON_PRESS:        "click",
+  MOUSE_DOWN:      "click",
+  MOUSE_UP:        "click",
+  WHILE_PRESSING:  "click",
+  ON_DRAG:         "drag",
+  ON_HOVER:        "hover",
+  WHILE_HOVERING:  "hover",
+  MOUSE_ENTER:     "hover",
+  MOUSE_LEAVE:     "hover",
+  ON_KEY_DOWN:     "key",
+  AFTER_TIMEOUT:   "timer",
+  ON_MEDIA_END:    "timer",
+  ON_MEDIA_HIT:    "timer",
+};
+
+// Figma action types (and NODE navigation types) → what happens.
+const ACTION_KINDS = {
+  NAVIGATE:  "navigate",
+  OVERLAY:   "overlay",
+  SWAP:      "swap",
+  SCROLL_TO: "scroll",
+  CHANGE_TO: "change",
+  BACK:      "back",
+  CLOSE:     "close",
+  URL:       "url",
+};
+
+/**
+ * The node's prototype reactions as flat { trigger, action,
+ * destinationId, keyCodes } records. Unknown triggers and actions
+ * are kept as "other" so nothing is silently dropped.
+ * @param {object} node - Raw Figma node
+ * @returns {Array<{ trigger: string, triggerType: string, action: string,
+ *                   destinationId: string|null, keyCodes: number[] }>}
+ */
+export function readReactions(node) {
+  const reactions = [];
+  for (const reaction of node?.interactions ?? node?.reactions ?? []) {
+    const triggerType = reaction?.trigger?.type ?? "ON_CLICK";
+    const actions     = reaction?.actions ?? (reaction?.action ? [reaction.action] : []);
+    for (const action of actions) {
+      if (!action) continue;
+      const type = action.type === "NODE" ? (action.navigation ?? "NAVIGATE") : action.type;
+      reactions.push({
+        trigger:       TRIGGER_KINDS[triggerType] ?? "other",
+        triggerType,
+        action:        ACTION_KINDS[type] ?? "other",
+        destinationId: action.destinationId ?? null,
+        keyCodes:      reaction.trigger?.keyCodes ?? [],
+      });
+    }
+  }
+  // Files saved before reactions existed only have a click-to-navigate link.
+  if (reactions.length === 0 && node?.transitionNodeID) {
+    reactions.push({
+      trigger: "click", triggerType: "ON_CLICK", action: "navigate",
+      destinationId: node.transitionNodeID, keyCodes: [],
+    });
+  }
+  return reactions;
+}
+
+/**
+ * Directed graph of prototype interactions. Each edge runs from the
+ * component that owns the trigger layer (the layer itself, or its
+ * nearest semantic ancestor) to the destination frame's component.
+ *
+ * @typedef {object} FlowEdge
+ * @property {string}      triggerId   - Figma id of the layer carrying the reaction
+ * @property {string}      triggerName - Its layer name
+ * @property {UIComponent|null} owner  - Component the trigger belongs to
+ * @property {string}      trigger     - "click", "hover", "key", "drag", "timer" or "other"
+ * @property {string}      action      - "navigate", "overlay", "swap", "scroll", "change", "back", "close", "url" or "other"
+ * @property {string|null} destinationId
+ * @property {UIComponent|null} destination - null when the destination is outside the audited nodes
+ * @property {number[]}    keyCodes    - For "key" triggers
+ */
+export class FlowGraph {
+  constructor() {
+    this._edges = [];
+  }
+
+  /** @param {FlowEdge} edge */
+  addEdge(edge) {
+    this._edges.push(edge);
+  }
+
+  /** @returns {FlowEdge[]} */
+  getEdges() { return [...this._edges]; }
+
+  get size() { return this._edges.length; }
+
+  /** Edges whose trigger belongs to `component`. */
+  edgesFrom(component) {
+    return this._edges.filter(e => e.owner === component);
+  }
+
+  /** Edges that lead to `component`. */
+  edgesTo(component) {
+    return this._edges.filter(e => e.destination === component);
+  }
+
+  /** Components opened as overlays, each once. */
+  overlays() {
+    return [...new Set(this._edges
+      .filter(e => e.action === "overlay" && e.destination)
+      .map(e => e.destination))];
+  }
+
+  /** Plain-object view, e.g. for JSON reports. */
+  toJSON() {
+    return this._edges.map(e => ({
+      from:    e.triggerId,
+      owner:   e.owner?.getId() ?? null,
+      trigger: e.trigger,
+      action:  e.action,
+      to:      e.destinationId,
+    }));
+  }
+}
+
+/**
+ * Builds the flow graph for raw Figma nodes once SemanticTree has
+ * parsed them.
+ * @param {Array} nodes - Raw Figma nodes
+ * @param {Map<string, UIComponent>} componentsById - Every component SemanticTree created
+ * @returns {FlowGraph}
+ */
+export function buildFlowGraph(nodes, componentsById) {
+  const graph = new FlowGraph();
+  const visit = (node, inherited) => {
+    if (!node || typeof node !== "object") return;
+    const owner = componentsById.get(node.id) ?? inherited;
+    for (const reaction of readReactions(node)) {
+      graph.addEdge({
+        triggerId:     node.id,
+        triggerName:   node.name ?? "",
+        owner,
+        trigger:       reaction.trigger,
+        action:        reaction.action,
+        destinationId: reaction.destinationId,
+        destination:   componentsById.get(reaction.destinationId) ?? null,
+        keyCodes:      reaction.keyCodes,
+      });
+    }
+    for (const child of node.children ?? []) visit(child, owner);
+  };
+  for (const node of nodes) visit(node, null);
+  return graph;
+}
@@ -5,102 +5,481 @@
 // and builds an Abstract Syntax Tree of semantic meaning.
 // ============================================================
 
-import { Button }            from "../core/Button.js";
-import { InputField }        from "../core/InputField.js";
-import { NavigationRegion }  from "../core/NavigationRegion.js";
+import { Button }            from "../core/button.js";
+import { InputField }        from "../core/inputField.js";
+import { NavigationRegion }  from "../core/navMap.js";
+import { Link }              from "../core/link.js";
+import { Heading }           from "../core/heading.js";
+import { Image }             from "../core/image.js";
+import { Checkbox }          from "../core/checkbox.js";
+import { Radio }             from "../core/radio.js";
+import { RadioGroup }        from "../core/radioGroup.js";
+import { Switch }            from "../core/switch.js";
+import { ComboBox }          from "../core/comboBox.js";
+import { Slider }            from "../core/slider.js";
+import { TabList }           from "../core/tabList.js";
+import { Tab }               from "../core/tab.js";
+import { TabPanel }          from "../core/tabPanel.js";
+import { Dialog }            from "../core/dialog.js";
+import { Alert }             from "../core/alert.js";
+import { List }              from "../core/list.js";
+import { ListItem }          from "../core/listItem.js";
+import { Table }             from "../core/table.js";
+import {
+  Banner, Main, ContentInfo, Complementary, FormRegion, SearchRegion,
+} from "../core/landmark.js";
+import { StaticText }        from "../core/staticText.js";
+import { Group }             from "../core/group.js";
+import { NodeClassifier, readAnnotation, tokenize, A11Y_LABEL_KEY } from "./nodeClassifier.js";
+import { collectTextNodes, inferInputLabelling } from "./formLabels.js";
+import { FlowGraph, buildFlowGraph } from "./prototypeFlow.js";
 
-// Maps Figma node name patterns to component constructors.
+// ---- Node property helpers used by the factories ----
+
+const TRUTHY_VARIANTS = new Set(["true", "on", "yes", "checked", "selected", "active"]);
+
+/**
+ * True if any VARIANT component property named in `names` is set to a
+ * truthy value (Checked=True), or any variant value is one of `names`
+ * (State=Checked).
+ */
+function variantFlag(node, names) {
+  for (const [rawName, prop] of Object.entries(node.componentProperties ?? {})) {
+    if (prop?.type !== "VARIANT") continue;
+    const name  = rawName.split("#")[0].trim().toLowerCase();
+    const value = String(prop.value ?? "").trim().toLowerCase();
+    if (names.includes(name) && TRUTHY_VARIANTS.has(value)) return true;
+    if (names.includes(value)) return true;
+  }
+  return false;
+}
+
+/** Reads a numeric sharedPluginData annotation, or the fallback. */
+function numericAnnotation(node, key, fallback) {
+  const raw = readAnnotation(node, key);
+  if (raw === null) return fallback;
+  const n = Number(raw);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+/** TEXT nodes are labelled by what they say, everything else by layer name. */
+function labelOf(node) {
+  return node.type === "TEXT" && node.characters?.trim() ? node.characters.trim() : node.name;
+}
+
+/** `component` and every descendant, depth-first. */
+function* descendants(component) {
+  yield component;
+  for (const child of component.getChildren()) yield* descendants(child);
+}
+
+function visibleTexts(node, out = []) {
+  for (const child of node.children ?? []) {
+    if (!child || child.visible === false) continue;
+    if (child.type === "TEXT" && child.characters?.trim()) out.push(child.characters.trim());
+    visibleTexts(child, out);
+  }
+  return out;
+}
+
+/**
+ * Controls are named by their content, as browsers name a <button>:
+ * the visible text inside the layer, or else the layer name. An
+ * instance named "Button" that says "Sign in" is "Sign in".
+ */
+function contentLabelOf(node) {
+  if (node.type === "TEXT") return labelOf(node);
+  return visibleTexts(node).join(" ") || node.name;
+}
+
+/** A level annotation, if it is a valid heading level (1–6). */
+function annotatedLevel(node) {
+  const level = numericAnnotation(node, "level", null);
+  return Number.isInteger(level) && level >= 1 && level <= 6 ? level : null;
+}
+
+/**
+ * Picks a heading level from an explicit annotation, an "H2"-style
+ * token in the layer or text style name, or else the font size.
+ * Annotations outside 1–6 are ignored (SemanticTree reports them).
+ */
+function headingLevel(node, fileData) {
+  const annotated = annotatedLevel(node);
+  if (annotated) return annotated;
+  const styleName = fileData?.styles?.[node.styles?.text]?.name ?? "";
+  for (const token of [...tokenize(node.name), ...tokenize(styleName)]) {
+    const match = /^h([1-6])$/.exec(token);
+    if (match) return Number(match[1]);
+  }
+  const size = node.style?.fontSize ?? 0;
+  if (size >= 32) return 1;
+  if (size >= 24) return 2;
+  if (size >= 20) return 3;
+  return 4;
+}
+
+const INPUT_TYPES = ["password", "email", "tel", "number", "search", "url", "date"];
+
+/**
+ * Picks an HTML input type from an annotation, or from the layer name
+ * and variant values ("Email field", "Type=Password").
+ */
+function inputTypeOf(node) {
+  const annotated = readAnnotation(node, "inputType");
+  if (annotated) return annotated.toLowerCase();
+  const variants = Object.values(node.componentProperties ?? {})
+    .filter(p => p?.type === "VARIANT")
+    .map(p => String(p.value));
+  const tokens = [node.name, ...variants].flatMap(tokenize);
+  if (tokens.includes("phone")) return "tel";
+  return INPUT_TYPES.find(t => tokens.includes(t)) ?? "text";
+}
+
+/** Text colour and style, as consumed by the contrast rule. */
+function textInfo(node) {
+  return {
+    fills:      node.fills ?? [],
+    opacity:    node.opacity ?? 1,
+    fontSize:   node.style?.fontSize ?? null,
+    fontWeight: node.style?.fontWeight ?? 400,
+  };
+}
+
+/** True if box `outer` covers box `inner`. */
+const covers = (outer, inner) => inner.x >= outer.x && inner.y >= outer.y
+  && inner.x + inner.width <= outer.x + outer.width && inner.y + inner.height <= outer.y + outer.height;
+
+/**
+ * The Figma layers behind the last node of `path` (a text layer),
+ * bottom first: each ancestor's own fills, and the visible layers
+ * beneath the path that cover the text, such as a card's background
+ * rectangle. Read from the raw nodes, so layers that never become
+ * components, or that group collapsing removes, still count.
+ * @param {object[]} path - Raw nodes from a root down to the text
+ * @returns {Array<{ fills: Array, opacity: number }>}
+ */
+function backdropOf(path) {
+  const bounds = path[path.length - 1].absoluteBoundingBox;
+  const layers = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    layers.push({ fills: path[i].fills ?? [], opacity: path[i].opacity ?? 1 });
+    if (!bounds) continue;
+    for (const below of path[i].children ?? []) {
+      if (below === path[i + 1]) break;
+      if (!below || below.visible === false || below.type === "TEXT" || !below.absoluteBoundingBox) continue;
+      if (covers(below.absoluteBoundingBox, bounds)) {
+        layers.push({ fills: below.fills ?? [], opacity: below.opacity ?? 1 });
+      }
+    }
+  }
+  return layers;
+}
+
+// Maps classifier keys to component constructors.
 // Extend this map to support new component types without
 // modifying core parsing logic (Open/Closed Principle).
 const COMPONENT_MAP = {
-  button:     (node) => new Button(node.id, node.name),
-  input:      (node) => new InputField(node.id, node.name),
-  textbox:    (node) => new InputField(node.id, node.name),
-  nav:        (node) => new NavigationRegion(node.id, node.name),
-  navigation: (node) => new NavigationRegion(node.id, node.name),
+  button:        (node) => new Button(node.id, contentLabelOf(node)),
+  input:         (node) => new InputField(node.id, node.name, inputTypeOf(node)),
+  textbox:       (node) => COMPONENT_MAP.input(node),
+  nav:           (node) => new NavigationRegion(node.id, node.name),
+  navigation:    (node) => new NavigationRegion(node.id, node.name),
+  link:          (node) => new Link(node.id, contentLabelOf(node), node.style?.hyperlink?.url ?? null),
+  heading:       (node, file) => new Heading(node.id, labelOf(node), headingLevel(node, file)),
+  image:         (node) => new Image(node.id, node.name,
+                   readAnnotation(node, "decorative") === "true" ? "" : readAnnotation(node, "alt")),
+  img:           (node) => COMPONENT_MAP.image(node),
+  checkbox:      (node) => new Checkbox(node.id, contentLabelOf(node), variantFlag(node, ["checked", "value"])),
+  radio:         (node) => new Radio(node.id, contentLabelOf(node), variantFlag(node, ["checked", "selected"])),
+  radiogroup:    (node) => new RadioGroup(node.id, node.name),
+  switch:        (node) => new Switch(node.id, contentLabelOf(node), variantFlag(node, ["checked", "on", "value"])),
+  combobox:      (node) => new ComboBox(node.id, node.name, readAnnotation(node, "value")),
+  select:        (node) => COMPONENT_MAP.combobox(node),
+  slider:        (node) => new Slider(node.id, node.name, {
+                   valuenow: numericAnnotation(node, "valuenow", 0),
+                   valuemin: numericAnnotation(node, "valuemin", 0),
+                   valuemax: numericAnnotation(node, "valuemax", 100),
+                 }),
+  tablist:       (node) => new TabList(node.id, node.name),
+  tab:           (node) => new Tab(node.id, contentLabelOf(node), variantFlag(node, ["selected", "active"])),
+  tabpanel:      (node) => new TabPanel(node.id, node.name),
+  dialog:        (node) => new Dialog(node.id, node.name),
+  alert:         (node) => new Alert(node.id, labelOf(node)),
+  list:          (node) => new List(node.id, node.name),
+  listitem:      (node) => new ListItem(node.id, contentLabelOf(node)),
+  table:         (node) => new Table(node.id, node.name),
+  banner:        (node) => new Banner(node.id, node.name),
+  main:          (node) => new Main(node.id, node.name),
+  contentinfo:   (node) => new ContentInfo(node.id, node.name),
+  complementary: (node) => new Complementary(node.id, node.name),
+  form:          (node) => new FormRegion(node.id, node.name),
+  search:        (node) => new SearchRegion(node.id, node.name),
+  text:          (node) => new StaticText(node.id, labelOf(node)),
+};
+
+// Roles named by (or holding a value in) their text content. TEXT layers
+// inside them are part of the control, not static text of their own.
+const NAMED_BY_CONTENT = new Set([
+  "button", "link", "heading", "tab", "checkbox", "radio", "switch", "textbox", "combobox", "slider", "img",
+  "listitem",
+]);
+
+const INPUT_KEYS = new Set(["input", "textbox"]);
+
+// Composite widgets with one tab stop among their items (roving
+// tabindex): the current item, or else the first. Arrow keys reach the
+// rest. Add a widget by adding an entry.
+const ROVING_FOCUS = {
+  radiogroup: { item: "radio", current: "checked" },
+  tablist:    { item: "tab",   current: "selected" },
 };
 
+// Roles a node can be annotated with (the a11y.role shared plugin data).
+export const SUPPORTED_ROLES = Object.freeze(Object.keys(COMPONENT_MAP));
+
 export class SemanticTree {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.collapseGroups] - Hoist the children of
+   *   generic groups into their parent instead of keeping the wrapper.
+   */
+  constructor({ collapseGroups = false } = {}) {
     this._roots = [];
     this._errors = [];
+    this._file = {};
+    this._texts = [];
+    this._flow = new FlowGraph();
+    this._collapseGroups = collapseGroups;
   }
 
   getRoots()  { return [...this._roots]; }
   getErrors() { return [...this._errors]; }
 
+  /** Prototype interactions between the built components (see PrototypeFlow.js). */
+  getFlowGraph() { return this._flow; }
+
   /**
    * Builds the semantic tree from an array of raw Figma nodes.
    * @param {Array} nodes - From FigmaClient.extractNodes()
+   * @param {object} [fileData] - Raw file response; its `components`,
+   *   `componentSets` and `styles` maps help classify instances and text.
    */
-  build(nodes) {
+  build(nodes, fileData = {}) {
     if (!Array.isArray(nodes)) {
       throw new TypeError("SemanticTree.build() expects an array of nodes.");
     }
-    this._roots  = [];
-    this._errors = [];
+    this._roots      = [];
+    this._errors     = [];
+    this._file       = fileData ?? {};
+    this._classified = new WeakMap();
+    this._texts      = collectTextNodes(nodes);
+    this._path       = [];
+    this._components = new Map();
+    this._classifier = new NodeClassifier({
+      components:    fileData?.components,
+      componentSets: fileData?.componentSets,
+      styles:        fileData?.styles,
+    });
+    this._inputTexts = this._inputTextIds(nodes);
 
     for (const node of nodes) {
       try {
         const component = this._parseNode(node);
-        if (component) this._roots.push(component);
+        for (const root of component ? this._unwrap(component) : []) {
+          root.detach();
+          this._roots.push(root);
+        }
       } catch (e) {
         // Log and continue — graceful degradation per README spec
         this._errors.push({ nodeId: node?.id ?? "unknown", message: e.message });
       }
     }
+    this._flow = buildFlowGraph(nodes, this._components);
   }
 
   /**
    * Recursively maps a single Figma node to a UIComponent.
+   * Unrecognised containers become generic Groups so their
+   * descendants survive; unrecognised leaves are skipped.
    * @param {object} node
+   * @param {boolean} [inControl] - Inside a component named by its content
    * @returns {UIComponent|null}
    */
-  _parseNode(node) {
+  _parseNode(node, inControl = false) {
     if (!node || typeof node !== "object") {
       throw new TypeError("Invalid node: expected an object.");
     }
 
-    const key       = this._resolveKey(node.name);
-    const factory   = COMPONENT_MAP[key];
-    let component   = null;
+    const classification = this._resolveKey(node);
+    const factory        = COMPONENT_MAP[classification.key];
+    let component        = null;
+
+    if (classification.key === "text") {
+      // Already spoken as a control's name, an input's label or its
+      // error message, or empty: not read a second time.
+      if (inControl || this._inputTexts.has(node.id)) return null;
+      if (node.type === "TEXT" && !node.characters?.trim()) return null;
+    }
 
     if (factory) {
-      component = factory(node);
+      component = factory(node, this._file);
+    } else if (Array.isArray(node.children) && node.children.length > 0) {
+      // Unrecognised container — keep it as a transparent group
+      component = new Group(node.id, node.name);
     } else {
       // Unsupported type — skip but record for audit log
       this._errors.push({
         nodeId:  node.id ?? "unknown",
-        message: `Unsupported component type: "${node.name}". Skipped.`
+        message: `Unsupported component type: "${node.name}". Skipped. ${classification.reason}`
       });
       return null;
     }
+    component.setClassification(classification);
+    component.setVisual(this._visualOf(node));
+    component.setBounds(node.absoluteBoundingBox ?? null);
+    component.setNodeType(node.type);
+    component.setLayoutMode(node.layoutMode ?? null);
+    component.setFocusOrder(numericAnnotation(node, "focusOrder", null));
+    this._components.set(node.id, component);
+    if (component.getRole() === "textbox") this._labelInput(component, node);
+    if (component.getRole() === "heading") this._checkLevel(component, node);
+    // An explicit label beats the layer name and any visible label.
+    const label = readAnnotation(node, A11Y_LABEL_KEY);
+    if (label) component.setLabel(label);
 
     // Recursively process children
     if (Array.isArray(node.children)) {
+      const childInControl = inControl || NAMED_BY_CONTENT.has(component.getRole());
+      this._path.push(node);
       for (const child of node.children) {
         try {
-          const childComponent = this._parseNode(child);
-          if (childComponent) component.addChild(childComponent);
+          const childComponent = this._parseNode(child, childInControl);
+          if (childComponent) {
+            for (const c of this._unwrap(childComponent)) component.addChild(c);
+          }
         } catch (e) {
           this._errors.push({ nodeId: child?.id ?? "unknown", message: e.message });
         }
       }
+      this._path.pop();
     }
 
+    const roving = ROVING_FOCUS[component.getRole()];
+    if (roving) this._rovingFocus(component, roving);
+
+    // A group that ended up wrapping nothing carries no information
+    if (component.isTransparent() && component.getChildren().length === 0) return null;
+
     return component;
   }
 
   /**
-   * Normalises a Figma node name to a lowercase lookup key.
-   * e.g. "Submit Button" → "button"
+   * Returns the components to attach in place of `component`:
+   * itself, or a collapsed group's children.
+   */
+  _unwrap(component) {
+    return this._collapseGroups && component.isTransparent()
+      ? component.getChildren()
+      : [component];
+  }
+
+  /**
+   * Classifies a Figma node into a COMPONENT_MAP lookup key.
+   * e.g. INSTANCE of "Button/Primary" → { key: "button", confidence: 0.9, reason }
+   */
+  _resolveKey(node) {
+    this._classifier ??= new NodeClassifier();
+    this._classified ??= new WeakMap();
+    if (!this._classified.has(node)) {
+      this._classified.set(node, this._classifier.classify(node));
+    }
+    return this._classified.get(node);
+  }
+
+  /**
+   * Fills in an input's form semantics: required, error state,
+   * autocomplete purpose, and the visible label, placeholder and error
+   * text inferred from nearby TEXT nodes. A visible label becomes the
+   * accessible name, as a <label for> would.
+   */
+  _labelInput(input, node) {
+    const { invalid, label, placeholder, errorMessage } = this._inputLabelling(node);
+
+    input.setRequired(variantFlag(node, ["required"]) || readAnnotation(node, "required") === "true");
+    input.setInvalid(invalid);
+    input.setAutocomplete(readAnnotation(node, "autocomplete"));
+    input.setVisibleLabel(label);
+    input.setPlaceholder(placeholder);
+    input.setErrorMessage(errorMessage);
+    if (label) input.setLabel(label);
+  }
+
+  /** Reports a level annotation that could not be used. */
+  _checkLevel(heading, node) {
+    const raw = readAnnotation(node, "level");
+    if (raw === null || annotatedLevel(node) !== null) return;
+    this._errors.push({
+      nodeId:  node.id,
+      message: `Heading level annotation "${raw}" is not 1–6; used level ${heading.getLevel()} from the layer instead.`,
+    });
+  }
+
+  /** Leaves only the widget's current item (or its first) focusable. */
+  _rovingFocus(widget, { item, current }) {
+    const items = [...descendants(widget)].filter(c => c.getRole() === item);
+    const stop  = items.find(c => c.getState(current)) ?? items[0];
+    for (const c of items) c.setState("focusable", c === stop);
+  }
+
+  _inputLabelling(node) {
+    const invalid = variantFlag(node, ["error", "invalid"]) || readAnnotation(node, "invalid") === "true";
+    return { invalid, ...inferInputLabelling(node, this._texts, invalid) };
+  }
+
+  /**
+   * Ids of the TEXT nodes outside inputs that label them or carry their
+   * error message. Those texts go out with their input, so they are not
+   * read again as static text.
+   */
+  _inputTextIds(nodes, ids = new Set()) {
+    for (const node of nodes ?? []) {
+      if (!node || typeof node !== "object") continue;
+      if (INPUT_KEYS.has(this._resolveKey(node).key)) {
+        for (const id of this._inputLabelling(node).textIds) ids.add(id);
+      }
+      this._inputTextIds(node.children, ids);
+    }
+    return ids;
+  }
+
+  /**
+   * Collects fills, opacity and label text style for a node. A TEXT
+   * node is its own label; otherwise the first visible TEXT descendant
+   * that does not belong to a nested component is used. The text
+   * carries its backdrop (see backdropOf) for the contrast rule.
    */
-  _resolveKey(name = "") {
-    const lower = name.toLowerCase();
-    for (const key of Object.keys(COMPONENT_MAP)) {
-      if (lower.includes(key)) return key;
+  _visualOf(node) {
+    const common = {
+      opacity:      node.opacity ?? 1,
+      visible:      node.visible !== false,
+      clipsContent: Boolean(node.clipsContent),
+    };
+    const path = [...this._path, node];
+    if (node.type === "TEXT") {
+      return { ...common, fills: [], text: { ...textInfo(node), backdrop: backdropOf(path) } };
+    }
+    return { ...common, fills: node.fills ?? [], text: this._findLabelText(node, path) };
+  }
+
+  _findLabelText(node, path) {
+    for (const child of node.children ?? []) {
+      if (!child || child.visible === false) continue;
+      if (child.type === "TEXT") return { ...textInfo(child), backdrop: backdropOf([...path, child]) };
+      if (COMPONENT_MAP[this._resolveKey(child).key]) continue;
+      const found = this._findLabelText(child, [...path, child]);
+      if (found) return found;
     }
-    return lower;
+    return null;
   }
 
   /**
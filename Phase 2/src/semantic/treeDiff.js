@@ -0,0 +1,223 @@
+// ============================================================
+// src/semantic/TreeDiff.js
+// Compares two versions of a design by meaning rather than pixels:
+// which components were added, removed, moved or changed (label, role,
+// state keys such as `required` or `focusable`), and how the reading
+// and tab order changed. Works on SemanticTree instances, their
+// toJSON() output, or the compact treeSnapshot() form, so a saved
+// version can be compared with a fresh one.
+// ============================================================
+
+import { ScreenReaderService } from "../accessibility/ScreenRead.js";
+import { KeyboardNavigator }   from "../accessibility/keyboardNav.js";
+
+export const TREE_SNAPSHOT_VERSION = 1;
+
+/**
+ * A SemanticTree's toJSON() plus its reading and tab order, which come
+ * from the layout rather than the component objects alone.
+ */
+function withOrders(tree) {
+  const roots = tree.getRoots();
+  return {
+    ...tree.toJSON(),
+    readingOrder: new ScreenReaderService().generateReadingEntries(roots),
+    tabOrder:     new KeyboardNavigator().buildTabOrder(roots),
+  };
+}
+
+/**
+ * Compact, JSON-safe form of a tree for storing between audits:
+ * components flattened with their parent and sibling index, plus the
+ * reading and tab order by id.
+ * @param {SemanticTree|object} input - A SemanticTree, its toJSON(), or a snapshot
+ * @returns {{ snapshot: number, components: object[], readingOrder: object[], tabOrder: object[] }}
+ */
+export function treeSnapshot(input) {
+  if (input?.snapshot === TREE_SNAPSHOT_VERSION && Array.isArray(input.components)) return input;
+  const json = typeof input?.getRoots === "function" ? withOrders(input) : input;
+  if (!Array.isArray(json?.components)) {
+    throw new TypeError("Expected a SemanticTree, its toJSON() output, or a treeSnapshot().");
+  }
+
+  const components = [];
+  const visit = (node, parentId, index) => {
+    components.push({
+      id: node.id, label: node.label, role: node.role, state: { ...node.state }, parentId, index,
+    });
+    (node.children ?? []).forEach((child, i) => visit(child, node.id, i));
+  };
+  json.components.forEach((root, i) => visit(root, null, i));
+
+  // toJSON() output carries no orders: fall back to layer order,
+  // reading everything but generic groups and tabbing to what is focusable.
+  const readingOrder = json.readingOrder
+    ?? components.filter(c => c.role !== "generic").map(c => ({ id: c.id, text: c.label }));
+  const tabOrder = json.tabOrder
+    ?? components.filter(c => c.state.focusable).map(c => ({ id: c.id, hint: c.label }));
+
+  return {
+    snapshot:     TREE_SNAPSHOT_VERSION,
+    components,
+    readingOrder: readingOrder.map(({ id, text }) => ({ id, text })),
+    tabOrder:     tabOrder.map(({ id, hint }) => ({ id, hint })),
+  };
+}
+
+/**
+ * Ids that keep their relative order from `before` to `after`: the
+ * longest increasing run of their new positions. Every other id found
+ * in both sequences has moved.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Set<string>}
+ */
+function inPlace(before, after) {
+  const position = new Map(after.map((id, i) => [id, i]));
+  const sequence = before.filter(id => position.has(id));
+  const tails    = [];   // tails[k]: index in `sequence` ending the best run of length k + 1
+  const previous = [];
+  sequence.forEach((id, i) => {
+    const p = position.get(id);
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (position.get(sequence[tails[mid]]) < p) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo]   = i;
+  });
+  const kept = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) kept.add(sequence[i]);
+  return kept;
+}
+
+/** How an ordered list of ids changed. */
+function orderChange(before, after, labelOf) {
+  const beforeIds = before.map(e => e.id);
+  const afterIds  = after.map(e => e.id);
+  const inBefore  = new Set(beforeIds);
+  const inAfter   = new Set(afterIds);
+  const kept      = inPlace(beforeIds, afterIds);
+  const ref       = (id) => ({ id, label: labelOf(id) });
+  return {
+    changed: beforeIds.length !== afterIds.length || beforeIds.some((id, i) => id !== afterIds[i]),
+    added:   afterIds.filter(id => !inBefore.has(id)).map(ref),
+    removed: beforeIds.filter(id => !inAfter.has(id)).map(ref),
+    moved:   afterIds.filter(id => inBefore.has(id) && !kept.has(id)).map(ref),
+    before:  beforeIds,
+    after:   afterIds,
+  };
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Semantic differences between two versions of a tree. Components are
+ * matched by Figma node id.
+ *
+ * A component has moved when its parent changed, or when it changed
+ * place among the siblings it shares with the earlier version (so a
+ * component that only shifted because a sibling was added has not).
+ *
+ * @param {SemanticTree|object} before - A SemanticTree, its toJSON(), or a treeSnapshot()
+ * @param {SemanticTree|object} after
+ * @returns {{
+ *   added:    Array<{ id, label, role, parentId }>,
+ *   removed:  Array<{ id, label, role, parentId }>,
+ *   moved:    Array<{ id, label, from: { parentId, parentLabel, index }, to: { parentId, parentLabel, index } }>,
+ *   modified: Array<{ id, label, role, changes: Array<{ field: string, before: any, after: any }> }>,
+ *   readingOrder: object, tabOrder: object, equal: boolean
+ * }} `field` is "label", "role" or "state.<key>"; the orders report
+ *   changed, added, removed and moved ids with their labels
+ */
+export function diffTrees(before, after) {
+  const a = treeSnapshot(before);
+  const b = treeSnapshot(after);
+  const was = new Map(a.components.map(c => [c.id, c]));
+  const now = new Map(b.components.map(c => [c.id, c]));
+  const labelOf = (id) => (now.get(id) ?? was.get(id))?.label ?? null;
+  const summary = ({ id, label, role, parentId }) => ({ id, label, role, parentId });
+
+  const added   = b.components.filter(c => !was.has(c.id)).map(summary);
+  const removed = a.components.filter(c => !now.has(c.id)).map(summary);
+
+  // Siblings each version shares, by parent, to tell real moves from shifts.
+  const siblings = (components, other, parentId) => components
+    .filter(c => c.parentId === parentId && other.get(c.id)?.parentId === parentId)
+    .map(c => c.id);
+  const keptByParent = new Map();
+  const kept = (parentId) => {
+    if (!keptByParent.has(parentId)) {
+      keptByParent.set(parentId, inPlace(siblings(a.components, now, parentId), siblings(b.components, was, parentId)));
+    }
+    return keptByParent.get(parentId);
+  };
+
+  const moved    = [];
+  const modified = [];
+  for (const c of b.components) {
+    const old = was.get(c.id);
+    if (!old) continue;
+    if (old.parentId !== c.parentId || !kept(c.parentId).has(c.id)) {
+      moved.push({
+        id:    c.id,
+        label: c.label,
+        from:  { parentId: old.parentId, parentLabel: labelOf(old.parentId), index: old.index },
+        to:    { parentId: c.parentId, parentLabel: labelOf(c.parentId), index: c.index },
+      });
+    }
+
+    const changes = [];
+    for (const field of ["label", "role"]) {
+      if (old[field] !== c[field]) changes.push({ field, before: old[field], after: c[field] });
+    }
+    for (const key of [...new Set([...Object.keys(old.state), ...Object.keys(c.state)])].sort()) {
+      if (!same(old.state[key], c.state[key])) {
+        changes.push({ field: `state.${key}`, before: old.state[key] ?? null, after: c.state[key] ?? null });
+      }
+    }
+    if (changes.length > 0) modified.push({ id: c.id, label: c.label, role: c.role, changes });
+  }
+
+  const readingOrder = orderChange(a.readingOrder, b.readingOrder, labelOf);
+  const tabOrder     = orderChange(a.tabOrder, b.tabOrder, labelOf);
+  return {
+    added, removed, moved, modified, readingOrder, tabOrder,
+    equal: !added.length && !removed.length && !moved.length && !modified.length
+      && !readingOrder.changed && !tabOrder.changed,
+  };
+}
+
+const show = (v) => (v === null || v === undefined ? "(unset)" : JSON.stringify(v));
+const name = (c) => `"${c.label}" [${c.id}]`;
+
+/**
+ * One line per change, for the popup and logs.
+ * @param {object} diff - From diffTrees()
+ * @returns {string[]}
+ */
+export function describeTreeDiff(diff) {
+  const lines = [];
+  for (const c of diff.added)   lines.push(`Added ${c.role} ${name(c)}.`);
+  for (const c of diff.removed) lines.push(`Removed ${c.role} ${name(c)}.`);
+  for (const c of diff.moved) {
+    lines.push(c.from.parentId === c.to.parentId
+      ? `Moved ${name(c)} from position ${c.from.index + 1} to ${c.to.index + 1}.`
+      : `Moved ${name(c)} from "${c.from.parentLabel ?? "top level"}" to "${c.to.parentLabel ?? "top level"}".`);
+  }
+  for (const c of diff.modified) {
+    const changes = c.changes.map(ch => `${ch.field} ${show(ch.before)} → ${show(ch.after)}`);
+    lines.push(`Changed ${name(c)}: ${changes.join(", ")}.`);
+  }
+  for (const [title, order] of [["Reading order", diff.readingOrder], ["Tab order", diff.tabOrder]]) {
+    if (!order.changed) continue;
+    const parts = [["added", order.added], ["removed", order.removed], ["moved", order.moved]]
+      .filter(([, items]) => items.length > 0)
+      .map(([what, items]) => `${what} ${items.map(i => `"${i.label ?? i.id}"`).join(", ")}`);
+    lines.push(`${title} changed${parts.length ? `: ${parts.join("; ")}` : ""}.`);
+  }
+  return lines;
+}
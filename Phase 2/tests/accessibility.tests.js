@@ -4,12 +4,31 @@
 // Unit tests for ScreenReaderService, KeyboardNavigator, AuditService
 // ============================================================
 
-import { ScreenReaderService } from "../src/accessibility/ScreenReaderService.js";
-import { KeyboardNavigator }   from "../src/accessibility/KeyboardNavigator.js";
-import { AuditService }        from "../src/accessibility/AuditService.js";
-import { Button }              from "../src/core/Button.js";
-import { InputField }          from "../src/core/InputField.js";
-import { NavigationRegion }    from "../src/core/NavigationRegion.js";
+import { ScreenReaderService } from "../src/accessibility/ScreenRead.js";
+import { KeyboardNavigator }   from "../src/accessibility/keyboardNav.js";
+import {
+  AuditService, RuleRegistry, formatFinding, sortFindings,
+} from "../src/accessibility/auditService.js";
+import { Button }              from "../src/core/button.js";
+import { InputField }          from "../src/core/inputField.js";
+import { NavigationRegion }    from "../src/core/navMap.js";
+import { Group }               from "../src/core/group.js";
+import { Heading }             from "../src/core/heading.js";
+import { Main, Banner }        from "../src/core/landmark.js";
+import {
+  contrastRatio, apcaContrast, evaluateContrast, effectiveBackground,
+} from "../src/accessibility/colorContrast.js";
+import {
+  visualOrder, orderChildren, orderDisagreement,
+} from "../src/accessibility/spatialOrder.js";
+import { VirtualScreenReader } from "../src/accessibility/virtualScreenReader.js";
+import { GRAMMARS, resolveGrammar } from "../src/accessibility/screenReaderGrammars.js";
+import { Link }                from "../src/core/link.js";
+import { List }                from "../src/core/list.js";
+import { Checkbox }            from "../src/core/checkbox.js";
+import { Dialog }              from "../src/core/dialog.js";
+import { FlowGraph }           from "../src/semantic/prototypeFlow.js";
+import { SemanticTree }        from "../src/semantic/semanticTree.js";
 
 // ---- ScreenReaderService ----
 
@@ -38,6 +57,22 @@ describe("ScreenReaderService", () => {
     expect(out[0]).toContain("Main Nav");
     expect(out[1]).toContain("Home");
   });
+
+  test("generic groups are silent but their children are read", () => {
+    const svc   = new ScreenReaderService();
+    const group = new Group("g-1", "Frame 3");
+    group.addChild(new Button("btn-1", "Home"));
+    const out = svc.generateReadingOrder([group]);
+    expect(out).toEqual([expect.stringContaining("Home")]);
+  });
+
+  test("skips hidden layers and their contents", () => {
+    const nav = new NavigationRegion("nav-1", "Drawer");
+    nav.addChild(new Button("btn-1", "Close"));
+    nav.setVisual({ visible: false });
+    const out = new ScreenReaderService().generateReadingOrder([nav, new Button("btn-2", "Open")]);
+    expect(out).toEqual([expect.stringContaining("Open")]);
+  });
 });
 
 // ---- KeyboardNavigator ----
@@ -63,6 +98,14 @@ describe("KeyboardNavigator", () => {
     const order = kbNav.buildTabOrder([btn]);
     expect(order[0].hint.length).toBeGreaterThan(0);
   });
+
+  test("leaves hidden layers out of the tab order", () => {
+    const menu = new Group("g-1", "Menu");
+    menu.addChild(new Button("b1", "Settings"));
+    menu.setVisual({ visible: false });
+    const order = new KeyboardNavigator().buildTabOrder([menu, new Button("b2", "Menu")]);
+    expect(order.map(o => o.id)).toEqual(["b2"]);
+  });
 });
 
 // ---- AuditService ----
@@ -91,6 +134,55 @@ describe("AuditService", () => {
     expect(hasLabelError).toBe(true);
   });
 
+  test("audits components nested inside generic groups", () => {
+    const svc   = new AuditService();
+    const group = new Group("g-1", "Frame 3");
+    const btn   = new Button("b1", "Submit");
+    btn.setState("focusable", false);
+    group.addChild(btn);
+    const result = svc.runAudit([group]);
+    expect(result.failed.some(f => f.includes("FOCUSABLE_BUTTON"))).toBe(true);
+    expect(result.passed.some(p => p.includes("Frame 3"))).toBe(false);
+  });
+
+  test("findings are structured objects with rule metadata", () => {
+    const svc   = new AuditService();
+    const group = new Group("g-1", "Page");
+    const btn   = new Button("b1", "Submit");
+    btn.setState("focusable", false);
+    group.addChild(btn);
+    const finding = svc.runAudit([group]).findings.find(f => f.ruleId === "FOCUSABLE_BUTTON");
+    expect(finding).toEqual({
+      ruleId:   "FOCUSABLE_BUTTON",
+      nodeId:   "b1",
+      nodePath: "Page > Submit",
+      severity: "error",
+      wcag:     ["2.1.1"],
+      message:  expect.stringContaining("not marked as focusable"),
+      fix:      expect.any(String),
+    });
+  });
+
+  test("failed strings are derived from findings", () => {
+    const svc = new AuditService();
+    const btn = new Button("b1", "Submit");
+    btn.setState("focusable", false);
+    const result = svc.runAudit([btn]);
+    expect(result.failed).toEqual(result.findings.map(formatFinding));
+    expect(result.failed[0]).toMatch(/^\[FOCUSABLE_BUTTON\] Button "Submit" \[b1\]/);
+  });
+
+  test("sortFindings orders by severity then criterion", () => {
+    const f = (ruleId, severity, wcag) => ({ ruleId, severity, wcag: [wcag] });
+    const sorted = sortFindings([
+      f("A", "warning", "1.1.1"),
+      f("B", "error", "2.4.11"),
+      f("C", "error", "2.4.3"),
+      f("D", "info", "1.1.1"),
+    ]);
+    expect(sorted.map(x => x.ruleId)).toEqual(["C", "B", "A", "D"]);
+  });
+
   test("result object has passed and failed arrays", () => {
     const svc    = new AuditService();
     const result = svc.runAudit([new Button("b1", "OK")]);
@@ -99,4 +191,609 @@ describe("AuditService", () => {
     expect(Array.isArray(result.passed)).toBe(true);
     expect(Array.isArray(result.failed)).toBe(true);
   });
-});
\ No newline at end of file
+});
+
+// ---- Colour contrast ----
+
+const solid = (r, g, b, extra = {}) => ({ type: "SOLID", color: { r, g, b, a: 1 }, ...extra });
+
+describe("Colour contrast", () => {
+  test("black on white is 21:1", () => {
+    expect(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 1, g: 1, b: 1 })).toBeCloseTo(21, 5);
+  });
+
+  test("APCA is positive for dark on light and negative for light on dark", () => {
+    const black = { r: 0, g: 0, b: 0 };
+    const white = { r: 1, g: 1, b: 1 };
+    expect(apcaContrast(black, white)).toBeCloseTo(106, 0);
+    expect(apcaContrast(white, black)).toBeLessThan(-100);
+  });
+
+  test("blends semi-transparent ancestor fills", () => {
+    const page = new Group("g-1", "Page");
+    page.setVisual({ fills: [solid(0, 0, 0)] });
+    const card = new Group("g-2", "Card");
+    card.setVisual({ fills: [solid(1, 1, 1, { opacity: 0.5 })] });
+    const btn = new Button("b1", "Submit");
+    page.addChild(card);
+    card.addChild(btn);
+    const bg = effectiveBackground(btn);
+    expect(bg.r).toBeCloseTo(0.5, 5);
+  });
+
+  test("applies layer opacity to the composited layer, not to each fill", () => {
+    const card = new Group("g-1", "Card");
+    card.setVisual({ fills: [solid(0, 0, 0), solid(1, 1, 1, { opacity: 0.5 })], opacity: 0.5 });
+    const btn = new Button("b1", "Submit");
+    card.addChild(btn);
+    // Fills make mid grey; at 50% over the white canvas that is 0.75.
+    expect(effectiveBackground(btn).r).toBeCloseTo(0.75, 5);
+  });
+
+  test("reads the background from Figma layers that are not components", () => {
+    const box = (x, y, width, height) => ({ x, y, width, height });
+    const white = solid(1, 1, 1);
+    const tree  = new SemanticTree({ collapseGroups: true });
+    tree.build([{
+      id: "f1", type: "FRAME", name: "Card", absoluteBoundingBox: box(0, 0, 300, 200), children: [
+        { id: "r1", type: "RECTANGLE", name: "Background", fills: [solid(0.1, 0.1, 0.1)],
+          absoluteBoundingBox: box(0, 0, 300, 200) },
+        { id: "f2", type: "FRAME", name: "Content", absoluteBoundingBox: box(20, 20, 260, 160), children: [{
+          id: "b1", type: "INSTANCE", name: "Save Button", absoluteBoundingBox: box(20, 20, 100, 40), children: [
+            { id: "t1", type: "TEXT", name: "Save", characters: "Save", fills: [white],
+              style: { fontSize: 14 }, absoluteBoundingBox: box(30, 30, 80, 20) },
+          ],
+        }] },
+      ],
+    }]);
+    const button = tree.getRoots()[0];
+    expect(button.getRole()).toBe("button");   // Card and Content collapsed away
+    expect(effectiveBackground(button).r).toBeCloseTo(0.1, 5);
+    expect(evaluateContrast(button).passesAA).toBe(true);
+  });
+
+  test("reports AA and AAA results for normal and large text", () => {
+    const btn = new Button("b1", "Submit");
+    btn.setVisual({ fills: [solid(1, 1, 1)], text: { fills: [solid(0.45, 0.45, 0.45)], fontSize: 14 } });
+    const normal = evaluateContrast(btn);
+    expect(normal.passesAA).toBe(true);
+    expect(normal.passesAAA).toBe(false);
+    expect(normal.largeText).toBe(false);
+
+    btn.setVisual({ fills: [solid(1, 1, 1)], text: { fills: [solid(0.6, 0.6, 0.6)], fontSize: 24 } });
+    const large = evaluateContrast(btn);
+    expect(large.largeText).toBe(true);
+    expect(large.passesAA).toBe(false);
+  });
+
+  test("skips text over image fills", () => {
+    const btn = new Button("b1", "Submit");
+    btn.setVisual({ fills: [{ type: "IMAGE" }], text: { fills: [solid(1, 1, 1)], fontSize: 14 } });
+    expect(evaluateContrast(btn)).toBeNull();
+  });
+
+  test("COLOR_CONTRAST rule fails low-contrast text", () => {
+    const svc = new AuditService();
+    const btn = new Button("b1", "Submit");
+    btn.setVisual({ fills: [solid(1, 1, 1)], text: { fills: [solid(0.8, 0.8, 0.8)], fontSize: 14 } });
+    const result = svc.runAudit([btn]);
+    const issue  = result.failed.find(f => f.includes("COLOR_CONTRAST"));
+    expect(issue).toContain("AA needs 4.5:1");
+    expect(issue).toContain("APCA Lc");
+  });
+});
+
+// ---- Geometry rules ----
+
+describe("Geometry rules", () => {
+  const at = (c, x, y, width, height) => { c.setBounds({ x, y, width, height }); return c; };
+  const failures = (roots, id) => new AuditService().runAudit(roots).failed.filter(f => f.startsWith(`[${id}]`));
+
+  test("TARGET_SIZE flags targets under 24×24", () => {
+    const small = at(new Button("b1", "Close"), 0, 0, 20, 20);
+    const ok    = at(new Button("b2", "Save"), 100, 0, 32, 32);
+    const issues = failures([small, ok], "TARGET_SIZE");
+    expect(issues.length).toBe(1);
+    expect(issues[0]).toContain("20×20px");
+  });
+
+  test("TARGET_OVERLAP flags overlapping interactive elements", () => {
+    const page = new Group("g-1", "Page");
+    page.addChild(at(new Button("b1", "Save"), 0, 0, 40, 40));
+    page.addChild(at(new Button("b2", "Cancel"), 30, 0, 40, 40));
+    page.addChild(at(new Button("b3", "Help"), 200, 0, 40, 40));
+    page.addChild(at(new Button("b4", "Close"), 60, 0, 20, 20));
+    const issues = failures([page], "TARGET_OVERLAP");
+    // One finding per pair: Save–Cancel, and Cancel–Close.
+    expect(issues).toEqual([
+      '[TARGET_OVERLAP] "Save" [b1] overlaps "Cancel" [b2].',
+      '[TARGET_OVERLAP] "Cancel" [b2] overlaps "Close" [b4].',
+    ]);
+  });
+
+  test("TARGET_OVERLAP ignores a component's own ancestors", () => {
+    const nav = at(new NavigationRegion("n1", "Nav"), 0, 0, 400, 40);
+    nav.setState("focusable", true);
+    nav.addChild(at(new Button("b1", "Home"), 0, 0, 80, 40));
+    expect(failures([nav], "TARGET_OVERLAP")).toEqual([]);
+  });
+
+  test("FOCUSABLE_CLIPPED flags elements clipped by or outside their frame", () => {
+    const frame = at(new Group("g-1", "Screen"), 0, 0, 375, 812);
+    frame.setVisual({ clipsContent: true });
+    frame.addChild(at(new Button("b1", "Half"), 350, 0, 50, 40));
+    frame.addChild(at(new Button("b2", "Gone"), 500, 0, 50, 40));
+    const issues = failures([frame], "FOCUSABLE_CLIPPED");
+    expect(issues[0]).toContain("is clipped by");
+    expect(issues[1]).toContain("lies outside");
+  });
+
+  test("FOCUSABLE_CLIPPED checks frames that do not clip their content too", () => {
+    const frame = at(new Group("g-1", "Screen"), 0, 0, 375, 812);
+    frame.addChild(at(new Button("b1", "Inside"), 0, 0, 50, 40));
+    frame.addChild(at(new Button("b2", "Half"), 350, 0, 50, 40));
+    frame.addChild(at(new Button("b3", "Gone"), 500, 0, 50, 40));
+    expect(failures([frame], "FOCUSABLE_CLIPPED")).toEqual([
+      '[FOCUSABLE_CLIPPED] "Half" [b2] lies partly outside frame "Screen" [g-1].',
+      '[FOCUSABLE_CLIPPED] "Gone" [b3] lies outside frame "Screen" [g-1].',
+    ]);
+  });
+
+  test("HIDDEN_FOCUSABLE flags hidden controls that are focusable when shown, not in the tab order", () => {
+    const page  = new Group("g-0", "Page");
+    const menu  = new Group("g-1", "Menu");
+    menu.setVisual({ visible: false });
+    menu.addChild(new Button("b1", "Logout"));
+    page.addChild(new Button("b0", "Open menu"));
+    page.addChild(menu);
+
+    expect(new KeyboardNavigator().buildTabOrder([page]).map(t => t.id)).toEqual(["b0"]);
+    expect(failures([page], "HIDDEN_FOCUSABLE")).toEqual([
+      '[HIDDEN_FOCUSABLE] "Logout" [b1] is hidden (visible: false) but focusable when shown.',
+    ]);
+  });
+});
+
+// ---- RuleRegistry ----
+
+describe("RuleRegistry", () => {
+  const smallButton = () => {
+    const btn = new Button("b1", "Close");
+    btn.setBounds({ x: 0, y: 0, width: 32, height: 32 });
+    return btn;
+  };
+
+  test("registers custom rules and rule packs", () => {
+    const registry = new RuleRegistry();
+    registry.registerPack({
+      id: "acme",
+      rules: [{
+        id: "ACME_NO_LOREM", severity: "info", wcag: [], fix: "Write real copy.",
+        check: (c) => c.getLabel().includes("Lorem") ? `"${c.getLabel()}" uses placeholder copy.` : null,
+      }],
+    });
+    const result = new AuditService({ registry }).runAudit([new Button("b1", "Lorem ipsum")]);
+    expect(result.findings.find(f => f.ruleId === "ACME_NO_LOREM").severity).toBe("info");
+  });
+
+  test("a throwing rule fails alone; other rules and children are still audited", () => {
+    const registry = new RuleRegistry();
+    registry.register({ id: "ACME_BROKEN", check: (c) => {
+      if (c.getId() === "n1") throw new Error("boom");
+      return `"${c.getLabel()}" checked.`;
+    } });
+    const nav = new NavigationRegion("n1", "Nav");
+    nav.addChild(new Button("b1", "Home"));
+    const result = new AuditService({ registry }).runAudit([nav]);
+    expect(result.findings.map(f => [f.ruleId, f.nodeId])).toEqual([["AUDIT_ERROR", "n1"], ["ACME_BROKEN", "b1"]]);
+    expect(result.findings[0].message).toContain("ACME_BROKEN: boom");
+    expect(result.passes.some(p => p.ruleId === "LABEL_EMPTY" && p.nodeId === "n1")).toBe(true);
+  });
+
+  test("rejects duplicate ids and rules without check()", () => {
+    const registry = new RuleRegistry();
+    expect(() => registry.register({ id: "LABEL_EMPTY", check: () => null })).toThrow("already registered");
+    expect(() => registry.register({ id: "X" })).toThrow("check()");
+  });
+
+  test("disabled rules do not run", () => {
+    const svc = new AuditService();
+    svc.getRegistry().disable("FOCUSABLE_BUTTON");
+    const btn = new Button("b1", "Submit");
+    btn.setState("focusable", false);
+    expect(svc.runAudit([btn]).failed).toEqual([]);
+  });
+
+  test("JSON config overrides severity and options", () => {
+    const svc = new AuditService({
+      config: { rules: { TARGET_SIZE: { severity: "error", options: { minSize: 44 } }, TARGET_OVERLAP: "off" } },
+    });
+    const finding = svc.runAudit([smallButton()]).findings.find(f => f.ruleId === "TARGET_SIZE");
+    expect(finding.severity).toBe("error");
+    expect(finding.message).toContain("under 44×44");
+    expect(svc.getRegistry().isEnabled("TARGET_OVERLAP")).toBe(false);
+  });
+
+  test("default options apply without config", () => {
+    const result = new AuditService().runAudit([smallButton()]);
+    expect(result.failed.some(f => f.includes("TARGET_SIZE"))).toBe(false);
+  });
+
+  test("config rejects unknown rules and severities", () => {
+    expect(() => new RuleRegistry().configure({ rules: { NOPE: "off" } })).toThrow("unknown rule");
+    expect(() => new RuleRegistry().configure({ rules: { LABEL_EMPTY: "fatal" } })).toThrow("severity");
+  });
+
+  test("list() reports effective settings", () => {
+    const registry = new RuleRegistry().configure({ rules: { COLOR_CONTRAST: { options: { level: "AAA" } } } });
+    const contrast = registry.list().find(r => r.id === "COLOR_CONTRAST");
+    expect(contrast.options).toEqual({ level: "AAA" });
+    expect(contrast.enabled).toBe(true);
+  });
+});
+
+// ---- Document structure rules ----
+
+describe("Document structure rules", () => {
+  const screen = (...children) => {
+    const frame = new Group("s-1", "Home");
+    frame.setNodeType("FRAME");
+    for (const c of children) frame.addChild(c);
+    return frame;
+  };
+  const ids = (roots, ruleId) => new AuditService().runAudit(roots).findings
+    .filter(f => f.ruleId === ruleId).map(f => f.nodeId);
+
+  test("flags screens without a main landmark", () => {
+    expect(ids([screen(new Heading("h1", "Home", 1))], "LANDMARK_MAIN_MISSING")).toEqual(["s-1"]);
+    expect(ids([screen(new Main("m1", "Content"))], "LANDMARK_MAIN_MISSING")).toEqual([]);
+  });
+
+  test("flags repeated main or banner landmarks with the same label", () => {
+    const roots = [screen(new Banner("b1", "Top"), new Banner("b2", "Top"), new Main("m1", "A"), new Main("m2", "B"))];
+    expect(ids(roots, "LANDMARK_DUPLICATE")).toEqual(["b2"]);
+  });
+
+  test("flags skipped heading levels and missing h1", () => {
+    const roots = [screen(new Heading("h2", "Intro", 2), new Heading("h4", "Detail", 4))];
+    expect(ids(roots, "HEADING_SKIPPED_LEVEL")).toEqual(["h4"]);
+    expect(ids(roots, "HEADING_H1_MISSING")).toEqual(["s-1"]);
+  });
+
+  test("flags navigation regions sharing a label", () => {
+    const roots = [screen(new NavigationRegion("n1", "Menu"), new NavigationRegion("n2", "menu"))];
+    expect(ids(roots, "NAV_LABEL_DUPLICATE")).toEqual(["n2"]);
+  });
+
+  test("pages are looked through to their top-level frames", () => {
+    const page = new Group("p-1", "Page 1");
+    page.setNodeType("CANVAS");
+    page.addChild(screen(new Main("m1", "Content")));
+    expect(ids([page], "LANDMARK_MAIN_MISSING")).toEqual([]);
+    expect(ids([page], "HEADING_H1_MISSING")).toEqual(["s-1"]);
+  });
+
+  test("document rules can be disabled like any other", () => {
+    const svc = new AuditService({ config: { rules: { HEADING_H1_MISSING: "off" } } });
+    expect(svc.runAudit([screen()]).findings.some(f => f.ruleId === "HEADING_H1_MISSING")).toBe(false);
+  });
+});
+
+// ---- Spatial order ----
+
+describe("Spatial reading and tab order", () => {
+  const at = (c, x, y, width = 100, height = 40) => {
+    c.setBounds({ x, y, width, height });
+    return c;
+  };
+  const labels = (components) => components.map(c => c.getLabel());
+
+  // Layers stacked bottom-up as often happens in Figma: the footer
+  // button is the first child, the title button the last.
+  function reversedScreen() {
+    const screen = at(new Group("s-1", "Home"), 0, 0, 400, 400);
+    screen.setNodeType("FRAME");
+    screen.addChild(at(new Button("b3", "Footer"), 0, 300));
+    screen.addChild(at(new Button("b2", "Right"), 200, 100));
+    screen.addChild(at(new Button("b1", "Left"), 0, 100));
+    screen.addChild(at(new Button("b0", "Title"), 0, 0));
+    return screen;
+  }
+
+  test("sorts siblings into rows, then columns", () => {
+    expect(labels(orderChildren(reversedScreen()))).toEqual(["Title", "Left", "Right", "Footer"]);
+  });
+
+  test("reads side-by-side columns one at a time", () => {
+    const sidebar = at(new Button("side", "Sidebar"), 0, 0, 100, 400);
+    const first   = at(new Button("m1", "First"), 120, 0);
+    const second  = at(new Button("m2", "Second"), 120, 100);
+    expect(labels(visualOrder([second, sidebar, first]))).toEqual(["Sidebar", "First", "Second"]);
+  });
+
+  test("auto-layout keeps child order", () => {
+    const screen = reversedScreen();
+    screen.setLayoutMode("VERTICAL");
+    expect(labels(orderChildren(screen))).toEqual(["Footer", "Right", "Left", "Title"]);
+  });
+
+  test("focus-order annotations come first", () => {
+    const screen = reversedScreen();
+    screen.getChildren()[0].setFocusOrder(1);   // Footer
+    expect(labels(orderChildren(screen))).toEqual(["Footer", "Title", "Left", "Right"]);
+  });
+
+  test("keeps layer order when any sibling has no bounds", () => {
+    const a = new Button("a", "A");
+    const b = at(new Button("b", "B"), 0, 0);
+    expect(labels(visualOrder([a, b]))).toEqual(["A", "B"]);
+  });
+
+  test("screen reader and tab order follow the layout by default", () => {
+    const roots = [reversedScreen()];
+    expect(new KeyboardNavigator().buildTabOrder(roots).map(t => t.label))
+      .toEqual(["Title", "Left", "Right", "Footer"]);
+    expect(new ScreenReaderService().generateReadingOrder(roots)[0]).toContain("Title");
+    expect(new ScreenReaderService({ order: "layer" }).generateReadingOrder(roots)[0]).toContain("Footer");
+    expect(() => new KeyboardNavigator({ order: "z" })).toThrow(TypeError);
+  });
+
+  test("orderDisagreement counts out-of-order pairs", () => {
+    expect(orderDisagreement([1, 2, 3], [1, 2, 3])).toBe(0);
+    expect(orderDisagreement([3, 2, 1], [1, 2, 3])).toBe(1);
+    expect(orderDisagreement([2, 1, 3], [1, 2, 3])).toBeCloseTo(1 / 3);
+  });
+
+  test("flags containers whose layer order disagrees with the layout", () => {
+    const findings = new AuditService().runAudit([reversedScreen()]).findings
+      .filter(f => f.ruleId === "READING_ORDER_MISMATCH");
+    expect(findings.map(f => f.nodeId)).toEqual(["s-1"]);
+    expect(findings[0].wcag).toEqual(["1.3.2", "2.4.3"]);
+    expect(findings[0].message).toContain('laid out as "Title", "Left", "Right", "Footer"');
+  });
+
+  test("does not flag auto-layout or mildly shuffled layers", () => {
+    const auto = reversedScreen();
+    auto.setLayoutMode("VERTICAL");
+    const mild = at(new Group("s-2", "Mild"), 0, 0, 400, 400);
+    [["a", 0, 0], ["b", 0, 100], ["d", 0, 300], ["c", 0, 200]]
+      .forEach(([id, x, y]) => mild.addChild(at(new Button(id, id), x, y)));
+    const ids = new AuditService().runAudit([auto, mild]).findings
+      .filter(f => f.ruleId === "READING_ORDER_MISMATCH").map(f => f.nodeId);
+    expect(ids).toEqual([]);
+  });
+});
+
+// ---- VirtualScreenReader ----
+
+describe("VirtualScreenReader", () => {
+  // Header > "Shop"; Primary nav > list of two links; Content > sign-in form
+  function page() {
+    const banner = new Banner("b", "Header");
+    banner.addChild(new Heading("h1", "Shop", 1));
+
+    const nav  = new NavigationRegion("n", "Primary");
+    const menu = new List("l", "Menu");
+    menu.addChild(new Link("a1", "Home"));
+    menu.addChild(new Link("a2", "Cart"));
+    nav.addChild(menu);
+
+    const main = new Main("m", "Content");
+    main.addChild(new Heading("h2", "Sign in", 2));
+    main.addChild(new InputField("i", "Email"));
+    main.addChild(new Checkbox("c", "Remember me"));
+    main.addChild(new Button("s", "Submit"));
+    return [banner, nav, main];
+  }
+
+  test("steps element by element, announcing regions and list positions", () => {
+    const sr = new VirtualScreenReader(page());
+    expect(sr.length).toBe(7);
+    expect(sr.next()).toBe("Header  banner landmark  Shop  heading  level 1");
+    expect(sr.next()).toBe("Primary  navigation landmark  list  with 2 items  Home  link  1 of 2");
+    expect(sr.next()).toBe("Cart  link  2 of 2");
+    expect(sr.next()).toBe("out of list  Content  main landmark  Sign in  heading  level 2");
+    expect(sr.getPosition()).toEqual({ index: 4, total: 7 });
+    expect(sr.previous()).toBe("Primary  navigation landmark  list  with 2 items  Cart  link  2 of 2");
+  });
+
+  test("leaves hidden layers out of the buffer", () => {
+    const roots = page();
+    roots[1].setVisual({ visible: false });
+    const sr = new VirtualScreenReader(roots);
+    expect(sr.length).toBe(5);
+    expect(sr.next("link")).toBe("no next link");
+  });
+
+  test("announces the edges of the content", () => {
+    const sr = new VirtualScreenReader(page());
+    expect(sr.previous()).toBe("Content  main landmark  Submit  button");   // Starts from the end
+    expect(sr.next()).toBe("Bottom");
+    sr.first();
+    expect(sr.previous()).toBe("Top");
+    expect(sr.current().getId()).toBe("h1");
+  });
+
+  test("jumps by heading, landmark, form control and link", () => {
+    const sr = new VirtualScreenReader(page());
+    expect(sr.next("heading")).toContain("Shop");
+    expect(sr.next("heading")).toContain("Sign in");
+    expect(sr.next("heading")).toBe("no next heading");
+
+    sr.reset();
+    expect(sr.next("landmark")).toContain("banner landmark");
+    expect(sr.next("landmark")).toContain("navigation landmark");
+    expect(sr.next("landmark")).toContain("main landmark");
+    expect(sr.next("landmark")).toBe("no next landmark");
+
+    sr.reset();
+    expect(sr.next("formControl")).toContain("Email  edit");
+    expect(sr.next("formControl")).toContain("Remember me  check box  not checked");
+    expect(sr.previous("link")).toContain("Cart  link");
+    expect(() => sr.next("button")).toThrow(TypeError);
+  });
+
+  test("phrases the same content in JAWS and VoiceOver style", () => {
+    const jaws = new VirtualScreenReader(page(), { grammar: "jaws" });
+    jaws.next(); jaws.next(); jaws.next();
+    expect(jaws.next()).toBe("list end, navigation region end, Content main region, Sign in heading level 2");
+    expect(jaws.next("link")).toBe("No more links");
+
+    const vo = new VirtualScreenReader(page(), { grammar: "VoiceOver" });
+    vo.next("formControl");
+    expect(vo.next()).toBe("Remember me, unchecked, checkbox");
+    expect(vo.next("heading")).toBe("no heading found");
+  });
+
+  test("accepts a custom grammar built from a built-in one", () => {
+    const terse = { ...GRAMMARS.nvda, element(f) { return `${f.role}: ${f.name}`; }, separator: " / " };
+    const sr = new VirtualScreenReader(page(), { grammar: terse });
+    expect(sr.next()).toBe("Header  banner landmark / heading: Shop");
+    expect(sr.repeat()).toBe("heading: Shop");
+  });
+
+  test("rejects unknown or incomplete grammars", () => {
+    expect(() => resolveGrammar("orca")).toThrow(/Unknown screen reader grammar/);
+    expect(() => resolveGrammar({ element() {} })).toThrow(/missing: enter, leave/);
+    expect(() => new VirtualScreenReader(null)).toThrow(TypeError);
+  });
+});
+
+// ---- Prototype interactions ----
+
+describe("Prototype interactions", () => {
+  const edge = (owner, trigger, action, destination, extra = {}) => ({
+    triggerId:     owner.getId(),
+    triggerName:   owner.getLabel(),
+    owner,
+    trigger,
+    action,
+    destinationId: destination?.getId() ?? null,
+    destination,
+    keyCodes:      [],
+    ...extra,
+  });
+
+  // Home screen with a settings button opening a proper dialog.
+  function prototype() {
+    const home     = new Group("s1", "Home");
+    const open     = new Button("b1", "Settings");
+    home.addChild(open);
+    const settings = new Dialog("d1", "Settings");
+    const close    = new Button("b2", "Close");
+    settings.addChild(close);
+
+    const flow = new FlowGraph();
+    flow.addEdge(edge(open, "click", "overlay", settings));
+    flow.addEdge(edge(close, "click", "close", null));
+    return { roots: [home, settings], flow, home, open, settings };
+  }
+
+  const checks = (flow) => new KeyboardNavigator().checkInteractions(flow).map(i => [i.check, i.component.getId()]);
+
+  test("accepts focusable triggers and a closable modal dialog", () => {
+    expect(checks(prototype().flow)).toEqual([]);
+  });
+
+  test("flags clickable layers that cannot be focused", () => {
+    const { flow, home } = prototype();
+    flow.addEdge(edge(home, "click", "navigate", null, { triggerId: "r1", triggerName: "Card", destinationId: "s2" }));
+    const [issue] = new KeyboardNavigator().checkInteractions(flow);
+    expect(issue.check).toBe("trigger");
+    expect(issue.message).toBe('"Home" [s1] (layer "Card") is clickable (navigate to [s2]) but cannot be reached with the keyboard.');
+  });
+
+  test("flags overlays that are not dialogs, hold no focus and cannot be closed", () => {
+    const { flow, home } = prototype();
+    const promoBtn = new Button("b3", "Promo");
+    home.addChild(promoBtn);
+    const promo = new Group("p1", "Promo");
+    promo.addChild(new Heading("ph", "Sale", 2));
+    flow.addEdge(edge(promoBtn, "click", "overlay", promo));
+
+    const issues = new KeyboardNavigator().checkInteractions(flow);
+    expect(issues.map(i => [i.check, i.component.getId()])).toEqual([["overlay", "p1"]]);
+    expect(issues[0].message).toContain("not a dialog; nothing in it can take focus; no focusable control or key press closes it");
+  });
+
+  test("accepts a key press as the way to close an overlay", () => {
+    const { flow, settings } = prototype();
+    const keyOnly = new FlowGraph();
+    for (const e of flow.getEdges().filter(x => x.action !== "close")) keyOnly.addEdge(e);
+    expect(checks(keyOnly)).toEqual([["overlay", "d1"]]);
+    keyOnly.addEdge(edge(settings, "key", "close", null, { keyCodes: [27] }));
+    expect(checks(keyOnly)).toEqual([]);
+  });
+
+  test("flags content that only hover reveals", () => {
+    const { flow, home } = prototype();
+    const help    = new Button("b4", "Help");
+    const tooltip = new Group("t1", "Tooltip");
+    tooltip.addChild(new Heading("th", "Help", 3));
+    home.addChild(help);
+    flow.addEdge(edge(help, "hover", "overlay", tooltip));
+    // Hover styling that swaps the trigger's own variant hides nothing.
+    flow.addEdge(edge(help, "hover", "change", null));
+
+    const issues = new KeyboardNavigator().checkInteractions(flow).filter(i => i.check === "hover");
+    expect(issues.map(i => i.message)).toEqual(['Hovering "Help" [b4] shows "Tooltip", which no keyboard action reaches.']);
+
+    flow.addEdge(edge(help, "click", "overlay", tooltip));
+    expect(checks(flow).filter(([check]) => check === "hover")).toEqual([]);
+  });
+
+  test("reports interaction issues as audit findings when given a flow graph", () => {
+    const { roots, flow, home } = prototype();
+    flow.addEdge(edge(home, "click", "navigate", null, { destinationId: "s2" }));
+    const ruleIds = (result) => result.findings.map(f => f.ruleId)
+      .filter(id => ["PROTOTYPE_TRIGGER_FOCUSABLE", "OVERLAY_NOT_MODAL_DIALOG", "HOVER_ONLY_CONTENT"].includes(id));
+
+    expect(ruleIds(new AuditService().runAudit(roots, { flow }))).toEqual(["PROTOTYPE_TRIGGER_FOCUSABLE"]);
+    expect(ruleIds(new AuditService().runAudit(roots))).toEqual([]);
+    expect(() => new KeyboardNavigator().checkInteractions(null)).toThrow(TypeError);
+  });
+});
+
+// ---- Form rules ----
+
+describe("Form rules", () => {
+  const ruleIds = (input) => new AuditService().runAudit([input]).findings.map(f => f.ruleId);
+
+  test("flags inputs with no visible label", () => {
+    expect(ruleIds(new InputField("i1", "Input 3"))).toContain("INPUT_LABEL_MISSING");
+  });
+
+  test("flags placeholder-only labelling", () => {
+    const input = new InputField("i1", "Input 3");
+    input.setPlaceholder("Search");
+    const ids = ruleIds(input);
+    expect(ids).toContain("INPUT_PLACEHOLDER_ONLY");
+    expect(ids).not.toContain("INPUT_LABEL_MISSING");
+  });
+
+  test("flags required fields without an indicator", () => {
+    const input = new InputField("i1", "Name");
+    input.setVisibleLabel("Name");
+    input.setRequired(true);
+    expect(ruleIds(input)).toContain("INPUT_REQUIRED_INDICATOR");
+    input.setVisibleLabel("Name *");
+    expect(ruleIds(input)).not.toContain("INPUT_REQUIRED_INDICATOR");
+  });
+
+  test("flags email and password fields with no autocomplete purpose", () => {
+    const input = new InputField("i1", "Password", "password");
+    input.setVisibleLabel("Password");
+    expect(ruleIds(input)).toContain("INPUT_AUTOCOMPLETE");
+    input.setAutocomplete("current-password");
+    expect(ruleIds(input)).not.toContain("INPUT_AUTOCOMPLETE");
+  });
+
+  test("flags error states with no message", () => {
+    const input = new InputField("i1", "Date");
+    input.setVisibleLabel("Date");
+    input.setInvalid(true);
+    expect(ruleIds(input)).toContain("INPUT_ERROR_MESSAGE");
+    input.setErrorMessage("Enter a valid date");
+    expect(ruleIds(input)).not.toContain("INPUT_ERROR_MESSAGE");
+  });
+});
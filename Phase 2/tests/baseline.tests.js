@@ -0,0 +1,156 @@
+// ============================================================
+// tests/baseline.tests.js
+// Unit tests for baseline snapshots, the new/fixed/unchanged
+// comparison, suppressions and the snapshot store.
+// ============================================================
+
+import {
+  fingerprint, createSnapshot, assertSnapshot, parseSuppressions,
+  compareToBaseline, applyBaseline, BaselineStore,
+} from "../src/accessibility/baseline.js";
+import { formatSarif, formatJUnit } from "../src/export/reportFormats.js";
+
+const finding = (ruleId, nodeId, severity = "error") => ({
+  ruleId, nodeId, severity, nodePath: `Screen > ${nodeId}`, wcag: [], message: `${ruleId} on ${nodeId}`, fix: "Fix it.",
+});
+
+const report = (findings, version = "2") => ({
+  file: { key: "abc", name: "Checkout", version, lastModified: null },
+  scope: null, rules: [], screens: [], readingOrder: [], tabOrder: [], parseErrors: [],
+  findings,
+  summary: { passed: 0, bySeverity: {} },
+});
+
+const v1 = createSnapshot(report([
+  finding("LABEL_EMPTY", "1:1"),
+  finding("TARGET_SIZE", "1:2", "warning"),
+  finding("TARGET_SIZE", "1:3", "warning"),
+], "1"), { createdAt: "2026-01-01T00:00:00.000Z" });
+
+const NOW = new Date("2026-06-01T00:00:00Z");
+
+describe("Baseline snapshots", () => {
+  test("record findings by rule and node fingerprint", () => {
+    expect(fingerprint(finding("TARGET_SIZE", "12:34"))).toBe("TARGET_SIZE:12:34");
+    expect(v1).toMatchObject({ schema: 1, fileKey: "abc", version: "1", createdAt: "2026-01-01T00:00:00.000Z" });
+    expect(v1.findings.map(f => f.fingerprint)).toEqual(["LABEL_EMPTY:1:1", "TARGET_SIZE:1:2", "TARGET_SIZE:1:3"]);
+    expect(assertSnapshot(v1)).toBe(v1);
+    expect(() => assertSnapshot({ findings: [] })).toThrow("schema");
+    expect(() => assertSnapshot([])).toThrow(TypeError);
+  });
+
+  test("classify findings as new, fixed or unchanged", () => {
+    const current = report([finding("LABEL_EMPTY", "1:1"), finding("TARGET_SIZE", "1:2", "warning"),
+      finding("ROLE_PRESENT", "1:4"), finding("LABEL_EMPTY", "1:1")]);
+    const result = compareToBaseline(current, v1, { now: NOW });
+    expect(result.unchanged.map(fingerprint)).toEqual(["LABEL_EMPTY:1:1", "TARGET_SIZE:1:2"]);
+    // The second LABEL_EMPTY on 1:1 is more than the baseline had.
+    expect(result.new.map(fingerprint)).toEqual(["ROLE_PRESENT:1:4", "LABEL_EMPTY:1:1"]);
+    expect(result.fixed.map(f => f.fingerprint)).toEqual(["TARGET_SIZE:1:3"]);
+
+    expect(compareToBaseline(current, null).new).toHaveLength(4);
+    expect(compareToBaseline(current, null).fixed).toEqual([]);
+  });
+
+  test("only compare audits of the same scope", () => {
+    const scoped = { ...report([finding("LABEL_EMPTY", "1:1")]), scope: { nodeId: "1:0", name: "Cart", type: "FRAME" } };
+    expect(() => compareToBaseline(scoped, v1)).toThrow("Baseline covers the whole file, but the report covers node 1:0");
+    expect(() => compareToBaseline(report([]), createSnapshot(scoped))).toThrow(RangeError);
+    expect(compareToBaseline(scoped, createSnapshot(scoped)).unchanged).toHaveLength(1);
+  });
+
+  test("apply suppressions until they expire", () => {
+    const suppressions = parseSuppressions({ suppressions: [
+      { ruleId: "TARGET_SIZE", reason: "Redesign in Q3", expires: "2026-09-30" },
+      { ruleId: "ROLE_PRESENT", nodeId: "1:4", reason: "Decorative", expires: "2026-03-01" },
+    ] });
+    const current = report([finding("TARGET_SIZE", "1:2", "warning"), finding("TARGET_SIZE", "1:9", "warning"),
+      finding("ROLE_PRESENT", "1:4")]);
+
+    const applied = applyBaseline(current, v1, { suppressions, now: NOW });
+    expect(applied.findings.map(f => [fingerprint(f), f.baselineState, f.suppressed?.reason ?? null])).toEqual([
+      ["TARGET_SIZE:1:2", "unchanged", "Redesign in Q3"],
+      ["TARGET_SIZE:1:9", "new", "Redesign in Q3"],
+      ["ROLE_PRESENT:1:4", "new", null],
+    ]);
+    expect(applied.comparison.counts).toEqual({ new: 1, fixed: 2, unchanged: 0, suppressed: 2 });
+    expect(applied.comparison.expired.map(s => s.ruleId)).toEqual(["ROLE_PRESENT"]);
+    expect(applied.comparison.baseline).toEqual({ fileKey: "abc", version: "1", createdAt: "2026-01-01T00:00:00.000Z" });
+    expect(current.findings[0]).not.toHaveProperty("baselineState");
+  });
+
+  test("reject suppressions without a reason or expiry", () => {
+    expect(() => parseSuppressions({})).toThrow(TypeError);
+    expect(() => parseSuppressions([{ reason: "x", expires: "2026-01-01" }])).toThrow("ruleId");
+    expect(() => parseSuppressions([{ ruleId: "A", expires: "2026-01-01" }])).toThrow("reason");
+    expect(() => parseSuppressions([{ ruleId: "A", reason: "x" }])).toThrow("expires");
+    expect(() => parseSuppressions([{ ruleId: "A", reason: "x", expires: "soon" }])).toThrow("expires");
+    expect(parseSuppressions([{ ruleId: "A", reason: "x", expires: "2026-01-01" }])[0].nodeId).toBeNull();
+  });
+
+  test("carry baseline state into SARIF and JUnit", () => {
+    const applied = applyBaseline(report([finding("LABEL_EMPTY", "1:1"), finding("ROLE_PRESENT", "1:4")]), v1, {
+      suppressions: parseSuppressions([{ ruleId: "LABEL_EMPTY", reason: "Known", expires: "2099-01-01" }]),
+      now: NOW,
+    });
+    const results = JSON.parse(formatSarif(applied)).runs[0].results;
+    expect(results.map(r => [r.ruleId, r.baselineState])).toEqual([
+      ["LABEL_EMPTY", "unchanged"], ["ROLE_PRESENT", "new"], ["TARGET_SIZE", "absent"], ["TARGET_SIZE", "absent"],
+    ]);
+    expect(results[0].suppressions).toEqual([{ kind: "external", status: "accepted", justification: "Known" }]);
+
+    expect(formatJUnit(applied)).toContain('failures="1"');
+    const unchangedOnly = applyBaseline(report([finding("TARGET_SIZE", "1:2")]), v1, { now: NOW });
+    expect(formatJUnit(unchangedOnly)).toContain('failures="1"');
+    expect(formatJUnit(unchangedOnly, { newOnly: true })).toContain('failures="0"');
+  });
+});
+
+describe("BaselineStore", () => {
+  const memoryStore = () => {
+    const map = new Map();
+    return { map, get: async (k) => map.get(k), set: async (k, v) => { map.set(k, v); } };
+  };
+
+  test("keys snapshots by file and version, and finds the previous version", async () => {
+    const store     = new BaselineStore(memoryStore());
+    const v2        = { ...v1, version: "2", createdAt: "2026-02-01T00:00:00.000Z" };
+    await store.save(v1);
+    expect(await store.previous("abc", "1")).toBeNull();
+    await store.save(v2);
+    expect(await store.get("abc", "1")).toEqual(v1);
+    expect((await store.previous("abc", "2")).version).toBe("1");
+    expect((await store.previous("abc", "3")).version).toBe("2");
+    expect(await store.previous("other", "1")).toBeNull();
+  });
+
+  test("keeps node audits apart from whole-file audits", async () => {
+    const backing = memoryStore();
+    const store   = new BaselineStore(backing);
+    const cart    = { ...v1, scope: "1:0" };
+    await store.save(v1);
+    await store.save(cart);
+    expect(await store.get("abc", "1", { scope: "1:0" })).toEqual(cart);
+    expect(await store.previous("abc", "2")).toEqual(v1);
+    expect(await store.previous("abc", "2", { scope: "1:0" })).toEqual(cart);
+    expect(await store.previous("abc", "2", { scope: "9:9" })).toBeNull();
+
+    // A node audit stored under the file's key is not a whole-file baseline.
+    backing.map.set("baseline:abc@1", cart);
+    expect(await store.previous("abc", "2")).toBeNull();
+  });
+
+  test("keeps only the most recent versions", async () => {
+    const backing = memoryStore();
+    const store   = new BaselineStore(backing, { limit: 2 });
+    for (const version of ["1", "2", "3"]) await store.save({ ...v1, version });
+    expect(await store.get("abc", "1")).toBeNull();
+    expect(backing.map.get("baseline:abc").map(v => v.version)).toEqual(["2", "3"]);
+  });
+
+  test("validates its store and snapshots", async () => {
+    expect(() => new BaselineStore({})).toThrow(TypeError);
+    expect(() => new BaselineStore(memoryStore(), { limit: 0 })).toThrow(RangeError);
+    await expect(new BaselineStore(memoryStore()).save({ ...v1, fileKey: null })).rejects.toThrow("file key");
+  });
+});
@@ -0,0 +1,204 @@
+// ============================================================
+// tests/canvasProtocol.tests.js
+// Unit tests for the popup ↔ content script protocol, CanvasBridge
+// over a stubbed chrome API, and the overlay's marker placement.
+// ============================================================
+
+import {
+  createMessage, createMessageHandler, listen, figmaFileKeyOf, withNodeId, MESSAGE_SOURCE,
+} from "../src/extension/canvasProtocol.js";
+import { CanvasBridge, buildOrderPayload, CONTENT_SCRIPT } from "../src/extension/canvasBridge.js";
+import { CanvasOverlay, fitTransform, toPage, placeMarkers } from "../src/extension/canvasOverlay.js";
+import { SemanticTree } from "../src/semantic/semanticTree.js";
+import { createFakeChrome } from "./helpers/fakeChrome.js";
+
+const box = (x, y, width, height) => ({ x, y, width, height });
+
+// Records what the content script was asked to do.
+function recordingHandlers() {
+  const calls = [];
+  return {
+    calls,
+    handlers: {
+      ping:      () => ({ url: "tab" }),
+      showNode:  (p) => { calls.push(["showNode", p]); return { nodeId: p.nodeId }; },
+      showOrder: async (p) => { calls.push(["showOrder", p.frame.id]); return { markers: 2 }; },
+      clear:     () => { calls.push(["clear"]); },
+    },
+  };
+}
+
+const bridgeFor = (chrome) => new CanvasBridge(chrome, { delay: async () => {} });
+
+describe("canvasProtocol", () => {
+  test("creates tagged messages and rejects invalid ones", () => {
+    expect(createMessage("showNode", { nodeId: "1:2" })).toEqual({
+      source: MESSAGE_SOURCE, type: "showNode", payload: { nodeId: "1:2" },
+    });
+    expect(() => createMessage("explode")).toThrow(TypeError);
+    expect(() => createMessage("showNode", {})).toThrow("nodeId");
+    expect(() => createMessage("showOrder", { frame: { id: "1:1" } })).toThrow("tabOrder");
+  });
+
+  test("dispatches to handlers and answers ok or the error", async () => {
+    const { handlers } = recordingHandlers();
+    const handle  = createMessageHandler({ ...handlers, clear: () => { throw new Error("No overlay."); } });
+    const respond = (message) => new Promise(resolve => expect(handle(message, {}, resolve)).toBe(true));
+
+    expect(await respond(createMessage("showNode", { nodeId: "1:2" }))).toEqual({ ok: true, result: { nodeId: "1:2" } });
+    expect(await respond(createMessage("clear"))).toEqual({ ok: false, error: "No overlay." });
+    expect(await respond({ source: MESSAGE_SOURCE, type: "showNode", payload: {} }))
+      .toEqual({ ok: false, error: '"showNode" message needs a nodeId.' });
+    // Other extensions' messages are left for their own listeners.
+    expect(handle({ type: "showNode" }, {}, () => {})).toBe(false);
+  });
+
+  test("listen() registers and removes the runtime listener", async () => {
+    const chrome = createFakeChrome();
+    const stop   = listen(chrome.runtime, recordingHandlers().handlers);
+    expect(await chrome.tabs.sendMessage(7, createMessage("ping"))).toEqual({ ok: true, result: { url: "tab" } });
+    stop();
+    await expect(chrome.tabs.sendMessage(7, createMessage("ping"))).rejects.toThrow("Receiving end");
+  });
+
+  test("reads file keys and writes node-id links", () => {
+    expect(figmaFileKeyOf("https://www.figma.com/design/abc123/Checkout?node-id=1-2")).toBe("abc123");
+    expect(figmaFileKeyOf("https://www.figma.com/file/XyZ/Old")).toBe("XyZ");
+    expect(figmaFileKeyOf("https://www.figma.com/files/recent")).toBeNull();
+    expect(figmaFileKeyOf(undefined)).toBeNull();
+    expect(withNodeId("https://www.figma.com/design/abc123/Checkout?node-id=1-2&t=x", "12:34"))
+      .toBe("https://www.figma.com/design/abc123/Checkout?node-id=12-34&t=x");
+    expect(withNodeId("https://www.figma.com/design/abc123/Checkout?node-id=1-2&t=x", null))
+      .toBe("https://www.figma.com/design/abc123/Checkout?t=x");
+  });
+});
+
+describe("CanvasBridge", () => {
+  test("injects the content script on first use, then reuses it", async () => {
+    const { calls, handlers } = recordingHandlers();
+    const chrome = createFakeChrome({ onInject: (c) => listen(c.runtime, handlers) });
+    const bridge = bridgeFor(chrome);
+
+    expect(await bridge.showNode("abc123", "1:2", { label: "Pay", message: "Too small." }))
+      .toEqual({ nodeId: "1:2" });
+    await bridge.clear("abc123");
+    expect(chrome.injected).toEqual([{ target: { tabId: 7 }, files: [CONTENT_SCRIPT] }]);
+    expect(chrome.sent).toEqual(["ping", "ping", "showNode", "ping", "clear"]);
+    expect(calls).toEqual([
+      ["showNode", { nodeId: "1:2", label: "Pay", message: "Too small.", bounds: null }],
+      ["clear"],
+    ]);
+  });
+
+  test("waits for the overlay module to load after injecting", async () => {
+    const { handlers } = recordingHandlers();
+    let ready = 0;
+    const chrome = createFakeChrome({ onInject: (c) => { ready = 2; c.runtime.onMessage.addListener(late); } });
+    const answer = createMessageHandler(handlers);
+    // Answers only from the third ping on, like a module still loading.
+    function late(message, sender, respond) {
+      return ready-- > 0 ? false : answer(message, sender, respond);
+    }
+    await expect(bridgeFor(chrome).clear("abc123")).resolves.toBeNull();
+    expect(chrome.sent.filter(t => t === "ping")).toHaveLength(4);
+  });
+
+  test("refuses tabs that do not show the audited file", async () => {
+    const other = bridgeFor(createFakeChrome({ url: "https://www.figma.com/design/zzz999/Other" }));
+    await expect(other.clear("abc123")).rejects.toThrow("different Figma file");
+    await expect(bridgeFor(createFakeChrome({ url: "https://example.com/" })).clear(null))
+      .rejects.toThrow("Open the Figma file");
+    // An exported JSON file has no key; any open file is accepted.
+    const { handlers } = recordingHandlers();
+    const any = createFakeChrome({ url: "https://www.figma.com/design/zzz999/Other", onInject: (c) => listen(c.runtime, handlers) });
+    await expect(bridgeFor(any).clear(null)).resolves.toBeNull();
+  });
+
+  test("reports a tab that never answers, and errors from the content script", async () => {
+    const silent = bridgeFor(createFakeChrome());
+    await expect(silent.clear("abc123")).rejects.toThrow("did not respond");
+
+    const { handlers } = recordingHandlers();
+    const failing = createFakeChrome({
+      onInject: (c) => listen(c.runtime, { ...handlers, showOrder: () => { throw new Error("Frame not found."); } }),
+    });
+    const payload = { frame: { id: "1:1", label: "Home", bounds: null }, tabOrder: [], readingOrder: [] };
+    await expect(bridgeFor(failing).showOrder("abc123", payload)).rejects.toThrow("Frame not found.");
+    expect(() => new CanvasBridge({ tabs: {} })).toThrow(TypeError);
+  });
+});
+
+describe("Order overlay", () => {
+  const screen = () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "s1", type: "FRAME", name: "Checkout", absoluteBoundingBox: box(1000, 500, 400, 300), children: [
+        { id: "t1", type: "TEXT", name: "Title", characters: "Checkout", absoluteBoundingBox: box(1000, 500, 400, 40) },
+        { id: "b2", type: "INSTANCE", name: "Cancel Button", absoluteBoundingBox: box(1000, 700, 100, 40) },
+        { id: "b1", type: "INSTANCE", name: "Pay Button", absoluteBoundingBox: box(1000, 600, 100, 40) },
+      ],
+    }]);
+    return tree.getRoots()[0];
+  };
+
+  test("buildOrderPayload lists the tab and reading order with bounds", () => {
+    const payload = buildOrderPayload(screen());
+    expect(payload.frame).toEqual({ id: "s1", label: "Checkout", bounds: box(1000, 500, 400, 300) });
+    expect(payload.tabOrder.map(t => t.id)).toEqual(["b1", "b2"]);
+    expect(payload.tabOrder[0]).toEqual({ id: "b1", label: "Pay Button", bounds: box(1000, 600, 100, 40) });
+    // The frame itself is a silent group.
+    expect(payload.readingOrder.map(r => r.id)).toEqual(["t1", "b1", "b2"]);
+    expect(() => createMessage("showOrder", payload)).not.toThrow();
+  });
+
+  test("fits the frame into the canvas like Figma's zoom to fit", () => {
+    // 400×300 into 900×648 less 48px padding each side: limited by height, 552 / 300.
+    const t = fitTransform(box(1000, 500, 400, 300), box(100, 52, 900, 648));
+    expect(t.scale).toBeCloseTo(1.84);
+    expect(t.y).toBeCloseTo(52 + 48);
+    expect(t.x).toBeCloseTo(100 + (900 - 400 * t.scale) / 2);
+    // Small nodes are zoomed in, as with Zoom to selection.
+    expect(fitTransform(box(0, 0, 10, 10), box(0, 0, 500, 500))).toEqual({ scale: 40.4, x: 48, y: 48 });
+    expect(toPage(box(1100, 600, 50, 50), box(1000, 500, 400, 300), { scale: 2, x: 10, y: 20 }))
+      .toEqual(box(210, 220, 100, 100));
+  });
+
+  test("navigates to the node again when the URL already points at it", async () => {
+    const seen = [];
+    const win  = {
+      location: { href: "https://www.figma.com/design/abc123/Checkout" },
+      history:  { state: null, length: 1 },
+      PopStateEvent: class { constructor(type) { this.type = type; } },
+      dispatchEvent: () => seen.push(win.location.href),
+      setTimeout: (fn) => fn(),
+    };
+    for (const method of ["pushState", "replaceState"]) {
+      win.history[method] = (state, title, url) => {
+        if (method === "pushState") win.history.length++;
+        win.location.href = url;
+      };
+    }
+    const overlay = new CanvasOverlay(win, { settle: 0 });
+
+    await overlay.navigate("1:2");
+    await overlay.navigate("1:2");
+    expect(seen).toEqual([
+      "https://www.figma.com/design/abc123/Checkout?node-id=1-2",
+      "https://www.figma.com/design/abc123/Checkout",
+      "https://www.figma.com/design/abc123/Checkout?node-id=1-2",
+    ]);
+    expect(win.history.length).toBe(2);
+  });
+
+  test("places numbered tab and reading markers on each component", () => {
+    const payload = buildOrderPayload(screen());
+    payload.readingOrder[1].bounds = null;   // Skipped, but later items keep their numbers
+    const markers = placeMarkers(payload, box(0, 0, 496, 396));   // Fits at 100%
+    expect(markers.map(m => [m.kind, m.number, m.id, m.x, m.y])).toEqual([
+      ["tab", 1, "b1", 48, 148],
+      ["tab", 2, "b2", 48, 248],
+      ["reading", 1, "t1", 448, 48],
+      ["reading", 3, "b2", 148, 248],
+    ]);
+  });
+});
@@ -0,0 +1,257 @@
+// ============================================================
+// tests/cli.tests.js
+// Unit tests for the headless CLI (argument parsing, output and
+// exit codes). All I/O is stubbed.
+// ============================================================
+
+import {
+  runCli, parseArgs, reachesThreshold, EXIT_OK, EXIT_FINDINGS, EXIT_ERROR,
+} from "../src/cli/cli.js";
+
+const FILE = {
+  name: "Checkout",
+  version: "42",
+  document: {
+    id: "0:0", type: "DOCUMENT", name: "Document",
+    children: [{
+      id: "1:1", type: "CANVAS", name: "Page 1",
+      children: [{
+        id: "2:1", type: "FRAME", name: "Screen",
+        children: [{ id: "3:1", type: "INSTANCE", name: "Submit Button" }],
+      }],
+    }],
+  },
+};
+
+function makeIo(overrides = {}) {
+  const out = [];
+  const err = [];
+  return {
+    out, err,
+    io: {
+      env:      {},
+      stdout:   { write: (s) => out.push(s) },
+      stderr:   { write: (s) => err.push(s) },
+      readFile: async (path) => {
+        if (path === "file.json") return JSON.stringify(FILE);
+        throw new Error("ENOENT");
+      },
+      ...overrides,
+    },
+  };
+}
+
+describe("CLI — parseArgs", () => {
+  test("parses an offline audit with options", () => {
+    const opts = parseArgs(["audit", "--input", "file.json", "--json", "--fail-on", "warning"]);
+    expect(opts).toMatchObject({ command: "audit", input: "file.json", json: true, failOn: "warning" });
+  });
+
+  test("requires exactly one source", () => {
+    expect(() => parseArgs(["audit"])).toThrow("exactly one");
+    expect(() => parseArgs(["audit", "--file", "k", "--input", "f.json"])).toThrow("exactly one");
+  });
+
+  test("reads the file key and node from a Figma URL", () => {
+    const opts = parseArgs(["audit", "--file", "https://www.figma.com/design/KEY/Title?node-id=2-1"]);
+    expect(opts).toMatchObject({ file: "KEY", node: "2:1" });
+    expect(parseArgs(["audit", "--file", "KEY", "--node", "3-1", "--depth", "2"]))
+      .toMatchObject({ file: "KEY", node: "3:1", depth: 2 });
+  });
+
+  test("parses cache and timeout options", () => {
+    expect(parseArgs(["audit", "--file", "KEY", "--no-cache", "--timeout", "5"]))
+      .toMatchObject({ cache: false, timeout: 5 });
+    expect(parseArgs(["audit", "--file", "KEY", "--cache-dir", "/tmp/c"])).toMatchObject({ cache: true, cacheDir: "/tmp/c" });
+    expect(() => parseArgs(["audit", "--file", "KEY", "--timeout", "0"])).toThrow("--timeout");
+  });
+
+  test("--depth needs a fetched node", () => {
+    expect(() => parseArgs(["audit", "--file", "KEY", "--depth", "2"])).toThrow("--depth needs");
+    expect(() => parseArgs(["audit", "--file", "KEY", "--node", "1:1", "--depth", "x"])).toThrow("positive integer");
+  });
+
+  test("rejects unknown flags and thresholds", () => {
+    expect(() => parseArgs(["audit", "--input", "f.json", "--nope"])).toThrow("Unknown argument");
+    expect(() => parseArgs(["audit", "--input", "f.json", "--fail-on", "fatal"])).toThrow("--fail-on");
+  });
+});
+
+describe("CLI — runCli", () => {
+  test("prints a text report and fails on errors by default", async () => {
+    const { io, out } = makeIo();
+    const code = await runCli(["audit", "--input", "file.json"], io);
+    const text = out.join("");
+    expect(text).toContain("Figma accessibility audit — Checkout");
+    expect(text).toContain("LANDMARK_MAIN_MISSING");
+    expect(code).toBe(EXIT_FINDINGS);
+  });
+
+  test("--json prints a parseable report", async () => {
+    const { io, out } = makeIo();
+    await runCli(["audit", "--input", "file.json", "--json", "--fail-on", "none"], io);
+    const report = JSON.parse(out.join(""));
+    expect(report.file.version).toBe("42");
+    expect(report.tabOrder[0].label).toBe("Submit Button");
+    expect(report.findings[0]).toHaveProperty("severity");
+  });
+
+  test("--format writes other report formats; --json is its alias", async () => {
+    const { io, out } = makeIo();
+    const code = await runCli(["audit", "--input", "file.json", "--format", "junit"], io);
+    expect(out.join("")).toMatch(/^<\?xml version="1.0"/);
+    expect(out.join("")).toContain('name="LANDMARK_MAIN_MISSING">');
+    expect(code).toBe(EXIT_FINDINGS);
+
+    expect(parseArgs(["audit", "--input", "f.json", "--json"]).format).toBe("json");
+    expect(parseArgs(["audit", "--input", "f.json"]).format).toBe("text");
+    expect(() => parseArgs(["audit", "--input", "f.json", "--format", "pdf"])).toThrow("--format");
+    expect(() => parseArgs(["audit", "--input", "f.json", "--json", "--format", "csv"])).toThrow("conflicts");
+  });
+
+  test("--baseline with --fail-on-new fails only on findings the baseline did not have", async () => {
+    const written = {};
+    const { io } = makeIo({ writeFile: async (path, text) => { written[path] = text; } });
+    expect(await runCli(["audit", "--input", "file.json", "--save-baseline", "base.json"], io)).toBe(EXIT_FINDINGS);
+    const snapshot = JSON.parse(written["base.json"]);
+    expect(snapshot.version).toBe("42");
+
+    const files = {
+      "file.json": JSON.stringify(FILE),
+      "base.json": written["base.json"],
+      "empty.json": JSON.stringify({ ...snapshot, findings: [] }),
+      "accepted.json": JSON.stringify([{ ruleId: "LANDMARK_MAIN_MISSING", reason: "Legacy", expires: "2999-01-01" }]),
+    };
+    const { io: io2, out } = makeIo({ readFile: async (path) => files[path] });
+    expect(await runCli(["audit", "--input", "file.json", "--baseline", "base.json", "--fail-on-new"], io2))
+      .toBe(EXIT_OK);
+    expect(out.join("")).toMatch(/\d+ new, 0 fixed/);
+    expect(await runCli(["audit", "--input", "file.json", "--baseline", "empty.json", "--fail-on-new"], io2))
+      .toBe(EXIT_FINDINGS);
+    expect(await runCli(["audit", "--input", "file.json", "--suppressions", "accepted.json"], io2)).toBe(EXIT_OK);
+    expect(out.join("")).toContain("(suppressed until 2999-01-01: Legacy)");
+    expect(() => parseArgs(["audit", "--input", "f.json", "--fail-on-new"])).toThrow("--baseline");
+  });
+
+  test("--baseline must cover the same --node as the audit", async () => {
+    const written = {};
+    const { io } = makeIo({ writeFile: async (path, text) => { written[path] = text; } });
+    await runCli(["audit", "--input", "file.json", "--save-baseline", "base.json"], io);
+    const files = { "file.json": JSON.stringify(FILE), "base.json": written["base.json"] };
+    const { io: io2, err } = makeIo({ readFile: async (path) => files[path] });
+    expect(await runCli(["audit", "--input", "file.json", "--node", "3:1", "--baseline", "base.json"], io2))
+      .toBe(EXIT_ERROR);
+    expect(err.join("")).toContain("covers the whole file, not node 3:1");
+  });
+
+  test("--fail-on none always exits 0", async () => {
+    const { io } = makeIo();
+    expect(await runCli(["audit", "--input", "file.json", "--fail-on", "none"], io)).toBe(EXIT_OK);
+  });
+
+  test("--file reads the token from the environment", async () => {
+    const tokens = [];
+    const { io } = makeIo({
+      env: { FIGMA_TOKEN: "secret" },
+      createClient: (token) => {
+        tokens.push(token);
+        return { fetchFile: async () => FILE };
+      },
+    });
+    await runCli(["audit", "--file", "abc"], io);
+    expect(tokens).toEqual(["secret"]);
+  });
+
+  test("passes the cache and timeout to the client", async () => {
+    const seen = [];
+    const createClient = (token, options) => {
+      seen.push(options);
+      return { fetchFile: async () => FILE };
+    };
+    const env = { FIGMA_TOKEN: "secret", XDG_CACHE_HOME: "/tmp/xdg" };
+    await runCli(["audit", "--file", "abc", "--timeout", "2"], makeIo({ env, createClient }).io);
+    await runCli(["audit", "--file", "abc", "--no-cache"], makeIo({ env, createClient }).io);
+    expect(seen[0].timeoutMs).toBe(2000);
+    expect(seen[0].cache._dir).toBe("/tmp/xdg/figma-a11y");
+    expect(seen[1].cache).toBeNull();
+  });
+
+  test("a URL with node-id fetches only that node and scopes the report", async () => {
+    const requests = [];
+    const { io, out } = makeIo({
+      env: { FIGMA_TOKEN: "secret" },
+      createClient: () => ({
+        fetchNodes: async (key, ids, options) => {
+          requests.push({ key, ids, options });
+          return { name: "Checkout", nodes: { "2:1": { document: FILE.document.children[0].children[0] } } };
+        },
+      }),
+    });
+    await runCli(["audit", "--file", "https://www.figma.com/design/abc/Checkout?node-id=2-1", "--json"], io);
+    expect(requests).toEqual([{ key: "abc", ids: ["2:1"], options: { depth: undefined } }]);
+    const report = JSON.parse(out.join(""));
+    expect(report.scope).toEqual({ nodeId: "2:1", name: "Screen", type: "FRAME" });
+    expect(report.findings.every(f => f.nodePath.startsWith("Screen"))).toBe(true);
+  });
+
+  test("--node scopes an offline input to that subtree", async () => {
+    const { io, out } = makeIo();
+    await runCli(["audit", "--input", "file.json", "--node", "3:1", "--json"], io);
+    const report = JSON.parse(out.join(""));
+    expect(report.scope.name).toBe("Submit Button");
+    expect(report.tabOrder.map(t => t.label)).toEqual(["Submit Button"]);
+  });
+
+  test("an unknown --node is an error", async () => {
+    const { io, err } = makeIo();
+    expect(await runCli(["audit", "--input", "file.json", "--node", "9:9"], io)).toBe(EXIT_ERROR);
+    expect(err.join("")).toContain('Node "9:9" was not found');
+  });
+
+  test("--file without a token is an error", async () => {
+    const { io, err } = makeIo();
+    expect(await runCli(["audit", "--file", "abc"], io)).toBe(EXIT_ERROR);
+    expect(err.join("")).toContain("FIGMA_TOKEN");
+  });
+
+  test("--html writes the skeleton and its notes", async () => {
+    const written = {};
+    const { io, err } = makeIo({ writeFile: async (path, text) => { written[path] = text; } });
+    expect(await runCli(["audit", "--input", "file.json", "--html", "out/checkout.html", "--fail-on", "none"], io))
+      .toBe(EXIT_OK);
+    expect(Object.keys(written)).toEqual(["out/checkout.html", "out/checkout.notes.md"]);
+    expect(written["out/checkout.html"]).toContain('<button type="button" data-figma-id="3:1">Submit Button</button>');
+    expect(written["out/checkout.notes.md"]).toContain("# Handoff notes: Checkout");
+    expect(err.join("")).toContain("Wrote out/checkout.html and out/checkout.notes.md");
+  });
+
+  test("--jsx writes a component per screen, using a design-system mapping", async () => {
+    const written = {};
+    const { io } = makeIo({
+      readFile: async (path) => (path === "ds.json"
+        ? JSON.stringify({ button: { component: "Button", from: "@acme/ui" } })
+        : JSON.stringify(FILE)),
+      writeFile: async (path, text) => { written[path] = text; },
+    });
+    await runCli(["audit", "--input", "file.json", "--jsx", "Screen.jsx", "--design-system", "ds.json"], io);
+    expect(written["Screen.jsx"]).toContain('import { Button } from "@acme/ui";');
+    expect(written["Screen.jsx"]).toContain("export function Screen() {");
+    expect(written["Screen.jsx"]).toContain('<Button type="button">Submit Button</Button>');
+    expect(() => parseArgs(["audit", "--input", "f.json", "--design-system", "ds.json"])).toThrow("--jsx");
+  });
+
+  test("unreadable input is an error", async () => {
+    const { io, err } = makeIo();
+    expect(await runCli(["audit", "--input", "missing.json"], io)).toBe(EXIT_ERROR);
+    expect(err.join("")).toContain("Cannot read Input file");
+  });
+});
+
+describe("CLI — reachesThreshold", () => {
+  test("compares severities against the threshold", () => {
+    const findings = [{ severity: "warning" }];
+    expect(reachesThreshold(findings, "error")).toBe(false);
+    expect(reachesThreshold(findings, "warning")).toBe(true);
+    expect(reachesThreshold(findings, "info")).toBe(true);
+  });
+});
@@ -0,0 +1,177 @@
+// ============================================================
+// tests/figmaAuth.tests.js
+// Unit tests for token providers, the OAuth2 helpers and the
+// extension's credential storage. fetch and chrome.* are stubbed.
+// ============================================================
+
+import { createHash } from "node:crypto";
+
+import {
+  PatTokenProvider, OAuthTokenProvider, toTokenProvider, authHeaders,
+  buildAuthorizeUrl, readAuthorizationCode, exchangeAuthorizationCode, createPkcePair,
+  FIGMA_TOKEN_URL, FIGMA_REFRESH_URL,
+} from "../src/api/figmaAuth.js";
+
+/** Stub fetch that answers every request with one JSON body. */
+function stubFetch(body, status = 200) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init, form: new URLSearchParams(init?.body ?? "") });
+    return { status, ok: status < 300, statusText: "", json: async () => body };
+  };
+  return { fetch, calls };
+}
+
+function memoryStore(tokens) {
+  let saved = tokens;
+  return { load: async () => saved, save: async (t) => { saved = t; }, get saved() { return saved; } };
+}
+
+describe("Token providers", () => {
+  test("PatTokenProvider returns a fixed PAT", async () => {
+    expect(await new PatTokenProvider("abc").getCredentials()).toEqual({ type: "pat", token: "abc" });
+    expect(() => new PatTokenProvider("")).toThrow(TypeError);
+  });
+
+  test("toTokenProvider wraps strings and passes providers through", async () => {
+    const provider = { getCredentials: async () => ({ type: "oauth", token: "x" }) };
+    expect(toTokenProvider(provider)).toBe(provider);
+    expect(await toTokenProvider("abc").getCredentials()).toEqual({ type: "pat", token: "abc" });
+  });
+
+  test("authHeaders picks the header for the token type", () => {
+    expect(authHeaders({ type: "pat", token: "a" })).toEqual({ "X-Figma-Token": "a" });
+    expect(authHeaders({ type: "oauth", token: "b" })).toEqual({ Authorization: "Bearer b" });
+  });
+
+  test("OAuthTokenProvider returns the stored token while it is fresh", async () => {
+    const { fetch, calls } = stubFetch({});
+    const provider = new OAuthTokenProvider({
+      clientId: "id", fetch, now: () => 0,
+      store: memoryStore({ accessToken: "a1", refreshToken: "r1", expiresAt: 3600 * 1000 }),
+    });
+    expect(await provider.getCredentials()).toEqual({ type: "oauth", token: "a1" });
+    expect(calls).toHaveLength(0);
+  });
+
+  test("OAuthTokenProvider refreshes near expiry and saves the new token", async () => {
+    const { fetch, calls } = stubFetch({ access_token: "a2", expires_in: 7200 });
+    const store = memoryStore({ accessToken: "a1", refreshToken: "r1", expiresAt: 30 * 1000 });
+    const provider = new OAuthTokenProvider({ clientId: "id", clientSecret: "s", fetch, now: () => 0, store });
+
+    expect(await provider.getCredentials()).toEqual({ type: "oauth", token: "a2" });
+    expect(calls[0].url).toBe(FIGMA_REFRESH_URL);
+    expect(Object.fromEntries(calls[0].form)).toEqual({ client_id: "id", client_secret: "s", refresh_token: "r1" });
+    expect(store.saved).toEqual({ accessToken: "a2", refreshToken: "r1", expiresAt: 7200 * 1000 });
+  });
+
+  test("concurrent refreshes share one request", async () => {
+    const { fetch, calls } = stubFetch({ access_token: "a2", expires_in: 60 });
+    const provider = new OAuthTokenProvider({
+      clientId: "id", fetch, store: memoryStore({ accessToken: "a1", refreshToken: "r1" }),
+    });
+    await Promise.all([provider.refresh(), provider.refresh()]);
+    expect(calls).toHaveLength(1);
+  });
+
+  test("a failed refresh reports why", async () => {
+    const { fetch } = stubFetch({ error: true, message: "Invalid refresh token" }, 400);
+    const provider = new OAuthTokenProvider({
+      clientId: "id", fetch, store: memoryStore({ accessToken: "a1", refreshToken: "r1" }),
+    });
+    await expect(provider.refresh()).rejects.toThrow("Could not refresh the Figma session: Invalid refresh token.");
+  });
+});
+
+describe("OAuth2 authorization code flow", () => {
+  test("buildAuthorizeUrl includes the PKCE challenge", () => {
+    const url = new URL(buildAuthorizeUrl({
+      clientId: "id", redirectUri: "https://ext.chromiumapp.org/", state: "st", codeChallenge: "ch",
+    }));
+    expect(url.origin + url.pathname).toBe("https://www.figma.com/oauth");
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      client_id: "id", redirect_uri: "https://ext.chromiumapp.org/", scope: "file_content:read",
+      state: "st", response_type: "code", code_challenge: "ch", code_challenge_method: "S256",
+    });
+  });
+
+  test("createPkcePair derives an S256 challenge", async () => {
+    const { verifier, challenge } = await createPkcePair();
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(challenge).toBe(createHash("sha256").update(verifier).digest("base64url"));
+  });
+
+  test("readAuthorizationCode checks the state", () => {
+    expect(readAuthorizationCode("https://x.chromiumapp.org/?code=c1&state=st", "st")).toBe("c1");
+    expect(() => readAuthorizationCode("https://x.chromiumapp.org/?code=c1&state=evil", "st"))
+      .toThrow("state mismatch");
+    expect(() => readAuthorizationCode("https://x.chromiumapp.org/?error=access_denied", "st"))
+      .toThrow("access_denied");
+  });
+
+  test("exchangeAuthorizationCode posts the code and returns tokens", async () => {
+    const { fetch, calls } = stubFetch({ access_token: "a", refresh_token: "r", expires_in: 10 });
+    const tokens = await exchangeAuthorizationCode({
+      clientId: "id", redirectUri: "https://x/", code: "c1", codeVerifier: "v", fetch, now: 1000,
+    });
+    expect(tokens).toEqual({ accessToken: "a", refreshToken: "r", expiresAt: 11000 });
+    expect(calls[0].url).toBe(FIGMA_TOKEN_URL);
+    expect(calls[0].form.get("grant_type")).toBe("authorization_code");
+    expect(calls[0].form.has("client_secret")).toBe(false);
+  });
+});
+
+describe("Extension credentials", () => {
+  let auth;
+  let store;
+
+  beforeAll(async () => {
+    store = {};
+    // storage.js picks up chrome.storage when it is first imported.
+    globalThis.chrome = {
+      storage: {
+        local: {
+          get:    async (key) => ({ [key]: store[key] }),
+          set:    async (items) => { Object.assign(store, items); },
+          remove: async (key) => { delete store[key]; },
+        },
+      },
+    };
+    auth = await import("../src/extension/auth.js");
+  });
+
+  afterAll(() => {
+    delete globalThis.chrome;
+  });
+
+  test("remembers and forgets a PAT", async () => {
+    expect(await auth.rememberPat("abc")).toBe(true);
+    const provider = await auth.loadTokenProvider();
+    expect(await provider.getCredentials()).toEqual({ type: "pat", token: "abc" });
+
+    await auth.forgetCredentials();
+    expect(await auth.loadTokenProvider()).toBeNull();
+  });
+
+  test("signInWithFigma runs the web auth flow and saves the tokens", async () => {
+    const app = { clientId: "id", clientSecret: null };
+    let launched;
+    const identity = {
+      getRedirectURL: () => "https://ext.chromiumapp.org/",
+      launchWebAuthFlow: async ({ url }) => {
+        launched = new URL(url);
+        return `https://ext.chromiumapp.org/?code=c1&state=${launched.searchParams.get("state")}`;
+      },
+    };
+    const { fetch } = stubFetch({ access_token: "a", refresh_token: "r", expires_in: 3600 });
+
+    const provider = await auth.signInWithFigma({ app, identity, fetch });
+    expect(launched.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(await provider.getCredentials()).toEqual({ type: "oauth", token: "a" });
+    expect(store.credentials).toMatchObject({ type: "oauth", accessToken: "a", refreshToken: "r" });
+  });
+
+  test("signInWithFigma needs a configured app", async () => {
+    await expect(auth.signInWithFigma({ app: { clientId: "" } })).rejects.toThrow("not configured");
+  });
+});
@@ -0,0 +1,311 @@
+// ============================================================
+// tests/figmaClient.tests.js
+// Unit tests for FigmaClient and Figma URL parsing. Requests go
+// through a stub fetch or a local mock HTTP server; nothing touches
+// api.figma.com.
+// ============================================================
+
+import { createServer } from "node:http";
+import { mkdtemp, rm }  from "node:fs/promises";
+import { tmpdir }       from "node:os";
+import { join }         from "node:path";
+
+import {
+  FigmaClient, parseFigmaUrl, normalizeNodeId, findNodeById, parseRetryAfter, normalizeFigmaResponse,
+} from "../src/api/figmaClient.js";
+import { FileCache } from "../src/cli/fileCache.js";
+import { SemanticTree } from "../src/semantic/semanticTree.js";
+
+/** Stub fetch that records URLs and answers with the given status and body. */
+function stubFetch(body, status = 200) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    return {
+      status,
+      ok:         status >= 200 && status < 300,
+      statusText: "",
+      json:       async () => body,
+    };
+  };
+  return { fetch, calls };
+}
+
+describe("parseFigmaUrl", () => {
+  test("passes a bare file key through", () => {
+    expect(parseFigmaUrl("aBcDeF123")).toEqual({ fileKey: "aBcDeF123", nodeId: null });
+  });
+
+  test("reads the file key and node-id from design and file URLs", () => {
+    expect(parseFigmaUrl("https://www.figma.com/design/aBcD/Checkout?node-id=12-34&t=xyz"))
+      .toEqual({ fileKey: "aBcD", nodeId: "12:34" });
+    expect(parseFigmaUrl("figma.com/file/KEY1/Title?node-id=1%3A2"))
+      .toEqual({ fileKey: "KEY1", nodeId: "1:2" });
+    expect(parseFigmaUrl("https://www.figma.com/proto/KEY2/Flow"))
+      .toEqual({ fileKey: "KEY2", nodeId: null });
+  });
+
+  test("uses the branch key for branch URLs", () => {
+    expect(parseFigmaUrl("https://www.figma.com/design/MAIN/branch/BR123/Title?node-id=0-1"))
+      .toEqual({ fileKey: "BR123", nodeId: "0:1" });
+  });
+
+  test("rejects non-Figma URLs and malformed keys", () => {
+    expect(() => parseFigmaUrl("https://example.com/file/abc")).toThrow("not a Figma URL");
+    expect(() => parseFigmaUrl("https://www.figma.com/community")).toThrow("Could not find a file key");
+    expect(() => parseFigmaUrl("not a key")).toThrow(TypeError);
+    expect(() => parseFigmaUrl("")).toThrow(TypeError);
+  });
+
+  test("normalizeNodeId converts URL ids to API ids", () => {
+    expect(normalizeNodeId("12-34")).toBe("12:34");
+    expect(normalizeNodeId("I1-2;3-4")).toBe("I1:2;3:4");
+    expect(normalizeNodeId("12:34")).toBe("12:34");
+  });
+});
+
+describe("findNodeById", () => {
+  test("finds nested nodes depth-first", () => {
+    const nodes = [{ id: "1:0", children: [{ id: "2:0", children: [{ id: "3:0" }] }] }];
+    expect(findNodeById(nodes, "3:0")).toEqual({ id: "3:0" });
+    expect(findNodeById(nodes, "9:9")).toBeNull();
+  });
+});
+
+describe("FigmaClient.fetchNodes", () => {
+  const NODES = { name: "F", nodes: { "12:34": { document: { id: "12:34", type: "FRAME" } } } };
+
+  test("requests /nodes with ids and depth", async () => {
+    const { fetch, calls } = stubFetch(NODES);
+    const client = new FigmaClient("token", { fetch });
+    const data = await client.fetchNodes("KEY", ["12-34"], { depth: 2 });
+    expect(data).toBe(NODES);
+    expect(calls[0].url).toBe("https://api.figma.com/v1/files/KEY/nodes?ids=12%3A34&depth=2&plugin_data=shared");
+    expect(calls[0].init.headers["X-Figma-Token"]).toBe("token");
+  });
+
+  test("asks for shared plugin data, so annotations reach the semantic tree", async () => {
+    const annotated = { nodes: { "1:5": { document: {
+      id: "1:5", type: "FRAME", name: "Icon / X", sharedPluginData: { a11y: { role: "button", label: "Close dialog" } },
+    } } } };
+    const { fetch, calls } = stubFetch(annotated);
+    const client = new FigmaClient("token", { fetch });
+    const { nodes } = normalizeFigmaResponse(await client.fetchNodes("KEY", "1:5"));
+    await client.fetchFile("KEY");
+    expect(calls.map(c => new URL(c.url).searchParams.get("plugin_data"))).toEqual(["shared", "shared"]);
+
+    const tree = new SemanticTree();
+    tree.build(nodes);
+    expect(tree.getRoots()[0].getRole()).toBe("button");
+    expect(tree.getRoots()[0].getLabel()).toBe("Close dialog");
+  });
+
+  test("throws when a requested node is missing", async () => {
+    const { fetch } = stubFetch({ nodes: { "1:1": null } });
+    const client = new FigmaClient("token", { fetch });
+    await expect(client.fetchNodes("KEY", "1:1")).rejects.toThrow('Node(s) not found in file "KEY": 1:1');
+  });
+
+  test("validates its arguments", async () => {
+    const client = new FigmaClient("token", { fetch: stubFetch(NODES).fetch });
+    await expect(client.fetchNodes("KEY", [])).rejects.toThrow(TypeError);
+    await expect(client.fetchNodes("KEY", "12:34", { depth: 0 })).rejects.toThrow(RangeError);
+  });
+
+  test("fetchFile maps HTTP errors to readable messages", async () => {
+    const client = new FigmaClient("token", { fetch: stubFetch({}, 404).fetch });
+    await expect(client.fetchFile("KEY")).rejects.toThrow('File not found. Check the file key: "KEY"');
+  });
+});
+
+describe("parseRetryAfter", () => {
+  test("reads seconds and HTTP dates", () => {
+    expect(parseRetryAfter("3")).toBe(3000);
+    expect(parseRetryAfter("Thu, 01 Jan 1970 00:00:05 GMT", 1000)).toBe(4000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("FigmaClient against a mock server", () => {
+  let server;
+  let baseUrl;
+  let handler;     // (req, res) => void, set per test
+  let requests;    // Paths received, in order
+
+  // fetchFile() asks for annotations with the file.
+  const FILE_PATH = "/files/KEY?plugin_data=shared";
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requests.push(req.url);
+      handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const json = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  /** Answers with each response in turn, then repeats the last one. */
+  const sequence = (...responses) => {
+    let i = 0;
+    return (req, res) => json(res, ...responses[Math.min(i++, responses.length - 1)]);
+  };
+
+  function makeClient(options = {}, token = "token") {
+    const delays = [];
+    const client = new FigmaClient(token, {
+      baseUrl,
+      backoffMs: 10,
+      sleep:     async (ms) => { delays.push(ms); },
+      ...options,
+    });
+    return { client, delays };
+  }
+
+  test("retries a 429 after the Retry-After delay", async () => {
+    handler = sequence([429, {}, { "Retry-After": "2" }], [200, { name: "F" }]);
+    const { client, delays } = makeClient();
+    expect(await client.fetchFile("KEY")).toEqual({ name: "F" });
+    expect(delays).toEqual([2000]);
+    expect(requests).toEqual([FILE_PATH, FILE_PATH]);
+  });
+
+  test("backs off exponentially on 5xx", async () => {
+    handler = sequence([503, {}], [502, {}], [200, { name: "F" }]);
+    const { client, delays } = makeClient();
+    await client.fetchFile("KEY");
+    expect(delays).toEqual([10, 20]);
+  });
+
+  test("gives up after the configured retries", async () => {
+    handler = sequence([500, {}]);
+    const { client } = makeClient({ retries: 2 });
+    await expect(client.fetchFile("KEY")).rejects.toThrow("Figma API error: 500");
+    expect(requests).toHaveLength(3);
+  });
+
+  test("does not wait when Retry-After exceeds the maximum delay", async () => {
+    handler = sequence([429, {}, { "Retry-After": "3600" }]);
+    const { client, delays } = makeClient({ maxBackoffMs: 5000 });
+    await expect(client.fetchFile("KEY")).rejects.toThrow("Rate limit exceeded");
+    expect(delays).toEqual([]);
+  });
+
+  test("does not retry client errors", async () => {
+    handler = sequence([403, {}]);
+    const { client } = makeClient();
+    await expect(client.fetchFile("KEY")).rejects.toThrow("Invalid or expired token");
+    expect(requests).toHaveLength(1);
+  });
+
+  test("refreshes an expired token once after a 403", async () => {
+    handler = (req, res) => (req.headers.authorization === "Bearer fresh"
+      ? json(res, 200, { name: "F" })
+      : json(res, 403, { status: 403, err: "Token expired" }));
+    let refreshes = 0;
+    const { client } = makeClient({}, {
+      getCredentials: async () => ({ type: "oauth", token: "stale" }),
+      refresh:        async () => { refreshes++; return { type: "oauth", token: "fresh" }; },
+    });
+    expect(await client.fetchFile("KEY")).toEqual({ name: "F" });
+    expect(refreshes).toBe(1);
+  });
+
+  test("reports a refresh that fails", async () => {
+    handler = sequence([403, {}]);
+    const { client } = makeClient({}, {
+      getCredentials: async () => ({ type: "oauth", token: "stale" }),
+      refresh:        async () => { throw new Error("Sign in again."); },
+    });
+    await expect(client.fetchFile("KEY")).rejects.toThrow("could not be refreshed. Sign in again.");
+  });
+
+  test("aborts requests that exceed the timeout", async () => {
+    handler = () => {};   // Never answers
+    const { client } = makeClient({ timeoutMs: 50, retries: 1 });
+    await expect(client.fetchFile("KEY")).rejects.toThrow("timed out after 50 ms");
+    expect(requests).toHaveLength(2);
+  });
+
+  test("keeps the timeout running while the body downloads", async () => {
+    handler = (req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write('{"name":');   // Headers and half a body, then nothing
+    };
+    const { client } = makeClient({ timeoutMs: 50, retries: 0 });
+    await expect(client.fetchFile("KEY")).rejects.toThrow("timed out after 50 ms");
+  });
+
+  describe("response cache", () => {
+    let version;
+    let cache;
+
+    beforeEach(() => {
+      version = "1";
+      const store = new Map();
+      cache = { get: async (k) => store.get(k), set: async (k, v) => { store.set(k, v); } };
+      handler = (req, res) => {
+        if (req.url.endsWith("depth=1")) return json(res, 200, { name: "F", version, document: {} });
+        if (req.url.includes("/nodes")) {
+          return json(res, 200, { version, nodes: { "1:2": { document: { id: "1:2" } } } });
+        }
+        return json(res, 200, { name: "F", version, document: { children: [] } });
+      };
+    });
+
+    test("skips the download when the version is unchanged", async () => {
+      const { client } = makeClient({ cache });
+      await client.fetchFile("KEY");
+      const again = await client.fetchFile("KEY");
+      expect(again.version).toBe("1");
+      expect(requests).toEqual(["/files/KEY?depth=1", FILE_PATH, "/files/KEY?depth=1"]);
+    });
+
+    test("downloads again when the version changes", async () => {
+      const { client } = makeClient({ cache });
+      await client.fetchFile("KEY");
+      version = "2";
+      expect((await client.fetchFile("KEY")).version).toBe("2");
+      expect(requests.filter(r => r === FILE_PATH)).toHaveLength(2);
+    });
+
+    test("caches /nodes requests separately per ids", async () => {
+      const { client } = makeClient({ cache });
+      await client.fetchNodes("KEY", "1:2");
+      await client.fetchNodes("KEY", "1:2");
+      expect(requests.filter(r => r.includes("/nodes"))).toHaveLength(1);
+    });
+
+    test("a failing cache falls back to downloading", async () => {
+      const broken = { get: async () => { throw new Error("quota"); }, set: async () => { throw new Error("quota"); } };
+      const { client } = makeClient({ cache: broken });
+      expect((await client.fetchFile("KEY")).name).toBe("F");
+    });
+
+    test("works with the on-disk FileCache", async () => {
+      const dir = await mkdtemp(join(tmpdir(), "figma-a11y-"));
+      try {
+        const { client } = makeClient({ cache: new FileCache(dir) });
+        await client.fetchFile("KEY");
+        await makeClient({ cache: new FileCache(dir) }).client.fetchFile("KEY");
+        expect(requests.filter(r => r === FILE_PATH)).toHaveLength(1);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// ============================================================
+// tests/helpers/fakeChrome.js
+// Just enough of chrome.runtime, chrome.tabs and chrome.scripting to
+// run the popup ↔ content script protocol in one process. Messages
+// sent to the tab reach the listeners registered on `runtime`, as they
+// would once the content script is injected.
+// ============================================================
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.url]      - URL of the active tab
+ * @param {(chrome: object) => void} [options.onInject] - Runs for executeScript(), e.g. to
+ *   install the content script's listener
+ */
+export function createFakeChrome({ url = "https://www.figma.com/design/abc123/Checkout", onInject = () => {} } = {}) {
+  const listeners = new Set();
+  const chrome = {
+    injected: [],
+    sent:     [],
+    runtime: {
+      onMessage: {
+        addListener:    (fn) => listeners.add(fn),
+        removeListener: (fn) => listeners.delete(fn),
+      },
+    },
+    tabs: {
+      query: async () => [{ id: 7, url }],
+      sendMessage: (tabId, message) => new Promise((resolve, reject) => {
+        chrome.sent.push(message.type);
+        let pending = false;
+        for (const listener of listeners) {
+          if (listener(message, { tab: { id: tabId } }, resolve) === true) pending = true;
+        }
+        if (!pending) reject(new Error("Could not establish connection. Receiving end does not exist."));
+      }),
+    },
+    scripting: {
+      executeScript: async (injection) => {
+        chrome.injected.push(injection);
+        onInject(chrome);
+        return [{ result: undefined }];
+      },
+    },
+  };
+  return chrome;
+}
@@ -0,0 +1,81 @@
+// ============================================================
+// tests/helpers/fakePluginNodes.js
+// Rebuilds REST API nodes as Plugin API-like node objects: text
+// properties on the node instead of in `style`, "NONE" layout modes,
+// main components behind getMainComponentAsync(), and shared plugin
+// data behind get/setSharedPluginData(). Lets the plugin adapter be
+// checked against the same fixtures as the REST path.
+// ============================================================
+
+// Stands in for figma.mixed.
+export const MIXED = Symbol("mixed");
+
+/** Shared plugin data methods over a { namespace: { key: value } } object. */
+function pluginData(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  return {
+    getSharedPluginData:     (ns, key) => data[ns]?.[key] ?? "",
+    getSharedPluginDataKeys: (ns) => Object.keys(data[ns] ?? {}),
+    setSharedPluginData(ns, key, value) {
+      data[ns] ??= {};
+      if (value === "") delete data[ns][key];
+      else data[ns][key] = value;
+    },
+  };
+}
+
+/**
+ * @param {object} raw - A REST API node
+ * @param {object} [fileData] - The response's components and componentSets
+ * @returns {object} A fake SceneNode
+ */
+export function toPluginNode(raw, fileData = {}, parent = null) {
+  const node = {
+    id:                  raw.id,
+    name:                raw.name,
+    type:                raw.type,
+    parent,
+    visible:             raw.visible ?? true,
+    opacity:             raw.opacity ?? 1,
+    absoluteBoundingBox: raw.absoluteBoundingBox ?? null,
+    fills:               raw.fills ?? [],
+    strokes:             raw.strokes ?? [],
+    clipsContent:        raw.clipsContent ?? false,
+    layoutMode:          raw.layoutMode ?? "NONE",
+    reactions:           raw.reactions ?? [],
+    ...pluginData(raw.sharedPluginData),
+  };
+
+  if (raw.type === "TEXT") {
+    Object.assign(node, {
+      characters:  raw.characters ?? "",
+      fontSize:    raw.style?.fontSize ?? 12,
+      fontWeight:  raw.style?.fontWeight ?? 400,
+      hyperlink:   raw.style?.hyperlink ? { type: "URL", value: raw.style.hyperlink.url } : null,
+      textStyleId: raw.styles?.text ?? "",
+    });
+  }
+
+  if (raw.type === "INSTANCE") {
+    const main = fileData.components?.[raw.componentId];
+    const set  = main?.componentSetId && fileData.componentSets?.[main.componentSetId];
+    node.componentProperties = raw.componentProperties ?? {};
+    node.getMainComponentAsync = async () => main && {
+      id: raw.componentId, key: main.key, name: main.name, description: main.description,
+      parent: set ? { type: "COMPONENT_SET", id: main.componentSetId, key: set.key, name: set.name } : null,
+    };
+  }
+
+  if (Array.isArray(raw.children)) {
+    node.children = raw.children.map(child => toPluginNode(child, fileData, node));
+  }
+  return node;
+}
+
+/** figma.getStyleByIdAsync over the response's styles map. */
+export function styleLookup(fileData) {
+  return async (id) => {
+    const style = fileData.styles?.[id];
+    return style ? { id, name: style.name, type: style.styleType } : null;
+  };
+}
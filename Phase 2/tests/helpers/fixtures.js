@@ -0,0 +1,24 @@
+// ============================================================
+// tests/helpers/fixtures.js
+// Loads the bundled Figma JSON fixtures in tests/fixtures/.
+// Paths resolve from the project root, where `npm test` runs.
+// ============================================================
+
+import { readFileSync } from "node:fs";
+import { resolve }      from "node:path";
+
+export const FIXTURE_DIR = resolve("tests", "fixtures");
+
+// Every supported component type, as a GET /files/:key response.
+export const ALL_COMPONENTS = "all-components.file.json";
+// A login screen with known form issues, as a GET /files/:key/nodes response.
+export const LOGIN_FORM     = "login-form.nodes.json";
+
+export function fixturePath(name) {
+  return resolve(FIXTURE_DIR, name);
+}
+
+/** Reads and parses a fixture file. */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(fixturePath(name), "utf8"));
+}
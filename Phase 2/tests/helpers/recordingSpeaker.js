@@ -0,0 +1,52 @@
+// ============================================================
+// tests/helpers/recordingSpeaker.js
+// A speaker (see src/extension/speech.js) that records every call
+// instead of talking. Each speak() stays pending until the test calls
+// finish(), so playback can be stepped one item at a time.
+// ============================================================
+
+export class RecordingSpeaker {
+  constructor(voices = []) {
+    this.calls    = [];   // ["speak", text, options] | ["pause"] | ...
+    this.spoken   = [];   // { text, rate, voice } per speak()
+    this._voices  = voices;
+    this._pending = null;
+  }
+
+  speak(text, options = {}) {
+    this.calls.push(["speak", text, options]);
+    this.spoken.push({ text, ...options });
+    return new Promise((resolve, reject) => { this._pending = { resolve, reject }; });
+  }
+
+  pause()  { this.calls.push(["pause"]); }
+  resume() { this.calls.push(["resume"]); }
+
+  cancel() {
+    this.calls.push(["cancel"]);
+    this._settle("resolve", "cancelled");
+  }
+
+  getVoices() { return this._voices; }
+
+  /** Ends the current utterance, then lets the player move on. */
+  async finish() {
+    this._settle("resolve", "ended");
+    await flush();
+  }
+
+  /** Fails the current utterance. */
+  async fail(message) {
+    this._settle("reject", new Error(message));
+    await flush();
+  }
+
+  _settle(how, value) {
+    const pending = this._pending;
+    this._pending = null;
+    pending?.[how](value);
+  }
+}
+
+/** Lets pending promise callbacks run. */
+export const flush = () => new Promise(resolve => setTimeout(resolve, 0));
@@ -0,0 +1,135 @@
+// ============================================================
+// tests/htmlExporter.tests.js
+// Unit tests for the HTML/ARIA skeleton export and its notes.
+// ============================================================
+
+import { HtmlExporter, formatNotes, htmlId } from "../src/export/htmlExporter.js";
+import { SemanticTree }     from "../src/semantic/semanticTree.js";
+import { Button }           from "../src/core/button.js";
+import { InputField }       from "../src/core/inputField.js";
+import { NavigationRegion } from "../src/core/navMap.js";
+import { Heading }          from "../src/core/heading.js";
+import { Image }            from "../src/core/image.js";
+import { Link }             from "../src/core/link.js";
+import { List }             from "../src/core/list.js";
+import { Switch }           from "../src/core/switch.js";
+import { Dialog }           from "../src/core/dialog.js";
+import { Group }            from "../src/core/group.js";
+import { Radio }            from "../src/core/radio.js";
+import { RadioGroup }       from "../src/core/radioGroup.js";
+import { Main, Banner }     from "../src/core/landmark.js";
+import { loadFixture, ALL_COMPONENTS } from "./helpers/fixtures.js";
+import { normalizeFigmaResponse } from "../src/api/figmaClient.js";
+
+const exportHtml = (roots) => new HtmlExporter({ title: "Sign in" }).export(roots);
+
+describe("HtmlExporter", () => {
+  test("writes a complete document with landmarks and native elements", () => {
+    const banner = new Banner("b", "Header");
+    const nav    = new NavigationRegion("n", "Primary");
+    nav.addChild(new Link("l", "Pricing", "/pricing"));
+    banner.addChild(nav);
+    const main = new Main("m", "Content");
+    main.addChild(new Heading("h", "Sign in", 1));
+    main.addChild(new Button("s", "Submit"));
+
+    const { html, notes } = exportHtml([banner, main]);
+    expect(html).toMatch(/^<!DOCTYPE html>\n<html lang="en">/);
+    expect(html).toContain("<title>Sign in</title>");
+    expect(html).toContain('<header data-figma-id="b">');
+    expect(html).toContain('<nav aria-label="Primary" data-figma-id="n">');
+    expect(html).toContain('<a href="/pricing" data-figma-id="l">Pricing</a>');
+    expect(html).toContain('<h1 data-figma-id="h">Sign in</h1>');
+    expect(html).toContain('<button type="button" data-figma-id="s">Submit</button>');
+    expect(notes).toEqual([]);
+  });
+
+  test("labels inputs and ties error text to them", () => {
+    const input = new InputField("1:2", "Email", "email");
+    input.setVisibleLabel("Email address");
+    input.setRequired(true);
+    input.setInvalid(true);
+    input.setAutocomplete("email");
+    input.setErrorMessage("Enter a valid email");
+
+    const { html } = exportHtml([input]);
+    expect(html).toContain('<label for="figma-1-2">Email address</label>');
+    expect(html).toContain('<input id="figma-1-2" type="email" autocomplete="email" required aria-invalid="true" '
+      + 'aria-describedby="figma-1-2-error" data-figma-id="1:2">');
+    expect(html).toContain('<p id="figma-1-2-error">Enter a valid email</p>');
+  });
+
+  test("uses ARIA roles and states where HTML has no element", () => {
+    const toggle = new Switch("t", "Dark mode", true);
+    const dialog = new Dialog("d", "Confirm");
+    dialog.addChild(new Button("ok", "OK"));
+    const { html } = exportHtml([toggle, dialog]);
+    expect(html).toContain('<button type="button" role="switch" aria-checked="true" data-figma-id="t">Dark mode</button>');
+    expect(html).toContain('<div role="dialog" aria-modal="true" aria-label="Confirm" data-figma-id="d">');
+  });
+
+  test("orders the DOM by reading order, so tab order follows the layout", () => {
+    const screen = new Group("g", "Screen");
+    const last   = new Button("b2", "Second");
+    const first  = new Button("b1", "First");
+    last.setBounds({ x: 0, y: 100, width: 80, height: 40 });
+    first.setBounds({ x: 0, y: 0, width: 80, height: 40 });
+    screen.addChild(last);
+    screen.addChild(first);
+    const { html } = exportHtml([screen]);
+    expect(html.indexOf("First")).toBeLessThan(html.indexOf("Second"));
+  });
+
+  test("wraps non-item list children and escapes text", () => {
+    const list = new List("l", "Steps");
+    list.addChild(new Button("b", "Save & <close>"));
+    const { html } = exportHtml([list]);
+    expect(html).toContain("<ul data-figma-id=\"l\">\n");
+    expect(html).toContain('<li>\n');
+    expect(html).toContain("Save &amp; &lt;close&gt;");
+  });
+
+  test("names radios by their group, and each ungrouped radio on its own", () => {
+    const form  = new Group("f", "Preferences");
+    const group = new RadioGroup("g", "Plan");
+    const row   = new Group("r", "Options");
+    row.addChild(new Radio("g1", "Monthly", true));
+    group.addChild(row);
+    form.addChild(group);
+    form.addChild(new Radio("a", "Email me"));
+    form.addChild(new Radio("b", "Text me"));
+
+    const { html } = exportHtml([form]);
+    expect(html).toContain('<input type="radio" id="figma-g1" name="figma-g" checked data-figma-id="g1">');
+    expect(html).toContain('name="figma-a"');
+    expect(html).toContain('name="figma-b"');
+  });
+
+  test("records what it could not map in the notes", () => {
+    const { html, notes } = exportHtml([new Image("i", "Hero"), new Link("k", "Docs"), new InputField("f", "Search")]);
+    expect(html).toContain('<img src="" data-figma-id="i">');
+    expect(html).toContain('aria-label="Search"');
+    expect(notes.map(n => n.nodeId)).toEqual(["i", "k", "f"]);
+    expect(notes[0].message).toContain("No alt text");
+
+    const md = formatNotes(notes, { title: "Sign in" });
+    expect(md).toContain("# Handoff notes: Sign in");
+    expect(md).toContain('- "Docs" [k]: No link destination in the design; href is a placeholder.');
+    expect(formatNotes([])).toContain("Everything in the design was mapped");
+  });
+
+  test("exports a whole SemanticTree, noting skipped layers", () => {
+    const { fileData, nodes } = normalizeFigmaResponse(loadFixture(ALL_COMPONENTS));
+    const tree = new SemanticTree();
+    tree.build([...nodes, { id: "v1", type: "VECTOR", name: "Divider" }], fileData);
+    const { html, notes } = new HtmlExporter().export(tree);
+
+    for (const tag of ["<header", "<main", "<footer", "<aside", "<nav", "<fieldset", "<select", 'role="tablist"', "<p"]) {
+      expect(html).toContain(tag);
+    }
+    expect(html).toContain('role="dialog"');
+    expect(notes.some(n => n.message.startsWith("Not exported:"))).toBe(true);
+    expect(htmlId(tree.getRoots()[0])).toMatch(/^figma-[\w-]+$/);
+    expect(() => new HtmlExporter().export({})).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,126 @@
+// ============================================================
+// tests/jsxGenerator.tests.js
+// Unit tests for the React/JSX scaffold generator. Expected output is
+// written out in full: generation is deterministic.
+// ============================================================
+
+import { JsxGenerator, componentName } from "../src/export/jsxGenerator.js";
+import { Button }           from "../src/core/button.js";
+import { InputField }       from "../src/core/inputField.js";
+import { NavigationRegion } from "../src/core/navMap.js";
+import { Heading }          from "../src/core/heading.js";
+import { Link }             from "../src/core/link.js";
+import { Switch }           from "../src/core/switch.js";
+import { Group }            from "../src/core/group.js";
+import { Main }             from "../src/core/landmark.js";
+import { Radio }            from "../src/core/radio.js";
+import { ComboBox }         from "../src/core/comboBox.js";
+
+const at = (c, y) => {
+  c.setBounds({ x: 0, y, width: 200, height: 40 });
+  return c;
+};
+
+// Layers are stacked bottom-up, as Figma often has them.
+function signInFrame() {
+  const frame = at(new Main("1:1", "Sign in"), 0);
+  frame.addChild(at(new Button("1:5", "Continue"), 300));
+  const email = at(new InputField("1:3", "Email", "email"), 100);
+  email.setVisibleLabel("Email address");
+  email.setRequired(true);
+  email.setAutocomplete("email");
+  frame.addChild(email);
+  const nav = at(new NavigationRegion("1:4", "Account"), 200);
+  nav.addChild(new Link("1:6", "Forgot password?", "/reset"));
+  frame.addChild(nav);
+  frame.addChild(at(new Heading("1:2", "Sign in", 1), 0));
+  return frame;
+}
+
+describe("JsxGenerator", () => {
+  test("emits native elements with accessibility props, in reading order", () => {
+    expect(new JsxGenerator().generate(signInFrame())).toBe(`export function SignIn() {
+  return (
+    <main>
+      <h1>Sign in</h1>
+      <label htmlFor="figma-1-3">Email address</label>
+      <input id="figma-1-3" type="email" autoComplete="email" required />
+      <nav aria-label="Account">
+        <a href="/reset">Forgot password?</a>
+      </nav>
+      <button type="button">Continue</button>
+    </main>
+  );
+}
+`);
+  });
+
+  test("maps roles to design-system components and imports them", () => {
+    const generator = new JsxGenerator({
+      mapping: {
+        button:  { component: "Button", from: "@acme/ui", props: (node, props) => ({ variant: "primary", ...props }) },
+        textbox: { component: "TextField", from: "@acme/ui" },
+        link:    { component: "Router.Link", from: "react-router-dom", props: (node) => ({ to: node.href }) },
+      },
+    });
+    expect(generator.generate(signInFrame(), { name: "SignInForm" })).toBe(`import { Button, TextField } from "@acme/ui";
+import { Router } from "react-router-dom";
+
+export function SignInForm() {
+  return (
+    <main>
+      <h1>Sign in</h1>
+      <TextField label="Email" id="figma-1-3" type="email" autoComplete="email" required />
+      <nav aria-label="Account">
+        <Router.Link to="/reset">Forgot password?</Router.Link>
+      </nav>
+      <Button variant="primary" type="button">Continue</Button>
+    </main>
+  );
+}
+`);
+  });
+
+  test("is deterministic", () => {
+    const generator = new JsxGenerator({ mapping: { button: { component: "Button", from: "@acme/ui" } } });
+    expect(generator.generate(signInFrame())).toBe(generator.generate(signInFrame()));
+  });
+
+  test("writes aria states explicitly and escapes JSX syntax", () => {
+    const frame = new Group("2:1", "Settings");
+    frame.addChild(new Switch("2:2", "Dark mode", false));
+    frame.addChild(new Button("2:3", "Save {draft} & exit"));
+    const jsx = new JsxGenerator().generate(frame);
+    expect(jsx).toContain('<button type="button" role="switch" aria-checked={false}>Dark mode</button>');
+    expect(jsx).toContain('<button type="button">{"Save {draft} & exit"}</button>');
+  });
+
+  test("turns form state into uncontrolled defaults", () => {
+    const frame = new Group("3:1", "Contact");
+    frame.addChild(new ComboBox("3:2", "Country", "Ireland"));
+    frame.addChild(new Radio("3:3", "Email me", true));
+    const jsx = new JsxGenerator().generate(frame);
+    expect(jsx).toContain(`<select id="figma-3-2" defaultValue="Ireland">
+        <option>Ireland</option>
+      </select>`);
+    expect(jsx).toContain('<input type="radio" id="figma-3-3" name="figma-3-3" defaultChecked />');
+  });
+
+  test("puts several frames in one module with unique names", () => {
+    const module = new JsxGenerator().generateModule([new Button("a", "Card"), new Button("b", "Card")]);
+    expect(module).toContain("export function Card() {");
+    expect(module).toContain("export function Card2() {");
+  });
+
+  test("derives component names from frame labels", () => {
+    expect(componentName("Sign in — mobile")).toBe("SignInMobile");
+    expect(componentName("404 page")).toBe("Screen404Page");
+    expect(componentName("—")).toBe("Screen");
+  });
+
+  test("rejects bad input and mappings", () => {
+    expect(() => new JsxGenerator().generate({})).toThrow(TypeError);
+    expect(() => new JsxGenerator({ mapping: { button: { component: "button" } } })).toThrow("capitalised");
+    expect(() => new JsxGenerator({ mapping: { button: { component: "Button", props: {} } } })).toThrow("function");
+  });
+});
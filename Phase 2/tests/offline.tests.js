@@ -0,0 +1,121 @@
+// ============================================================
+// tests/offline.tests.js
+// Unit tests for offline audits: normalising saved file and /nodes
+// responses, and running the full pipeline against the bundled
+// fixtures without touching the network.
+// ============================================================
+
+import { FigmaClient, normalizeFigmaResponse } from "../src/api/figmaClient.js";
+import { runAuditPipeline } from "../src/pipeline/auditPipeline.js";
+import { runCli, EXIT_FINDINGS } from "../src/cli/cli.js";
+import { readFile } from "node:fs/promises";
+import { loadFixture, fixturePath, ALL_COMPONENTS, LOGIN_FORM } from "./helpers/fixtures.js";
+
+function collectRoles(components, roles = new Set()) {
+  for (const c of components) {
+    roles.add(c.getRole());
+    collectRoles(c.getChildren(), roles);
+  }
+  return roles;
+}
+
+describe("normalizeFigmaResponse", () => {
+  test("takes the document children of a file response", () => {
+    const data = { name: "F", document: { id: "0:0", type: "DOCUMENT", children: [{ id: "1:0" }] } };
+    const { fileData, nodes } = normalizeFigmaResponse(data);
+    expect(fileData).toBe(data);
+    expect(nodes).toEqual([{ id: "1:0" }]);
+  });
+
+  test("flattens a /nodes response and merges its lookup maps", () => {
+    const { fileData, nodes } = normalizeFigmaResponse({
+      name: "F",
+      version: "7",
+      nodes: {
+        "1:1": { document: { id: "1:1" }, components: { "5:1": { name: "A" } }, styles: {} },
+        "1:2": { document: { id: "1:2" }, components: { "5:2": { name: "B" } },
+                 componentSets: { "5:0": { name: "Button" } } },
+        "9:9": null,
+      },
+    });
+    expect(nodes.map(n => n.id)).toEqual(["1:1", "1:2"]);
+    expect(fileData).toMatchObject({ name: "F", version: "7" });
+    expect(Object.keys(fileData.components)).toEqual(["5:1", "5:2"]);
+    expect(fileData.componentSets["5:0"].name).toBe("Button");
+    expect(fileData).not.toHaveProperty("nodes");
+  });
+
+  test("rejects data that is neither shape", () => {
+    expect(() => normalizeFigmaResponse(null)).toThrow(TypeError);
+    expect(() => normalizeFigmaResponse([])).toThrow(TypeError);
+    expect(() => normalizeFigmaResponse({ err: "Not found" })).toThrow('"document" or "nodes"');
+  });
+
+  test("FigmaClient.extractNodes accepts /nodes responses", () => {
+    const client = new FigmaClient("token");
+    expect(client.extractNodes(loadFixture(LOGIN_FORM)).map(n => n.id)).toEqual(["20:1"]);
+    expect(() => client.extractNodes({})).toThrow("Malformed Figma file data");
+  });
+});
+
+describe("Fixture library", () => {
+  test("all-components covers every supported component type", () => {
+    const { fileData, nodes } = normalizeFigmaResponse(loadFixture(ALL_COMPONENTS));
+    const { roots } = runAuditPipeline(nodes, fileData);
+    const roles = collectRoles(roots);
+    for (const role of [
+      "button", "textbox", "navigation", "link", "heading", "img", "checkbox", "radio",
+      "radiogroup", "switch", "combobox", "slider", "tablist", "tab", "tabpanel", "dialog",
+      "alert", "list", "listitem", "table", "banner", "main", "contentinfo", "complementary",
+      "form", "search", "generic",
+    ]) {
+      expect(roles).toContain(role);
+    }
+  });
+
+  test("all-components reads list items by their text", () => {
+    const { fileData, nodes } = normalizeFigmaResponse(loadFixture(ALL_COMPONENTS));
+    const { readingOrder } = runAuditPipeline(nodes, fileData);
+    const list = readingOrder.findIndex(t => t.startsWith("List: \"Feature list\""));
+    expect(readingOrder.slice(list, list + 4)).toEqual([
+      'List: "Feature list" with 3 items.',
+      'List item: "Fast builds".',
+      'List item: "Small bundles".',
+      'List item: "Typed APIs".',
+    ]);
+  });
+
+  test("all-components resolves main components and text styles from the file", () => {
+    const { fileData, nodes } = normalizeFigmaResponse(loadFixture(ALL_COMPONENTS));
+    const { tree } = runAuditPipeline(nodes, fileData);
+    const json = JSON.stringify(tree.toJSON());
+    expect(json).toContain('Instance of main component \\"Button\\"');
+    expect(json).toContain('Uses text style \\"Heading/H2\\"');
+  });
+
+  test("login-form reports its known form issues", () => {
+    const { fileData, nodes } = normalizeFigmaResponse(loadFixture(LOGIN_FORM));
+    const { auditResult, tabOrder } = runAuditPipeline(nodes, fileData);
+    expect(tabOrder.map(t => t.label)).toEqual(["Email", "Input 2", "Sign in", "Forgot password?"]);
+    const failed = new Set(auditResult.findings.map(f => f.ruleId));
+    expect(failed).toEqual(new Set([
+      "INPUT_PLACEHOLDER_ONLY", "INPUT_ERROR_MESSAGE", "INPUT_AUTOCOMPLETE", "TARGET_SIZE",
+    ]));
+  });
+});
+
+describe("CLI — offline input", () => {
+  test("audits a saved /nodes response from disk", async () => {
+    const out = [];
+    const code = await runCli(["audit", "--input", fixturePath(LOGIN_FORM), "--json"], {
+      env:      {},
+      stdout:   { write: (s) => out.push(s) },
+      stderr:   { write: () => {} },
+      readFile,
+    });
+    const report = JSON.parse(out.join(""));
+    expect(report.file.name).toBe("Login Fixture");
+    expect(report.summary.bySeverity.error).toBe(2);
+    expect(code).toBe(EXIT_FINDINGS);
+  });
+});
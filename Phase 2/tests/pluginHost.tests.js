@@ -0,0 +1,96 @@
+// ============================================================
+// tests/pluginHost.tests.js
+// Unit tests for the Figma plugin host: adapting Plugin API nodes to
+// the REST shape, and role/label overrides in shared plugin data.
+// Plugin nodes are rebuilt from the REST fixtures, so both hosts can
+// be compared on the same design.
+// ============================================================
+
+import { adaptNodes } from "../src/plugin/nodeAdapter.js";
+import { readOverrides, writeOverrides } from "../src/plugin/annotations.js";
+import { runAuditPipeline } from "../src/pipeline/auditPipeline.js";
+import { SemanticTree } from "../src/semantic/semanticTree.js";
+import { normalizeFigmaResponse } from "../src/api/figmaClient.js";
+import { loadFixture, ALL_COMPONENTS, LOGIN_FORM } from "./helpers/fixtures.js";
+import { toPluginNode, styleLookup, MIXED } from "./helpers/fakePluginNodes.js";
+
+async function bothHosts(fixture) {
+  const { nodes, fileData } = normalizeFigmaResponse(loadFixture(fixture));
+  const plugin  = nodes.map(n => toPluginNode(n, fileData));
+  const adapted = await adaptNodes(plugin, { getStyleById: styleLookup(fileData) });
+  return { rest: runAuditPipeline(nodes, fileData), plugin: runAuditPipeline(adapted.nodes, adapted.fileData), adapted };
+}
+
+describe("adaptNodes", () => {
+  test.each([ALL_COMPONENTS, LOGIN_FORM])("gives the same tree and audit as the REST API for %s", async (fixture) => {
+    const { rest, plugin } = await bothHosts(fixture);
+    expect(plugin.tree.toJSON()).toEqual(rest.tree.toJSON());
+    expect(plugin.auditResult.findings).toEqual(rest.auditResult.findings);
+    expect(plugin.parseErrors).toEqual(rest.parseErrors);
+  });
+
+  test("collects main components, component sets and text styles", async () => {
+    const { adapted } = await bothHosts(ALL_COMPONENTS);
+    expect(adapted.fileData.components["5:1"]).toMatchObject({ name: "Size=Medium", componentSetId: "5:0" });
+    expect(adapted.fileData.componentSets["5:0"]).toMatchObject({ name: "Button" });
+    expect(adapted.fileData.styles["S:h2"]).toEqual({ name: "Heading/H2", styleType: "TEXT" });
+  });
+
+  test("reads mixed text properties from the first character", async () => {
+    const text = toPluginNode({ id: "t1", type: "TEXT", name: "Welcome", characters: "Welcome back" });
+    Object.assign(text, {
+      fontSize: MIXED, fontWeight: MIXED, hyperlink: MIXED, textStyleId: MIXED,
+      getRangeFontSize: () => 32, getRangeFontWeight: () => 700,
+      getRangeHyperlink: () => ({ type: "NODE", value: "9:9" }), getRangeTextStyleId: () => "",
+    });
+    const { nodes } = await adaptNodes([text]);
+    expect(nodes[0].style).toEqual({ fontSize: 32, fontWeight: 700, hyperlink: { type: "NODE", nodeID: "9:9" } });
+    expect(nodes[0]).not.toHaveProperty("styles");
+  });
+
+  test("leaves out layout mode NONE and unavailable main components", async () => {
+    const frame    = toPluginNode({ id: "f1", type: "FRAME", name: "Card", children: [
+      { id: "i1", type: "INSTANCE", name: "Remote Button", componentId: "lib:1" },
+    ] });
+    const { nodes } = await adaptNodes([frame]);
+    expect(nodes[0].layoutMode).toBeUndefined();
+    expect(nodes[0].children[0]).not.toHaveProperty("componentId");
+    await expect(adaptNodes(frame)).rejects.toThrow(TypeError);
+  });
+});
+
+describe("Overrides", () => {
+  const layer = () => toPluginNode({ id: "1:5", type: "FRAME", name: "Icon / X", children: [
+    { id: "1:6", type: "VECTOR", name: "Vector" },
+  ] });
+
+  test("are written to shared plugin data and read by the semantic tree", async () => {
+    const node = layer();
+    expect(writeOverrides(node, { role: " Button ", label: "Close dialog" })).toEqual({ role: "button", label: "Close dialog" });
+    expect(node.getSharedPluginData("a11y", "role")).toBe("button");
+
+    const { nodes } = await adaptNodes([node]);
+    expect(nodes[0].sharedPluginData).toEqual({ a11y: { role: "button", label: "Close dialog" } });
+    // The REST API returns the same data with plugin_data=shared.
+    const tree = new SemanticTree();
+    tree.build(nodes);
+    expect(tree.getRoots()[0].getRole()).toBe("button");
+    expect(tree.getRoots()[0].getLabel()).toBe("Close dialog");
+  });
+
+  test("can be cleared one at a time", () => {
+    const node = layer();
+    writeOverrides(node, { role: "button", label: "Close" });
+    expect(writeOverrides(node, { label: "" })).toEqual({ role: "button", label: null });
+    expect(writeOverrides(node, { role: null })).toEqual({ role: null, label: null });
+    expect(node.getSharedPluginDataKeys("a11y")).toEqual([]);
+    expect(readOverrides(layer())).toEqual({ role: null, label: null });
+  });
+
+  test("reject roles the semantic tree cannot build, without writing anything", () => {
+    const node = layer();
+    expect(() => writeOverrides(node, { label: "Close", role: "spaceship" })).toThrow(RangeError);
+    expect(() => writeOverrides(node, { label: 42 })).toThrow(TypeError);
+    expect(readOverrides(node)).toEqual({ role: null, label: null });
+  });
+});
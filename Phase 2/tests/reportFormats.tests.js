@@ -0,0 +1,95 @@
+// ============================================================
+// tests/reportFormats.tests.js
+// Unit tests for the report built from an audit and its SARIF, JUnit,
+// CSV and standalone HTML formats.
+// ============================================================
+
+import {
+  buildReport, formatReport, formatSarif, formatJUnit, formatCsv, formatHtmlReport, figmaNodeUrl,
+} from "../src/export/reportFormats.js";
+import { runAuditPipeline } from "../src/pipeline/auditPipeline.js";
+import { normalizeFigmaResponse } from "../src/api/figmaClient.js";
+import { loadFixture, LOGIN_FORM } from "./helpers/fixtures.js";
+
+function loginReport(file = {}) {
+  const { fileData, nodes } = normalizeFigmaResponse(loadFixture(LOGIN_FORM));
+  return buildReport(runAuditPipeline(nodes, fileData), { file: { ...fileData, ...file } });
+}
+
+describe("buildReport", () => {
+  test("sorts findings and tags each with its screen", () => {
+    const report = loginReport();
+    expect(report.screens).toEqual([{ nodeId: "20:1", name: "Login" }]);
+    expect(report.findings.map(f => f.severity)).toEqual(["error", "error", "warning", "warning", "warning"]);
+    expect(report.findings.every(f => f.screen === "20:1")).toBe(true);
+    expect(report.summary.bySeverity).toEqual({ error: 2, warning: 3, info: 0 });
+    expect(report.rules.find(r => r.id === "TARGET_SIZE")).toMatchObject({ severity: "warning", wcag: ["2.5.8", "2.5.5"] });
+    expect(report.rules[0]).not.toHaveProperty("check");
+  });
+});
+
+describe("Report formats", () => {
+  test("SARIF 2.1.0 lists rules and locates results by layer and Figma link", () => {
+    const sarif = JSON.parse(formatSarif(loginReport({ key: "abc" })));
+    expect(sarif.version).toBe("2.1.0");
+    const [run] = sarif.runs;
+    expect(run.tool.driver.name).toBe("figma-a11y");
+
+    const result = run.results.find(r => r.ruleId === "TARGET_SIZE");
+    expect(result.level).toBe("warning");
+    expect(run.tool.driver.rules[result.ruleIndex].id).toBe("TARGET_SIZE");
+    expect(run.tool.driver.rules[result.ruleIndex].properties.tags).toContain("WCAG 2.5.8");
+    expect(result.locations[0].logicalLocations[0].fullyQualifiedName).toBe("Login > Main > Forgot password?");
+    expect(result.locations[0].physicalLocation.artifactLocation.uri)
+      .toBe("https://www.figma.com/design/abc?node-id=20-10");
+    expect(result.partialFingerprints["figmaNode/v1"]).toBe("TARGET_SIZE:20:10");
+    expect(figmaNodeUrl("abc", "I1:2;3:4")).toBe("https://www.figma.com/design/abc?node-id=I1-2%3B3-4");
+  });
+
+  test("JUnit XML has a test case per rule, failing at the threshold", () => {
+    const report = loginReport();
+    const xml    = formatJUnit(report);
+    const tests  = report.rules.length;
+    expect(xml).toContain(`<testsuites name="figma-a11y" tests="${tests}" failures="2" errors="0">`);
+    expect(xml).toContain('<testcase classname="figma-a11y.Login Fixture" name="LABEL_EMPTY" />');
+    expect(xml).toMatch(/name="INPUT_ERROR_MESSAGE">\n\s+<failure message="1 finding\(s\)" type="error">ERROR Login &gt; Main/);
+    expect(xml).toMatch(/name="TARGET_SIZE">\n\s+<system-out>WARNING/);
+    const withError = { ...report, parseErrors: [{ nodeId: "20:9", message: 'Unsupported component type: "Divider". Skipped.' }] };
+    expect(formatJUnit(withError)).toContain("<system-err>[20:9] Unsupported component type");
+
+    expect(formatJUnit(report, { failOn: "warning" })).toContain('failures="4"');
+    expect(formatJUnit(report, { failOn: "none" })).toContain('failures="0"');
+  });
+
+  test("CSV quotes fields and defuses spreadsheet formulas", () => {
+    const report = loginReport();
+    report.findings.push({ ...report.findings[0], nodePath: "=HYPERLINK(\"x\")", screen: null });
+    const rows = formatCsv(report).split("\r\n");
+    expect(rows[0]).toBe("severity,ruleId,wcag,screen,nodeId,nodePath,message,fix");
+    expect(rows[1]).toMatch(/^error,INPUT_PLACEHOLDER_ONLY,1\.3\.1 3\.3\.2,Login,20:7,Login > Main > Input 2,"Input ""Input 2""/);
+    expect(rows[6]).toContain(`,,20:7,"'=HYPERLINK(""x"")",`);
+    expect(rows).toHaveLength(8);
+  });
+
+  test("HTML report is standalone, with a summary and a section per screen", () => {
+    const report = loginReport({ key: "abc" });
+    report.findings.push({ ...report.findings[0], message: "<script>alert(1)</script>", screen: null });
+    const html = formatHtmlReport(report);
+    expect(html).toMatch(/^<!DOCTYPE html>\n<html lang="en">/);
+    expect(html).not.toMatch(/<script|<link|src=/);
+    expect(html).toContain("<title>Accessibility audit: Login Fixture</title>");
+    expect(html).toContain('<li class="error"><strong>2</strong>Errors</li>');
+    expect(html).toContain(">Screen: Login</h2>");
+    expect(html).toContain(">Outside any screen</h2>");
+    expect(html).toContain("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(html).toContain(">Keyboard tab order</h2>");
+    expect(html).toContain("@media print");
+  });
+
+  test("formatReport picks a format by name", () => {
+    const report = loginReport();
+    expect(JSON.parse(formatReport(report, "json")).findings).toHaveLength(5);
+    expect(formatReport(report, "csv")).toBe(formatCsv(report));
+    expect(() => formatReport(report, "pdf")).toThrow(RangeError);
+  });
+});
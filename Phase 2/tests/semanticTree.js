@@ -5,11 +5,32 @@
 // Or add "type": "module" to package.json for ES modules.
 // ============================================================
 
-import { SemanticTree }       from "../src/semantic/SemanticTree.js";
-import { Button }             from "../src/core/Button.js";
-import { InputField }         from "../src/core/InputField.js";
-import { NavigationRegion }   from "../src/core/NavigationRegion.js";
-import { UIComponent }        from "../src/core/UIComponent.js";
+import { SemanticTree }       from "../src/semantic/semanticTree.js";
+import { Button }             from "../src/core/button.js";
+import { InputField }         from "../src/core/inputField.js";
+import { NavigationRegion }   from "../src/core/navMap.js";
+import { UIComponent }        from "../src/core/uiComponent.js";
+import { NodeClassifier }     from "../src/semantic/nodeClassifier.js";
+import { Link }               from "../src/core/link.js";
+import { Heading }            from "../src/core/heading.js";
+import { Image }              from "../src/core/image.js";
+import { Checkbox }           from "../src/core/checkbox.js";
+import { Radio }              from "../src/core/radio.js";
+import { RadioGroup }         from "../src/core/radioGroup.js";
+import { Switch }             from "../src/core/switch.js";
+import { ComboBox }           from "../src/core/comboBox.js";
+import { Slider }             from "../src/core/slider.js";
+import { TabList }            from "../src/core/tabList.js";
+import { Tab }                from "../src/core/tab.js";
+import { TabPanel }           from "../src/core/tabPanel.js";
+import { Dialog }             from "../src/core/dialog.js";
+import { Alert }              from "../src/core/alert.js";
+import { List }               from "../src/core/list.js";
+import { ListItem }           from "../src/core/listItem.js";
+import { Table }              from "../src/core/table.js";
+import {
+  LandmarkRegion, Banner, Main, ContentInfo, Complementary, FormRegion, SearchRegion,
+} from "../src/core/landmark.js";
 
 // ---- UIComponent abstract class ----
 
@@ -99,6 +120,221 @@ describe("NavigationRegion", () => {
   });
 });
 
+// ---- Link ----
+
+describe("Link", () => {
+  test("is a focusable link with its destination", () => {
+    const link = new Link("l1", "Pricing", "https://example.com/pricing");
+    expect(link.getRole()).toBe("link");
+    expect(link.getState("focusable")).toBe(true);
+    expect(link.getHref()).toBe("https://example.com/pricing");
+    expect(link.describe()).toContain("Pricing");
+    expect(link.navigate().length).toBeGreaterThan(0);
+  });
+});
+
+// ---- Heading ----
+
+describe("Heading", () => {
+  test("reports its level in describe() and state", () => {
+    const h = new Heading("h1", "Welcome", 1);
+    expect(h.getRole()).toBe("heading");
+    expect(h.describe()).toContain("level 1");
+    expect(h.toAuditObject().state.level).toBe(1);
+  });
+
+  test("rejects levels outside 1–6", () => {
+    expect(() => new Heading("h1", "Welcome", 7)).toThrow("1 to 6");
+  });
+
+  test("is not focusable", () => {
+    expect(new Heading("h1", "Welcome").getState("focusable")).toBeUndefined();
+  });
+});
+
+// ---- Image ----
+
+describe("Image", () => {
+  test("describes its alt text", () => {
+    const img = new Image("img-1", "Hero", "Team photo");
+    expect(img.getRole()).toBe("img");
+    expect(img.describe()).toContain("Team photo");
+    expect(img.toAuditObject().state.alt).toBe("Team photo");
+  });
+
+  test("flags a missing alt text", () => {
+    expect(new Image("img-1", "Hero").describe()).toContain("no alt text");
+  });
+
+  test("empty alt marks the image decorative", () => {
+    const img = new Image("img-1", "Divider", "");
+    expect(img.isDecorative()).toBe(true);
+    expect(img.describe()).toContain("Decorative");
+  });
+});
+
+// ---- Checkbox, Radio, Switch ----
+
+describe("Checkbox", () => {
+  test("toggles checked state", () => {
+    const cb = new Checkbox("cb-1", "Remember me");
+    expect(cb.getRole()).toBe("checkbox");
+    expect(cb.describe()).toContain("not checked");
+    cb.setChecked(true);
+    expect(cb.toAuditObject().state.checked).toBe(true);
+    expect(cb.describe()).toContain(", checked");
+  });
+});
+
+describe("RadioGroup and Radio", () => {
+  test("group counts options and reports the selected one", () => {
+    const group = new RadioGroup("rg-1", "Plan");
+    group.addChild(new Radio("r-1", "Monthly"));
+    group.addChild(new Radio("r-2", "Yearly", true));
+    expect(group.getRole()).toBe("radiogroup");
+    expect(group.describe()).toContain("2 options");
+    expect(group.getSelected()).toBe("Yearly");
+  });
+
+  test("radio is focusable and describes selection", () => {
+    const radio = new Radio("r-1", "Monthly");
+    expect(radio.getRole()).toBe("radio");
+    expect(radio.getState("focusable")).toBe(true);
+    expect(radio.describe()).toContain("not selected");
+  });
+});
+
+describe("Switch", () => {
+  test("describes on and off", () => {
+    const sw = new Switch("sw-1", "Dark mode");
+    expect(sw.getRole()).toBe("switch");
+    expect(sw.describe()).toContain("off");
+    sw.setChecked(true);
+    expect(sw.describe()).toContain("on");
+  });
+});
+
+// ---- ComboBox, Slider ----
+
+describe("ComboBox", () => {
+  test("tracks expanded and value state", () => {
+    const cb = new ComboBox("cb-1", "Country", "Ireland");
+    expect(cb.getRole()).toBe("combobox");
+    expect(cb.describe()).toContain("collapsed");
+    expect(cb.describe()).toContain("Ireland");
+    cb.setExpanded(true);
+    expect(cb.toAuditObject().state.expanded).toBe(true);
+  });
+});
+
+describe("Slider", () => {
+  test("exposes valuenow, valuemin and valuemax", () => {
+    const slider = new Slider("s-1", "Volume", { valuenow: 30, valuemin: 0, valuemax: 50 });
+    expect(slider.getRole()).toBe("slider");
+    expect(slider.toAuditObject().state).toMatchObject({ valuenow: 30, valuemin: 0, valuemax: 50 });
+    expect(slider.describe()).toContain("30");
+  });
+
+  test("clamps values to its range", () => {
+    const slider = new Slider("s-1", "Volume");
+    slider.setValue(250);
+    expect(slider.getState("valuenow")).toBe(100);
+  });
+
+  test("rejects an inverted range", () => {
+    expect(() => new Slider("s-1", "Volume", { valuemin: 10, valuemax: 0 })).toThrow("valuemin");
+  });
+});
+
+// ---- Tabs ----
+
+describe("TabList, Tab and TabPanel", () => {
+  test("tab list counts its tabs", () => {
+    const list = new TabList("tl-1", "Settings");
+    list.addChild(new Tab("t-1", "General", true));
+    list.addChild(new Tab("t-2", "Privacy"));
+    expect(list.getRole()).toBe("tablist");
+    expect(list.describe()).toContain("2 tabs");
+  });
+
+  test("tab is focusable and tracks selection", () => {
+    const tab = new Tab("t-1", "General");
+    expect(tab.getRole()).toBe("tab");
+    expect(tab.getState("focusable")).toBe(true);
+    tab.setSelected(true);
+    expect(tab.describe()).toContain(", selected");
+  });
+
+  test("tab panel has the tabpanel role", () => {
+    const panel = new TabPanel("tp-1", "General settings");
+    expect(panel.getRole()).toBe("tabpanel");
+    expect(panel.describe()).toContain("General settings");
+  });
+});
+
+// ---- Dialog, Alert ----
+
+describe("Dialog", () => {
+  test("is modal by default", () => {
+    const dlg = new Dialog("d-1", "Confirm delete");
+    expect(dlg.getRole()).toBe("dialog");
+    expect(dlg.describe()).toContain("modal");
+    expect(dlg.navigate()).toContain("Escape");
+  });
+});
+
+describe("Alert", () => {
+  test("is an assertive live region", () => {
+    const alert = new Alert("a-1", "Payment failed");
+    expect(alert.getRole()).toBe("alert");
+    expect(alert.toAuditObject().state.live).toBe("assertive");
+  });
+});
+
+// ---- List, Table ----
+
+describe("List and ListItem", () => {
+  test("list counts its items", () => {
+    const list = new List("ls-1", "Results");
+    list.addChild(new ListItem("li-1", "First"));
+    list.addChild(new ListItem("li-2", "Second"));
+    list.addChild(new ListItem("li-3", "Third"));
+    expect(list.getRole()).toBe("list");
+    expect(list.describe()).toContain("3 items");
+    expect(new ListItem("li-4", "Fourth").getRole()).toBe("listitem");
+  });
+});
+
+describe("Table", () => {
+  test("uses explicit counts when given", () => {
+    const table = new Table("tb-1", "Invoices", { rowcount: 12, colcount: 4 });
+    expect(table.getRole()).toBe("table");
+    expect(table.describe()).toContain("12 rows, 4 columns");
+  });
+});
+
+// ---- Landmarks ----
+
+describe("Landmarks", () => {
+  test.each([
+    [Banner, "banner"],
+    [Main, "main"],
+    [ContentInfo, "contentinfo"],
+    [Complementary, "complementary"],
+    [FormRegion, "form"],
+    [SearchRegion, "search"],
+  ])("%p has role %s", (Cls, role) => {
+    const region = new Cls("lm-1", "Region");
+    expect(region.getRole()).toBe(role);
+    expect(region.describe()).toContain("landmark");
+    expect(region.navigate().length).toBeGreaterThan(0);
+  });
+
+  test("rejects unknown landmark roles", () => {
+    expect(() => new LandmarkRegion("lm-1", "Region", "footer")).toThrow("Unknown landmark");
+  });
+});
+
 // ---- Child management ----
 
 describe("UIComponent — Children", () => {
@@ -138,6 +374,26 @@ describe("SemanticTree — build()", () => {
     expect(tree.getErrors().length).toBeGreaterThan(0);
   });
 
+  test("reads static text, but not text that names a control or labels an input", () => {
+    const box  = (y) => ({ x: 0, y, width: 200, height: 20 });
+    const tree = new SemanticTree();
+    tree.build([{ id: "f1", type: "FRAME", name: "Card", children: [
+      { id: "t1", type: "TEXT", name: "Intro", characters: "Pick a plan.", absoluteBoundingBox: box(0) },
+      { id: "b1", type: "FRAME", name: "Submit Button", children: [{ id: "t2", type: "TEXT", name: "Label", characters: "Go" }] },
+      { id: "t3", type: "TEXT", name: "Label", characters: "Email", absoluteBoundingBox: box(40) },
+      { id: "i1", type: "FRAME", name: "Email Input", absoluteBoundingBox: box(64) },
+      { id: "t4", type: "TEXT", name: "Empty", characters: " " },
+    ] }]);
+    const [text, button, input] = tree.getRoots()[0].getChildren();
+    expect(text.getRole()).toBe("paragraph");
+    expect(text.getLabel()).toBe("Pick a plan.");
+    expect(text.getState("focusable")).toBeUndefined();
+    expect(button.getChildren()).toEqual([]);
+    expect(input.getRole()).toBe("textbox");
+    expect(tree.getRoots()[0].getChildren()).toHaveLength(3);
+    expect(tree.getErrors()).toEqual([]);
+  });
+
   test("empty nodes array produces empty roots", () => {
     const tree = new SemanticTree();
     tree.build([]);
@@ -160,3 +416,365 @@ describe("SemanticTree — build()", () => {
   });
 });
 
+// ---- NodeClassifier ----
+
+describe("NodeClassifier", () => {
+  const classifier = new NodeClassifier({
+    components:    { "1:1": { name: "Primary", componentSetId: "1:0" } },
+    componentSets: { "1:0": { name: "Button" } },
+  });
+
+  test("explicit sharedPluginData role wins with full confidence", () => {
+    const result = classifier.classify({
+      id: "n1", type: "FRAME", name: "Navbar Buttons",
+      sharedPluginData: { a11y: { role: "textbox" } },
+    });
+    expect(result.key).toBe("textbox");
+    expect(result.confidence).toBe(1);
+    expect(result.reason).toContain("sharedPluginData");
+  });
+
+  test("instances are classified by their main component set", () => {
+    const result = classifier.classify({ id: "n2", type: "INSTANCE", name: "Sign in", componentId: "1:1" });
+    expect(result.key).toBe("button");
+    expect(result.reason).toContain("Button");
+  });
+
+  test("name matching is token based, not substring based", () => {
+    expect(classifier.classify({ id: "n3", type: "FRAME", name: "Navbar Buttons" }).key).toBe("navigation");
+    expect(classifier.classify({ id: "n4", type: "FRAME", name: "Snavely" }).key).toBeNull();
+  });
+
+  test("common words only name a role where they are anchored", () => {
+    const keyOf = (name, type = "FRAME") => classifier.classify({ id: "n", type, name }).key;
+    expect(keyOf("Header")).toBe("banner");
+    expect(keyOf("Card Header")).toBeNull();
+    expect(keyOf("Main")).toBe("main");
+    expect(keyOf("Main Nav")).toBe("navigation");
+    expect(keyOf("Domain Main Stats")).toBeNull();
+    expect(keyOf("Country Select")).toBe("combobox");
+    expect(keyOf("Select all")).toBeNull();
+    expect(keyOf("Color Picker Panel")).toBeNull();
+    expect(keyOf("Title", "TEXT")).toBe("heading");
+    expect(keyOf("Title bar text", "TEXT")).toBe("text");
+  });
+
+  test("TEXT nodes are never interactive", () => {
+    const result = classifier.classify({ id: "n5", type: "TEXT", name: "Button label" });
+    expect(result.key).toBe("text");
+    expect(result.reason).toContain("TEXT");
+  });
+
+  test("component properties hint at inputs", () => {
+    const result = classifier.classify({
+      id: "n6", type: "INSTANCE", name: "Field",
+      componentProperties: { "Placeholder#12:0": { type: "TEXT", value: "you@example.com" } },
+    });
+    expect(result.key).toBe("input");
+  });
+
+  test("a variant property outweighs a property hint listed before it", () => {
+    const result = classifier.classify({
+      id: "n8", type: "INSTANCE", name: "Field",
+      componentProperties: {
+        "Value#1:0": { type: "TEXT", value: "On" },
+        "Kind":      { type: "VARIANT", value: "Switch" },
+      },
+    });
+    expect(result.key).toBe("switch");
+    expect(result.reason).toContain('Kind="Switch"');
+  });
+
+  test("padded auto-layout frame with one text child looks like a button", () => {
+    const result = classifier.classify({
+      id: "n7", type: "FRAME", name: "Sign in", layoutMode: "HORIZONTAL",
+      paddingLeft: 16, fills: [{ type: "SOLID" }],
+      children: [{ id: "t1", type: "TEXT", name: "Sign in" }],
+    });
+    expect(result.key).toBe("button");
+    expect(result.confidence).toBeLessThan(0.7);
+  });
+
+  test("throws for non-object input", () => {
+    expect(() => classifier.classify(null)).toThrow("node object");
+  });
+});
+
+describe("SemanticTree — extended roles", () => {
+  test("maps TEXT headings with their level", () => {
+    const tree = new SemanticTree();
+    tree.build([{ id: "t1", type: "TEXT", name: "H1", characters: "Welcome back", style: { fontSize: 32 } }]);
+    const heading = tree.getRoots()[0];
+    expect(heading.getRole()).toBe("heading");
+    expect(heading.getLabel()).toBe("Welcome back");
+    expect(heading.getState("level")).toBe(1);
+  });
+
+  test("reads checked state from variant properties", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "c1", type: "INSTANCE", name: "Checkbox",
+      componentProperties: { "Checked": { type: "VARIANT", value: "True" } },
+    }]);
+    expect(tree.getRoots()[0].getState("checked")).toBe(true);
+  });
+
+  test("builds a tab set from layer names", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "tl", type: "FRAME", name: "Settings Tabs",
+      children: [
+        { id: "t1", type: "INSTANCE", name: "Tab", componentProperties: { "State": { type: "VARIANT", value: "Selected" } } },
+        { id: "t2", type: "INSTANCE", name: "Tab" },
+      ],
+    }]);
+    const list = tree.getRoots()[0];
+    expect(list.getRole()).toBe("tablist");
+    expect(list.getChildren().map(t => t.getState("selected"))).toEqual([true, false]);
+    expect(list.getChildren().map(t => t.getState("focusable"))).toEqual([true, false]);
+  });
+
+  test("gives a radio group one tab stop: the checked radio, or else the first", () => {
+    const radio = (id, checked) => ({ id, type: "INSTANCE", name: "Radio",
+      componentProperties: { "Checked": { type: "VARIANT", value: checked ? "True" : "False" } } });
+    const tree = new SemanticTree();
+    tree.build([
+      { id: "g1", type: "FRAME", name: "Plan Radio Group", children: [radio("r1", false), radio("r2", true)] },
+      { id: "g2", type: "FRAME", name: "Size Radio Group", children: [radio("r3", false), radio("r4", false)] },
+    ]);
+    const focusable = (group) => group.getChildren().map(r => r.getState("focusable"));
+    expect(tree.getRoots().map(focusable)).toEqual([[false, true], [true, false]]);
+  });
+
+  test("names controls by the text inside them", () => {
+    const tree = new SemanticTree();
+    tree.build([
+      { id: "b1", type: "INSTANCE", name: "Button", children: [{ id: "t1", type: "TEXT", name: "Label", characters: "Sign in" }] },
+      { id: "b2", type: "INSTANCE", name: "Icon Button", children: [{ id: "v1", type: "VECTOR", name: "Close" }] },
+    ]);
+    expect(tree.getRoots().map(b => b.getLabel())).toEqual(["Sign in", "Icon Button"]);
+  });
+
+  test("falls back to the layer's heading level when the annotation is not 1–6", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "t1", type: "TEXT", name: "H2", characters: "Plans", sharedPluginData: { a11y: { level: "9" } },
+    }]);
+    expect(tree.getRoots()[0].getState("level")).toBe(2);
+    expect(tree.getErrors()).toEqual([{ nodeId: "t1", message: expect.stringContaining('"9" is not 1–6') }]);
+  });
+
+  test("maps landmark frames by name", () => {
+    const tree = new SemanticTree();
+    tree.build([
+      { id: "f1", type: "FRAME", name: "Header" },
+      { id: "f2", type: "FRAME", name: "Main Content" },
+      { id: "f3", type: "FRAME", name: "Footer" },
+    ]);
+    expect(tree.getRoots().map(r => r.getRole())).toEqual(["banner", "main", "contentinfo"]);
+  });
+});
+
+describe("SemanticTree — generic groups", () => {
+  const doc = [{
+    id: "page", type: "FRAME", name: "Page",
+    children: [{
+      id: "wrap", type: "GROUP", name: "Group 12",
+      children: [{ id: "b1", type: "INSTANCE", name: "Submit Button" }],
+    }],
+  }];
+
+  test("keeps recognised components nested in unrecognised frames", () => {
+    const tree = new SemanticTree();
+    tree.build(doc);
+    const page = tree.getRoots()[0];
+    expect(page.getRole()).toBe("generic");
+    expect(page.isTransparent()).toBe(true);
+    const wrap = page.getChildren()[0];
+    expect(wrap.getChildren()[0].getRole()).toBe("button");
+  });
+
+  test("collapseGroups hoists descendants out of groups", () => {
+    const tree = new SemanticTree({ collapseGroups: true });
+    tree.build(doc);
+    expect(tree.getRoots().map(r => r.getId())).toEqual(["b1"]);
+    expect(tree.getRoots()[0].getParent()).toBeNull();
+  });
+
+  test("drops groups that contain nothing recognisable", () => {
+    const tree = new SemanticTree();
+    tree.build([{ id: "g1", type: "GROUP", name: "Decor", children: [{ id: "v1", type: "VECTOR", name: "Line" }] }]);
+    expect(tree.getRoots()).toEqual([]);
+    expect(tree.getErrors().some(e => e.nodeId === "v1")).toBe(true);
+  });
+});
+
+describe("SemanticTree — visual properties", () => {
+  test("records fills, opacity and label text style", () => {
+    const fill = { type: "SOLID", color: { r: 0, g: 0.4, b: 1, a: 1 } };
+    const ink  = { type: "SOLID", color: { r: 1, g: 1, b: 1, a: 1 } };
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "b1", type: "FRAME", name: "Submit Button", fills: [fill], opacity: 0.9,
+      children: [{ id: "t1", type: "TEXT", name: "Label", fills: [ink], style: { fontSize: 16, fontWeight: 600 } }],
+    }]);
+    const visual = tree.getRoots()[0].getVisual();
+    expect(visual.fills).toEqual([fill]);
+    expect(visual.opacity).toBe(0.9);
+    expect(visual.text).toMatchObject({ fills: [ink], fontSize: 16, fontWeight: 600 });
+  });
+
+  test("records bounds, visibility and clipping", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "b1", type: "FRAME", name: "Submit Button", visible: false, clipsContent: true,
+      absoluteBoundingBox: { x: 10, y: 20, width: 120, height: 40 },
+    }]);
+    const btn = tree.getRoots()[0];
+    expect(btn.getBounds()).toEqual({ x: 10, y: 20, width: 120, height: 40 });
+    expect(btn.getVisual()).toMatchObject({ visible: false, clipsContent: true });
+  });
+
+  test("records auto-layout direction and focus-order annotations", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "n1", type: "FRAME", name: "Navigation", layoutMode: "HORIZONTAL",
+      children: [{ id: "b1", name: "Home Button", sharedPluginData: { a11y: { focusOrder: "2" } } }],
+    }]);
+    const nav = tree.getRoots()[0];
+    expect(nav.getLayoutMode()).toBe("HORIZONTAL");
+    expect(nav.getFocusOrder()).toBeNull();
+    expect(nav.getChildren()[0].getFocusOrder()).toBe(2);
+  });
+
+  test("a label annotation replaces the layer name and visible label", () => {
+    const tree = new SemanticTree();
+    tree.build([
+      { id: "b1", name: "Btn / Icon", sharedPluginData: { a11y: { role: "button", label: "Close dialog" } } },
+      {
+        id: "f1", type: "FRAME", name: "Form", children: [
+          { id: "t1", type: "TEXT", name: "Label", characters: "Email", absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 16 } },
+          {
+            id: "i1", type: "FRAME", name: "Email Input", absoluteBoundingBox: { x: 0, y: 20, width: 200, height: 40 },
+            sharedPluginData: { a11y: { label: "Work email" } },
+          },
+        ],
+      },
+    ]);
+    const [button, form] = tree.getRoots();
+    expect(button.getLabel()).toBe("Close dialog");
+    expect(form.getChildren().find(c => c.getId() === "i1").getLabel()).toBe("Work email");
+  });
+
+  test("children know their parent", () => {
+    const tree = new SemanticTree();
+    tree.build([{ id: "n1", name: "Navigation", children: [{ id: "b1", name: "Home Button" }] }]);
+    const nav = tree.getRoots()[0];
+    expect(nav.getChildren()[0].getParent()).toBe(nav);
+  });
+});
+
+describe("SemanticTree — prototype flow", () => {
+  const click = (destinationId, navigation = "NAVIGATE") =>
+    ({ trigger: { type: "ON_CLICK" }, actions: [{ type: "NODE", destinationId, navigation }] });
+
+  test("builds edges from trigger components to destination frames", () => {
+    const tree = new SemanticTree();
+    tree.build([
+      {
+        id: "s1", type: "FRAME", name: "Home", children: [
+          { id: "b1", type: "FRAME", name: "Settings Button", reactions: [click("d1", "OVERLAY")] },
+          // A plain shape has no component; the screen owns its click.
+          { id: "r1", type: "RECTANGLE", name: "Card", reactions: [click("s2")] },
+        ],
+      },
+      { id: "s2", type: "FRAME", name: "Details", children: [{ id: "b2", name: "Back Button" }] },
+      { id: "d1", type: "FRAME", name: "Settings Dialog", children: [{ id: "b3", name: "Close Button" }] },
+    ]);
+    const [home, details, dialog] = tree.getRoots();
+    const flow = tree.getFlowGraph();
+
+    expect(flow.toJSON()).toEqual([
+      { from: "b1", owner: "b1", trigger: "click", action: "overlay", to: "d1" },
+      { from: "r1", owner: "s1", trigger: "click", action: "navigate", to: "s2" },
+    ]);
+    expect(flow.edgesTo(details)[0].owner).toBe(home);
+    expect(flow.overlays()).toEqual([dialog]);
+  });
+
+  test("reads legacy actions, Plugin API interactions and transitionNodeID", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "s1", type: "FRAME", name: "Home", children: [
+        { id: "b1", name: "Help Button",
+          reactions: [{ trigger: { type: "ON_HOVER" }, action: { type: "NODE", destinationId: "t1", navigation: "OVERLAY" } }] },
+        { id: "b2", name: "Menu Button",
+          interactions: [{ trigger: { type: "ON_KEY_DOWN", keyCodes: [27] }, actions: [{ type: "CLOSE" }] }] },
+        { id: "b3", name: "Next Button", transitionNodeID: "s2" },
+      ],
+    }]);
+    expect(tree.getFlowGraph().getEdges().map(e => [e.trigger, e.action, e.destinationId, e.destination]))
+      .toEqual([
+        ["hover", "overlay", "t1", null],
+        ["key", "close", null, null],
+        ["click", "navigate", "s2", null],
+      ]);
+    expect(tree.getFlowGraph().getEdges()[1].keyCodes).toEqual([27]);
+  });
+});
+
+describe("SemanticTree — form labelling", () => {
+  const box = (x, y, width, height) => ({ x, y, width, height });
+  const text = (id, characters, bounds) => ({ id, type: "TEXT", name: characters, characters, absoluteBoundingBox: bounds });
+
+  test("uses the text above a field as its visible label and accessible name", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "form", type: "FRAME", name: "Form",
+      children: [
+        text("t1", "Email address *", box(0, 0, 120, 16)),
+        {
+          id: "i1", type: "INSTANCE", name: "Input 3", absoluteBoundingBox: box(0, 24, 240, 40),
+          componentProperties: { "Type": { type: "VARIANT", value: "Email" }, "Required": { type: "VARIANT", value: "True" } },
+          children: [text("t2", "you@example.com", box(12, 36, 150, 16))],
+        },
+      ],
+    }]);
+    const input = tree.getRoots()[0].getChildren()[0];
+    expect(input.getLabel()).toBe("Email address *");
+    expect(input.getInputType()).toBe("email");
+    expect(input.toAuditObject().state).toMatchObject({
+      labelText: "Email address *", placeholder: "you@example.com", required: true,
+    });
+  });
+
+  test("ignores the layer name and finds error text below an invalid field", () => {
+    const tree = new SemanticTree();
+    tree.build([{
+      id: "form", type: "FRAME", name: "Form",
+      children: [
+        {
+          id: "i1", type: "INSTANCE", name: "Input 3", absoluteBoundingBox: box(0, 0, 240, 40),
+          componentProperties: { "State": { type: "VARIANT", value: "Error" } },
+        },
+        text("t1", "Enter a valid date", box(0, 48, 140, 16)),
+      ],
+    }]);
+    const input = tree.getRoots()[0].getChildren()[0];
+    expect(input.getState("labelText")).toBeNull();
+    expect(input.getState("invalid")).toBe(true);
+    expect(input.getState("errorMessage")).toBe("Enter a valid date");
+  });
+});
+
+describe("SemanticTree — classification", () => {
+  test("records the classification on the built component", () => {
+    const tree = new SemanticTree();
+    tree.build([{ id: "b1", type: "INSTANCE", name: "Sign in", componentId: "1:1" }], {
+      components: { "1:1": { name: "Button/Primary" } },
+    });
+    const root = tree.getRoots()[0];
+    expect(root.getRole()).toBe("button");
+    expect(root.toAuditObject().classification.confidence).toBe(0.9);
+  });
+});
@@ -0,0 +1,161 @@
+// ============================================================
+// tests/speech.tests.js
+// Unit tests for SpeechPlayer and WebSpeechSpeaker. Speech goes to a
+// RecordingSpeaker or a fake speechSynthesis; nothing is spoken.
+// ============================================================
+
+import { SpeechPlayer, WebSpeechSpeaker } from "../src/extension/speech.js";
+import { RecordingSpeaker, flush } from "./helpers/recordingSpeaker.js";
+
+const ITEMS = ["Heading: Sign in", "Text input: Email", "Button: Submit"];
+
+function makePlayer(items = ITEMS) {
+  const speaker = new RecordingSpeaker([{ name: "Daniel", lang: "en-GB", default: false }]);
+  const changes = [];
+  const errors  = [];
+  const player  = new SpeechPlayer(speaker, {
+    onChange: (p) => changes.push([p.state, p.index]),
+    onError:  (e) => errors.push(e.message),
+  });
+  player.load(items);
+  return { player, speaker, changes, errors };
+}
+
+describe("SpeechPlayer", () => {
+  test("speaks each item in turn and reports the current one", async () => {
+    const { player, speaker, changes } = makePlayer();
+    player.play();
+    expect(player.state).toBe("playing");
+    await speaker.finish();
+    await speaker.finish();
+    expect(changes.at(-1)).toEqual(["playing", 2]);
+    await speaker.finish();
+
+    expect(speaker.spoken.map(s => s.text)).toEqual(ITEMS);
+    expect(player.state).toBe("stopped");
+    expect(player.index).toBe(0);
+  });
+
+  test("pauses and resumes the current item", async () => {
+    const { player, speaker } = makePlayer();
+    player.play();
+    player.pause();
+    expect(player.state).toBe("paused");
+    player.play();
+    expect(player.state).toBe("playing");
+    expect(speaker.calls.map(c => c[0])).toEqual(["speak", "pause", "resume"]);
+  });
+
+  test("skips forward and back while playing", async () => {
+    const { player, speaker } = makePlayer();
+    player.play();
+    player.skip(2);
+    await flush();
+    expect(player.index).toBe(2);
+    player.skip(-5);   // Clamped to the first item
+    await flush();
+    expect(speaker.spoken.map(s => s.text)).toEqual([ITEMS[0], ITEMS[2], ITEMS[0]]);
+    expect(player.state).toBe("playing");
+  });
+
+  test("skip while paused resumes the synthesizer before moving", async () => {
+    const { player, speaker } = makePlayer();
+    player.play();
+    player.pause();
+    player.skip(1);
+    await flush();
+    expect(speaker.calls.map(c => c[0])).toEqual(["speak", "pause", "resume", "cancel", "speak"]);
+    expect(player.state).toBe("playing");
+  });
+
+  test("skip while stopped only moves the position", () => {
+    const { player, speaker } = makePlayer();
+    player.skip(1);
+    expect(player.index).toBe(1);
+    expect(speaker.calls).toEqual([]);
+  });
+
+  test("uses the rate and voice from the next item on", async () => {
+    const { player, speaker } = makePlayer();
+    player.play();
+    player.setRate(1.5);
+    player.setVoice("Daniel");
+    await speaker.finish();
+    expect(speaker.spoken[0]).toEqual({ text: ITEMS[0], rate: 1, voice: null });
+    expect(speaker.spoken[1]).toEqual({ text: ITEMS[1], rate: 1.5, voice: "Daniel" });
+    expect(() => player.setRate(5)).toThrow(RangeError);
+  });
+
+  test("stop cancels speech and rewinds", async () => {
+    const { player, speaker } = makePlayer();
+    player.play();
+    await speaker.finish();
+    player.stop();
+    await flush();
+    expect(player.state).toBe("stopped");
+    expect(player.index).toBe(0);
+    expect(speaker.calls.at(-1)).toEqual(["cancel"]);
+    expect(speaker.spoken).toHaveLength(2);
+  });
+
+  test("reports speech errors and stops", async () => {
+    const { player, speaker, errors } = makePlayer();
+    player.play();
+    await speaker.fail("Speech failed: synthesis-failed.");
+    expect(errors).toEqual(["Speech failed: synthesis-failed."]);
+    expect(player.state).toBe("stopped");
+  });
+
+  test("does nothing without items, and rejects a missing speaker", () => {
+    const { player, speaker } = makePlayer([]);
+    player.play();
+    expect(player.state).toBe("stopped");
+    expect(speaker.calls).toEqual([]);
+    expect(() => new SpeechPlayer({})).toThrow(TypeError);
+    expect(() => player.load("text")).toThrow(TypeError);
+  });
+});
+
+describe("WebSpeechSpeaker", () => {
+  // Minimal speechSynthesis: speak() queues, cancel() interrupts.
+  function fakeSynth() {
+    const synth = {
+      queue:  [],
+      voices: [{ name: "Daniel", lang: "en-GB", default: false }],
+      getVoices() { return this.voices; },
+      speak(u) { this.queue.push(u); },
+      cancel() { this.queue.splice(0).forEach(u => u.onerror({ error: "interrupted" })); },
+      pause() {}, resume() {},
+    };
+    class Utterance { constructor(text) { this.text = text; } }
+    return { synth, Utterance };
+  }
+
+  test("resolves when an utterance ends, with the chosen rate and voice", async () => {
+    const { synth, Utterance } = fakeSynth();
+    const speaker = new WebSpeechSpeaker(synth, Utterance);
+    const done = speaker.speak("Hello", { rate: 1.5, voice: "Daniel" });
+    const [u] = synth.queue;
+    expect(u.rate).toBe(1.5);
+    expect(u.voice).toBe(synth.voices[0]);
+    u.onend();
+    await expect(done).resolves.toBe("ended");
+    expect(speaker.getVoices()).toEqual([{ name: "Daniel", lang: "en-GB", default: false }]);
+  });
+
+  test("treats cancel() as cancelled, and other errors as failures", async () => {
+    const { synth, Utterance } = fakeSynth();
+    const speaker = new WebSpeechSpeaker(synth, Utterance);
+    const cancelled = speaker.speak("One");
+    speaker.cancel();
+    await expect(cancelled).resolves.toBe("cancelled");
+
+    const failed = speaker.speak("Two");
+    synth.queue[0].onerror({ error: "audio-busy" });
+    await expect(failed).rejects.toThrow("Speech failed: audio-busy.");
+  });
+
+  test("throws when speech synthesis is unavailable", () => {
+    expect(() => new WebSpeechSpeaker(null, null)).toThrow("not available");
+  });
+});
@@ -0,0 +1,104 @@
+// ============================================================
+// tests/treeDiff.tests.js
+// Unit tests for semantic diffs between two versions of a tree.
+// ============================================================
+
+import { SemanticTree } from "../src/semantic/semanticTree.js";
+import { diffTrees, treeSnapshot, describeTreeDiff } from "../src/semantic/treeDiff.js";
+
+const box = (x, y, width = 80, height = 40) => ({ x, y, width, height });
+
+const button = (id, name, x, y) => ({ id, type: "INSTANCE", name, absoluteBoundingBox: box(x, y) });
+
+const emailField = (required) => ({
+  id: "i1", type: "INSTANCE", name: "Email Input", absoluteBoundingBox: box(0, 100, 240, 40),
+  componentProperties: { "Required": { type: "VARIANT", value: required ? "True" : "False" } },
+});
+
+function build(nodes) {
+  const tree = new SemanticTree();
+  tree.build(nodes);
+  return tree;
+}
+
+const v1 = () => build([{
+  id: "s1", type: "FRAME", name: "Checkout", absoluteBoundingBox: box(0, 0, 400, 400), children: [
+    {
+      id: "n1", type: "FRAME", name: "Navigation", layoutMode: "HORIZONTAL", absoluteBoundingBox: box(0, 0, 400, 40),
+      children: [button("b1", "Home Button", 0, 0), button("b2", "Pricing Button", 100, 0)],
+    },
+    emailField(true),
+    button("b3", "Pay Button", 0, 200),
+    button("b4", "Help Button", 0, 300),
+  ],
+}]);
+
+const v2 = () => build([{
+  id: "s1", type: "FRAME", name: "Checkout", absoluteBoundingBox: box(0, 0, 400, 400), children: [
+    {
+      id: "n1", type: "FRAME", name: "Navigation", layoutMode: "HORIZONTAL", absoluteBoundingBox: box(0, 0, 400, 40),
+      children: [
+        button("b1", "Home Button", 0, 0), button("b2", "Pricing Button", 100, 0),
+        button("b5", "Blog Button", 200, 0), button("b6", "Docs Button", 300, 0),
+      ],
+    },
+    emailField(false),
+    // Pay now sits below Help, and is renamed.
+    button("b4", "Help Button", 0, 200),
+    button("b3", "Pay now Button", 0, 300),
+  ],
+}]);
+
+describe("diffTrees", () => {
+  test("reports added, removed, moved and modified components by id", () => {
+    const diff = diffTrees(v1(), v2());
+    expect(diff.equal).toBe(false);
+    expect(diff.added.map(c => [c.id, c.role, c.parentId])).toEqual([["b5", "button", "n1"], ["b6", "button", "n1"]]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.moved.map(c => c.id)).toEqual(["b3"]);
+    expect(diff.moved[0]).toMatchObject({ from: { parentId: "s1", index: 2 }, to: { parentId: "s1", index: 3 } });
+
+    const changes = Object.fromEntries(diff.modified.map(m => [m.id, m.changes]));
+    expect(changes.i1).toEqual([{ field: "state.required", before: true, after: false }]);
+    expect(changes.b3).toEqual([{ field: "label", before: "Pay Button", after: "Pay now Button" }]);
+  });
+
+  test("reports tab-order and reading-order changes", () => {
+    const { tabOrder, readingOrder } = diffTrees(v1(), v2());
+    expect(tabOrder.changed).toBe(true);
+    expect(tabOrder.added.map(i => i.id)).toEqual(["b5", "b6"]);
+    expect(tabOrder.moved.map(i => i.id)).toEqual(["b3"]);
+    expect(tabOrder.after).toEqual(["b1", "b2", "b5", "b6", "i1", "b4", "b3"]);
+    expect(readingOrder.changed).toBe(true);
+    expect(readingOrder.removed).toEqual([]);
+  });
+
+  test("works on toJSON() output and compact snapshots", () => {
+    const fromTrees = diffTrees(v1(), v2());
+    const snapshot  = JSON.parse(JSON.stringify(treeSnapshot(v1())));
+    expect(diffTrees(snapshot, v2())).toEqual(fromTrees);
+    expect(snapshot.components[0]).not.toHaveProperty("visual");
+
+    // toJSON() has no layout orders, so those fall back to layer order.
+    const fromJson = diffTrees(JSON.parse(JSON.stringify(v1().toJSON())), v2().toJSON());
+    for (const key of ["added", "removed", "moved", "modified"]) expect(fromJson[key]).toEqual(fromTrees[key]);
+    expect(v1().toJSON()).not.toHaveProperty("tabOrder");
+    expect(fromJson.tabOrder.before).toEqual(["b1", "b2", "i1", "b3", "b4"]);
+  });
+
+  test("a tree compared with itself is equal, and removals are reported", () => {
+    expect(diffTrees(v1(), v1()).equal).toBe(true);
+    const back = diffTrees(v2(), v1());
+    expect(back.removed.map(c => c.id)).toEqual(["b5", "b6"]);
+    expect(back.tabOrder.removed.map(i => i.label)).toEqual(["Blog Button", "Docs Button"]);
+    expect(() => diffTrees({}, v1())).toThrow(TypeError);
+  });
+
+  test("describes each change in one line", () => {
+    const lines = describeTreeDiff(diffTrees(v1(), v2()));
+    expect(lines).toContain('Added button "Blog Button" [b5].');
+    expect(lines).toContain('Moved "Pay now Button" [b3] from position 3 to 4.');
+    expect(lines).toContain('Changed "Email Input" [i1]: state.required true → false.');
+    expect(lines).toContain('Tab order changed: added "Blog Button", "Docs Button"; moved "Pay now Button".');
+  });
+});